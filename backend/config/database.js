@@ -1,9 +1,11 @@
 import mongoose from 'mongoose';
+import { runMigrations } from './migrations.js';
 
 export const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/e2ee-messaging');
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    await runMigrations();
   } catch (error) {
     console.error('Database connection error:', error);
     throw error;
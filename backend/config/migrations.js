@@ -0,0 +1,47 @@
+/**
+ * Startup migrations
+ * Bring an existing database up to date after connecting. Every step is
+ * idempotent, so they simply run on each start.
+ */
+
+import KeyExchange from '../models/KeyExchange.model.js';
+import { backfillKeyLog } from '../utils/keyTransparency.js';
+
+/**
+ * Drop the TTL index on KeyExchange.createdAt, which deleted every exchange
+ * an hour after it was created. Exchanges now expire through expiresAt,
+ * which X3DH exchanges leave empty so they survive until the recipient is
+ * back online; the old index would still delete them.
+ * @returns {Promise<boolean>} Whether the index was dropped
+ */
+export async function dropKeyExchangeCreatedAtTTL() {
+  let indexes;
+  try {
+    indexes = await KeyExchange.collection.indexes();
+  } catch (error) {
+    // No key exchanges yet, so no index either
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+
+  const legacy = indexes.find(index => index.name === 'createdAt_1' && index.expireAfterSeconds !== undefined);
+  if (!legacy) return false;
+
+  await KeyExchange.collection.dropIndex(legacy.name);
+  return true;
+}
+
+/**
+ * Run every migration in order
+ * @returns {Promise<void>}
+ */
+export async function runMigrations() {
+  if (await dropKeyExchangeCreatedAtTTL()) {
+    console.log('Dropped the key exchange createdAt TTL index');
+  }
+
+  const { subtrees, entries } = await backfillKeyLog();
+  if (subtrees || entries) {
+    console.log(`Key transparency log: stored ${subtrees} subtree hashes, logged ${entries} existing keys`);
+  }
+}
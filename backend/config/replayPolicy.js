@@ -0,0 +1,86 @@
+/**
+ * Replay protection policy
+ * Read once from the environment (server.js loads it at startup, after
+ * .env); invalid values stop the server rather than silently weakening the checks.
+ *
+ *   REPLAY_CLOCK_SKEW_SECONDS      - largest accepted difference between a message's
+ *                                    timestamp and the server clock (default: 300)
+ *   REPLAY_NONCE_RETENTION_SECONDS - how long used nonces are remembered (default: 3600);
+ *                                    must be at least twice the clock skew, or a replay
+ *                                    could outlive its nonce while its timestamp is still accepted
+ *   REPLAY_MAX_SEQUENCE_GAP        - largest jump above the next expected sequence number
+ *                                    accepted without action (default: 1000)
+ *   REPLAY_SEQUENCE_GAP_ACTION     - what to do with a larger jump: 'reject' or 'log' (default: 'log')
+ */
+
+// Rules a message can be rejected (or flagged) by, recorded with each log entry
+export const REPLAY_RULES = {
+  MISSING_FIELDS: 'MISSING_FIELDS',
+  CLOCK_SKEW: 'CLOCK_SKEW',
+  USER_PAIR_MISMATCH: 'USER_PAIR_MISMATCH',
+  DUPLICATE_NONCE: 'DUPLICATE_NONCE',
+  SEQUENCE_REPLAY: 'SEQUENCE_REPLAY',
+  SEQUENCE_GAP: 'SEQUENCE_GAP',
+  UNAVAILABLE: 'UNAVAILABLE'
+};
+
+const GAP_ACTIONS = ['reject', 'log'];
+
+/**
+ * Read a positive integer setting
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when unset
+ * @returns {number}
+ */
+function readPositiveInteger(name, defaultValue) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Build the policy from the environment
+ * @returns {Object} Frozen policy
+ */
+function loadReplayPolicy() {
+  const clockSkewSeconds = readPositiveInteger('REPLAY_CLOCK_SKEW_SECONDS', 5 * 60);
+  const nonceRetentionSeconds = readPositiveInteger('REPLAY_NONCE_RETENTION_SECONDS', 60 * 60);
+  const maxSequenceGap = readPositiveInteger('REPLAY_MAX_SEQUENCE_GAP', 1000);
+  const sequenceGapAction = process.env.REPLAY_SEQUENCE_GAP_ACTION || 'log';
+
+  if (!GAP_ACTIONS.includes(sequenceGapAction)) {
+    throw new Error(`REPLAY_SEQUENCE_GAP_ACTION must be one of ${GAP_ACTIONS.join(', ')}, got "${sequenceGapAction}"`);
+  }
+
+  // A timestamp is accepted for clockSkew on either side of the server clock
+  if (nonceRetentionSeconds < 2 * clockSkewSeconds) {
+    throw new Error('REPLAY_NONCE_RETENTION_SECONDS must be at least twice REPLAY_CLOCK_SKEW_SECONDS');
+  }
+
+  return Object.freeze({
+    clockSkewSeconds,
+    nonceRetentionSeconds,
+    maxSequenceGap,
+    sequenceGapAction
+  });
+}
+
+let replayPolicy = null;
+
+/**
+ * Active replay protection policy
+ * @returns {{clockSkewSeconds: number, nonceRetentionSeconds: number, maxSequenceGap: number, sequenceGapAction: string}}
+ */
+export function getReplayPolicy() {
+  if (!replayPolicy) {
+    replayPolicy = loadReplayPolicy();
+  }
+  return replayPolicy;
+}
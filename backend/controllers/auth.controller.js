@@ -2,11 +2,13 @@ import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.model.js';
 import { logAuthAttempt, logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { SIGNING_KEY_ALGORITHMS, isValidSigningPublicKey } from '../utils/signatures.js';
+import { logKeyChange } from '../utils/keyTransparency.js';
 
 // Register new user
 export const register = async (req, res) => {
   try {
-    const { username, password, publicKey } = req.body;
+    const { username, password, publicKey, signingPublicKey, signingKeyAlgorithm } = req.body;
 
     // Validation
     if (!username || !password || !publicKey) {
@@ -30,6 +32,15 @@ export const register = async (req, res) => {
       });
     }
 
+    // Signing key is optional for older clients, but must be valid when sent
+    if (signingPublicKey && (!SIGNING_KEY_ALGORITHMS.includes(signingKeyAlgorithm) ||
+        !isValidSigningPublicKey(signingPublicKey, signingKeyAlgorithm))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signing public key'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ username });
     if (existingUser) {
@@ -48,10 +59,14 @@ export const register = async (req, res) => {
       username,
       passwordHash,
       // salt not needed - bcrypt handles it internally
-      publicKey: publicKey // Store the public key in SPKI format
+      publicKey: publicKey, // Store the public key in SPKI format
+      signingPublicKey: signingPublicKey || undefined,
+      signingKeyAlgorithm: signingPublicKey ? signingKeyAlgorithm : undefined,
+      signingKeyCreatedAt: signingPublicKey ? new Date() : undefined
     });
 
     await user.save();
+    await logKeyChange(user, 'registered');
 
     // Generate JWT token
     const token = jwt.sign(
@@ -78,7 +93,9 @@ export const register = async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        publicKey: user.publicKey
+        publicKey: user.publicKey,
+        signingPublicKey: user.signingPublicKey,
+        signingKeyAlgorithm: user.signingKeyAlgorithm
       }
     });
   } catch (error) {
@@ -142,7 +159,9 @@ export const login = async (req, res) => {
       user: {
         id: user._id,
         username: user.username,
-        publicKey: user.publicKey
+        publicKey: user.publicKey,
+        signingPublicKey: user.signingPublicKey,
+        signingKeyAlgorithm: user.signingKeyAlgorithm
       }
     });
   } catch (error) {
@@ -0,0 +1,150 @@
+import KeyBackup from '../models/KeyBackup.model.js';
+import { logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { validateBackup } from '../utils/backup.js';
+
+/**
+ * Backup details without the ciphertext
+ * @param {Object} backup - KeyBackup document
+ * @returns {Object}
+ */
+function serializeBackupStatus(backup) {
+  return {
+    version: backup.version,
+    secretType: backup.secretType,
+    kdf: backup.kdf.name,
+    size: backup.ciphertext.length,
+    createdAt: backup.createdAt,
+    updatedAt: backup.updatedAt
+  };
+}
+
+/**
+ * Log a backup event for the caller
+ * @param {Object} req - Express request object
+ * @param {string} eventType - KEY_BACKUP_SAVED, KEY_BACKUP_DOWNLOADED or KEY_BACKUP_DELETED
+ * @param {Object} [details] - Extra details
+ */
+function logBackupEvent(req, eventType, details = {}) {
+  return logSecurityEvent({
+    eventType,
+    severity: 'INFO',
+    userId: req.userId,
+    username: req.username,
+    ...extractRequestInfo(req),
+    details,
+    success: true
+  });
+}
+
+// Store the caller's encrypted key backup, replacing any earlier one
+export const saveBackup = async (req, res) => {
+  try {
+    const { version, secretType, kdf, ciphertext } = req.body;
+
+    const invalid = validateBackup({ version, secretType, kdf, ciphertext });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid backup: ${invalid}`
+      });
+    }
+
+    const backup = await KeyBackup.findOneAndUpdate(
+      { userId: req.userId },
+      {
+        $set: { version, secretType, kdf, ciphertext, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+
+    await logBackupEvent(req, 'KEY_BACKUP_SAVED', { secretType, kdf: kdf.name, size: ciphertext.length });
+
+    res.json({
+      success: true,
+      backup: serializeBackupStatus(backup)
+    });
+  } catch (error) {
+    console.error('Save backup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save backup'
+    });
+  }
+};
+
+// Whether the caller has a backup, without downloading it
+export const getBackupStatus = async (req, res) => {
+  try {
+    const backup = await KeyBackup.findOne({ userId: req.userId });
+
+    res.json({
+      success: true,
+      backup: backup ? serializeBackupStatus(backup) : null
+    });
+  } catch (error) {
+    console.error('Get backup status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve backup status'
+    });
+  }
+};
+
+// Download the caller's encrypted key backup (to restore it)
+export const getBackup = async (req, res) => {
+  try {
+    const backup = await KeyBackup.findOne({ userId: req.userId });
+    if (!backup) {
+      return res.status(404).json({
+        success: false,
+        error: 'No key backup found'
+      });
+    }
+
+    await logBackupEvent(req, 'KEY_BACKUP_DOWNLOADED');
+
+    res.json({
+      success: true,
+      backup: {
+        version: backup.version,
+        secretType: backup.secretType,
+        kdf: backup.kdf,
+        ciphertext: backup.ciphertext,
+        updatedAt: backup.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error('Get backup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve backup'
+    });
+  }
+};
+
+// Delete the caller's key backup
+export const deleteBackup = async (req, res) => {
+  try {
+    const { deletedCount } = await KeyBackup.deleteOne({ userId: req.userId });
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No key backup found'
+      });
+    }
+
+    await logBackupEvent(req, 'KEY_BACKUP_DELETED');
+
+    res.json({
+      success: true,
+      message: 'Key backup deleted'
+    });
+  } catch (error) {
+    console.error('Delete backup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete backup'
+    });
+  }
+};
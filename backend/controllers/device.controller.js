@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import Device from '../models/Device.model.js';
+import User from '../models/User.model.js';
+import { logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { emitToUser } from '../utils/socket.js';
+import { deviceKeyMessage, isValidDevicePublicKey, verifyUserSignature } from '../utils/signatures.js';
+import { DEVICE_ID_PATTERN } from '../utils/envelope.js';
+
+// Devices (pending or active) an account may have at once
+const MAX_DEVICES = 10;
+
+/**
+ * Device as returned to its owner
+ * @param {Object} device - Device document
+ * @returns {Object}
+ */
+function serializeDevice(device) {
+  return {
+    deviceId: device.deviceId,
+    name: device.name,
+    publicKey: device.publicKey,
+    signature: device.signature || null,
+    status: device.status,
+    createdAt: device.createdAt,
+    approvedAt: device.approvedAt || null,
+    revokedAt: device.revokedAt || null
+  };
+}
+
+/**
+ * Log a device event for the caller
+ * @param {Object} req - Express request object
+ * @param {string} eventType - DEVICE_REGISTERED, DEVICE_LINKED or DEVICE_REVOKED
+ * @param {Object} user - Caller's user document
+ * @param {string} deviceId - Device the event is about
+ * @param {boolean} success - Whether the action succeeded
+ * @param {string} [errorMessage] - Why it failed
+ */
+function logDeviceEvent(req, eventType, user, deviceId, success, errorMessage = null) {
+  return logSecurityEvent({
+    eventType,
+    severity: success ? 'INFO' : 'WARNING',
+    userId: user._id,
+    username: user.username,
+    ...extractRequestInfo(req),
+    details: { deviceId },
+    success,
+    errorMessage
+  });
+}
+
+// Register a device of the caller's account. With a signature by the account's
+// signing key the device is active at once (the device holding the account
+// keys); without one it waits for approval from an existing device.
+export const registerDevice = async (req, res) => {
+  try {
+    const { deviceId, name, publicKey, signature } = req.body;
+
+    if (typeof deviceId !== 'string' || !DEVICE_ID_PATTERN.test(deviceId) ||
+        typeof name !== 'string' || !name.trim() || name.length > 64 || !publicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: deviceId, name, publicKey'
+      });
+    }
+
+    if (!isValidDevicePublicKey(publicKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device public key must be an ECDH P-256 key'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const certified = signature !== undefined && signature !== null;
+    if (certified && (typeof signature !== 'string' ||
+        !verifyUserSignature(user, deviceKeyMessage({ userId: user._id, deviceId, publicKey }), signature))) {
+      await logDeviceEvent(req, 'DEVICE_REGISTERED', user, deviceId, false, 'Invalid device signature');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device signature'
+      });
+    }
+
+    // Registering again (e.g. on every login) returns the existing device
+    const existing = await Device.findOne({ userId: user._id, deviceId });
+    if (existing) {
+      if (existing.status === 'revoked' || existing.publicKey !== publicKey) {
+        return res.status(409).json({
+          success: false,
+          error: existing.status === 'revoked' ? 'Device has been revoked' : 'Device ID already in use'
+        });
+      }
+
+      if (certified && existing.status === 'pending') {
+        existing.status = 'active';
+        existing.signature = signature;
+        existing.approvedAt = new Date();
+        existing.expiresAt = null;
+        await existing.save();
+      }
+      return res.json({ success: true, device: serializeDevice(existing) });
+    }
+
+    const deviceCount = await Device.countDocuments({ userId: user._id, status: { $ne: 'revoked' } });
+    if (deviceCount >= MAX_DEVICES) {
+      return res.status(409).json({
+        success: false,
+        error: `An account can have at most ${MAX_DEVICES} devices; revoke one first`
+      });
+    }
+
+    const device = await Device.create({
+      userId: user._id,
+      deviceId,
+      name: name.trim(),
+      publicKey,
+      ...(certified
+        ? { status: 'active', signature, approvedAt: new Date(), expiresAt: null }
+        : { status: 'pending' })
+    });
+
+    await logDeviceEvent(req, 'DEVICE_REGISTERED', user, deviceId, true);
+
+    // Existing devices show the approval prompt for a pending device
+    emitToUser(user._id, 'device:updated', { deviceId, status: device.status });
+
+    res.status(201).json({
+      success: true,
+      device: serializeDevice(device)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Device ID already in use'
+      });
+    }
+    console.error('Register device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register device'
+    });
+  }
+};
+
+// List the caller's devices
+export const getDevices = async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.userId }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      devices: devices.map(serializeDevice)
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve devices'
+    });
+  }
+};
+
+// Approve a pending device: an existing device signs its key after the user
+// has compared the linking code shown on the new device
+export const approveDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { signature } = req.body;
+
+    if (typeof signature !== 'string' || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: signature'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    const device = user && await Device.findOne({ userId: user._id, deviceId });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    if (device.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Device is already ${device.status}`
+      });
+    }
+
+    const message = deviceKeyMessage({ userId: user._id, deviceId, publicKey: device.publicKey });
+    if (!verifyUserSignature(user, message, signature)) {
+      await logDeviceEvent(req, 'DEVICE_LINKED', user, deviceId, false, 'Invalid device signature');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid device signature'
+      });
+    }
+
+    device.status = 'active';
+    device.signature = signature;
+    device.approvedAt = new Date();
+    device.expiresAt = null;
+    await device.save();
+
+    await logDeviceEvent(req, 'DEVICE_LINKED', user, deviceId, true);
+    emitToUser(user._id, 'device:updated', { deviceId, status: device.status });
+
+    res.json({
+      success: true,
+      device: serializeDevice(device)
+    });
+  } catch (error) {
+    console.error('Approve device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve device'
+    });
+  }
+};
+
+// Revoke one of the caller's devices; senders stop wrapping keys for it
+export const revokeDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const user = await User.findById(req.userId);
+    const device = user && await Device.findOne({ userId: user._id, deviceId, status: { $ne: 'revoked' } });
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+      });
+    }
+
+    device.status = 'revoked';
+    device.revokedAt = new Date();
+    device.expiresAt = null;
+    await device.save();
+
+    await logDeviceEvent(req, 'DEVICE_REVOKED', user, deviceId, true);
+    emitToUser(user._id, 'device:updated', { deviceId, status: device.status });
+
+    res.json({
+      success: true,
+      device: serializeDevice(device)
+    });
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke device'
+    });
+  }
+};
+
+// Get another user's active devices, which senders wrap message keys for.
+// Clients check each device's signature against the user's signing key
+// before trusting it.
+export const getUserDevices = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    const devices = await Device.find({ userId, status: 'active' })
+      .sort({ createdAt: 1 })
+      .select('deviceId name publicKey signature approvedAt');
+
+    res.json({
+      success: true,
+      userId,
+      devices: devices.map(device => ({
+        userId,
+        deviceId: device.deviceId,
+        name: device.name,
+        publicKey: device.publicKey,
+        signature: device.signature,
+        approvedAt: device.approvedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get user devices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve devices'
+    });
+  }
+};
@@ -0,0 +1,360 @@
+import mongoose from 'mongoose';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import FileUpload from '../models/FileUpload.model.js';
+import User from '../models/User.model.js';
+import { getFileBucket, chunkFileName, deleteChunkFiles } from '../utils/gridfs.js';
+
+// Largest plaintext chunk accepted
+const MAX_CHUNK_SIZE = 4 * 1024 * 1024; // 4 MB
+
+// Largest file accepted
+const MAX_FILE_SIZE = 1024 * 1024 * 1024; // 1 GB
+
+// Each stored chunk is IV (12 bytes) || ciphertext || GCM tag (16 bytes)
+const CHUNK_OVERHEAD = 12 + 16;
+
+/**
+ * Upload metadata as returned by the API
+ * @param {Object} upload - FileUpload document
+ * @returns {Object}
+ */
+function serializeUpload(upload) {
+  return {
+    fileId: upload._id,
+    ownerId: upload.ownerId,
+    toUserId: upload.toUserId,
+    fileName: upload.fileName,
+    fileType: upload.fileType,
+    fileSize: upload.fileSize,
+    chunkSize: upload.chunkSize,
+    totalChunks: upload.totalChunks,
+    receivedChunks: [...upload.receivedChunks].sort((a, b) => a - b),
+    status: upload.status,
+    createdAt: upload.createdAt
+  };
+}
+
+/**
+ * Load an upload the caller may access
+ * Sends the error response itself and resolves to null on failure
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - { ownerOnly }
+ * @returns {Promise<Object|null>} FileUpload document
+ */
+async function loadUploadForCaller(req, res, { ownerOnly = false } = {}) {
+  const { fileId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(fileId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid file ID format'
+    });
+    return null;
+  }
+
+  const upload = await FileUpload.findById(fileId);
+  const isOwner = upload && String(upload.ownerId) === String(req.userId);
+  const isRecipient = upload && String(upload.toUserId) === String(req.userId);
+
+  // The recipient only sees the file once it is complete
+  if (!upload || !(isOwner || (!ownerOnly && isRecipient && upload.status === 'complete'))) {
+    res.status(404).json({
+      success: false,
+      error: 'File not found'
+    });
+    return null;
+  }
+
+  return upload;
+}
+
+/**
+ * Parse and range-check the :chunkIndex route parameter
+ * @param {Object} req - Express request object
+ * @param {Object} upload - FileUpload document
+ * @returns {number|null} Chunk index, or null if invalid
+ */
+function parseChunkIndex(req, upload) {
+  const chunkIndex = Number(req.params.chunkIndex);
+  return Number.isInteger(chunkIndex) && chunkIndex >= 0 && chunkIndex < upload.totalChunks
+    ? chunkIndex
+    : null;
+}
+
+// Start an upload; chunks are then sent one by one
+export const createUpload = async (req, res) => {
+  try {
+    const { toUserId, exchangeId, fileName, fileType, fileSize, chunkSize, totalChunks } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(toUserId) || typeof fileName !== 'string' || !fileName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: toUserId, fileName'
+      });
+    }
+
+    if (!Number.isInteger(fileSize) || fileSize < 0 || fileSize > MAX_FILE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `File size must be between 0 and ${MAX_FILE_SIZE} bytes`
+      });
+    }
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Chunk size must be between 1 and ${MAX_CHUNK_SIZE} bytes`
+      });
+    }
+
+    // An empty file is still one (empty) encrypted chunk
+    if (totalChunks !== Math.max(1, Math.ceil(fileSize / chunkSize))) {
+      return res.status(400).json({
+        success: false,
+        error: 'totalChunks does not match fileSize and chunkSize'
+      });
+    }
+
+    const toUser = await User.findById(toUserId).select('_id');
+    if (!toUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const upload = await FileUpload.create({
+      ownerId: req.userId,
+      toUserId,
+      exchangeId: exchangeId || null,
+      fileName,
+      fileType: fileType || 'application/octet-stream',
+      fileSize,
+      chunkSize,
+      totalChunks
+    });
+
+    res.status(201).json({
+      success: true,
+      file: serializeUpload(upload)
+    });
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start upload'
+    });
+  }
+};
+
+// Upload status: which chunk indexes the server has (used to resume)
+export const getUpload = async (req, res) => {
+  try {
+    const upload = await loadUploadForCaller(req, res);
+    if (!upload) return;
+
+    res.json({
+      success: true,
+      file: serializeUpload(upload)
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get file'
+    });
+  }
+};
+
+// Store one encrypted chunk (raw body, streamed into GridFS).
+// Re-sending an index replaces the stored chunk, so interrupted uploads can be resumed.
+export const uploadChunk = async (req, res) => {
+  try {
+    const upload = await loadUploadForCaller(req, res, { ownerOnly: true });
+    if (!upload) return;
+
+    const chunkIndex = parseChunkIndex(req, upload);
+    if (chunkIndex === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid chunk index'
+      });
+    }
+
+    if (upload.status === 'complete') {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload is already complete'
+      });
+    }
+
+    const maxBytes = upload.chunkSize + CHUNK_OVERHEAD;
+    let receivedBytes = 0;
+    const sizeLimit = new Transform({
+      transform(data, encoding, callback) {
+        receivedBytes += data.length;
+        callback(receivedBytes > maxBytes ? new Error('Chunk too large') : null, data);
+      }
+    });
+
+    const bucket = getFileBucket();
+    const filename = chunkFileName(upload._id, chunkIndex);
+    const uploadStream = bucket.openUploadStream(filename, {
+      metadata: { fileId: upload._id, chunkIndex }
+    });
+
+    try {
+      await pipeline(req, sizeLimit, uploadStream);
+    } catch (error) {
+      await bucket.delete(uploadStream.id).catch(() => {});
+      return res.status(400).json({
+        success: false,
+        error: error.message === 'Chunk too large' ? 'Chunk too large' : 'Chunk upload failed'
+      });
+    }
+
+    if (receivedBytes < CHUNK_OVERHEAD) {
+      await bucket.delete(uploadStream.id);
+      return res.status(400).json({
+        success: false,
+        error: 'Chunk is too short to be an encrypted chunk'
+      });
+    }
+
+    // Drop any earlier copy of this chunk
+    await deleteChunkFiles({ filename, _id: { $ne: uploadStream.id } });
+
+    const updated = await FileUpload.findByIdAndUpdate(
+      upload._id,
+      { $addToSet: { receivedChunks: chunkIndex } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      chunkIndex,
+      receivedCount: updated.receivedChunks.length,
+      totalChunks: updated.totalChunks
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store chunk'
+    });
+  }
+};
+
+// Mark an upload complete once every chunk has arrived
+export const completeUpload = async (req, res) => {
+  try {
+    const upload = await loadUploadForCaller(req, res, { ownerOnly: true });
+    if (!upload) return;
+
+    const received = new Set(upload.receivedChunks);
+    const missingChunks = [];
+    for (let i = 0; i < upload.totalChunks; i++) {
+      if (!received.has(i)) missingChunks.push(i);
+    }
+
+    if (missingChunks.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload is missing chunks',
+        missingChunks
+      });
+    }
+
+    upload.status = 'complete';
+    upload.completedAt = new Date();
+    await upload.save();
+
+    res.json({
+      success: true,
+      file: serializeUpload(upload)
+    });
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete upload'
+    });
+  }
+};
+
+// Stream one encrypted chunk from GridFS
+export const downloadChunk = async (req, res) => {
+  try {
+    const upload = await loadUploadForCaller(req, res);
+    if (!upload) return;
+
+    const chunkIndex = parseChunkIndex(req, upload);
+    if (chunkIndex === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid chunk index'
+      });
+    }
+
+    const bucket = getFileBucket();
+    const [file] = await bucket
+      .find({ filename: chunkFileName(upload._id, chunkIndex) })
+      .sort({ uploadDate: -1 })
+      .limit(1)
+      .toArray();
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(file.length)
+    });
+
+    await pipeline(bucket.openDownloadStream(file._id), res);
+  } catch (error) {
+    console.error('Download chunk error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download chunk'
+      });
+    }
+  }
+};
+
+// Abort an unfinished upload and delete its chunks (owner only)
+export const deleteUpload = async (req, res) => {
+  try {
+    const upload = await loadUploadForCaller(req, res, { ownerOnly: true });
+    if (!upload) return;
+
+    // Completed files may already be referenced by a message
+    if (upload.status === 'complete') {
+      return res.status(409).json({
+        success: false,
+        error: 'Completed files cannot be deleted'
+      });
+    }
+
+    await deleteChunkFiles({ 'metadata.fileId': upload._id });
+    await FileUpload.deleteOne({ _id: upload._id });
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to abort upload'
+    });
+  }
+};
@@ -0,0 +1,608 @@
+import mongoose from 'mongoose';
+import Group from '../models/Group.model.js';
+import GroupMessage from '../models/GroupMessage.model.js';
+import SenderKeyDistribution from '../models/SenderKeyDistribution.model.js';
+import User from '../models/User.model.js';
+import { validateGroupReplayProtection } from '../middleware/replayProtection.js';
+import { logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { emitToUser } from '../utils/socket.js';
+
+// Largest group accepted (each member distributes a sender key to every other)
+const MAX_GROUP_MEMBERS = 50;
+
+/**
+ * Group as returned by the API (members with usernames)
+ * @param {Object} group - Group document with members.userId populated
+ * @returns {Object}
+ */
+function serializeGroup(group) {
+  return {
+    _id: group._id,
+    name: group.name,
+    createdBy: group.createdBy,
+    keyEpoch: group.keyEpoch,
+    keyRotatedAt: group.keyRotatedAt,
+    members: group.members.map(member => ({
+      userId: member.userId._id || member.userId,
+      username: member.userId.username,
+      role: member.role,
+      addedAt: member.addedAt
+    })),
+    createdAt: group.createdAt
+  };
+}
+
+/**
+ * Load a group the caller belongs to
+ * Sends the error response itself and resolves to null on failure
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - { adminOnly }
+ * @returns {Promise<Object|null>} Group document
+ */
+async function loadGroupForCaller(req, res, { adminOnly = false } = {}) {
+  const { groupId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid group ID format'
+    });
+    return null;
+  }
+
+  const group = await Group.findById(groupId).populate('members.userId', 'username');
+
+  // Non-members get the same answer as for a missing group
+  if (!group || !group.isMember(req.userId)) {
+    res.status(404).json({
+      success: false,
+      error: 'Group not found'
+    });
+    return null;
+  }
+
+  if (adminOnly && !group.isAdmin(req.userId)) {
+    res.status(403).json({
+      success: false,
+      error: 'Only group admins can do this'
+    });
+    return null;
+  }
+
+  return group;
+}
+
+/**
+ * Start a new key epoch: every member must distribute a fresh sender key
+ * @param {Object} group - Group document (saved by the caller)
+ */
+function rotateGroupKey(group) {
+  group.keyEpoch += 1;
+  group.keyRotatedAt = new Date();
+}
+
+/**
+ * Notify current members that the group changed
+ * @param {Object} group - Group document
+ */
+function notifyMembers(group) {
+  const payload = { groupId: group._id, keyEpoch: group.keyEpoch };
+  group.members.forEach(member => {
+    emitToUser(member.userId._id || member.userId, 'group:updated', payload);
+  });
+}
+
+// Create a group; the creator becomes its first admin
+export const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Group name is required'
+      });
+    }
+
+    if (!Array.isArray(memberIds) || !memberIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'memberIds must be an array of user IDs'
+      });
+    }
+
+    const otherIds = [...new Set(memberIds.map(String))].filter(id => id !== String(req.userId));
+    if (otherIds.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `Groups are limited to ${MAX_GROUP_MEMBERS} members`
+      });
+    }
+
+    const existingCount = await User.countDocuments({ _id: { $in: otherIds } });
+    if (existingCount !== otherIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const group = await Group.create({
+      name: name.trim(),
+      createdBy: req.userId,
+      members: [
+        { userId: req.userId, role: 'admin' },
+        ...otherIds.map(userId => ({ userId, role: 'member' }))
+      ]
+    });
+    await group.populate('members.userId', 'username');
+
+    await logSecurityEvent({
+      eventType: 'GROUP_CREATED',
+      severity: 'INFO',
+      userId: req.userId,
+      username: req.username,
+      ...extractRequestInfo(req),
+      details: { groupId: group._id, memberCount: group.members.length },
+      success: true
+    });
+
+    notifyMembers(group);
+
+    res.status(201).json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create group'
+    });
+  }
+};
+
+// Groups the caller belongs to
+export const getGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.userId': req.userId })
+      .sort({ updatedAt: -1 })
+      .populate('members.userId', 'username');
+
+    res.json({
+      success: true,
+      groups: groups.map(serializeGroup)
+    });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get groups'
+    });
+  }
+};
+
+export const getGroup = async (req, res) => {
+  try {
+    const group = await loadGroupForCaller(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get group'
+    });
+  }
+};
+
+// Add a member (admins only); rotates the group key
+export const addMember = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    const group = await loadGroupForCaller(req, res, { adminOnly: true });
+    if (!group) return;
+
+    if (group.isMember(userId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already a member'
+      });
+    }
+
+    if (group.members.length >= MAX_GROUP_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        error: `Groups are limited to ${MAX_GROUP_MEMBERS} members`
+      });
+    }
+
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    group.members.push({ userId: user._id, role: 'member' });
+    rotateGroupKey(group);
+    await group.save();
+    await group.populate('members.userId', 'username');
+
+    await logSecurityEvent({
+      eventType: 'GROUP_MEMBER_ADDED',
+      severity: 'INFO',
+      userId: req.userId,
+      username: req.username,
+      ...extractRequestInfo(req),
+      details: { groupId: group._id, memberId: userId, keyEpoch: group.keyEpoch },
+      success: true
+    });
+
+    notifyMembers(group);
+
+    res.json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add member'
+    });
+  }
+};
+
+// Remove a member (admins), or leave the group (any member); rotates the group key
+export const removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const leaving = String(userId) === String(req.userId);
+
+    const group = await loadGroupForCaller(req, res, { adminOnly: !leaving });
+    if (!group) return;
+
+    if (!group.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not a member'
+      });
+    }
+
+    group.members = group.members.filter(member => String(member.userId._id || member.userId) !== String(userId));
+
+    if (group.members.length === 0) {
+      await Promise.all([
+        Group.deleteOne({ _id: group._id }),
+        GroupMessage.deleteMany({ groupId: group._id }),
+        SenderKeyDistribution.deleteMany({ groupId: group._id })
+      ]);
+      emitToUser(userId, 'group:removed', { groupId: group._id });
+
+      return res.json({
+        success: true,
+        message: 'Group deleted'
+      });
+    }
+
+    // A group always keeps an admin: promote the longest-standing member
+    if (!group.members.some(member => member.role === 'admin')) {
+      group.members[0].role = 'admin';
+    }
+
+    rotateGroupKey(group);
+    await group.save();
+
+    await logSecurityEvent({
+      eventType: 'GROUP_MEMBER_REMOVED',
+      severity: 'INFO',
+      userId: req.userId,
+      username: req.username,
+      ...extractRequestInfo(req),
+      details: { groupId: group._id, memberId: userId, left: leaving, keyEpoch: group.keyEpoch },
+      success: true
+    });
+
+    notifyMembers(group);
+    emitToUser(userId, 'group:removed', { groupId: group._id });
+
+    res.json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+};
+
+// Change a member's role (admins only); membership is unchanged, so no rotation
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role must be admin or member'
+      });
+    }
+
+    const group = await loadGroupForCaller(req, res, { adminOnly: true });
+    if (!group) return;
+
+    const member = group.getMember(userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not a member'
+      });
+    }
+
+    if (role === 'member' && member.role === 'admin' &&
+        group.members.filter(m => m.role === 'admin').length === 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'A group needs at least one admin'
+      });
+    }
+
+    member.role = role;
+    await group.save();
+
+    notifyMembers(group);
+
+    res.json({
+      success: true,
+      group: serializeGroup(group)
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update member role'
+    });
+  }
+};
+
+// Upload the caller's sender key for the current epoch, encrypted to each member
+export const uploadSenderKeys = async (req, res) => {
+  try {
+    const { keyEpoch, distributions } = req.body;
+
+    if (!Number.isInteger(keyEpoch) || !Array.isArray(distributions) || distributions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: keyEpoch, distributions'
+      });
+    }
+
+    const group = await loadGroupForCaller(req, res);
+    if (!group) return;
+
+    // Keys for an old epoch would let removed members read on
+    if (keyEpoch !== group.keyEpoch) {
+      return res.status(409).json({
+        success: false,
+        error: 'Group key has been rotated',
+        keyEpoch: group.keyEpoch
+      });
+    }
+
+    for (const distribution of distributions) {
+      const { toUserId, exchangeId, ciphertext, iv, tag } = distribution || {};
+
+      if (!toUserId || !exchangeId || !ciphertext || !iv || !tag) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each distribution needs toUserId, exchangeId, ciphertext, iv, tag'
+        });
+      }
+
+      if (!group.isMember(toUserId) || String(toUserId) === String(req.userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sender keys can only be sent to other group members'
+        });
+      }
+    }
+
+    await SenderKeyDistribution.bulkWrite(distributions.map(distribution => ({
+      updateOne: {
+        filter: {
+          groupId: group._id,
+          keyEpoch,
+          fromUserId: req.userId,
+          toUserId: distribution.toUserId
+        },
+        update: {
+          $set: {
+            exchangeId: distribution.exchangeId,
+            ciphertext: distribution.ciphertext,
+            iv: distribution.iv,
+            tag: distribution.tag,
+            ratchetHeader: distribution.ratchetHeader || undefined
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    distributions.forEach(distribution => {
+      emitToUser(distribution.toUserId, 'group:sender-key', {
+        groupId: group._id,
+        keyEpoch,
+        fromUserId: req.userId
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Sender keys distributed'
+    });
+  } catch (error) {
+    console.error('Upload sender keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to distribute sender keys'
+    });
+  }
+};
+
+// Sender keys other members have distributed to the caller
+export const getSenderKeys = async (req, res) => {
+  try {
+    const group = await loadGroupForCaller(req, res);
+    if (!group) return;
+
+    const senderKeys = await SenderKeyDistribution.find({
+      groupId: group._id,
+      toUserId: req.userId
+    }).sort({ keyEpoch: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      keyEpoch: group.keyEpoch,
+      senderKeys
+    });
+  } catch (error) {
+    console.error('Get sender keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get sender keys'
+    });
+  }
+};
+
+// Send a group message (encrypted on the client with the sender's sender key)
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { keyEpoch, iteration, ciphertext, iv, tag, signature, sequenceNumber, nonce, timestamp } = req.body;
+
+    if (!ciphertext || !iv || !tag || !signature ||
+        !Number.isInteger(keyEpoch) || !Number.isInteger(iteration) || iteration < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: keyEpoch, iteration, ciphertext, iv, tag, signature'
+      });
+    }
+
+    const group = await loadGroupForCaller(req, res);
+    if (!group) return;
+
+    if (keyEpoch !== group.keyEpoch) {
+      return res.status(409).json({
+        success: false,
+        error: 'Group key has been rotated',
+        keyEpoch: group.keyEpoch
+      });
+    }
+
+    const sentAt = timestamp || Date.now();
+    const validation = await validateGroupReplayProtection(
+      group._id,
+      req.userId,
+      sequenceNumber,
+      nonce,
+      sentAt,
+      req
+    );
+
+    if (!validation.valid) {
+      return res.status(validation.unavailable ? 503 : 400).json({
+        success: false,
+        error: validation.reason || 'Replay protection validation failed',
+        rule: validation.rule
+      });
+    }
+
+    const message = await GroupMessage.create({
+      groupId: group._id,
+      fromUserId: req.userId,
+      keyEpoch,
+      iteration,
+      sequenceNumber,
+      nonce,
+      ciphertext,
+      iv,
+      tag,
+      signature,
+      timestamp: new Date(sentAt)
+    });
+
+    await logSecurityEvent({
+      eventType: 'MESSAGE_SENT',
+      severity: 'INFO',
+      userId: req.userId,
+      username: req.username,
+      ...extractRequestInfo(req),
+      details: {
+        messageId: message._id,
+        groupId: group._id,
+        keyEpoch
+      },
+      success: true
+    });
+
+    const realtimeMessage = {
+      ...message.toObject(),
+      fromUserId: { _id: req.userId, username: req.username }
+    };
+    group.members.forEach(member => {
+      emitToUser(member.userId._id || member.userId, 'group:message', realtimeMessage);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: realtimeMessage
+    });
+  } catch (error) {
+    console.error('Send group message error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send message'
+    });
+  }
+};
+
+// Group message history (members only)
+export const getGroupMessages = async (req, res) => {
+  try {
+    const group = await loadGroupForCaller(req, res);
+    if (!group) return;
+
+    const messages = await GroupMessage.find({ groupId: group._id })
+      .sort({ timestamp: 1 })
+      .populate('fromUserId', 'username');
+
+    res.json({
+      success: true,
+      messages
+    });
+  } catch (error) {
+    console.error('Get group messages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get messages'
+    });
+  }
+};
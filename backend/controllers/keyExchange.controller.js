@@ -1,7 +1,10 @@
 import KeyExchange from '../models/KeyExchange.model.js';
 import User from '../models/User.model.js';
+import PreKey from '../models/PreKey.model.js';
 import { randomUUID } from 'crypto';
 import { logKeyExchange, extractRequestInfo } from '../utils/securityLogger.js';
+import { isCurrentUser } from '../middleware/auth.js';
+import { emitToUser } from '../utils/socket.js';
 
 // Initiate key exchange
 export const initiateKeyExchange = async (req, res) => {
@@ -16,6 +19,14 @@ export const initiateKeyExchange = async (req, res) => {
       });
     }
 
+    // Only the authenticated user can initiate on their own behalf
+    if (!isCurrentUser(req, fromUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot initiate key exchange on behalf of another user'
+      });
+    }
+
     // Verify users exist
     const fromUser = await User.findById(fromUserId);
     const toUser = await User.findById(toUserId);
@@ -54,6 +65,14 @@ export const initiateKeyExchange = async (req, res) => {
       true
     );
 
+    // Notify the recipient of the incoming request
+    emitToUser(toUserId, 'key-exchange:request', {
+      exchangeId,
+      fromUserId: { _id: fromUser._id, username: fromUser.username },
+      toUserId,
+      createdAt: keyExchange.createdAt
+    });
+
     res.status(201).json({
       success: true,
       exchangeId,
@@ -68,6 +87,119 @@ export const initiateKeyExchange = async (req, res) => {
   }
 };
 
+// Initiate an X3DH key exchange against the recipient's published prekeys.
+// The initiator already holds the session key, so the exchange is complete
+// immediately; the recipient derives the same key whenever they come online.
+export const initiateX3DHExchange = async (req, res) => {
+  try {
+    const { fromUserId, toUserId, ephemeralPublicKey, signedPreKeyId, oneTimePreKeyId, timestamp, nonce, signature } = req.body;
+
+    // Validation
+    if (!fromUserId || !toUserId || !ephemeralPublicKey || !signature || !nonce || !Number.isInteger(signedPreKeyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+
+    // Only the authenticated user can initiate on their own behalf
+    if (!isCurrentUser(req, fromUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot initiate key exchange on behalf of another user'
+      });
+    }
+
+    // Verify users exist
+    const fromUser = await User.findById(fromUserId);
+    const toUser = await User.findById(toUserId);
+
+    if (!fromUser || !toUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // The signed prekey must still be the one the recipient publishes
+    const signedPreKey = await PreKey.findOne({ userId: toUserId, type: 'signed', keyId: signedPreKeyId });
+    if (!signedPreKey) {
+      return res.status(409).json({
+        success: false,
+        error: 'Signed prekey has been rotated, fetch a new prekey bundle'
+      });
+    }
+
+    // A one-time prekey can only be used by the caller it was handed out to, and only once
+    if (oneTimePreKeyId !== undefined && oneTimePreKeyId !== null) {
+      const oneTimePreKey = await PreKey.findOneAndDelete({
+        userId: toUserId,
+        type: 'one-time',
+        keyId: oneTimePreKeyId,
+        claimedBy: fromUserId
+      });
+
+      if (!oneTimePreKey) {
+        return res.status(409).json({
+          success: false,
+          error: 'One-time prekey is not available'
+        });
+      }
+    }
+
+    // Generate unique exchange ID
+    const exchangeId = randomUUID();
+
+    const keyExchange = new KeyExchange({
+      exchangeId,
+      protocol: 'x3dh',
+      fromUserId,
+      toUserId,
+      initiatorEphemeralPublicKey: ephemeralPublicKey,
+      initiatorSignature: signature,
+      signedPreKeyId,
+      oneTimePreKeyId: oneTimePreKeyId ?? null,
+      nonce,
+      timestamp: timestamp || Date.now(),
+      status: 'completed',
+      completedAt: new Date(),
+      expiresAt: null // Must survive until the recipient comes online
+    });
+
+    await keyExchange.save();
+
+    await logKeyExchange(
+      req,
+      'KEY_EXCHANGE_INITIATE',
+      fromUserId,
+      fromUser.username,
+      exchangeId,
+      true
+    );
+
+    // Recipient derives the session key on receipt, no answer needed
+    emitToUser(toUserId, 'key-exchange:request', {
+      exchangeId,
+      protocol: 'x3dh',
+      fromUserId: { _id: fromUser._id, username: fromUser.username },
+      toUserId,
+      createdAt: keyExchange.createdAt
+    });
+
+    res.status(201).json({
+      success: true,
+      exchangeId,
+      message: 'X3DH key exchange completed'
+    });
+  } catch (error) {
+    console.error('X3DH key exchange initiation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to initiate key exchange'
+    });
+  }
+};
+
 // Respond to key exchange
 export const respondToKeyExchange = async (req, res) => {
   try {
@@ -91,6 +223,14 @@ export const respondToKeyExchange = async (req, res) => {
       });
     }
 
+    // Only the intended recipient can respond
+    if (!isCurrentUser(req, keyExchange.toUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the recipient can respond to this key exchange'
+      });
+    }
+
     if (keyExchange.status !== 'pending') {
       return res.status(400).json({
         success: false,
@@ -122,6 +262,12 @@ export const respondToKeyExchange = async (req, res) => {
       true
     );
 
+    // Tell the initiator the exchange is ready to complete
+    emitToUser(keyExchange.fromUserId, 'key-exchange:response', {
+      exchangeId,
+      toUserId: { _id: keyExchange.toUserId, username: toUser.username }
+    });
+
     res.json({
       success: true,
       message: 'Key exchange response sent',
@@ -166,6 +312,14 @@ export const confirmKeyExchange = async (req, res) => {
       });
     }
 
+    // Only the initiator can confirm
+    if (!isCurrentUser(req, keyExchange.fromUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the initiator can confirm this key exchange'
+      });
+    }
+
     if (keyExchange.status !== 'responded') {
       return res.status(400).json({
         success: false,
@@ -193,6 +347,12 @@ export const confirmKeyExchange = async (req, res) => {
       true
     );
 
+    // Tell the responder the session is established
+    emitToUser(keyExchange.toUserId, 'key-exchange:confirmed', {
+      exchangeId,
+      fromUserId: { _id: keyExchange.fromUserId, username: fromUser.username }
+    });
+
     res.json({
       success: true,
       message: 'Key exchange confirmed'
@@ -206,11 +366,85 @@ export const confirmKeyExchange = async (req, res) => {
   }
 };
 
+// Decline a pending key exchange (recipient only)
+export const declineKeyExchange = async (req, res) => {
+  try {
+    const { exchangeId } = req.body;
+
+    if (!exchangeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Exchange ID required'
+      });
+    }
+
+    const keyExchange = await KeyExchange.findOne({ exchangeId });
+
+    if (!keyExchange) {
+      return res.status(404).json({
+        success: false,
+        error: 'Key exchange not found'
+      });
+    }
+
+    if (!isCurrentUser(req, keyExchange.toUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the recipient can decline this key exchange'
+      });
+    }
+
+    if (keyExchange.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Key exchange already processed'
+      });
+    }
+
+    keyExchange.status = 'declined';
+    await keyExchange.save();
+
+    await logKeyExchange(
+      req,
+      'KEY_EXCHANGE_FAILED',
+      req.userId,
+      req.username,
+      exchangeId,
+      false,
+      'Declined by recipient'
+    );
+
+    // Tell the initiator the request was declined
+    emitToUser(keyExchange.fromUserId, 'key-exchange:declined', {
+      exchangeId,
+      toUserId: { _id: keyExchange.toUserId, username: req.username }
+    });
+
+    res.json({
+      success: true,
+      message: 'Key exchange declined'
+    });
+  } catch (error) {
+    console.error('Key exchange decline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline key exchange'
+    });
+  }
+};
+
 // Get pending key exchanges for a user
 export const getPendingExchanges = async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (!isCurrentUser(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot view another user\'s key exchanges'
+      });
+    }
+
     const pendingExchanges = await KeyExchange.find({
       toUserId: userId,
       status: 'pending'
@@ -245,6 +479,14 @@ export const getKeyExchange = async (req, res) => {
       });
     }
 
+    // Only the two participants can read the exchange
+    if (!isCurrentUser(req, keyExchange.fromUserId?._id) && !isCurrentUser(req, keyExchange.toUserId?._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not a participant in this key exchange'
+      });
+    }
+
     res.json({
       success: true,
       keyExchange
@@ -263,6 +505,13 @@ export const getCompletedExchanges = async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (!isCurrentUser(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot view another user\'s key exchanges'
+      });
+    }
+
     // Find exchanges where user is either initiator or responder and status is confirmed/completed
     const exchanges = await KeyExchange.find({
       $or: [
@@ -274,7 +523,7 @@ export const getCompletedExchanges = async (req, res) => {
       .populate('fromUserId', 'username _id')
       .populate('toUserId', 'username _id')
       .sort({ completedAt: -1, createdAt: -1 })
-      .select('exchangeId fromUserId toUserId status confirmed completedAt createdAt');
+      .select('exchangeId protocol fromUserId toUserId status confirmed completedAt createdAt');
 
     res.json({
       success: true,
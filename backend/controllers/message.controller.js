@@ -1,25 +1,51 @@
 import mongoose from 'mongoose';
 import Message from '../models/Message.model.js';
 import User from '../models/User.model.js';
+import FileUpload from '../models/FileUpload.model.js';
+import Device from '../models/Device.model.js';
 import { validateReplayProtection } from '../middleware/replayProtection.js';
 import { logSecurityEvent, logDecryption, extractRequestInfo } from '../utils/securityLogger.js';
+import { isCurrentUser } from '../middleware/auth.js';
+import { emitToUser } from '../utils/socket.js';
+import { isValidRatchetHeader, validateEnvelope } from '../utils/envelope.js';
 
 /**
  * Send a message (encrypted on client side)
- * Server only stores ciphertext, IV, and tag
+ * Server only stores the encrypted envelope (or, from older clients,
+ * ciphertext, IV and tag)
  */
 export const sendMessage = async (req, res) => {
   try {
-    const { fromUserId, toUserId, exchangeId, ciphertext, iv, tag, timestamp, messageType, fileName, fileSize, fileType, totalChunks, sequenceNumber, nonce } = req.body;
+    const { fromUserId, toUserId, exchangeId, ciphertext, iv, tag, timestamp, messageType, fileName, fileSize, fileType, totalChunks, sequenceNumber, nonce, ratchetHeader, fileId, sealedMetadata, wireVersion, envelope, fromDeviceId } = req.body;
 
     // Validation
-    if (!fromUserId || !toUserId || !ciphertext || !iv || !tag) {
+    if (!fromUserId || !toUserId || (envelope === undefined && (!ciphertext || !iv || !tag))) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: fromUserId, toUserId, ciphertext, iv, tag'
+        error: 'Missing required fields: fromUserId, toUserId, envelope (or ciphertext, iv, tag)'
       });
     }
 
+    // An envelope carries all encrypted fields; legacy fields alongside it would be ambiguous
+    if (envelope !== undefined) {
+      const envelopeError = validateEnvelope(envelope);
+      if (envelopeError || ciphertext !== undefined || iv !== undefined || tag !== undefined ||
+          ratchetHeader !== undefined || sealedMetadata !== undefined || wireVersion !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid envelope: ${envelopeError || 'legacy fields must not be sent with an envelope'}`
+        });
+      }
+
+      // The key ID names the session the message was encrypted under, which is the exchange it is sent on
+      if (exchangeId && envelope.keyId !== exchangeId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid envelope: key ID does not match the exchange ID'
+        });
+      }
+    }
+
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(fromUserId) || !mongoose.Types.ObjectId.isValid(toUserId)) {
       return res.status(400).json({
@@ -28,6 +54,30 @@ export const sendMessage = async (req, res) => {
       });
     }
 
+    // Ratchet header is optional, but must be well-formed when present
+    if (ratchetHeader !== undefined && ratchetHeader !== null && !isValidRatchetHeader(ratchetHeader)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ratchet header'
+      });
+    }
+
+    // Legacy messages may only be labelled version 1 (later versions use an envelope)
+    if (wireVersion !== undefined && wireVersion !== null && wireVersion !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid wire format version'
+      });
+    }
+
+    // Sender must be the authenticated user
+    if (!isCurrentUser(req, fromUserId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot send messages on behalf of another user'
+      });
+    }
+
     // Verify users exist
     const fromUser = await User.findById(fromUserId);
     const toUser = await User.findById(toUserId);
@@ -39,6 +89,39 @@ export const sendMessage = async (req, res) => {
       });
     }
 
+    // A linked device sends under its own device ID, which must be one of the sender's active devices
+    if (fromDeviceId !== undefined && fromDeviceId !== null) {
+      const device = typeof fromDeviceId === 'string'
+        ? await Device.findOne({ userId: fromUserId, deviceId: fromDeviceId, status: 'active' })
+        : null;
+
+      if (!device) {
+        return res.status(403).json({
+          success: false,
+          error: 'Sending device is not an active device of this account'
+        });
+      }
+    }
+
+    // A chunked file must be a complete upload from the sender to this recipient
+    if (fileId !== undefined && fileId !== null) {
+      const upload = mongoose.Types.ObjectId.isValid(fileId) ? await FileUpload.findById(fileId) : null;
+
+      if (!upload || String(upload.ownerId) !== String(fromUserId) || String(upload.toUserId) !== String(toUserId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'File not found'
+        });
+      }
+
+      if (upload.status !== 'complete') {
+        return res.status(409).json({
+          success: false,
+          error: 'File upload is not complete'
+        });
+      }
+    }
+
     // Validate replay protection if exchangeId is provided
     if (exchangeId) {
       const validation = await validateReplayProtection(
@@ -48,13 +131,15 @@ export const sendMessage = async (req, res) => {
         sequenceNumber,
         nonce,
         timestamp || Date.now(),
-        req
+        req,
+        fromDeviceId || null
       );
 
       if (!validation.valid) {
-        return res.status(400).json({
+        return res.status(validation.unavailable ? 503 : 400).json({
           success: false,
-          error: validation.reason || 'Replay protection validation failed'
+          error: validation.reason || 'Replay protection validation failed',
+          rule: validation.rule
         });
       }
     }
@@ -64,7 +149,23 @@ export const sendMessage = async (req, res) => {
       fromUserId,
       toUserId,
       exchangeId: exchangeId || null, // Store exchangeId for reference
-      ciphertext, // Encrypted message (base64) or JSON string of chunks for files
+      envelope: envelope ? {
+        version: envelope.version,
+        suite: envelope.suite,
+        keyId: envelope.keyId,
+        header: envelope.header ?? null,
+        payload: {
+          ciphertext: envelope.payload.ciphertext,
+          iv: envelope.payload.iv,
+          tag: envelope.payload.tag,
+          sealedMetadata: envelope.payload.sealedMetadata ?? undefined
+        },
+        deviceKeys: envelope.deviceKeys?.map(({ deviceId, fromDeviceId, ephemeralPublicKey, wrappedKey }) => (
+          { deviceId, fromDeviceId, ephemeralPublicKey, wrappedKey }
+        ))
+      } : undefined,
+      fromDeviceId: fromDeviceId || undefined,
+      ciphertext, // Legacy: encrypted message (base64) or JSON string of chunks for files
       iv,         // Initialization vector (base64)
       tag,        // Authentication tag (base64)
       timestamp: timestamp ? new Date(timestamp) : new Date(),
@@ -73,8 +174,12 @@ export const sendMessage = async (req, res) => {
       fileSize: fileSize || null,
       fileType: fileType || null,
       totalChunks: totalChunks || null,
+      fileId: fileId || null,
       sequenceNumber: sequenceNumber || null,
       nonce: nonce || null,
+      ratchetHeader: ratchetHeader || undefined,
+      sealedMetadata: typeof sealedMetadata === 'string' ? sealedMetadata : undefined,
+      wireVersion: wireVersion ?? undefined,
       status: 'sent'
     });
 
@@ -96,6 +201,35 @@ export const sendMessage = async (req, res) => {
       success: true
     });
 
+    // Push the ciphertext to both parties (recipient + sender's other tabs)
+    const realtimeMessage = {
+      _id: message._id,
+      fromUserId: { _id: fromUser._id, username: fromUser.username },
+      toUserId: { _id: toUser._id, username: toUser.username },
+      exchangeId: message.exchangeId,
+      sequenceNumber: message.sequenceNumber,
+      nonce: message.nonce,
+      fromDeviceId: message.fromDeviceId,
+      envelope: message.envelope,
+      ciphertext: message.ciphertext,
+      iv: message.iv,
+      tag: message.tag,
+      ratchetHeader: message.ratchetHeader,
+      sealedMetadata: message.sealedMetadata,
+      wireVersion: message.wireVersion,
+      messageType: message.messageType,
+      timestamp: message.timestamp,
+      fileName: message.fileName,
+      fileSize: message.fileSize,
+      fileType: message.fileType,
+      totalChunks: message.totalChunks,
+      fileId: message.fileId,
+      status: message.status,
+      createdAt: message.createdAt
+    };
+    emitToUser(toUserId, 'message:new', realtimeMessage);
+    emitToUser(fromUserId, 'message:new', realtimeMessage);
+
     res.status(201).json({
       success: true,
       message: {
@@ -124,7 +258,8 @@ export const sendMessage = async (req, res) => {
 export const getMessages = async (req, res) => {
   try {
     const { userId1, userId2 } = req.params;
-    const { limit = 50, before, currentUserId } = req.query;
+    const { limit = 50, before } = req.query;
+    const currentUserId = req.userId;
 
     // Validation
     if (!userId1 || !userId2 || userId1 === 'undefined' || userId2 === 'undefined') {
@@ -142,6 +277,14 @@ export const getMessages = async (req, res) => {
       });
     }
 
+    // Only a participant can read the conversation
+    if (!isCurrentUser(req, userId1) && !isCurrentUser(req, userId2)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot read another user\'s conversation'
+      });
+    }
+
     // Convert to ObjectId for proper querying
     const userId1Obj = new mongoose.Types.ObjectId(userId1);
     const userId2Obj = new mongoose.Types.ObjectId(userId2);
@@ -183,7 +326,7 @@ export const getMessages = async (req, res) => {
     const messages = await Message.find(query)
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
-      .select('fromUserId toUserId exchangeId sequenceNumber nonce ciphertext iv tag messageType timestamp fileName fileSize fileType status createdAt')
+      .select('fromUserId toUserId exchangeId sequenceNumber nonce fromDeviceId envelope ciphertext iv tag ratchetHeader sealedMetadata wireVersion messageType timestamp fileName fileSize fileType totalChunks fileId status createdAt')
       .populate('fromUserId', 'username')
       .populate('toUserId', 'username');
 
@@ -236,7 +379,6 @@ export const getMessages = async (req, res) => {
 export const markAsRead = async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { userId } = req.body;
 
     const message = await Message.findById(messageId);
 
@@ -248,7 +390,7 @@ export const markAsRead = async (req, res) => {
     }
 
     // Only the recipient can mark as read
-    if (message.toUserId.toString() !== userId) {
+    if (!isCurrentUser(req, message.toUserId)) {
       return res.status(403).json({
         success: false,
         error: 'Only the recipient can mark message as read'
@@ -259,6 +401,12 @@ export const markAsRead = async (req, res) => {
     message.readAt = new Date();
     await message.save();
 
+    // Read receipt for the sender
+    emitToUser(message.fromUserId, 'message:read', {
+      messageId: message._id,
+      readAt: message.readAt
+    });
+
     res.json({
       success: true,
       message: 'Message marked as read'
@@ -279,6 +427,13 @@ export const getUnreadCount = async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (!isCurrentUser(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot view another user\'s unread count'
+      });
+    }
+
     const count = await Message.countDocuments({
       toUserId: userId,
       status: { $in: ['sent', 'delivered'] }
@@ -320,6 +475,13 @@ export const getMostRecentMessage = async (req, res) => {
       });
     }
 
+    if (!isCurrentUser(req, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot view another user\'s messages'
+      });
+    }
+
     const userIdObj = new mongoose.Types.ObjectId(userId);
 
     // Find the most recent message where user is either sender or receiver
@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import PreKey from '../models/PreKey.model.js';
+import User from '../models/User.model.js';
+import { emitToUser } from '../utils/socket.js';
+
+// Owner is notified when fewer unclaimed one-time prekeys than this remain
+const LOW_PREKEY_THRESHOLD = 10;
+
+// Largest one-time prekey batch accepted in one upload
+const MAX_PREKEY_BATCH = 100;
+
+/**
+ * Check a prekey ID / public key pair from the request body
+ * @param {Object} preKey - { keyId, publicKey }
+ * @returns {boolean}
+ */
+function isValidPreKey(preKey) {
+  return preKey !== null && typeof preKey === 'object' &&
+    Number.isInteger(preKey.keyId) && preKey.keyId > 0 &&
+    typeof preKey.publicKey === 'string' && preKey.publicKey.length > 0;
+}
+
+/**
+ * Count one-time prekeys that have not been handed out yet
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<number>}
+ */
+function countAvailablePreKeys(userId) {
+  return PreKey.countDocuments({ userId, type: 'one-time', claimedAt: null });
+}
+
+// Upload (or replace) the caller's signed prekey
+export const uploadSignedPreKey = async (req, res) => {
+  try {
+    const { keyId, publicKey, signature } = req.body;
+
+    if (!isValidPreKey({ keyId, publicKey }) || typeof signature !== 'string' || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: keyId, publicKey, signature'
+      });
+    }
+
+    // Only one signed prekey is published at a time
+    await PreKey.deleteMany({ userId: req.userId, type: 'signed' });
+    await PreKey.create({
+      userId: req.userId,
+      type: 'signed',
+      keyId,
+      publicKey,
+      signature
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Signed prekey uploaded'
+    });
+  } catch (error) {
+    console.error('Upload signed prekey error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload signed prekey'
+    });
+  }
+};
+
+// Upload a batch of one-time prekeys for the caller
+export const uploadOneTimePreKeys = async (req, res) => {
+  try {
+    const { preKeys } = req.body;
+
+    if (!Array.isArray(preKeys) || preKeys.length === 0 || preKeys.length > MAX_PREKEY_BATCH) {
+      return res.status(400).json({
+        success: false,
+        error: `preKeys must be an array of 1 to ${MAX_PREKEY_BATCH} prekeys`
+      });
+    }
+
+    if (!preKeys.every(isValidPreKey)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each prekey needs a positive integer keyId and a publicKey'
+      });
+    }
+
+    await PreKey.insertMany(preKeys.map(({ keyId, publicKey }) => ({
+      userId: req.userId,
+      type: 'one-time',
+      keyId,
+      publicKey
+    })));
+
+    res.status(201).json({
+      success: true,
+      uploaded: preKeys.length,
+      available: await countAvailablePreKeys(req.userId)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Prekey ID already in use'
+      });
+    }
+    console.error('Upload one-time prekeys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload one-time prekeys'
+    });
+  }
+};
+
+// Get the caller's prekey status (used to decide when to replenish)
+export const getPreKeyStatus = async (req, res) => {
+  try {
+    const signedPreKey = await PreKey.findOne({ userId: req.userId, type: 'signed' }).select('keyId createdAt');
+    const highestPreKey = await PreKey.findOne({ userId: req.userId }).sort({ keyId: -1 }).select('keyId');
+
+    res.json({
+      success: true,
+      signedPreKeyId: signedPreKey?.keyId || null,
+      signedPreKeyCreatedAt: signedPreKey?.createdAt || null,
+      oneTimePreKeyCount: await countAvailablePreKeys(req.userId),
+      maxKeyId: highestPreKey?.keyId || 0,
+      lowThreshold: LOW_PREKEY_THRESHOLD
+    });
+  } catch (error) {
+    console.error('Get prekey status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prekey status'
+    });
+  }
+};
+
+// Get another user's prekey bundle (claims one one-time prekey, if any are left)
+export const getPreKeyBundle = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID format'
+      });
+    }
+
+    const user = await User.findById(userId).select('username publicKey publicKeyFormat signingPublicKey signingKeyAlgorithm');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const signedPreKey = await PreKey.findOne({ userId, type: 'signed' });
+    if (!signedPreKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'User has not published prekeys'
+      });
+    }
+
+    // Atomic claim: each one-time prekey is handed out at most once
+    const oneTimePreKey = await PreKey.findOneAndUpdate(
+      { userId, type: 'one-time', claimedAt: null },
+      { $set: { claimedBy: req.userId, claimedAt: new Date() } },
+      { sort: { keyId: 1 }, new: true }
+    );
+
+    const remaining = await countAvailablePreKeys(userId);
+    if (remaining < LOW_PREKEY_THRESHOLD) {
+      emitToUser(userId, 'prekeys:low', { remaining });
+    }
+
+    res.json({
+      success: true,
+      bundle: {
+        userId: user._id,
+        username: user.username,
+        identityKey: user.publicKey,
+        identityKeyFormat: user.publicKeyFormat,
+        signingPublicKey: user.signingPublicKey || null,
+        signingKeyAlgorithm: user.signingKeyAlgorithm || null,
+        signedPreKey: {
+          keyId: signedPreKey.keyId,
+          publicKey: signedPreKey.publicKey,
+          signature: signedPreKey.signature
+        },
+        oneTimePreKey: oneTimePreKey
+          ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Get prekey bundle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prekey bundle'
+    });
+  }
+};
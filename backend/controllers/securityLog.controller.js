@@ -1,6 +1,8 @@
 import SecurityLog from '../models/SecurityLog.model.js';
 import mongoose from 'mongoose';
 import { logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { getMetrics } from '../utils/metrics.js';
+import { getReplayPolicy, REPLAY_RULES } from '../config/replayPolicy.js';
 
 /**
  * Get security logs with filtering and pagination
@@ -155,7 +157,8 @@ export const getSecurityLogStats = async (req, res) => {
         eventTypeStats,
         severityStats,
         successStats,
-        criticalEvents
+        criticalEvents,
+        metrics: getMetrics()
       }
     });
   } catch (error) {
@@ -167,6 +170,26 @@ export const getSecurityLogStats = async (req, res) => {
   }
 };
 
+/**
+ * Get the active replay protection policy and the rules it enforces
+ */
+export const getReplayPolicySettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: getReplayPolicy(),
+      rules: Object.values(REPLAY_RULES),
+      metrics: getMetrics()
+    });
+  } catch (error) {
+    console.error('Get replay policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve replay protection policy'
+    });
+  }
+};
+
 /**
  * Get a specific security log by ID
  */
@@ -206,8 +229,11 @@ export const createSecurityLog = async (req, res) => {
     const logData = req.body;
     const { ipAddress, userAgent } = extractRequestInfo(req);
 
+    // Identity always comes from the JWT, never from the request body
     await logSecurityEvent({
       ...logData,
+      userId: req.userId,
+      username: req.username,
       ipAddress: logData.ipAddress || ipAddress,
       userAgent: logData.userAgent || userAgent
     });
@@ -0,0 +1,84 @@
+import {
+  KEY_LOG_SIGNATURE_ALGORITHM,
+  getLogPublicKey,
+  latestTreeHead,
+  keyLogSize,
+  logConsistencyProof
+} from '../utils/keyTransparency.js';
+
+/**
+ * Parse a tree size from the query string
+ * @param {string} value - Raw value
+ * @returns {number|null} Size, or null if it is not a non-negative integer
+ */
+function parseTreeSize(value) {
+  return /^\d+$/.test(String(value)) ? Number(value) : null;
+}
+
+// The log key, to check signed tree heads with
+export const getLogKey = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      publicKey: await getLogPublicKey(),
+      algorithm: KEY_LOG_SIGNATURE_ALGORITHM
+    });
+  } catch (error) {
+    console.error('Get log key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve log key'
+    });
+  }
+};
+
+// The latest signed tree head
+export const getTreeHead = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      treeHead: await latestTreeHead()
+    });
+  } catch (error) {
+    console.error('Get tree head error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve tree head'
+    });
+  }
+};
+
+// Proof that the log at size `to` extends the log at size `from`
+export const getConsistencyProof = async (req, res) => {
+  try {
+    const from = parseTreeSize(req.query.from);
+    const to = parseTreeSize(req.query.to);
+
+    if (from === null || to === null || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be tree sizes with from <= to'
+      });
+    }
+
+    if (to > await keyLogSize()) {
+      return res.status(404).json({
+        success: false,
+        error: 'The log is smaller than the requested tree size'
+      });
+    }
+
+    res.json({
+      success: true,
+      from,
+      to,
+      proof: await logConsistencyProof(from, to)
+    });
+  } catch (error) {
+    console.error('Get consistency proof error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute consistency proof'
+    });
+  }
+};
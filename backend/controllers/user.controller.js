@@ -1,4 +1,42 @@
 import User from '../models/User.model.js';
+import PreKey from '../models/PreKey.model.js';
+import Device from '../models/Device.model.js';
+import KeyExchange from '../models/KeyExchange.model.js';
+import { logSecurityEvent, extractRequestInfo } from '../utils/securityLogger.js';
+import { emitToUser } from '../utils/socket.js';
+import { keyTransparencyProof, logKeyChange } from '../utils/keyTransparency.js';
+import {
+  SIGNING_KEY_ALGORITHMS,
+  isValidSigningPublicKey,
+  isValidIdentityPublicKey,
+  verifySignature,
+  verifyUserSignature,
+  signingKeyUpgradeMessage,
+  identityKeyRotationMessage,
+  deviceKeyMessage
+} from '../utils/signatures.js';
+
+const KEY_ROTATION_REASONS = ['rotated', 'compromised'];
+
+// Fields of a user's current identity keys, as selected for the public key endpoints
+const PUBLIC_KEY_FIELDS = 'username publicKey publicKeyFormat signingPublicKey signingKeyAlgorithm keyVersion keyValidFrom createdAt';
+
+/**
+ * A user's current identity keys as returned by the public key endpoints
+ * @param {Object} user - User document (PUBLIC_KEY_FIELDS)
+ * @returns {Object}
+ */
+function serializePublicKey(user) {
+  return {
+    publicKey: user.publicKey,
+    publicKeyFormat: user.publicKeyFormat,
+    signingPublicKey: user.signingPublicKey || null,
+    signingKeyAlgorithm: user.signingKeyAlgorithm || null,
+    keyVersion: user.keyVersion || 1,
+    keyValidFrom: user.keyValidFrom || user.createdAt,
+    username: user.username
+  };
+}
 
 // Get all users (for chat user list)
 export const getAllUsers = async (req, res) => {
@@ -25,7 +63,7 @@ export const getPublicKey = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId).select('username publicKey publicKeyFormat');
+    const user = await User.findById(userId).select(PUBLIC_KEY_FIELDS);
     if (!user) {
       return res.status(404).json({ 
         success: false,
@@ -33,11 +71,19 @@ export const getPublicKey = async (req, res) => {
       });
     }
 
+    // Keys are only handed out with proof that everyone is shown the same ones
+    const transparency = await keyTransparencyProof(user);
+    if (!transparency) {
+      return res.status(503).json({
+        success: false,
+        error: 'Public keys are not in the key transparency log yet'
+      });
+    }
+
     res.json({
       success: true,
-      publicKey: user.publicKey,
-      publicKeyFormat: user.publicKeyFormat,
-      username: user.username
+      ...serializePublicKey(user),
+      transparency
     });
   } catch (error) {
     console.error('Get public key error:', error);
@@ -53,7 +99,7 @@ export const getPublicKeyByUsername = async (req, res) => {
   try {
     const { username } = req.params;
 
-    const user = await User.findOne({ username }).select('username publicKey publicKeyFormat');
+    const user = await User.findOne({ username }).select(PUBLIC_KEY_FIELDS);
     if (!user) {
       return res.status(404).json({ 
         success: false,
@@ -61,11 +107,19 @@ export const getPublicKeyByUsername = async (req, res) => {
       });
     }
 
+    // Keys are only handed out with proof that everyone is shown the same ones
+    const transparency = await keyTransparencyProof(user);
+    if (!transparency) {
+      return res.status(503).json({
+        success: false,
+        error: 'Public keys are not in the key transparency log yet'
+      });
+    }
+
     res.json({
       success: true,
-      publicKey: user.publicKey,
-      publicKeyFormat: user.publicKeyFormat,
-      username: user.username
+      ...serializePublicKey(user),
+      transparency
     });
   } catch (error) {
     console.error('Get public key by username error:', error);
@@ -76,3 +130,325 @@ export const getPublicKeyByUsername = async (req, res) => {
   }
 };
 
+
+// Add a dedicated signing key to an account created before signing keys existed.
+// The new key must be signed by the account's RSA identity key (RSA-PSS).
+export const upgradeSigningKey = async (req, res) => {
+  try {
+    const { signingPublicKey, signingKeyAlgorithm, signature } = req.body;
+
+    if (!signingPublicKey || !signingKeyAlgorithm || !signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: signingPublicKey, signingKeyAlgorithm, signature'
+      });
+    }
+
+    if (!SIGNING_KEY_ALGORITHMS.includes(signingKeyAlgorithm) ||
+        !isValidSigningPublicKey(signingPublicKey, signingKeyAlgorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signing public key'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.signingPublicKey) {
+      return res.status(409).json({
+        success: false,
+        error: 'Account already has a signing key'
+      });
+    }
+
+    const message = signingKeyUpgradeMessage(user._id, signingPublicKey, signingKeyAlgorithm);
+    if (!verifySignature(user.publicKey, 'RSA-PSS', message, signature)) {
+      await logSecurityEvent({
+        eventType: 'SIGNING_KEY_UPGRADE',
+        severity: 'WARNING',
+        userId: user._id,
+        username: user.username,
+        ...extractRequestInfo(req),
+        success: false,
+        errorMessage: 'Invalid identity key signature'
+      });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid identity key signature'
+      });
+    }
+
+    user.signingPublicKey = signingPublicKey;
+    user.signingKeyAlgorithm = signingKeyAlgorithm;
+    user.signingKeyCreatedAt = new Date();
+    await user.save();
+    await logKeyChange(user, 'signing-key-added');
+
+    // The published signed prekey was signed with the RSA key; the client uploads a new one
+    await PreKey.deleteMany({ userId: user._id, type: 'signed' });
+
+    await logSecurityEvent({
+      eventType: 'SIGNING_KEY_UPGRADE',
+      severity: 'INFO',
+      userId: user._id,
+      username: user.username,
+      ...extractRequestInfo(req),
+      details: { signingKeyAlgorithm },
+      success: true
+    });
+
+    res.json({
+      success: true,
+      signingPublicKey: user.signingPublicKey,
+      signingKeyAlgorithm: user.signingKeyAlgorithm
+    });
+  } catch (error) {
+    console.error('Upgrade signing key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upgrade signing key'
+    });
+  }
+};
+
+// A user's identity keys, oldest first: every retired version with its validity
+// period, then the current one. Clients check that each version is signed by
+// the one before it.
+export const getKeyHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select(`${PUBLIC_KEY_FIELDS} keyRotationSignature keyRotationReason keyHistory`);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const retired = user.keyHistory.map(entry => ({
+      keyVersion: entry.keyVersion,
+      publicKey: entry.publicKey,
+      signingPublicKey: entry.signingPublicKey || null,
+      signingKeyAlgorithm: entry.signingKeyAlgorithm || null,
+      validFrom: entry.validFrom,
+      validUntil: entry.validUntil,
+      reason: entry.reason || null,
+      rotationSignature: entry.rotationSignature || null,
+      revoked: entry.revoked
+    }));
+    const current = serializePublicKey(user);
+
+    res.json({
+      success: true,
+      userId,
+      keys: [
+        ...retired,
+        {
+          keyVersion: current.keyVersion,
+          publicKey: current.publicKey,
+          signingPublicKey: current.signingPublicKey,
+          signingKeyAlgorithm: current.signingKeyAlgorithm,
+          validFrom: current.keyValidFrom,
+          validUntil: null,
+          reason: user.keyRotationReason || null,
+          rotationSignature: user.keyRotationSignature || null,
+          revoked: false
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('Get key history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve key history'
+    });
+  }
+};
+
+/**
+ * Log an identity key rotation attempt by the caller
+ * @param {Object} req - Express request object
+ * @param {Object} user - Caller's user document
+ * @param {Object} details - Key version, reason...
+ * @param {boolean} success - Whether the rotation went through
+ * @param {string} [errorMessage] - Why it failed
+ */
+function logKeyRotation(req, user, details, success, errorMessage = null) {
+  return logSecurityEvent({
+    eventType: 'IDENTITY_KEY_ROTATED',
+    severity: success && details.reason !== 'compromised' ? 'INFO' : 'WARNING',
+    userId: user._id,
+    username: user.username,
+    ...extractRequestInfo(req),
+    details,
+    success,
+    errorMessage
+  });
+}
+
+// Replace the caller's identity keys (RSA key + signing key) with new ones
+// signed by the current identity. The current keys move to the key history.
+// Active devices must be re-certified by the new signing key in the same
+// request; those that are not are revoked. Prekeys signed by the old key are
+// dropped, unfinished key exchanges expire, and contacts are told to set up
+// new sessions.
+export const rotateIdentityKey = async (req, res) => {
+  try {
+    const { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason, signature, devices = [] } = req.body;
+
+    if (!Number.isInteger(keyVersion) || !publicKey || !signingPublicKey || !signingKeyAlgorithm ||
+        !reason || !signature || !Array.isArray(devices)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason, signature'
+      });
+    }
+
+    if (!KEY_ROTATION_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reason must be one of: ${KEY_ROTATION_REASONS.join(', ')}`
+      });
+    }
+
+    if (!isValidIdentityPublicKey(publicKey) ||
+        !SIGNING_KEY_ALGORITHMS.includes(signingKeyAlgorithm) ||
+        !isValidSigningPublicKey(signingPublicKey, signingKeyAlgorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid identity or signing public key'
+      });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const currentVersion = user.keyVersion || 1;
+    if (keyVersion !== currentVersion + 1) {
+      return res.status(409).json({
+        success: false,
+        error: `Next key version must be ${currentVersion + 1}`
+      });
+    }
+
+    if (publicKey === user.publicKey || signingPublicKey === user.signingPublicKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'New keys must differ from the current ones'
+      });
+    }
+
+    const rotation = { userId: user._id, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason };
+    if (!verifyUserSignature(user, identityKeyRotationMessage(rotation), signature)) {
+      await logKeyRotation(req, user, { keyVersion, reason }, false, 'Invalid signature by the current identity key');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid signature by the current identity key'
+      });
+    }
+
+    // Re-certifications of active devices, checked against the new signing key
+    const activeDevices = await Device.find({ userId: user._id, status: 'active' });
+    const recertified = new Map();
+    for (const { deviceId, signature: deviceSignature } of devices) {
+      const device = activeDevices.find(d => d.deviceId === deviceId);
+      const message = device && deviceKeyMessage({ userId: user._id, deviceId, publicKey: device.publicKey });
+      if (!device || !verifySignature(signingPublicKey, signingKeyAlgorithm, message, deviceSignature)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid device signature: ${deviceId}`
+        });
+      }
+      recertified.set(deviceId, deviceSignature);
+    }
+
+    const now = new Date();
+    user.keyHistory.push({
+      keyVersion: currentVersion,
+      publicKey: user.publicKey,
+      signingPublicKey: user.signingPublicKey,
+      signingKeyAlgorithm: user.signingKeyAlgorithm,
+      validFrom: user.keyValidFrom || user.createdAt,
+      validUntil: now,
+      rotationSignature: user.keyRotationSignature,
+      reason: user.keyRotationReason,
+      revoked: reason === 'compromised'
+    });
+    user.publicKey = publicKey;
+    user.publicKeyFormat = 'spki';
+    user.signingPublicKey = signingPublicKey;
+    user.signingKeyAlgorithm = signingKeyAlgorithm;
+    user.signingKeyCreatedAt = now;
+    user.keyVersion = keyVersion;
+    user.keyValidFrom = now;
+    user.keyRotationSignature = signature;
+    user.keyRotationReason = reason;
+    await user.save();
+    await logKeyChange(user, 'identity-key-rotated');
+
+    const revokedDevices = [];
+    for (const device of activeDevices) {
+      if (recertified.has(device.deviceId)) {
+        device.signature = recertified.get(device.deviceId);
+      } else {
+        device.status = 'revoked';
+        device.revokedAt = now;
+        revokedDevices.push(device.deviceId);
+      }
+      await device.save();
+    }
+
+    // Signed prekeys carry the old key's signature; the client publishes new ones
+    await PreKey.deleteMany({ userId: user._id });
+
+    // Exchanges still waiting for an answer were signed with the old key
+    await KeyExchange.updateMany(
+      { $or: [{ fromUserId: user._id }, { toUserId: user._id }], status: { $in: ['pending', 'responded'] } },
+      { status: 'expired' }
+    );
+
+    // Everyone we have exchanged keys with should set up a new session
+    const [initiatedWith, respondedTo] = await Promise.all([
+      KeyExchange.distinct('toUserId', { fromUserId: user._id }),
+      KeyExchange.distinct('fromUserId', { toUserId: user._id })
+    ]);
+    const contactIds = new Set([...initiatedWith, ...respondedTo].map(String));
+    contactIds.delete(String(user._id));
+    for (const contactId of contactIds) {
+      emitToUser(contactId, 'identity-key:rotated', {
+        userId: String(user._id),
+        username: user.username,
+        keyVersion,
+        reason
+      });
+    }
+    emitToUser(user._id, 'device:updated', { keyVersion });
+
+    await logKeyRotation(req, user, { keyVersion, reason, revokedDevices }, true);
+
+    res.json({
+      success: true,
+      keyVersion,
+      keyValidFrom: now,
+      revokedDevices
+    });
+  } catch (error) {
+    console.error('Rotate identity key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate identity key'
+    });
+  }
+};
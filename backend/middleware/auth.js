@@ -0,0 +1,61 @@
+/**
+ * JWT authentication middleware
+ * Verifies the bearer token issued by auth.controller.js and attaches
+ * the caller's identity to the request
+ */
+
+import jwt from 'jsonwebtoken';
+
+/**
+ * Verify a JWT issued by auth.controller.js
+ * @param {string} token - Raw JWT
+ * @returns {{userId: string, username: string}} Caller identity
+ * @throws {Error} If the token is missing, malformed or expired
+ */
+export function verifyToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key-change-this');
+  return {
+    userId: String(payload.userId),
+    username: payload.username
+  };
+}
+
+/**
+ * Verify the Authorization header and set req.userId / req.username
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function authenticateToken(req, res, next) {
+  const authHeader = req.headers.authorization || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const { userId, username } = verifyToken(token);
+    req.userId = userId;
+    req.username = username;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired token'
+    });
+  }
+}
+
+/**
+ * Check whether a user ID belongs to the authenticated caller
+ * @param {Object} req - Express request object
+ * @param {string|Object} userId - User ID (string or ObjectId)
+ * @returns {boolean}
+ */
+export function isCurrentUser(req, userId) {
+  return userId !== undefined && userId !== null && String(userId) === String(req.userId);
+}
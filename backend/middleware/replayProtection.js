@@ -4,13 +4,151 @@
  */
 
 import MessageSequence from '../models/MessageSequence.model.js';
-import { logReplayAttack, logInvalidRequest, extractRequestInfo } from '../utils/securityLogger.js';
+import UsedNonce from '../models/UsedNonce.model.js';
+import GroupSequence from '../models/GroupSequence.model.js';
+import { logReplayAttack, logInvalidRequest } from '../utils/securityLogger.js';
+import { registerMetric, incrementMetric } from '../utils/metrics.js';
+import { getReplayPolicy, REPLAY_RULES } from '../config/replayPolicy.js';
 
-// Time window for timestamp validation (5 minutes)
-const TIMESTAMP_WINDOW = 5 * 60 * 1000; // 5 minutes in milliseconds
+// Checks that failed because of an error (and so rejected the message)
+registerMetric('replayProtectionErrors');
+
+// Rejections per rule, and gaps accepted under the 'log' gap action
+for (const rule of Object.values(REPLAY_RULES)) {
+  registerMetric(`replayRejected.${rule}`);
+}
+registerMetric(`replayFlagged.${REPLAY_RULES.SEQUENCE_GAP}`);
+
+/**
+ * Record a replay protection failure (database or other unexpected error)
+ * The check fails closed, so these requests are rejected; the counter makes
+ * an outage visible rather than silently blocking or passing messages.
+ * @param {string} scope - Which check failed ('message' or 'group')
+ * @param {Error} error - The error
+ * @returns {{valid: false, reason: string, rule: string, unavailable: true}}
+ */
+function replayProtectionUnavailable(scope, error) {
+  console.error(`Error in ${scope} replay protection validation:`, error);
+  incrementMetric('replayProtectionErrors');
+  return { ...rejected(REPLAY_RULES.UNAVAILABLE, 'Replay protection unavailable'), unavailable: true };
+}
+
+/**
+ * Reject a message, counting the rule that caught it
+ * @param {string} rule - One of REPLAY_RULES
+ * @param {string} reason - Human-readable reason
+ * @returns {{valid: false, reason: string, rule: string}}
+ */
+function rejected(rule, reason) {
+  incrementMetric(`replayRejected.${rule}`);
+  return { valid: false, reason, rule };
+}
+
+/**
+ * Check the required fields and the clock-skew window
+ * @param {Object} req - Express request object
+ * @param {string} fromUserId - Sender user ID
+ * @param {number} sequenceNumber - Sequence number from request
+ * @param {string} nonce - Nonce from request
+ * @param {number} timestamp - Timestamp from request
+ * @param {Object} context - Extra log details (exchangeId or groupId)
+ * @returns {Promise<Object|null>} Rejection, or null if the message may proceed
+ */
+async function checkFieldsAndTimestamp(req, fromUserId, sequenceNumber, nonce, timestamp, context) {
+  if (!Number.isInteger(sequenceNumber) || sequenceNumber < 1 || typeof nonce !== 'string' || !nonce) {
+    const reason = 'Messages require a sequence number and nonce';
+    await logInvalidRequest(req, typeof nonce === 'string' && nonce ? 'INVALID_SEQUENCE' : 'INVALID_NONCE',
+      fromUserId, null, reason,
+      { ...context, rule: REPLAY_RULES.MISSING_FIELDS, sequenceNumber }
+    );
+    return rejected(REPLAY_RULES.MISSING_FIELDS, reason);
+  }
+
+  const window = getReplayPolicy().clockSkewSeconds * 1000;
+  const timeDiff = Math.abs(Date.now() - timestamp);
+  if (!Number.isFinite(timeDiff) || timeDiff > window) {
+    await logInvalidRequest(req, 'INVALID_TIMESTAMP', fromUserId, null,
+      `Timestamp outside acceptable window: diff=${timeDiff}ms, window=${window}ms`,
+      { ...context, rule: REPLAY_RULES.CLOCK_SKEW, timestamp, timeDiff }
+    );
+    return rejected(REPLAY_RULES.CLOCK_SKEW, `Timestamp outside acceptable window: ${timeDiff}ms difference`);
+  }
+
+  return null;
+}
+
+/**
+ * Query condition on the last accepted sequence number: it must be lower
+ * than the new one and, if the policy rejects large gaps, no more than
+ * maxSequenceGap below the next expected number
+ * @param {number} sequenceNumber - Sequence number from request
+ * @returns {Object} MongoDB condition
+ */
+function sequenceCondition(sequenceNumber) {
+  const { maxSequenceGap, sequenceGapAction } = getReplayPolicy();
+  return sequenceGapAction === 'reject'
+    ? { $lt: sequenceNumber, $gte: sequenceNumber - maxSequenceGap - 1 }
+    : { $lt: sequenceNumber };
+}
+
+/**
+ * Explain why the conditional sequence update did not match
+ * @param {Object} req - Express request object
+ * @param {string} fromUserId - Sender user ID
+ * @param {number} sequenceNumber - Sequence number from request
+ * @param {number} lastSequence - Last accepted sequence number
+ * @param {Object} context - Extra log details (exchangeId or groupId)
+ * @returns {Promise<Object>} Rejection
+ */
+async function rejectSequence(req, fromUserId, sequenceNumber, lastSequence, context) {
+  const expectedSequence = lastSequence + 1;
+
+  if (sequenceNumber < expectedSequence) {
+    const reason = `Sequence number too old: received ${sequenceNumber}, expected ${expectedSequence}`;
+    await logReplayAttack(req, fromUserId, null, reason,
+      { ...context, rule: REPLAY_RULES.SEQUENCE_REPLAY, sequenceNumber, expectedSequence }
+    );
+    return rejected(REPLAY_RULES.SEQUENCE_REPLAY, reason);
+  }
+
+  const reason = `Sequence number gap too large: received ${sequenceNumber}, expected ${expectedSequence} ` +
+    `(max gap ${getReplayPolicy().maxSequenceGap})`;
+  await logInvalidRequest(req, 'INVALID_SEQUENCE', fromUserId, null, reason,
+    { ...context, rule: REPLAY_RULES.SEQUENCE_GAP, sequenceNumber, expectedSequence }
+  );
+  return rejected(REPLAY_RULES.SEQUENCE_GAP, reason);
+}
+
+/**
+ * Log (without rejecting) an accepted message that skipped more sequence
+ * numbers than the policy allows, when the policy only logs gaps
+ * @param {Object} req - Express request object
+ * @param {string} fromUserId - Sender user ID
+ * @param {number} sequenceNumber - Accepted sequence number
+ * @param {number} lastSequence - Previous last accepted sequence number
+ * @param {Object} context - Extra log details (exchangeId or groupId)
+ */
+async function logAcceptedGap(req, fromUserId, sequenceNumber, lastSequence, context) {
+  const { maxSequenceGap } = getReplayPolicy();
+  const expectedSequence = lastSequence + 1;
+
+  if (sequenceNumber - expectedSequence > maxSequenceGap) {
+    incrementMetric(`replayFlagged.${REPLAY_RULES.SEQUENCE_GAP}`);
+    await logInvalidRequest(req, 'INVALID_SEQUENCE', fromUserId, null,
+      `Sequence number gap accepted: received ${sequenceNumber}, expected ${expectedSequence} (max gap ${maxSequenceGap})`,
+      { ...context, rule: REPLAY_RULES.SEQUENCE_GAP, sequenceNumber, expectedSequence, action: 'log' }
+    );
+  }
+}
 
 /**
  * Validate and update sequence numbers for replay protection
+ * Each step is a single atomic write, so concurrent copies of a message
+ * cannot both pass: the nonce is inserted into UsedNonce (unique per
+ * exchange), then the sender's direction is advanced with a conditional
+ * update that only matches a lower sequence number (within the policy's
+ * gap limit when gaps are rejected). Fails closed on errors. Rejections
+ * name the rule that caught them (REPLAY_RULES).
  * @param {string} exchangeId - Key exchange ID
  * @param {string} fromUserId - Sender user ID
  * @param {string} toUserId - Recipient user ID
@@ -18,7 +156,9 @@ const TIMESTAMP_WINDOW = 5 * 60 * 1000; // 5 minutes in milliseconds
  * @param {string} nonce - Nonce from request
  * @param {number} timestamp - Timestamp from request
  * @param {Object} req - Express request object
- * @returns {Promise<{valid: boolean, reason?: string}>}
+ * @param {string} [deviceId] - Linked device that sent the message; its
+ *   messages are numbered in their own stream (exchangeId/deviceId)
+ * @returns {Promise<{valid: boolean, reason?: string, rule?: string, unavailable?: boolean}>}
  */
 export async function validateReplayProtection(
   exchangeId,
@@ -27,149 +167,140 @@ export async function validateReplayProtection(
   sequenceNumber,
   nonce,
   timestamp,
-  req
+  req,
+  deviceId = null
 ) {
   try {
-    // Find or create sequence document
-    let sequenceDoc = await MessageSequence.findOne({ exchangeId });
-    
-    if (!sequenceDoc) {
-      // Create new sequence document
-      sequenceDoc = new MessageSequence({
-        exchangeId,
-        fromUserId,
-        toUserId,
-        sequenceFromTo: 0,
-        sequenceToFrom: 0,
-        usedNonces: [],
-        recentTimestamps: []
-      });
+    const context = deviceId ? { exchangeId, deviceId } : { exchangeId };
+    const streamId = deviceId ? `${exchangeId}/${deviceId}` : exchangeId;
+    const invalid = await checkFieldsAndTimestamp(req, fromUserId, sequenceNumber, nonce, timestamp, context);
+    if (invalid) {
+      return invalid;
     }
 
-    // Cleanup old entries
-    await sequenceDoc.cleanupOldEntries();
+    // Sequence document for the pair; the first sender fixes the direction names
+    const sequenceDoc = await MessageSequence.findOneAndUpdate(
+      { exchangeId: streamId },
+      { $setOnInsert: { fromUserId, toUserId, sequenceFromTo: 0, sequenceToFrom: 0 } },
+      { upsert: true, new: true }
+    );
 
-    // Determine direction and expected sequence number
     const isFromTo = sequenceDoc.fromUserId.toString() === fromUserId.toString() &&
                      sequenceDoc.toUserId.toString() === toUserId.toString();
     const isToFrom = sequenceDoc.toUserId.toString() === fromUserId.toString() &&
                      sequenceDoc.fromUserId.toString() === toUserId.toString();
 
     if (!isFromTo && !isToFrom) {
-      // User pair mismatch - this shouldn't happen, but handle gracefully
-      return {
-        valid: false,
-        reason: 'User pair mismatch'
-      };
+      await logInvalidRequest(req, 'INVALID_SEQUENCE', fromUserId, null, 'User pair mismatch',
+        { ...context, rule: REPLAY_RULES.USER_PAIR_MISMATCH }
+      );
+      return rejected(REPLAY_RULES.USER_PAIR_MISMATCH, 'User pair mismatch');
     }
 
-    const expectedSequence = isFromTo ? sequenceDoc.sequenceFromTo + 1 : sequenceDoc.sequenceToFrom + 1;
+    // Nonce must be unique in the exchange: the unique index decides
+    try {
+      await UsedNonce.create({
+        exchangeId,
+        nonce,
+        fromUserId,
+        expiresAt: new Date(Date.now() + getReplayPolicy().nonceRetentionSeconds * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
 
-    // Validate sequence number
-    if (sequenceNumber !== undefined && sequenceNumber !== null) {
-      if (sequenceNumber < expectedSequence) {
-        // Sequence number is too old - possible replay
-        const { ipAddress, userAgent } = extractRequestInfo(req);
-        await logReplayAttack(req, fromUserId, null, 
-          `Sequence number too old: received ${sequenceNumber}, expected ${expectedSequence}`,
-          { exchangeId, sequenceNumber, expectedSequence }
-        );
-        return {
-          valid: false,
-          reason: `Sequence number too old: received ${sequenceNumber}, expected ${expectedSequence}`
-        };
-      } else if (sequenceNumber > expectedSequence) {
-        // Sequence number is in the future - might be out of order, but allow it
-        // Update to the highest seen sequence
-        if (isFromTo) {
-          sequenceDoc.sequenceFromTo = sequenceNumber;
-        } else {
-          sequenceDoc.sequenceToFrom = sequenceNumber;
-        }
-      } else {
-        // Perfect match - update sequence
-        if (isFromTo) {
-          sequenceDoc.sequenceFromTo = sequenceNumber;
-        } else {
-          sequenceDoc.sequenceToFrom = sequenceNumber;
-        }
-      }
+      await logReplayAttack(req, fromUserId, null,
+        `Duplicate nonce detected: ${nonce}`,
+        { ...context, rule: REPLAY_RULES.DUPLICATE_NONCE, nonce }
+      );
+      return rejected(REPLAY_RULES.DUPLICATE_NONCE, `Duplicate nonce detected: ${nonce}`);
     }
 
-    // Validate nonce (must be unique)
-    if (nonce) {
-      const nonceExists = sequenceDoc.usedNonces.some(
-        entry => entry.nonce === nonce
-      );
+    // Sequence numbers must increase per direction
+    const field = isFromTo ? 'sequenceFromTo' : 'sequenceToFrom';
+    const previous = await MessageSequence.findOneAndUpdate(
+      { exchangeId: streamId, [field]: sequenceCondition(sequenceNumber) },
+      { $set: { [field]: sequenceNumber, lastUpdated: new Date() } }
+    );
 
-      if (nonceExists) {
-        // Nonce already used - replay attack
-        const { ipAddress, userAgent } = extractRequestInfo(req);
-        await logReplayAttack(req, fromUserId, null,
-          `Duplicate nonce detected: ${nonce}`,
-          { exchangeId, nonce }
-        );
-        return {
-          valid: false,
-          reason: `Duplicate nonce detected: ${nonce}`
-        };
-      }
+    if (!previous) {
+      const current = await MessageSequence.findOne({ exchangeId: streamId }).select(field);
+      return rejectSequence(req, fromUserId, sequenceNumber, current?.[field] ?? 0, context);
+    }
 
-      // Add nonce to used list
-      sequenceDoc.usedNonces.push({
-        nonce,
-        timestamp: new Date(timestamp),
-        createdAt: new Date()
-      });
+    await logAcceptedGap(req, fromUserId, sequenceNumber, previous[field], context);
+    return { valid: true };
+  } catch (error) {
+    return replayProtectionUnavailable('message', error);
+  }
+}
+
+/**
+ * Validate replay protection for a group message
+ * Sequence number and nonce are mandatory and the check fails closed, as
+ * for pairwise messages. The sequence/nonce update is a single conditional
+ * write, so two concurrent copies of a message cannot both pass.
+ * @param {string} groupId - Group ID
+ * @param {string} fromUserId - Sender user ID
+ * @param {number} sequenceNumber - Sender's sequence number in this group
+ * @param {string} nonce - Nonce from request
+ * @param {number} timestamp - Timestamp from request
+ * @param {Object} req - Express request object
+ * @returns {Promise<{valid: boolean, reason?: string, rule?: string, unavailable?: boolean}>}
+ */
+export async function validateGroupReplayProtection(
+  groupId,
+  fromUserId,
+  sequenceNumber,
+  nonce,
+  timestamp,
+  req
+) {
+  try {
+    const context = { groupId };
+    const invalid = await checkFieldsAndTimestamp(req, fromUserId, sequenceNumber, nonce, timestamp, context);
+    if (invalid) {
+      return invalid;
     }
 
-    // Validate timestamp (must be within time window and not too old)
-    if (timestamp) {
-      const now = Date.now();
-      const timeDiff = Math.abs(now - timestamp);
+    const filter = { groupId, userId: fromUserId };
+    const retentionCutoff = new Date(Date.now() - getReplayPolicy().nonceRetentionSeconds * 1000);
 
-      if (timeDiff > TIMESTAMP_WINDOW) {
-        // Timestamp is outside acceptable window
-        await logInvalidRequest(req, 'INVALID_TIMESTAMP', fromUserId, null,
-          `Timestamp outside acceptable window: diff=${timeDiff}ms, window=${TIMESTAMP_WINDOW}ms`,
-          { exchangeId, timestamp, now, timeDiff }
-        );
-        return {
-          valid: false,
-          reason: `Timestamp outside acceptable window: ${timeDiff}ms difference`
-        };
+    await GroupSequence.updateOne(
+      filter,
+      { $setOnInsert: { lastSequence: 0, usedNonces: [] } },
+      { upsert: true }
+    );
+    await GroupSequence.updateOne(filter, { $pull: { usedNonces: { createdAt: { $lt: retentionCutoff } } } });
+
+    const previous = await GroupSequence.findOneAndUpdate(
+      {
+        ...filter,
+        lastSequence: sequenceCondition(sequenceNumber),
+        'usedNonces.nonce': { $ne: nonce }
+      },
+      {
+        $set: { lastSequence: sequenceNumber, lastUpdated: new Date() },
+        $push: { usedNonces: { nonce, createdAt: new Date() } }
       }
+    );
 
-      // Check for duplicate timestamps (within same second)
-      const duplicateTimestamp = sequenceDoc.recentTimestamps.find(
-        entry => Math.abs(entry.timestamp - timestamp) < 1000 // Within 1 second
-      );
+    if (!previous) {
+      const current = await GroupSequence.findOne(filter);
 
-      if (duplicateTimestamp && nonce) {
-        // Same timestamp + nonce combination might be a replay
-        // But if nonce is different, it's probably just two messages in the same second
-        // We already checked nonce above, so this is fine
+      if (current?.usedNonces.some(entry => entry.nonce === nonce)) {
+        await logReplayAttack(req, fromUserId, null, `Duplicate nonce detected: ${nonce}`,
+          { ...context, rule: REPLAY_RULES.DUPLICATE_NONCE, nonce }
+        );
+        return rejected(REPLAY_RULES.DUPLICATE_NONCE, `Duplicate nonce detected: ${nonce}`);
       }
 
-      // Add timestamp to recent list
-      sequenceDoc.recentTimestamps.push({
-        timestamp,
-        createdAt: new Date()
-      });
+      return rejectSequence(req, fromUserId, sequenceNumber, current?.lastSequence ?? 0, context);
     }
 
-    // Save updated sequence document
-    sequenceDoc.lastUpdated = new Date();
-    await sequenceDoc.save();
-
+    await logAcceptedGap(req, fromUserId, sequenceNumber, previous.lastSequence, context);
     return { valid: true };
   } catch (error) {
-    console.error('Error in replay protection validation:', error);
-    // On error, allow the request but log it
-    return {
-      valid: true, // Fail open for now, but log the error
-      reason: `Validation error: ${error.message}`
-    };
+    return replayProtectionUnavailable('group', error);
   }
 }
 
@@ -198,17 +329,21 @@ export async function validateMessageReplayProtection(req, res, next) {
     );
 
     if (!validation.valid) {
-      return res.status(400).json({
+      return res.status(validation.unavailable ? 503 : 400).json({
         success: false,
-        error: validation.reason || 'Replay protection validation failed'
+        error: validation.reason || 'Replay protection validation failed',
+        rule: validation.rule
       });
     }
 
     next();
   } catch (error) {
-    console.error('Error in replay protection middleware:', error);
-    // On error, allow the request but log it
-    next();
+    // Fail closed
+    replayProtectionUnavailable('message', error);
+    res.status(503).json({
+      success: false,
+      error: 'Replay protection unavailable'
+    });
   }
 }
 
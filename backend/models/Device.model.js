@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A device (browser or client install) of a user account
+ * Each device has its own ECDH P-256 key pair; senders wrap message keys to
+ * every active device. A device is trusted once the account's signing key has
+ * signed its key (signature over deviceKeyMessage), either when it is the
+ * first device or when an existing device approves it.
+ */
+const deviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true // Chosen by the client (random UUID)
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  publicKey: {
+    type: String,
+    required: true // ECDH P-256 public key (base64 SPKI)
+  },
+  signature: {
+    type: String,
+    required: false // Set on approval: signature by the account's signing key
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'revoked'],
+    default: 'pending'
+  },
+  approvedAt: {
+    type: Date,
+    required: false
+  },
+  revokedAt: {
+    type: Date,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pending devices expire after 15 minutes; approval clears this
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 15 * 60 * 1000),
+    index: { expires: 0 }
+  }
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+export default mongoose.model('Device', deviceSchema);
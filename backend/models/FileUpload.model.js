@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * An encrypted file upload
+ * The encrypted chunks live in GridFS (utils/gridfs.js); this document
+ * tracks which chunk indexes have arrived so an upload can be resumed
+ */
+const fileUploadSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exchangeId: {
+    type: String,
+    required: false
+  },
+  // Metadata only (chunk contents are encrypted on the client)
+  fileName: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  fileSize: {
+    type: Number,
+    required: true
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'complete'],
+    default: 'uploading'
+  },
+  completedAt: {
+    type: Date,
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('FileUpload', fileUploadSchema);
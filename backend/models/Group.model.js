@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Group conversation
+ * Members encrypt with sender keys; keyEpoch is incremented on every
+ * membership change so all members rotate to fresh sender keys
+ */
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  keyEpoch: {
+    type: Number,
+    default: 1 // Sender keys are only accepted for the current epoch
+  },
+  keyRotatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ 'members.userId': 1 });
+
+/**
+ * Membership entry of a user, if any
+ * @param {string} userId - User ID
+ * @returns {Object|undefined}
+ */
+groupSchema.methods.getMember = function(userId) {
+  return this.members.find(member => String(member.userId._id || member.userId) === String(userId));
+};
+
+groupSchema.methods.isMember = function(userId) {
+  return Boolean(this.getMember(userId));
+};
+
+groupSchema.methods.isAdmin = function(userId) {
+  return this.getMember(userId)?.role === 'admin';
+};
+
+export default mongoose.model('Group', groupSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Message in a group conversation
+ * Encrypted with the sender's sender key for keyEpoch; the server only
+ * stores ciphertext and the header needed to pick the right message key
+ */
+const groupMessageSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sender key header (sent in the clear, authenticated as AES-GCM AAD)
+  keyEpoch: {
+    type: Number,
+    required: true
+  },
+  iteration: {
+    type: Number,
+    required: true // Position in the sender's chain
+  },
+  // Replay protection fields (per group and sender)
+  sequenceNumber: {
+    type: Number,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Encrypted message components (server cannot decrypt)
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true // ECDSA signature by the sender key's signing key
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+groupMessageSchema.index({ groupId: 1, timestamp: 1 });
+groupMessageSchema.index({ groupId: 1, fromUserId: 1, nonce: 1 }, { unique: true });
+
+export default mongoose.model('GroupMessage', groupMessageSchema);
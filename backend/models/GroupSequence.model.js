@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Replay protection state for one sender in one group
+ * Sequence numbers must increase and nonces must be unique
+ */
+const groupSequenceSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastSequence: {
+    type: Number,
+    default: 0
+  },
+  usedNonces: [{
+    nonce: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+groupSequenceSchema.index({ groupId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('GroupSequence', groupSequenceSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * A user's encrypted key backup (one per user, replaced on every backup)
+ * The client encrypts its key storage under a key derived from a recovery
+ * passphrase or code the server never sees; the server only stores the
+ * result and the parameters needed to derive the key again.
+ */
+const keyBackupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true // Backup format version (shared/crypto/backup.js)
+  },
+  secretType: {
+    type: String,
+    enum: ['passphrase', 'recovery-code'],
+    required: true
+  },
+  // Key derivation: { name: 'Argon2id', salt, memory, passes, parallelism }
+  // or { name: 'PBKDF2', salt, hash, iterations }
+  kdf: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  ciphertext: {
+    type: String,
+    required: true // Base64 IV || ciphertext || tag
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('KeyBackup', keyBackupSchema);
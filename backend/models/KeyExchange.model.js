@@ -16,10 +16,25 @@ const keyExchangeSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // 'interactive' = initiate/respond/confirm, 'x3dh' = one-shot setup against prekeys
+  protocol: {
+    type: String,
+    enum: ['interactive', 'x3dh'],
+    default: 'interactive'
+  },
   initiatorEphemeralPublicKey: {
     type: String,
     required: true
   },
+  // X3DH only: which of the responder's prekeys the initiator used
+  signedPreKeyId: {
+    type: Number,
+    required: false
+  },
+  oneTimePreKeyId: {
+    type: Number,
+    required: false
+  },
   responderEphemeralPublicKey: {
     type: String,
     required: false
@@ -54,7 +69,7 @@ const keyExchangeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'responded', 'confirmed', 'completed', 'expired'],
+    enum: ['pending', 'responded', 'confirmed', 'completed', 'expired', 'declined'],
     default: 'pending'
   },
   confirmed: {
@@ -63,8 +78,13 @@ const keyExchangeSchema = new mongoose.Schema({
   },
   createdAt: {
     type: Date,
-    default: Date.now,
-    expires: 3600 // Expire after 1 hour
+    default: Date.now
+  },
+  // Interactive exchanges expire after 1 hour; X3DH exchanges clear this and never expire
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 3600 * 1000),
+    index: { expires: 0 }
   },
   completedAt: {
     type: Date,
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+/**
+ * A leaf of the key transparency log: one user's identity keys as the server
+ * handed them out, in the canonical form that is hashed into the Merkle tree
+ * (keyLogLeaf in utils/keyTransparency.js). Entries are only ever appended,
+ * numbered from 0 without gaps.
+ */
+const keyLogEntrySchema = new mongoose.Schema({
+  leafIndex: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  keyVersion: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['registered', 'signing-key-added', 'identity-key-rotated', 'existing-key'],
+    required: true
+  },
+  leaf: {
+    type: String,
+    required: true // Canonical JSON of the logged keys
+  },
+  leafHash: {
+    type: String,
+    required: true // SHA-256(0x00 || leaf), base64
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('KeyLogEntry', keyLogEntrySchema);
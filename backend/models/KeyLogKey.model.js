@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/**
+ * The key transparency log's signing key, generated on first use when
+ * KEY_LOG_PRIVATE_KEY is not set, so tree heads stay verifiable with the
+ * same key across restarts
+ */
+const keyLogKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  privateKey: {
+    type: String,
+    required: true // ECDSA P-256 (base64 PKCS#8)
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('KeyLogKey', keyLogKeySchema);
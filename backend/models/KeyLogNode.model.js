@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Hash of a complete subtree of the key transparency log: the 2^level
+ * leaves from index * 2^level on (level 0 are the leaf hashes). Stored as
+ * soon as the subtree is complete and never changed afterwards, so tree
+ * heads and proofs are built from O(log n) stored hashes instead of the
+ * whole log.
+ */
+const keyLogNodeSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true // Base64
+  }
+});
+
+keyLogNodeSchema.index({ level: 1, index: 1 }, { unique: true });
+
+export default mongoose.model('KeyLogNode', keyLogNodeSchema);
@@ -1,5 +1,91 @@
 import mongoose from 'mongoose';
 
+// Double Ratchet header (sent in the clear, authenticated as AES-GCM AAD)
+const ratchetHeaderSchema = new mongoose.Schema({
+  dh: {
+    type: String,
+    required: true // Sender's current ratchet public key (base64 SPKI)
+  },
+  n: {
+    type: Number,
+    required: true // Message number in the sending chain
+  },
+  pn: {
+    type: Number,
+    required: true // Length of the sender's previous sending chain
+  }
+}, { _id: false });
+
+// Encrypted fields of an envelope (server cannot decrypt)
+const envelopePayloadSchema = new mongoose.Schema({
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true
+  },
+  sealedMetadata: {
+    type: String,
+    required: false // Encrypted copy of the metadata bound to the ciphertext
+  }
+}, { _id: false });
+
+// Message key wrapped for one of the sender's or recipient's devices
+const deviceKeySchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  fromDeviceId: {
+    type: String,
+    required: true // Sending device, whose device key authenticates the copy
+  },
+  ephemeralPublicKey: {
+    type: String,
+    required: true // Sender's one-off ECDH P-256 key (base64 SPKI)
+  },
+  wrappedKey: {
+    type: String,
+    required: true // AES-GCM encrypted message key (base64 IV || ciphertext || tag)
+  }
+}, { _id: false });
+
+// Versioned wire envelope (wire format version 2): which cipher suite and
+// key the payload is encrypted with, and the suite's cleartext header
+const envelopeSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  suite: {
+    type: String,
+    required: true // Cipher suite ID, e.g. E2EE-DR-P256-AES256GCM
+  },
+  keyId: {
+    type: String,
+    required: true // Key the payload is encrypted under (the session's exchange ID)
+  },
+  header: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false // Suite header sent in the clear (Double Ratchet header), or null
+  },
+  payload: {
+    type: envelopePayloadSchema,
+    required: true
+  },
+  deviceKeys: {
+    type: [deviceKeySchema],
+    default: undefined // Absent when the message was not fanned out to devices
+  }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   fromUserId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,18 +115,39 @@ const messageSchema = new mongoose.Schema({
     required: false,
     index: true
   },
-  // Encrypted message components (server cannot decrypt)
+  fromDeviceId: {
+    type: String,
+    required: false // Linked device that sent the message (absent when sent with the account's own session)
+  },
+  envelope: {
+    type: envelopeSchema,
+    required: false // Absent on legacy messages, which use the fields below
+  },
+  // Legacy encrypted message components (server cannot decrypt)
   ciphertext: {
     type: String,
-    required: true
+    required: function () { return !this.envelope; }
   },
   iv: {
     type: String,
-    required: true // Initialization vector (random per message)
+    required: function () { return !this.envelope; } // Initialization vector (random per message)
   },
   tag: {
     type: String,
-    required: true // Authentication tag (AES-GCM)
+    required: function () { return !this.envelope; } // Authentication tag (AES-GCM)
+  },
+  ratchetHeader: {
+    type: ratchetHeaderSchema,
+    required: false // Absent for messages encrypted with the session key directly
+  },
+  sealedMetadata: {
+    type: String,
+    required: false // Encrypted copy of the metadata bound to the ciphertext (absent on older messages)
+  },
+  wireVersion: {
+    type: Number,
+    required: false, // Wire format version of legacy messages (absent on the oldest, which are version 1)
+    min: 1
   },
   // Metadata only (not encrypted, but useful for UI)
   messageType: {
@@ -70,6 +177,11 @@ const messageSchema = new mongoose.Schema({
     type: Number,
     required: false // Number of chunks for file messages
   },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileUpload',
+    required: false // Chunked upload in GridFS (older file messages embed their chunks in ciphertext)
+  },
   // Status tracking
   status: {
     type: String,
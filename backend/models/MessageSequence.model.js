@@ -1,15 +1,17 @@
 import mongoose from 'mongoose';
 
 /**
- * Tracks sequence numbers and nonces for replay protection
- * One document per user pair (exchangeId)
+ * Tracks the highest sequence number seen in each direction for replay
+ * protection. One document per user pair (exchangeId), plus one per linked
+ * device that sends in the exchange (exchangeId/deviceId), which numbers its
+ * messages independently; updated only with conditional atomic writes.
+ * Nonces live in UsedNonce.
  */
 const messageSequenceSchema = new mongoose.Schema({
   exchangeId: {
     type: String,
     required: true,
-    unique: true,
-    index: true
+    unique: true
   },
   fromUserId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -32,23 +34,6 @@ const messageSequenceSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Track used nonces to prevent replay attacks
-  usedNonces: [{
-    nonce: String,
-    timestamp: Date,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  // Track used timestamps (within a time window)
-  recentTimestamps: [{
-    timestamp: Number,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -58,24 +43,8 @@ const messageSequenceSchema = new mongoose.Schema({
 });
 
 // Index for efficient lookup
-messageSequenceSchema.index({ exchangeId: 1 });
 messageSequenceSchema.index({ fromUserId: 1, toUserId: 1 });
 
-// Cleanup old nonces and timestamps (older than 1 hour)
-messageSequenceSchema.methods.cleanupOldEntries = async function() {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  
-  this.usedNonces = this.usedNonces.filter(
-    entry => entry.createdAt > oneHourAgo
-  );
-  
-  this.recentTimestamps = this.recentTimestamps.filter(
-    entry => entry.createdAt > oneHourAgo
-  );
-  
-  await this.save();
-};
-
 export default mongoose.model('MessageSequence', messageSequenceSchema);
 
 
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * X3DH prekeys published by a user for asynchronous session setup
+ * One signed prekey (replaced on rotation) plus a pool of one-time prekeys
+ */
+const preKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['signed', 'one-time'],
+    required: true
+  },
+  keyId: {
+    type: Number,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true // ECDH P-256 public key (base64 SPKI)
+  },
+  signature: {
+    type: String,
+    required: false // Signed prekeys only: RSA-PSS signature by the owner's identity key
+  },
+  // One-time prekeys: set when handed out in a bundle, never handed out again
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false
+  },
+  claimedAt: {
+    type: Date,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+preKeySchema.index({ userId: 1, type: 1, keyId: 1 }, { unique: true });
+preKeySchema.index({ userId: 1, type: 1, claimedAt: 1 });
+
+export default mongoose.model('PreKey', preKeySchema);
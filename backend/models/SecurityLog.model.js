@@ -11,8 +11,20 @@ const securityLogSchema = new mongoose.Schema({
       'KEY_EXCHANGE_RESPOND',
       'KEY_EXCHANGE_COMPLETE',
       'KEY_EXCHANGE_FAILED',
+      'SIGNING_KEY_UPGRADE',
+      'IDENTITY_KEY_ROTATED',
+      'DEVICE_REGISTERED',
+      'DEVICE_LINKED',
+      'DEVICE_REVOKED',
+      'KEY_BACKUP_SAVED',
+      'KEY_BACKUP_DOWNLOADED',
+      'KEY_BACKUP_DELETED',
+      'GROUP_CREATED',
+      'GROUP_MEMBER_ADDED',
+      'GROUP_MEMBER_REMOVED',
       'DECRYPTION_SUCCESS',
       'DECRYPTION_FAILURE',
+      'MESSAGE_TAMPERED',
       'REPLAY_ATTACK_DETECTED',
       'MESSAGE_SENT',
       'MESSAGE_RECEIVED',
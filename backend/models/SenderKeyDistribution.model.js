@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * A member's sender key for one group epoch, encrypted to one other member
+ * over their pairwise session (Double Ratchet message)
+ */
+const senderKeyDistributionSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  keyEpoch: {
+    type: Number,
+    required: true
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exchangeId: {
+    type: String,
+    required: true // Pairwise session the sender key was encrypted under
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  tag: {
+    type: String,
+    required: true
+  },
+  ratchetHeader: {
+    dh: String,
+    n: Number,
+    pn: Number
+  }
+}, {
+  timestamps: true
+});
+
+senderKeyDistributionSchema.index({ groupId: 1, keyEpoch: 1, fromUserId: 1, toUserId: 1 }, { unique: true });
+senderKeyDistributionSchema.index({ groupId: 1, toUserId: 1 });
+
+export default mongoose.model('SenderKeyDistribution', senderKeyDistributionSchema);
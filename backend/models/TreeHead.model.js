@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * A signed tree head of the key transparency log: the root hash of the
+ * first treeSize entries, signed with the log key. One is signed for every
+ * size the log reaches.
+ */
+const treeHeadSchema = new mongoose.Schema({
+  treeSize: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  rootHash: {
+    type: String,
+    required: true // Base64
+  },
+  timestamp: {
+    type: Number,
+    required: true // Milliseconds since the epoch, as signed
+  },
+  signature: {
+    type: String,
+    required: true // ECDSA P-256 (raw r||s), base64
+  }
+});
+
+export default mongoose.model('TreeHead', treeHeadSchema);
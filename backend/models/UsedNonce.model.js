@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * A nonce already used in an exchange
+ * The unique index makes "check and remember" a single insert, so two
+ * concurrent copies of a message cannot both pass. MongoDB removes entries
+ * once expiresAt has passed (set from the replay policy's nonce retention).
+ */
+const usedNonceSchema = new mongoose.Schema({
+  exchangeId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+usedNonceSchema.index({ exchangeId: 1, nonce: 1 }, { unique: true });
+usedNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('UsedNonce', usedNonceSchema);
@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 
+// A retired identity key (RSA key + signing key) and the period it was valid for
+const keyHistoryEntrySchema = new mongoose.Schema({
+  keyVersion: {
+    type: Number,
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  signingPublicKey: {
+    type: String,
+    required: false // Missing for legacy accounts that never had a signing key
+  },
+  signingKeyAlgorithm: {
+    type: String,
+    enum: ['Ed25519', 'ECDSA-P256'],
+    required: false
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  rotationSignature: {
+    type: String,
+    required: false // Signature by the previous version (none for version 1)
+  },
+  reason: {
+    type: String,
+    enum: ['rotated', 'compromised'],
+    required: false // Why this version replaced the previous one
+  },
+  revoked: {
+    type: Boolean,
+    default: false // Reported as compromised when it was replaced
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -26,6 +68,44 @@ const userSchema = new mongoose.Schema({
     enum: ['spki', 'jwk'],
     default: 'spki'
   },
+  // Dedicated signing identity key (the RSA key above is only used for encryption).
+  // Missing for accounts created before signing keys existed until they upgrade.
+  signingPublicKey: {
+    type: String,
+    required: false
+  },
+  signingKeyAlgorithm: {
+    type: String,
+    enum: ['Ed25519', 'ECDSA-P256'],
+    required: false
+  },
+  signingKeyCreatedAt: {
+    type: Date,
+    required: false
+  },
+  // Identity key version: 1 at registration, incremented by every rotation.
+  // The current version is valid from keyValidFrom (createdAt until the first
+  // rotation); versions after the first carry the signature by the previous
+  // version that introduced them.
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  keyValidFrom: {
+    type: Date,
+    required: false
+  },
+  keyRotationSignature: {
+    type: String,
+    required: false
+  },
+  keyRotationReason: {
+    type: String,
+    enum: ['rotated', 'compromised'],
+    required: false
+  },
+  // Earlier identity keys, oldest first, with the period they were valid for
+  keyHistory: [keyHistoryEntrySchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  saveBackup,
+  getBackupStatus,
+  getBackup,
+  deleteBackup
+} from '../controllers/backup.controller.js';
+
+const router = express.Router();
+
+// All routes act on the authenticated user's own backup
+router.put('/', saveBackup);
+router.get('/', getBackup);
+router.get('/status', getBackupStatus);
+router.delete('/', deleteBackup);
+
+export default router;
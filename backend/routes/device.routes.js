@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  registerDevice,
+  getDevices,
+  approveDevice,
+  revokeDevice
+} from '../controllers/device.controller.js';
+
+const router = express.Router();
+
+// All routes act on the authenticated user's own devices
+router.post('/', registerDevice);
+router.get('/', getDevices);
+router.post('/:deviceId/approve', approveDevice);
+router.delete('/:deviceId', revokeDevice);
+
+export default router;
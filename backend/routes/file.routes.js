@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  createUpload,
+  getUpload,
+  uploadChunk,
+  completeUpload,
+  downloadChunk,
+  deleteUpload
+} from '../controllers/file.controller.js';
+
+const router = express.Router();
+
+// Start an upload (metadata only)
+router.post('/', createUpload);
+
+// Upload status, including received chunk indexes (for resuming)
+router.get('/:fileId', getUpload);
+
+// Encrypted chunks: raw application/octet-stream bodies, streamed to/from GridFS
+router.put('/:fileId/chunks/:chunkIndex', uploadChunk);
+router.get('/:fileId/chunks/:chunkIndex', downloadChunk);
+
+// Finish the upload once every chunk is stored
+router.post('/:fileId/complete', completeUpload);
+
+// Abort an unfinished upload
+router.delete('/:fileId', deleteUpload);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  createGroup,
+  getGroups,
+  getGroup,
+  addMember,
+  removeMember,
+  updateMemberRole,
+  uploadSenderKeys,
+  getSenderKeys,
+  sendGroupMessage,
+  getGroupMessages
+} from '../controllers/group.controller.js';
+
+const router = express.Router();
+
+// Groups the authenticated user belongs to
+router.post('/', createGroup);
+router.get('/', getGroups);
+router.get('/:groupId', getGroup);
+
+// Membership (admins; any member may remove themselves)
+router.post('/:groupId/members', addMember);
+router.delete('/:groupId/members/:userId', removeMember);
+router.patch('/:groupId/members/:userId', updateMemberRole);
+
+// Sender key distribution for the current key epoch
+router.post('/:groupId/sender-keys', uploadSenderKeys);
+router.get('/:groupId/sender-keys', getSenderKeys);
+
+// Group messages
+router.post('/:groupId/messages', sendGroupMessage);
+router.get('/:groupId/messages', getGroupMessages);
+
+export default router;
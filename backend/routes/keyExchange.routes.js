@@ -1,8 +1,10 @@
 import express from 'express';
 import {
   initiateKeyExchange,
+  initiateX3DHExchange,
   respondToKeyExchange,
   confirmKeyExchange,
+  declineKeyExchange,
   getPendingExchanges,
   getKeyExchange,
   getCompletedExchanges
@@ -11,8 +13,10 @@ import {
 const router = express.Router();
 
 router.post('/initiate', initiateKeyExchange);
+router.post('/x3dh', initiateX3DHExchange);
 router.post('/respond', respondToKeyExchange);
 router.post('/confirm', confirmKeyExchange);
+router.post('/decline', declineKeyExchange);
 router.get('/pending/:userId', getPendingExchanges);
 router.get('/completed/:userId', getCompletedExchanges); // Must be before /:exchangeId
 router.get('/:exchangeId', getKeyExchange);
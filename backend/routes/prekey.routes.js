@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  uploadSignedPreKey,
+  uploadOneTimePreKeys,
+  getPreKeyStatus
+} from '../controllers/prekey.controller.js';
+
+const router = express.Router();
+
+// All routes act on the authenticated user's own prekeys
+router.post('/signed', uploadSignedPreKey);
+router.post('/one-time', uploadOneTimePreKeys);
+router.get('/status', getPreKeyStatus);
+
+export default router;
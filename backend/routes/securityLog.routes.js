@@ -2,6 +2,7 @@ import express from 'express';
 import {
   getSecurityLogs,
   getSecurityLogStats,
+  getReplayPolicySettings,
   getSecurityLog,
   createSecurityLog
 } from '../controllers/securityLog.controller.js';
@@ -17,6 +18,9 @@ router.get('/', getSecurityLogs);
 // Get security log statistics
 router.get('/stats', getSecurityLogStats);
 
+// Get the active replay protection policy
+router.get('/policy', getReplayPolicySettings);
+
 // Get a specific security log
 router.get('/:logId', getSecurityLog);
 
@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getLogKey,
+  getTreeHead,
+  getConsistencyProof
+} from '../controllers/transparency.controller.js';
+
+const router = express.Router();
+
+// Key transparency log (inclusion proofs come with the public keys, see user.routes.js)
+router.get('/log-key', getLogKey);
+router.get('/tree-head', getTreeHead);
+router.get('/consistency', getConsistencyProof);
+
+export default router;
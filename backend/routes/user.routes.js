@@ -1,5 +1,14 @@
 import express from 'express';
-import { getAllUsers, getPublicKey, getPublicKeyByUsername } from '../controllers/user.controller.js';
+import {
+  getAllUsers,
+  getPublicKey,
+  getPublicKeyByUsername,
+  upgradeSigningKey,
+  rotateIdentityKey,
+  getKeyHistory
+} from '../controllers/user.controller.js';
+import { getPreKeyBundle } from '../controllers/prekey.controller.js';
+import { getUserDevices } from '../controllers/device.controller.js';
 
 const router = express.Router();
 
@@ -8,7 +17,16 @@ const router = express.Router();
 // Get all users (must be before /:userId route to avoid conflict)
 router.get('/', getAllUsers);
 
+// Add a dedicated signing key to a legacy account (caller's own account)
+router.post('/signing-key', upgradeSigningKey);
+
+// Replace the caller's identity keys (signed by the current ones)
+router.post('/identity-key', rotateIdentityKey);
+
 router.get('/:userId/public-key', getPublicKey);
+router.get('/:userId/key-history', getKeyHistory);
+router.get('/:userId/prekey-bundle', getPreKeyBundle);
+router.get('/:userId/devices', getUserDevices);
 router.get('/username/:username/public-key', getPublicKeyByUsername);
 
 export default router;
@@ -1,17 +1,32 @@
 import express from 'express';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import path from 'path';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { connectDB } from './config/database.js';
 import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import keyExchangeRoutes from './routes/keyExchange.routes.js';
+import prekeyRoutes from './routes/prekey.routes.js';
+import deviceRoutes from './routes/device.routes.js';
+import backupRoutes from './routes/backup.routes.js';
+import transparencyRoutes from './routes/transparency.routes.js';
 import messageRoutes from './routes/message.routes.js';
+import groupRoutes from './routes/group.routes.js';
+import fileRoutes from './routes/file.routes.js';
 import securityLogRoutes from './routes/securityLog.routes.js';
 import attackDemoRoutes from './routes/attackDemo.routes.js';
 import errorHandler from './middleware/errorHandler.js';
+import { authenticateToken } from './middleware/auth.js';
+import { initSocket } from './utils/socket.js';
+import { getReplayPolicy } from './config/replayPolicy.js';
 
 dotenv.config();
 
+// Fail fast on an invalid replay protection policy
+getReplayPolicy();
+
 const app = express();
 const PORT = process.env.PORT || 3001; // Changed from 5000 to avoid AirPlay conflict
 
@@ -25,19 +40,27 @@ app.use(cors({
   optionsSuccessStatus: 204
 }));
 
-// Body parsing middleware
+// Body parsing middleware (key backups hold a whole key storage, so they get a larger limit)
+app.use('/api/backup', express.json({ limit: '12mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Routes
+// Routes (everything except /api/auth requires a valid JWT)
 app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/key-exchange', keyExchangeRoutes);
-app.use('/api/messages', messageRoutes);
-app.use('/api/security-logs', securityLogRoutes);
-app.use('/api/attack-demo', attackDemoRoutes);
+app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/key-exchange', authenticateToken, keyExchangeRoutes);
+app.use('/api/prekeys', authenticateToken, prekeyRoutes);
+app.use('/api/devices', authenticateToken, deviceRoutes);
+app.use('/api/backup', authenticateToken, backupRoutes);
+app.use('/api/transparency', authenticateToken, transparencyRoutes);
+app.use('/api/messages', authenticateToken, messageRoutes);
+app.use('/api/groups', authenticateToken, groupRoutes);
+app.use('/api/files', authenticateToken, fileRoutes);
+app.use('/api/security-logs', authenticateToken, securityLogRoutes);
+app.use('/api/attack-demo', authenticateToken, attackDemoRoutes);
 
-// Health check
+// Health check (liveness only: metrics are served to authenticated users
+// by /api/security-logs/stats and /api/security-logs/policy)
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
 });
@@ -45,22 +68,36 @@ app.get('/api/health', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server (MongoDB connection will be attempted but won't block server start)
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+/**
+ * Start the HTTP and Socket.IO server and connect to MongoDB
+ * Only runs when server.js is the entry point; tests import the app instead.
+ */
+function startServer() {
+  // Real-time events (authenticated with the same JWT)
+  const httpServer = createServer(app);
+  initSocket(httpServer);
+
+  // Start server (MongoDB connection will be attempted but won't block server start)
+  httpServer.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
   
-  // Attempt to connect to MongoDB
-  connectDB()
-    .then(() => {
-      console.log('✅ MongoDB connection successful');
-    })
-    .catch((error) => {
-      console.error('⚠️  MongoDB connection failed:', error.message);
-      console.error('⚠️  Server is running but database features will not work');
-      console.error('💡 To fix: Start MongoDB or update MONGODB_URI in .env file');
-    });
-});
+    // Attempt to connect to MongoDB
+    connectDB()
+      .then(() => {
+        console.log('✅ MongoDB connection successful');
+      })
+      .catch((error) => {
+        console.error('⚠️  MongoDB connection failed:', error.message);
+        console.error('⚠️  Server is running but database features will not work');
+        console.error('💡 To fix: Start MongoDB or update MONGODB_URI in .env file');
+      });
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer();
+}
 
 export default app;
 
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, uniqueUsername, identityPublicKey } from './helpers.js';
+
+describe('auth controller', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  describe('POST /auth/register', () => {
+    it('creates the user and returns a token', async () => {
+      const username = uniqueUsername('alice');
+      const publicKey = identityPublicKey();
+      const { status, body } = await api.request('POST', '/auth/register', {
+        body: { username, password: 'password123', publicKey }
+      });
+
+      assert.equal(status, 201);
+      assert.equal(body.success, true);
+      assert.ok(body.token);
+      assert.equal(body.user.username, username);
+      assert.equal(body.user.publicKey, publicKey);
+    });
+
+    it('requires username, password and public key', async () => {
+      const { status, body } = await api.request('POST', '/auth/register', {
+        body: { username: uniqueUsername('bob'), password: 'password123' }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.success, false);
+    });
+
+    it('rejects usernames outside 3-30 characters', async () => {
+      const { status } = await api.request('POST', '/auth/register', {
+        body: { username: 'ab', password: 'password123', publicKey: identityPublicKey() }
+      });
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects passwords shorter than 8 characters', async () => {
+      const { status } = await api.request('POST', '/auth/register', {
+        body: { username: uniqueUsername('carol'), password: 'short', publicKey: identityPublicKey() }
+      });
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects a signing key that does not match its algorithm', async () => {
+      const { status, body } = await api.request('POST', '/auth/register', {
+        body: {
+          username: uniqueUsername('dave'),
+          password: 'password123',
+          publicKey: identityPublicKey(),
+          signingPublicKey: identityPublicKey(), // P-256, declared as Ed25519
+          signingKeyAlgorithm: 'Ed25519'
+        }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid signing public key');
+    });
+
+    it('rejects a username that is already taken', async () => {
+      const user = await api.registerUser('erin');
+      const { status } = await api.request('POST', '/auth/register', {
+        body: { username: user.username, password: 'password123', publicKey: identityPublicKey() }
+      });
+
+      assert.equal(status, 409);
+    });
+  });
+
+  describe('POST /auth/login', () => {
+    it('returns a token for valid credentials', async () => {
+      const user = await api.registerUser('frank');
+      const { status, body } = await api.request('POST', '/auth/login', {
+        body: { username: user.username, password: user.password }
+      });
+
+      assert.equal(status, 200);
+      assert.ok(body.token);
+      assert.equal(String(body.user.id), user.id);
+    });
+
+    it('rejects a wrong password', async () => {
+      const user = await api.registerUser('grace');
+      const { status, body } = await api.request('POST', '/auth/login', {
+        body: { username: user.username, password: 'wrong password' }
+      });
+
+      assert.equal(status, 401);
+      assert.equal(body.error, 'Invalid username or password');
+    });
+
+    it('gives an unknown user the same answer as a wrong password', async () => {
+      const { status, body } = await api.request('POST', '/auth/login', {
+        body: { username: uniqueUsername('nobody'), password: 'password123' }
+      });
+
+      assert.equal(status, 401);
+      assert.equal(body.error, 'Invalid username or password');
+    });
+
+    it('requires username and password', async () => {
+      const { status } = await api.request('POST', '/auth/login', { body: {} });
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('authentication middleware', () => {
+    it('rejects requests without a token', async () => {
+      const { status } = await api.request('GET', '/users');
+
+      assert.equal(status, 401);
+    });
+
+    it('rejects an invalid token', async () => {
+      const { status } = await api.request('GET', '/users', { token: 'not-a-jwt' });
+
+      assert.equal(status, 401);
+    });
+
+    it('accepts the token returned at registration', async () => {
+      const user = await api.registerUser('heidi');
+      const { status } = await api.request('GET', '/users', { token: user.token });
+
+      assert.equal(status, 200);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, randomBase64 } from './helpers.js';
+import { MAX_BACKUP_SIZE } from '../utils/backup.js';
+
+describe('backup controller', () => {
+  let api;
+  let alice;
+  let bob;
+
+  before(async () => {
+    api = await startTestServer();
+    alice = await api.registerUser('alice');
+    bob = await api.registerUser('bob');
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  /**
+   * A backup as a client would upload it
+   * @param {Object} [overrides] - Fields to replace
+   * @returns {Object}
+   */
+  const backupBody = (overrides = {}) => ({
+    version: 1,
+    secretType: 'recovery-code',
+    kdf: { name: 'PBKDF2', salt: randomBase64(16), hash: 'SHA-256', iterations: 600000 },
+    ciphertext: randomBase64(512),
+    ...overrides
+  });
+
+  const save = (user, body) => api.request('PUT', '/backup', { token: user.token, body });
+
+  it('stores a backup and returns it to its owner only', async () => {
+    const backup = backupBody();
+
+    const saved = await save(alice, backup);
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.backup.kdf, 'PBKDF2');
+
+    const fetched = await api.request('GET', '/backup', { token: alice.token });
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.backup.ciphertext, backup.ciphertext);
+    assert.deepEqual(fetched.body.backup.kdf, backup.kdf);
+
+    const other = await api.request('GET', '/backup', { token: bob.token });
+    assert.equal(other.status, 404);
+  });
+
+  it('replaces the earlier backup', async () => {
+    await save(alice, backupBody());
+    const latest = backupBody({ secretType: 'passphrase' });
+    await save(alice, latest);
+
+    const { body } = await api.request('GET', '/backup', { token: alice.token });
+
+    assert.equal(body.backup.ciphertext, latest.ciphertext);
+    assert.equal(body.backup.secretType, 'passphrase');
+  });
+
+  it('reports the status without the ciphertext', async () => {
+    const backup = backupBody({ kdf: { name: 'Argon2id', salt: randomBase64(16), memory: 65536, passes: 3, parallelism: 1 } });
+    await save(alice, backup);
+
+    const { body } = await api.request('GET', '/backup/status', { token: alice.token });
+
+    assert.equal(body.backup.kdf, 'Argon2id');
+    assert.equal(body.backup.size, backup.ciphertext.length);
+    assert.equal(body.backup.ciphertext, undefined);
+  });
+
+  it('rejects malformed backups and weak key derivation', async () => {
+    const invalid = [
+      backupBody({ version: 2 }),
+      backupBody({ secretType: 'password' }),
+      backupBody({ kdf: { name: 'PBKDF2', salt: randomBase64(16), hash: 'SHA-256', iterations: 1000 } }),
+      backupBody({ kdf: { name: 'Argon2id', salt: randomBase64(16), memory: 1024, passes: 1, parallelism: 1 } }),
+      backupBody({ kdf: { name: 'scrypt', salt: randomBase64(16) } }),
+      backupBody({ ciphertext: 'not base64!' })
+    ];
+
+    for (const body of invalid) {
+      const { status, body: response } = await save(alice, body);
+      assert.equal(status, 400);
+      assert.match(response.error, /^Invalid backup: /);
+    }
+  });
+
+  it('accepts backups larger than the default body limit, up to its own', async () => {
+    const large = await save(alice, backupBody({ ciphertext: randomBase64(3 * 1024 * 1024) }));
+    assert.equal(large.status, 200);
+
+    const tooLarge = await save(alice, backupBody({ ciphertext: 'A'.repeat(MAX_BACKUP_SIZE + 4) }));
+    assert.equal(tooLarge.status, 400);
+    assert.equal(tooLarge.body.error, 'Invalid backup: backup is too large');
+  });
+
+  it('deletes the backup', async () => {
+    await save(bob, backupBody());
+
+    assert.equal((await api.request('DELETE', '/backup', { token: bob.token })).status, 200);
+    assert.equal((await api.request('GET', '/backup', { token: bob.token })).status, 404);
+    assert.equal((await api.request('GET', '/backup/status', { token: bob.token })).body.backup, null);
+    assert.equal((await api.request('DELETE', '/backup', { token: bob.token })).status, 404);
+  });
+
+  it('requires authentication', async () => {
+    const { status } = await api.request('GET', '/backup');
+
+    assert.equal(status, 401);
+  });
+});
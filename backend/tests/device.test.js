@@ -0,0 +1,194 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'crypto';
+import {
+  startTestServer,
+  establishExchange,
+  envelopeMessageBody,
+  identityPublicKey,
+  randomBase64,
+  signingKeyPair
+} from './helpers.js';
+import { deviceKeyMessage } from '../utils/signatures.js';
+
+describe('device controller', () => {
+  let api;
+  let alice;
+  let bob;
+
+  before(async () => {
+    api = await startTestServer();
+    alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    bob = await api.registerUser('bob', { signingKey: signingKeyPair() });
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  /**
+   * A new device key of a user, and its certificate by the account's signing key
+   * @param {Object} user - Registered user with a signing key
+   * @returns {{deviceId: string, name: string, publicKey: string, signature: string}}
+   */
+  const newDevice = (user) => {
+    const device = { deviceId: randomUUID(), name: 'Laptop', publicKey: identityPublicKey() };
+    return { ...device, signature: user.signingKey.sign(deviceKeyMessage({ userId: user.id, ...device })) };
+  };
+
+  const register = (user, body) => api.request('POST', '/devices', { token: user.token, body });
+
+  it('activates a device registered with a valid signature', async () => {
+    const device = newDevice(alice);
+
+    const { status, body } = await register(alice, device);
+
+    assert.equal(status, 201);
+    assert.equal(body.device.status, 'active');
+    assert.equal(body.device.signature, device.signature);
+  });
+
+  it('returns the existing device when it registers again', async () => {
+    const device = newDevice(alice);
+    await register(alice, device);
+
+    const { status, body } = await register(alice, device);
+
+    assert.equal(status, 200);
+    assert.equal(body.device.deviceId, device.deviceId);
+  });
+
+  it('rejects a signature that does not cover the device key', async () => {
+    const device = { ...newDevice(alice), publicKey: identityPublicKey() };
+
+    const { status, body } = await register(alice, device);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid device signature');
+  });
+
+  it('rejects a device key that is not ECDH P-256', async () => {
+    const { status } = await register(alice, { ...newDevice(alice), publicKey: alice.signingKey.publicKey });
+
+    assert.equal(status, 400);
+  });
+
+  it('links a pending device once another device approves it', async () => {
+    const { signature, ...unsigned } = newDevice(alice);
+
+    const pending = await register(alice, unsigned);
+    assert.equal(pending.body.device.status, 'pending');
+
+    let listed = await api.request('GET', `/users/${alice.id}/devices`, { token: bob.token });
+    assert.ok(!listed.body.devices.some(d => d.deviceId === unsigned.deviceId));
+
+    const approved = await api.request('POST', `/devices/${unsigned.deviceId}/approve`, {
+      token: alice.token,
+      body: { signature }
+    });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.device.status, 'active');
+
+    listed = await api.request('GET', `/users/${alice.id}/devices`, { token: bob.token });
+    const device = listed.body.devices.find(d => d.deviceId === unsigned.deviceId);
+    assert.equal(device.publicKey, unsigned.publicKey);
+    assert.equal(device.signature, signature);
+  });
+
+  it('does not approve a device with a signature from another account', async () => {
+    const { signature: _signature, ...unsigned } = newDevice(alice);
+    await register(alice, unsigned);
+
+    const { status } = await api.request('POST', `/devices/${unsigned.deviceId}/approve`, {
+      token: alice.token,
+      body: { signature: bob.signingKey.sign(deviceKeyMessage({ userId: alice.id, ...unsigned })) }
+    });
+
+    assert.equal(status, 400);
+  });
+
+  it('cannot approve or revoke another user\'s device', async () => {
+    const { signature, ...unsigned } = newDevice(alice);
+    await register(alice, unsigned);
+
+    const approved = await api.request('POST', `/devices/${unsigned.deviceId}/approve`, {
+      token: bob.token,
+      body: { signature }
+    });
+    const revoked = await api.request('DELETE', `/devices/${unsigned.deviceId}`, { token: bob.token });
+
+    assert.equal(approved.status, 404);
+    assert.equal(revoked.status, 404);
+  });
+
+  it('stops listing a revoked device and refuses to bring it back', async () => {
+    const device = newDevice(alice);
+    await register(alice, device);
+
+    const { status } = await api.request('DELETE', `/devices/${device.deviceId}`, { token: alice.token });
+    assert.equal(status, 200);
+
+    const listed = await api.request('GET', `/users/${alice.id}/devices`, { token: bob.token });
+    assert.ok(!listed.body.devices.some(d => d.deviceId === device.deviceId));
+
+    const own = await api.request('GET', '/devices', { token: alice.token });
+    assert.equal(own.body.devices.find(d => d.deviceId === device.deviceId).status, 'revoked');
+
+    assert.equal((await register(alice, device)).status, 409);
+  });
+
+  describe('messages', () => {
+    const send = (user, body) => api.request('POST', '/messages/send', { token: user.token, body });
+
+    it('stores the message key copies wrapped for devices', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const deviceKeys = [{ deviceId: randomUUID(), fromDeviceId: randomUUID(), ephemeralPublicKey: randomBase64(91), wrappedKey: randomBase64(60) }];
+      const sent = await send(alice, envelopeMessageBody(alice, bob, exchangeId, 1, { deviceKeys }));
+      assert.equal(sent.status, 201);
+
+      const { body } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: bob.token });
+
+      assert.deepEqual(body.messages.find(m => m._id === sent.body.message._id).envelope.deviceKeys, deviceKeys);
+    });
+
+    it('rejects malformed device key copies', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const entry = { deviceId: randomUUID(), fromDeviceId: randomUUID(), ephemeralPublicKey: randomBase64(91), wrappedKey: randomBase64(60) };
+      const { fromDeviceId: _fromDeviceId, ...anonymous } = entry;
+
+      for (const deviceKeys of [{}, [{ ...entry, wrappedKey: 'not base64!' }], [entry, entry], [anonymous]]) {
+        const { status, body } = await send(alice, envelopeMessageBody(alice, bob, exchangeId, 1, { deviceKeys }));
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid envelope: invalid device keys');
+      }
+    });
+
+    it('numbers messages from a linked device in their own sequence', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const device = newDevice(alice);
+      await register(alice, device);
+
+      assert.equal((await send(alice, envelopeMessageBody(alice, bob, exchangeId, 1))).status, 201);
+
+      const fromDevice = { ...envelopeMessageBody(alice, bob, exchangeId, 1), fromDeviceId: device.deviceId };
+      const sent = await send(alice, fromDevice);
+      assert.equal(sent.status, 201);
+
+      const replayed = await send(alice, { ...fromDevice, nonce: randomBase64(16) });
+      assert.equal(replayed.body.rule, 'SEQUENCE_REPLAY');
+
+      const { body } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: bob.token });
+      assert.equal(body.messages.find(m => m._id === sent.body.message._id).fromDeviceId, device.deviceId);
+    });
+
+    it('refuses messages from a device that is not active', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { signature: _signature, ...unsigned } = newDevice(alice);
+      await register(alice, unsigned);
+
+      const { status } = await send(alice, { ...envelopeMessageBody(alice, bob, exchangeId, 1), fromDeviceId: unsigned.deviceId });
+
+      assert.equal(status, 403);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Integration test helpers
+ * Each test file runs in its own process with its own in-memory MongoDB
+ * and an instance of the Express app on a random port.
+ */
+
+import { once } from 'events';
+import { generateKeyPairSync, randomBytes, randomUUID, sign } from 'crypto';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+/**
+ * Start MongoDB and the app
+ * Environment variables (e.g. the replay policy) must be set before calling,
+ * since the app reads them when it is first imported.
+ * @returns {Promise<{request: Function, registerUser: Function, stop: Function}>}
+ */
+export async function startTestServer() {
+  const mongod = await MongoMemoryServer.create();
+  const { default: app } = await import('../server.js');
+
+  await mongoose.connect(mongod.getUri());
+  // Unique indexes (usernames, nonces) must exist before the tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  /**
+   * Call the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api
+   * @param {Object} options - { token, body }
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Register a user with a fresh identity key
+   * @param {string} [prefix] - Username prefix
+   * @param {Object} [options] - { signingKey } from signingKeyPair(), to register one
+   * @returns {Promise<{id: string, username: string, password: string, token: string, signingKey?: Object}>}
+   */
+  const registerUser = async (prefix = 'user', { signingKey } = {}) => {
+    const username = uniqueUsername(prefix);
+    const password = 'correct horse battery';
+    const { status, body } = await request('POST', '/auth/register', {
+      body: {
+        username,
+        password,
+        publicKey: identityPublicKey(),
+        ...(signingKey && {
+          signingPublicKey: signingKey.publicKey,
+          signingKeyAlgorithm: signingKey.algorithm
+        })
+      }
+    });
+
+    if (status !== 201) {
+      throw new Error(`Registration failed (${status}): ${body.error}`);
+    }
+    return { id: String(body.user.id), username, password, token: body.token, signingKey };
+  };
+
+  const stop = async () => {
+    server.closeAllConnections();
+    server.close();
+    await mongoose.disconnect();
+    await mongod.stop();
+  };
+
+  return { request, registerUser, stop };
+}
+
+/**
+ * Username that does not collide with other tests
+ * @param {string} prefix - Readable prefix
+ * @returns {string}
+ */
+export function uniqueUsername(prefix) {
+  return `${prefix}_${randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * A public key in the format clients register (base64 SPKI)
+ * @returns {string}
+ */
+export function identityPublicKey() {
+  const { publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+/**
+ * An Ed25519 signing key as clients register it, with a way to sign
+ * @returns {{publicKey: string, algorithm: string, sign: Function}}
+ */
+export function signingKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+    algorithm: 'Ed25519',
+    sign: message => sign(null, Buffer.from(message, 'utf8'), privateKey).toString('base64')
+  };
+}
+
+/**
+ * Random base64 value standing in for key material or ciphertext
+ * @param {number} [length] - Byte length
+ * @returns {string}
+ */
+export function randomBase64(length = 32) {
+  return randomBytes(length).toString('base64');
+}
+
+/**
+ * Initiate, respond to and confirm a key exchange between two users
+ * @param {Function} request - From startTestServer
+ * @param {Object} initiator - Registered user
+ * @param {Object} responder - Registered user
+ * @returns {Promise<string>} Exchange ID
+ */
+export async function establishExchange(request, initiator, responder) {
+  const initiated = await request('POST', '/key-exchange/initiate', {
+    token: initiator.token,
+    body: {
+      fromUserId: initiator.id,
+      toUserId: responder.id,
+      ephemeralPublicKey: randomBase64(65),
+      signature: randomBase64(64),
+      nonce: randomBase64(16),
+      timestamp: Date.now()
+    }
+  });
+  const { exchangeId } = initiated.body;
+
+  await request('POST', '/key-exchange/respond', {
+    token: responder.token,
+    body: {
+      exchangeId,
+      ephemeralPublicKey: randomBase64(65),
+      keyConfirmation: randomBase64(32),
+      signature: randomBase64(64),
+      nonce: randomBase64(16),
+      timestamp: Date.now()
+    }
+  });
+
+  await request('POST', '/key-exchange/confirm', {
+    token: initiator.token,
+    body: { exchangeId, confirmed: true }
+  });
+
+  return exchangeId;
+}
+
+/**
+ * Body of an encrypted text message with replay protection fields
+ * @param {Object} from - Sender
+ * @param {Object} to - Recipient
+ * @param {string} exchangeId - Key exchange ID
+ * @param {number} sequenceNumber - Sender's sequence number
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object}
+ */
+export function messageBody(from, to, exchangeId, sequenceNumber, overrides = {}) {
+  return {
+    fromUserId: from.id,
+    toUserId: to.id,
+    exchangeId,
+    ciphertext: randomBase64(48),
+    iv: randomBase64(12),
+    tag: randomBase64(16),
+    sequenceNumber,
+    nonce: randomBase64(16),
+    timestamp: Date.now(),
+    messageType: 'text',
+    ...overrides
+  };
+}
+
+/**
+ * Body of a text message in an encrypted envelope (wire format version 2)
+ * @param {Object} from - Sender
+ * @param {Object} to - Recipient
+ * @param {string} exchangeId - Key exchange ID
+ * @param {number} sequenceNumber - Sender's sequence number
+ * @param {Object} [envelopeOverrides] - Envelope fields to replace
+ * @returns {Object}
+ */
+export function envelopeMessageBody(from, to, exchangeId, sequenceNumber, envelopeOverrides = {}) {
+  const { ciphertext, iv, tag, ...body } = messageBody(from, to, exchangeId, sequenceNumber);
+  return {
+    ...body,
+    envelope: {
+      version: 2,
+      suite: 'E2EE-DR-P256-AES256GCM',
+      keyId: exchangeId,
+      header: { dh: randomBase64(91), n: 0, pn: 0 },
+      payload: { ciphertext, iv, tag },
+      ...envelopeOverrides
+    }
+  };
+}
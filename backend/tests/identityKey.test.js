@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, randomUUID } from 'crypto';
+import { startTestServer, identityPublicKey, randomBase64, signingKeyPair } from './helpers.js';
+import { deviceKeyMessage, identityKeyRotationMessage, verifySignature } from '../utils/signatures.js';
+
+/**
+ * An RSA identity public key as clients register it (base64 SPKI)
+ * @returns {string}
+ */
+function rsaPublicKey() {
+  const { publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+describe('identity key rotation', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  /**
+   * Next key version of a user, signed by their current signing key
+   * @param {Object} user - Registered user (signingKey is their current key)
+   * @param {number} keyVersion - Version to introduce
+   * @param {Object} [options] - { reason, signer } (signer defaults to the current key)
+   * @returns {{body: Object, signingKey: Object}} Request body and the new signing key
+   */
+  const rotation = (user, keyVersion, { reason = 'rotated', signer = user.signingKey } = {}) => {
+    const signingKey = signingKeyPair();
+    const next = {
+      keyVersion,
+      publicKey: rsaPublicKey(),
+      signingPublicKey: signingKey.publicKey,
+      signingKeyAlgorithm: signingKey.algorithm,
+      reason
+    };
+    const signature = signer.sign(identityKeyRotationMessage({ userId: user.id, ...next }));
+    return { body: { ...next, signature }, signingKey };
+  };
+
+  const rotate = (user, body) => api.request('POST', '/users/identity-key', { token: user.token, body });
+
+  it('replaces the keys and keeps a signed history with validity periods', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    const firstKeys = (await api.request('GET', `/users/${alice.id}/public-key`, { token: alice.token })).body;
+    assert.equal(firstKeys.keyVersion, 1);
+
+    const { body: next, signingKey } = rotation(alice, 2);
+    const { status, body } = await rotate(alice, next);
+    assert.equal(status, 200);
+    assert.equal(body.keyVersion, 2);
+
+    const current = (await api.request('GET', `/users/${alice.id}/public-key`, { token: alice.token })).body;
+    assert.equal(current.publicKey, next.publicKey);
+    assert.equal(current.signingPublicKey, signingKey.publicKey);
+    assert.equal(current.keyVersion, 2);
+
+    const { body: history } = await api.request('GET', `/users/${alice.id}/key-history`, { token: alice.token });
+    const [retired, latest] = history.keys;
+    assert.equal(history.keys.length, 2);
+    assert.equal(retired.keyVersion, 1);
+    assert.equal(retired.signingPublicKey, firstKeys.signingPublicKey);
+    assert.equal(retired.revoked, false);
+    assert.equal(retired.validUntil, latest.validFrom);
+    assert.equal(latest.validUntil, null);
+    assert.ok(verifySignature(
+      retired.signingPublicKey,
+      retired.signingKeyAlgorithm,
+      identityKeyRotationMessage({ userId: alice.id, ...latest }),
+      latest.rotationSignature
+    ));
+  });
+
+  it('rejects keys not signed by the current identity', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+
+    const { status, body } = await rotate(alice, rotation(alice, 2, { signer: signingKeyPair() }).body);
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid signature by the current identity key');
+    const current = (await api.request('GET', `/users/${alice.id}/public-key`, { token: alice.token })).body;
+    assert.equal(current.keyVersion, 1);
+  });
+
+  it('rejects a replayed rotation and non-RSA identity keys', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    const { body: next } = rotation(alice, 2);
+    await rotate(alice, next);
+
+    const replayed = await rotate(alice, next);
+    assert.equal(replayed.status, 409);
+
+    const notRsa = await rotate(alice, { ...rotation(alice, 3).body, publicKey: identityPublicKey() });
+    assert.equal(notRsa.status, 400);
+  });
+
+  it('marks a key reported as compromised as revoked', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+
+    await rotate(alice, rotation(alice, 2, { reason: 'compromised' }).body);
+
+    const { body } = await api.request('GET', `/users/${alice.id}/key-history`, { token: alice.token });
+    assert.equal(body.keys[0].revoked, true);
+    assert.equal(body.keys[1].reason, 'compromised');
+  });
+
+  it('keeps re-certified devices, revokes the others and expires unfinished exchanges', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    const bob = await api.registerUser('bob', { signingKey: signingKeyPair() });
+
+    const devices = [];
+    for (const name of ['Laptop', 'Phone']) {
+      const device = { deviceId: randomUUID(), name, publicKey: identityPublicKey() };
+      const signature = alice.signingKey.sign(deviceKeyMessage({ userId: alice.id, ...device }));
+      await api.request('POST', '/devices', { token: alice.token, body: { ...device, signature } });
+      devices.push(device);
+    }
+
+    const pending = await api.request('POST', '/key-exchange/initiate', {
+      token: alice.token,
+      body: {
+        fromUserId: alice.id,
+        toUserId: bob.id,
+        ephemeralPublicKey: randomBase64(65),
+        signature: randomBase64(64),
+        nonce: randomBase64(16),
+        timestamp: Date.now()
+      }
+    });
+
+    const { body: next, signingKey } = rotation(alice, 2);
+    const [laptop, phone] = devices;
+    const laptopSignature = signingKey.sign(deviceKeyMessage({ userId: alice.id, ...laptop }));
+
+    const forged = await rotate(alice, { ...next, devices: [{ deviceId: laptop.deviceId, signature: randomBase64(64) }] });
+    assert.equal(forged.status, 400);
+
+    const { status, body } = await rotate(alice, { ...next, devices: [{ deviceId: laptop.deviceId, signature: laptopSignature }] });
+    assert.equal(status, 200);
+    assert.deepEqual(body.revokedDevices, [phone.deviceId]);
+
+    const { body: listed } = await api.request('GET', '/devices', { token: alice.token });
+    const byId = Object.fromEntries(listed.devices.map(device => [device.deviceId, device]));
+    assert.equal(byId[laptop.deviceId].status, 'active');
+    assert.equal(byId[laptop.deviceId].signature, laptopSignature);
+    assert.equal(byId[phone.deviceId].status, 'revoked');
+
+    const exchange = await api.request('GET', `/key-exchange/${pending.body.exchangeId}`, { token: bob.token });
+    assert.equal(exchange.body.keyExchange.status, 'expired');
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, randomBase64 } from './helpers.js';
+
+describe('key exchange controller', () => {
+  let api;
+  let alice;
+  let bob;
+  let mallory;
+
+  before(async () => {
+    api = await startTestServer();
+    alice = await api.registerUser('alice');
+    bob = await api.registerUser('bob');
+    mallory = await api.registerUser('mallory');
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  const initiate = (from, to, overrides = {}) => api.request('POST', '/key-exchange/initiate', {
+    token: from.token,
+    body: {
+      fromUserId: from.id,
+      toUserId: to.id,
+      ephemeralPublicKey: randomBase64(65),
+      signature: randomBase64(64),
+      nonce: randomBase64(16),
+      timestamp: Date.now(),
+      ...overrides
+    }
+  });
+
+  const respond = (user, exchangeId) => api.request('POST', '/key-exchange/respond', {
+    token: user.token,
+    body: {
+      exchangeId,
+      ephemeralPublicKey: randomBase64(65),
+      keyConfirmation: randomBase64(32),
+      signature: randomBase64(64),
+      nonce: randomBase64(16),
+      timestamp: Date.now()
+    }
+  });
+
+  const confirm = (user, exchangeId) => api.request('POST', '/key-exchange/confirm', {
+    token: user.token,
+    body: { exchangeId, confirmed: true }
+  });
+
+  const decline = (user, exchangeId) => api.request('POST', '/key-exchange/decline', {
+    token: user.token,
+    body: { exchangeId }
+  });
+
+  it('moves an exchange from pending to responded to confirmed', async () => {
+    const initiated = await initiate(alice, bob);
+    assert.equal(initiated.status, 201);
+    const { exchangeId } = initiated.body;
+
+    const pending = await api.request('GET', `/key-exchange/pending/${bob.id}`, { token: bob.token });
+    assert.ok(pending.body.exchanges.some(exchange => exchange.exchangeId === exchangeId));
+
+    const responded = await respond(bob, exchangeId);
+    assert.equal(responded.status, 200);
+    assert.equal(String(responded.body.keyExchange.fromUserId), alice.id);
+    assert.ok(responded.body.keyExchange.initiatorPublicKey);
+
+    const confirmed = await confirm(alice, exchangeId);
+    assert.equal(confirmed.status, 200);
+
+    const { body } = await api.request('GET', `/key-exchange/${exchangeId}`, { token: bob.token });
+    assert.equal(body.keyExchange.status, 'confirmed');
+
+    const completed = await api.request('GET', `/key-exchange/completed/${alice.id}`, { token: alice.token });
+    assert.ok(completed.body.exchanges.some(exchange => exchange.exchangeId === exchangeId));
+  });
+
+  describe('initiate', () => {
+    it('requires the key exchange fields', async () => {
+      const { status } = await initiate(alice, bob, { signature: undefined });
+
+      assert.equal(status, 400);
+    });
+
+    it('cannot be sent on behalf of another user', async () => {
+      const { status } = await initiate(mallory, bob, { fromUserId: alice.id });
+
+      assert.equal(status, 403);
+    });
+
+    it('rejects an unknown recipient', async () => {
+      const { status } = await initiate(alice, { id: '64b7f0000000000000000000' });
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('respond', () => {
+    it('only accepts the recipient', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      const { status } = await respond(mallory, exchangeId);
+
+      assert.equal(status, 403);
+    });
+
+    it('rejects an exchange that was already answered', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      await respond(bob, exchangeId);
+      const { status, body } = await respond(bob, exchangeId);
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Key exchange already processed');
+    });
+
+    it('rejects a declined exchange', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      await decline(bob, exchangeId);
+      const { status } = await respond(bob, exchangeId);
+
+      assert.equal(status, 400);
+    });
+
+    it('reports an unknown exchange', async () => {
+      const { status } = await respond(bob, 'no-such-exchange');
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('confirm', () => {
+    it('rejects an exchange that has not been answered', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      const { status, body } = await confirm(alice, exchangeId);
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid key exchange status');
+    });
+
+    it('only accepts the initiator', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      await respond(bob, exchangeId);
+      const { status } = await confirm(bob, exchangeId);
+
+      assert.equal(status, 403);
+    });
+
+    it('cannot confirm twice', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      await respond(bob, exchangeId);
+      await confirm(alice, exchangeId);
+      const { status } = await confirm(alice, exchangeId);
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('decline', () => {
+    it('only accepts the recipient', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      const { status } = await decline(alice, exchangeId);
+
+      assert.equal(status, 403);
+    });
+
+    it('rejects an exchange that was already answered', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      await respond(bob, exchangeId);
+      const { status } = await decline(bob, exchangeId);
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('read access', () => {
+    it('hides an exchange from non-participants', async () => {
+      const { exchangeId } = (await initiate(alice, bob)).body;
+      const { status } = await api.request('GET', `/key-exchange/${exchangeId}`, { token: mallory.token });
+
+      assert.equal(status, 403);
+    });
+
+    it("hides another user's pending exchanges", async () => {
+      const { status } = await api.request('GET', `/key-exchange/pending/${bob.id}`, { token: mallory.token });
+
+      assert.equal(status, 403);
+    });
+  });
+});
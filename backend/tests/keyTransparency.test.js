@@ -0,0 +1,170 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import { startTestServer, signingKeyPair, uniqueUsername, identityPublicKey } from './helpers.js';
+import { identityKeyRotationMessage } from '../utils/signatures.js';
+import { backfillKeyLog } from '../utils/keyTransparency.js';
+import User from '../models/User.model.js';
+import KeyLogNode from '../models/KeyLogNode.model.js';
+// The proofs are checked the way clients check them
+import {
+  keyLogLeafHash,
+  verifyInclusion,
+  verifyConsistency,
+  verifyTreeHead
+} from '../../shared/crypto/transparency.js';
+
+describe('key transparency log', () => {
+  let api;
+  let logKey;
+
+  before(async () => {
+    api = await startTestServer();
+    const user = await api.registerUser('monitor');
+    logKey = (await api.request('GET', '/transparency/log-key', { token: user.token })).body;
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  /**
+   * Fetch a user's public keys and check their proof of inclusion in the log
+   * @param {Object} caller - Registered user making the request
+   * @param {string} userId - User whose keys to fetch
+   * @returns {Promise<{keys: Object, leaf: Object}>} Response and parsed log leaf
+   */
+  const fetchLoggedKeys = async (caller, userId) => {
+    const { status, body: keys } = await api.request('GET', `/users/${userId}/public-key`, { token: caller.token });
+    assert.equal(status, 200);
+
+    const { leafIndex, leaf, inclusionProof, treeHead } = keys.transparency;
+    assert.ok(await verifyTreeHead(treeHead, logKey.publicKey));
+    assert.ok(await verifyInclusion(await keyLogLeafHash(leaf), leafIndex, treeHead.treeSize, inclusionProof, treeHead.rootHash));
+    return { keys, leaf: JSON.parse(leaf) };
+  };
+
+  /**
+   * Consistency proof between two tree heads
+   * @param {Object} caller - Registered user making the request
+   * @param {Object} older - Earlier tree head
+   * @param {Object} newer - Later tree head
+   * @returns {Promise<boolean>} Whether the proof checks out
+   */
+  const consistent = async (caller, older, newer) => {
+    const { body } = await api.request(
+      'GET',
+      `/transparency/consistency?from=${older.treeSize}&to=${newer.treeSize}`,
+      { token: caller.token }
+    );
+    return verifyConsistency(older.treeSize, older.rootHash, newer.treeSize, newer.rootHash, body.proof);
+  };
+
+  it('signs tree heads with an ECDSA P-256 log key', async () => {
+    const alice = await api.registerUser('alice');
+    const { body } = await api.request('GET', '/transparency/tree-head', { token: alice.token });
+
+    assert.equal(logKey.algorithm, 'ECDSA-P256');
+    assert.ok(body.treeHead.treeSize >= 2);
+    assert.ok(await verifyTreeHead(body.treeHead, logKey.publicKey));
+    assert.equal(await verifyTreeHead({ ...body.treeHead, treeSize: body.treeHead.treeSize + 1 }, logKey.publicKey), false);
+  });
+
+  it('returns registered keys with a proof of inclusion', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    const bob = await api.registerUser('bob');
+
+    const { keys, leaf } = await fetchLoggedKeys(bob, alice.id);
+
+    assert.equal(leaf.event, 'registered');
+    assert.equal(leaf.userId, alice.id);
+    assert.equal(leaf.keyVersion, 1);
+    assert.equal(leaf.publicKey, keys.publicKey);
+    assert.equal(leaf.signingPublicKey, keys.signingPublicKey);
+  });
+
+  it('logs rotated keys in a tree consistent with the earlier one', async () => {
+    const alice = await api.registerUser('alice', { signingKey: signingKeyPair() });
+    const original = await fetchLoggedKeys(alice, alice.id);
+
+    const { publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const signingKey = signingKeyPair();
+    const next = {
+      keyVersion: 2,
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+      signingPublicKey: signingKey.publicKey,
+      signingKeyAlgorithm: signingKey.algorithm,
+      reason: 'rotated'
+    };
+    const signature = alice.signingKey.sign(identityKeyRotationMessage({ userId: alice.id, ...next }));
+    await api.request('POST', '/users/identity-key', { token: alice.token, body: { ...next, signature } });
+
+    const rotated = await fetchLoggedKeys(alice, alice.id);
+    assert.equal(rotated.leaf.event, 'identity-key-rotated');
+    assert.equal(rotated.leaf.keyVersion, 2);
+    assert.equal(rotated.leaf.publicKey, next.publicKey);
+    assert.ok(rotated.keys.transparency.leafIndex > original.keys.transparency.leafIndex);
+
+    const older = original.keys.transparency.treeHead;
+    const newer = rotated.keys.transparency.treeHead;
+    assert.ok(await consistent(alice, older, newer));
+    assert.equal(await consistent(alice, { ...older, rootHash: newer.rootHash }, newer), false);
+  });
+
+  it('rejects invalid consistency proof ranges', async () => {
+    const alice = await api.registerUser('alice');
+    const { body } = await api.request('GET', '/transparency/tree-head', { token: alice.token });
+    const size = body.treeHead.treeSize;
+
+    const reversed = await api.request('GET', `/transparency/consistency?from=${size}&to=1`, { token: alice.token });
+    assert.equal(reversed.status, 400);
+
+    const malformed = await api.request('GET', '/transparency/consistency?from=-1&to=1', { token: alice.token });
+    assert.equal(malformed.status, 400);
+
+    const beyond = await api.request('GET', `/transparency/consistency?from=1&to=${size + 100}`, { token: alice.token });
+    assert.equal(beyond.status, 404);
+  });
+
+  it('logs keys of accounts older than the log at startup, not when they are looked up', async () => {
+    const alice = await api.registerUser('alice');
+    // Created without going through registration, as before the log existed
+    const legacy = await User.create({
+      username: uniqueUsername('legacy'),
+      passwordHash: 'not-a-real-hash',
+      publicKey: identityPublicKey()
+    });
+    const before = (await api.request('GET', '/transparency/tree-head', { token: alice.token })).body.treeHead;
+
+    const lookup = await api.request('GET', `/users/${legacy._id}/public-key`, { token: alice.token });
+    assert.equal(lookup.status, 503);
+    const unchanged = (await api.request('GET', '/transparency/tree-head', { token: alice.token })).body.treeHead;
+    assert.equal(unchanged.treeSize, before.treeSize);
+
+    const { entries } = await backfillKeyLog();
+    assert.equal(entries, 1);
+    const { leaf, keys } = await fetchLoggedKeys(alice, String(legacy._id));
+    assert.equal(leaf.event, 'existing-key');
+    assert.ok(await consistent(alice, before, keys.transparency.treeHead));
+
+    // Already logged: nothing to do the next time
+    assert.deepEqual(await backfillKeyLog(), { subtrees: 0, entries: 0 });
+  });
+
+  it('rebuilds subtree hashes missing from the database', async () => {
+    const alice = await api.registerUser('alice');
+    await api.registerUser('bob');
+    await KeyLogNode.deleteMany({ level: { $gte: 1 } });
+
+    const { subtrees } = await backfillKeyLog();
+    assert.ok(subtrees > 0);
+
+    const { leaf } = await fetchLoggedKeys(alice, alice.id);
+    assert.equal(leaf.userId, alice.id);
+  });
+
+  it('requires authentication', async () => {
+    const { status } = await api.request('GET', '/transparency/tree-head');
+    assert.equal(status, 401);
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, establishExchange, messageBody, envelopeMessageBody } from './helpers.js';
+
+describe('message controller', () => {
+  let api;
+  let alice;
+  let bob;
+  let mallory;
+
+  before(async () => {
+    api = await startTestServer();
+    alice = await api.registerUser('alice');
+    bob = await api.registerUser('bob');
+    mallory = await api.registerUser('mallory');
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  const send = (user, body) => api.request('POST', '/messages/send', { token: user.token, body });
+
+  it('stores a message and returns it to both participants', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    const body = messageBody(alice, bob, exchangeId, 1);
+
+    const sent = await send(alice, body);
+    assert.equal(sent.status, 201);
+
+    for (const user of [alice, bob]) {
+      const { status, body: fetched } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: user.token });
+      assert.equal(status, 200);
+
+      const message = fetched.messages.find(m => m._id === sent.body.message._id);
+      assert.ok(message);
+      assert.equal(message.ciphertext, body.ciphertext);
+      assert.equal(message.nonce, body.nonce);
+      assert.equal(message.sequenceNumber, 1);
+    }
+  });
+
+  it('keeps the wire format version for the recipient', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    const sent = await send(alice, messageBody(alice, bob, exchangeId, 1, { wireVersion: 1 }));
+
+    const { body: fetched } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: bob.token });
+
+    assert.equal(fetched.messages.find(m => m._id === sent.body.message._id).wireVersion, 1);
+  });
+
+  it('stores an envelope and returns it to the recipient', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    const body = envelopeMessageBody(alice, bob, exchangeId, 1);
+
+    const sent = await send(alice, body);
+    assert.equal(sent.status, 201);
+
+    const { body: fetched } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: bob.token });
+    const message = fetched.messages.find(m => m._id === sent.body.message._id);
+    assert.deepEqual(message.envelope, body.envelope);
+    assert.equal(message.ciphertext, undefined);
+  });
+
+  it('stores envelopes of cipher suites it does not know', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    const body = envelopeMessageBody(alice, bob, exchangeId, 1, { suite: 'E2EE-PQ-MLKEM768-AES256GCM', header: { kem: 'AAAA' } });
+
+    assert.equal((await send(alice, body)).status, 201);
+  });
+
+  it('keeps separate sequence numbers for each direction', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+
+    assert.equal((await send(alice, messageBody(alice, bob, exchangeId, 1))).status, 201);
+    assert.equal((await send(bob, messageBody(bob, alice, exchangeId, 1))).status, 201);
+    assert.equal((await send(alice, messageBody(alice, bob, exchangeId, 2))).status, 201);
+  });
+
+  describe('validation', () => {
+    it('requires the ciphertext fields', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status } = await send(alice, messageBody(alice, bob, exchangeId, 1, { tag: undefined }));
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects malformed user IDs', async () => {
+      const { status } = await send(alice, messageBody(alice, { id: 'not-an-id' }, null, 1));
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects a malformed ratchet header', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status } = await send(alice, messageBody(alice, bob, exchangeId, 1, { ratchetHeader: { dh: '', n: -1 } }));
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects an invalid wire format version', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status } = await send(alice, messageBody(alice, bob, exchangeId, 1, { wireVersion: 'v1' }));
+
+      assert.equal(status, 400);
+    });
+
+    it('rejects a malformed envelope', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const valid = envelopeMessageBody(alice, bob, exchangeId, 1).envelope;
+
+      for (const envelope of [
+        { ...valid, version: 3 },
+        { ...valid, suite: 'aes gcm' },
+        { ...valid, keyId: '' },
+        { ...valid, header: null },
+        { ...valid, payload: { ...valid.payload, iv: 'AAAA' } },
+        { ...valid, payload: { ...valid.payload, ciphertext: 'not base64!' } }
+      ]) {
+        const { status, body } = await send(alice, envelopeMessageBody(alice, bob, exchangeId, 1, envelope));
+        assert.equal(status, 400, JSON.stringify(envelope));
+        assert.match(body.error, /^Invalid envelope/);
+      }
+    });
+
+    it('rejects an envelope whose key ID names another exchange', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const other = await establishExchange(api.request, alice, bob);
+
+      const { status, body } = await send(alice, envelopeMessageBody(alice, bob, exchangeId, 1, { keyId: other }));
+      assert.equal(status, 400);
+      assert.match(body.error, /key ID does not match/);
+    });
+
+    it('rejects legacy fields alongside an envelope', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const body = { ...envelopeMessageBody(alice, bob, exchangeId, 1), ciphertext: 'AAAA' };
+
+      assert.equal((await send(alice, body)).status, 400);
+    });
+
+    it('cannot be sent on behalf of another user', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status } = await send(mallory, messageBody(alice, bob, exchangeId, 1));
+
+      assert.equal(status, 403);
+    });
+
+    it("cannot read another user's conversation", async () => {
+      const { status } = await api.request('GET', `/messages/${alice.id}/${bob.id}`, { token: mallory.token });
+
+      assert.equal(status, 403);
+    });
+  });
+
+  describe('replay protection', () => {
+    it('rejects a duplicate nonce', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const first = messageBody(alice, bob, exchangeId, 1);
+      await send(alice, first);
+
+      const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 2, { nonce: first.nonce }));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'DUPLICATE_NONCE');
+    });
+
+    it('rejects a resent copy of a message', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const message = messageBody(alice, bob, exchangeId, 1);
+      await send(alice, message);
+
+      const { status, body } = await send(alice, message);
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'DUPLICATE_NONCE');
+    });
+
+    it('rejects a sequence number that was already used', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      await send(alice, messageBody(alice, bob, exchangeId, 1));
+      await send(alice, messageBody(alice, bob, exchangeId, 2));
+
+      const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 2));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'SEQUENCE_REPLAY');
+    });
+
+    it('rejects a stale timestamp', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 1, {
+        timestamp: Date.now() - 60 * 60 * 1000
+      }));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'CLOCK_SKEW');
+    });
+
+    it('rejects a timestamp from the future', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 1, {
+        timestamp: Date.now() + 60 * 60 * 1000
+      }));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'CLOCK_SKEW');
+    });
+
+    it('requires a sequence number and nonce', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, undefined));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'MISSING_FIELDS');
+    });
+
+    it('rejects a third user sending on the exchange', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      await send(alice, messageBody(alice, bob, exchangeId, 1));
+
+      const { status, body } = await send(mallory, messageBody(mallory, bob, exchangeId, 2));
+
+      assert.equal(status, 400);
+      assert.equal(body.rule, 'USER_PAIR_MISMATCH');
+    });
+
+    it('accepts only one of two concurrent copies', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const message = messageBody(alice, bob, exchangeId, 1);
+
+      const results = await Promise.all([send(alice, message), send(alice, message)]);
+
+      assert.deepEqual(results.map(result => result.status).sort(), [201, 400]);
+    });
+
+    it('records the rule in the security log', async () => {
+      const exchangeId = await establishExchange(api.request, alice, bob);
+      const message = messageBody(alice, bob, exchangeId, 1);
+      await send(alice, message);
+      await send(alice, message);
+
+      const { body } = await api.request('GET', '/security-logs?eventType=REPLAY_ATTACK_DETECTED', { token: alice.token });
+      const entry = body.logs.find(log => log.details?.exchangeId === exchangeId);
+
+      assert.ok(entry);
+      assert.equal(entry.details.rule, 'DUPLICATE_NONCE');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import KeyExchange from '../models/KeyExchange.model.js';
+import { dropKeyExchangeCreatedAtTTL } from '../config/migrations.js';
+
+describe('startup migrations', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  it('drops the createdAt TTL index that deleted X3DH exchanges after an hour', async () => {
+    // As left by versions that expired every exchange through createdAt
+    await KeyExchange.collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+
+    assert.equal(await dropKeyExchangeCreatedAtTTL(), true);
+
+    const indexes = await KeyExchange.collection.indexes();
+    assert.ok(!indexes.some(index => index.name === 'createdAt_1'));
+    assert.ok(indexes.some(index => index.key.expiresAt === 1 && index.expireAfterSeconds === 0));
+
+    // Nothing left to do the second time
+    assert.equal(await dropKeyExchangeCreatedAtTTL(), false);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, establishExchange, messageBody } from './helpers.js';
+
+// The policy is read once per process, so it is set before the app loads
+process.env.REPLAY_CLOCK_SKEW_SECONDS = '30';
+process.env.REPLAY_NONCE_RETENTION_SECONDS = '600';
+process.env.REPLAY_MAX_SEQUENCE_GAP = '5';
+process.env.REPLAY_SEQUENCE_GAP_ACTION = 'reject';
+
+describe('replay protection policy', () => {
+  let api;
+  let alice;
+  let bob;
+
+  before(async () => {
+    api = await startTestServer();
+    alice = await api.registerUser('alice');
+    bob = await api.registerUser('bob');
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  const send = (user, body) => api.request('POST', '/messages/send', { token: user.token, body });
+
+  it('reports the configured policy', async () => {
+    const { status, body } = await api.request('GET', '/security-logs/policy', { token: alice.token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.policy, {
+      clockSkewSeconds: 30,
+      nonceRetentionSeconds: 600,
+      maxSequenceGap: 5,
+      sequenceGapAction: 'reject'
+    });
+  });
+
+  it('applies the configured clock skew', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 1, {
+      timestamp: Date.now() - 60 * 1000
+    }));
+
+    assert.equal(status, 400);
+    assert.equal(body.rule, 'CLOCK_SKEW');
+  });
+
+  it('accepts gaps up to the configured maximum', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    await send(alice, messageBody(alice, bob, exchangeId, 1));
+
+    const { status } = await send(alice, messageBody(alice, bob, exchangeId, 7));
+
+    assert.equal(status, 201);
+  });
+
+  it('rejects larger gaps', async () => {
+    const exchangeId = await establishExchange(api.request, alice, bob);
+    await send(alice, messageBody(alice, bob, exchangeId, 1));
+
+    const { status, body } = await send(alice, messageBody(alice, bob, exchangeId, 8));
+
+    assert.equal(status, 400);
+    assert.equal(body.rule, 'SEQUENCE_GAP');
+
+    // The rejected number was not consumed
+    assert.equal((await send(alice, messageBody(alice, bob, exchangeId, 2))).status, 201);
+  });
+
+  it('counts rejections per rule', async () => {
+    const { body } = await api.request('GET', '/security-logs/policy', { token: alice.token });
+
+    assert.ok(body.metrics['replayRejected.CLOCK_SKEW'] >= 1);
+    assert.ok(body.metrics['replayRejected.SEQUENCE_GAP'] >= 1);
+  });
+
+  it('serves the metrics to authenticated users only', async () => {
+    const health = await api.request('GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.metrics, undefined);
+
+    assert.equal((await api.request('GET', '/security-logs/stats')).status, 401);
+    const { body } = await api.request('GET', '/security-logs/stats', { token: alice.token });
+    assert.ok(body.stats.metrics['replayRejected.CLOCK_SKEW'] >= 1);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Validation of encrypted key backups
+ * Mirrors the format written by the clients (shared/crypto/backup.js). The
+ * server cannot decrypt a backup; it only checks that a client will be able
+ * to derive its key again, and bounds the parameters so a backup cannot be
+ * made to cost a restoring client unbounded time or memory.
+ */
+
+import { isBase64 } from './envelope.js';
+
+// Backup formats the server accepts
+export const BACKUP_VERSIONS = [1];
+
+// Largest ciphertext stored (base64 characters); keeps the document well
+// under MongoDB's 16 MB limit
+export const MAX_BACKUP_SIZE = 8 * 1024 * 1024;
+
+// Accepted key derivations and the bounds of their parameters
+const KDF_BOUNDS = {
+  Argon2id: {
+    memory: [19 * 1024, 1024 * 1024], // KiB
+    passes: [1, 10],
+    parallelism: [1, 16]
+  },
+  PBKDF2: {
+    iterations: [100000, 10000000]
+  }
+};
+
+/**
+ * Check a backup's key derivation parameters
+ * @param {*} kdf - { name, salt, ...params }
+ * @returns {boolean}
+ */
+function isValidKdf(kdf) {
+  if (kdf === null || typeof kdf !== 'object' || Array.isArray(kdf)) {
+    return false;
+  }
+
+  const bounds = KDF_BOUNDS[kdf.name];
+  if (!bounds || !isBase64(kdf.salt, 16)) {
+    return false;
+  }
+  if (kdf.name === 'PBKDF2' && kdf.hash !== 'SHA-256') {
+    return false;
+  }
+
+  const allowed = ['name', 'salt', 'hash', ...Object.keys(bounds)];
+  if (Object.keys(kdf).some(key => !allowed.includes(key))) {
+    return false;
+  }
+
+  return Object.entries(bounds).every(([param, [min, max]]) =>
+    Number.isInteger(kdf[param]) && kdf[param] >= min && kdf[param] <= max
+  );
+}
+
+/**
+ * Check an encrypted key backup
+ * @param {Object} backup - { version, secretType, kdf, ciphertext }
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+export function validateBackup(backup) {
+  const { version, secretType, kdf, ciphertext } = backup || {};
+
+  if (!BACKUP_VERSIONS.includes(version)) {
+    return 'unsupported version';
+  }
+  if (!['passphrase', 'recovery-code'].includes(secretType)) {
+    return 'invalid secret type';
+  }
+  if (!isValidKdf(kdf)) {
+    return 'invalid key derivation parameters';
+  }
+  if (typeof ciphertext === 'string' && ciphertext.length > MAX_BACKUP_SIZE) {
+    return 'backup is too large';
+  }
+  if (!isBase64(ciphertext) || Buffer.from(ciphertext, 'base64').length < 12 + 16) {
+    return 'invalid ciphertext';
+  }
+
+  return null;
+}
@@ -0,0 +1,123 @@
+/**
+ * Validation of encrypted message envelopes
+ * Mirrors the wire format written by the clients (shared/crypto/wireFormat.js).
+ * The server cannot decrypt envelopes; it only checks their shape so that
+ * every stored message can be read by a client that knows its suite.
+ */
+
+// Envelope layouts the server accepts
+export const ENVELOPE_VERSIONS = [2];
+
+// Cipher suites with known parameters; other well-formed suite IDs are stored
+// as opaque payloads so clients can move to new ciphers without a server change
+export const CIPHER_SUITES = {
+  'E2EE-DR-P256-AES256GCM': { ivLength: 12, tagLength: 16, ratchetHeader: true },
+  'E2EE-SK-AES256GCM': { ivLength: 12, tagLength: 16, ratchetHeader: false },
+  'E2EE-DEV-P256-AES256GCM': { ivLength: 12, tagLength: 16, ratchetHeader: false }
+};
+
+const SUITE_ID_PATTERN = /^[A-Z0-9][A-Z0-9-]{0,63}$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const MAX_KEY_ID_LENGTH = 200;
+
+// Devices a message key can be wrapped for (both accounts' devices together)
+export const MAX_DEVICE_KEYS = 50;
+export const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Check the shape of a Double Ratchet header
+ * @param {Object} header - { dh, n, pn }
+ * @returns {boolean}
+ */
+export function isValidRatchetHeader(header) {
+  return header !== null && typeof header === 'object' &&
+    typeof header.dh === 'string' && header.dh.length > 0 &&
+    Number.isInteger(header.n) && header.n >= 0 &&
+    Number.isInteger(header.pn) && header.pn >= 0;
+}
+
+/**
+ * Check that a field is base64 (of the given decoded length, if fixed)
+ * @param {*} value - Field value
+ * @param {number} [length] - Required decoded length
+ * @returns {boolean}
+ */
+export function isBase64(value, length = null) {
+  if (typeof value !== 'string' || value.length % 4 !== 0 || !BASE64_PATTERN.test(value)) {
+    return false;
+  }
+  return length === null || Buffer.from(value, 'base64').length === length;
+}
+
+/**
+ * Check the message key copies wrapped for devices
+ * @param {*} deviceKeys - [{ deviceId, fromDeviceId, ephemeralPublicKey, wrappedKey }]
+ * @returns {boolean}
+ */
+function isValidDeviceKeys(deviceKeys) {
+  if (!Array.isArray(deviceKeys) || deviceKeys.length > MAX_DEVICE_KEYS) {
+    return false;
+  }
+
+  const deviceIds = new Set();
+  for (const entry of deviceKeys) {
+    if (entry === null || typeof entry !== 'object' ||
+        typeof entry.deviceId !== 'string' || !DEVICE_ID_PATTERN.test(entry.deviceId) ||
+        typeof entry.fromDeviceId !== 'string' || !DEVICE_ID_PATTERN.test(entry.fromDeviceId) ||
+        deviceIds.has(entry.deviceId) ||
+        !isBase64(entry.ephemeralPublicKey) || !isBase64(entry.wrappedKey)) {
+      return false;
+    }
+    deviceIds.add(entry.deviceId);
+  }
+  return true;
+}
+
+/**
+ * Check an encrypted message envelope
+ * @param {Object} envelope - { version, suite, keyId, header, payload: { ciphertext, iv, tag, sealedMetadata? }, deviceKeys? }
+ * @returns {string|null} What is wrong with it, or null if it is valid
+ */
+export function validateEnvelope(envelope) {
+  if (envelope === null || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    return 'envelope must be an object';
+  }
+
+  const { version, suite, keyId, header, payload, deviceKeys } = envelope;
+
+  if (!ENVELOPE_VERSIONS.includes(version)) {
+    return 'unsupported version';
+  }
+  if (typeof suite !== 'string' || !SUITE_ID_PATTERN.test(suite)) {
+    return 'invalid cipher suite';
+  }
+  if (typeof keyId !== 'string' || keyId.length === 0 || keyId.length > MAX_KEY_ID_LENGTH) {
+    return 'invalid key ID';
+  }
+  if (payload === null || typeof payload !== 'object') {
+    return 'payload is missing';
+  }
+
+  const known = CIPHER_SUITES[suite];
+  if (known) {
+    if (known.ratchetHeader ? !isValidRatchetHeader(header) : header != null) {
+      return 'invalid header for cipher suite';
+    }
+  } else if (header != null && (typeof header !== 'object' || Array.isArray(header))) {
+    return 'header must be an object';
+  }
+
+  if (!isBase64(payload.ciphertext) ||
+      !isBase64(payload.iv, known?.ivLength) ||
+      !isBase64(payload.tag, known?.tagLength)) {
+    return 'invalid payload';
+  }
+  if (payload.sealedMetadata != null && !isBase64(payload.sealedMetadata)) {
+    return 'invalid sealed metadata';
+  }
+  if (deviceKeys !== undefined && !isValidDeviceKeys(deviceKeys)) {
+    return 'invalid device keys';
+  }
+
+  return null;
+}
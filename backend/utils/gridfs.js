@@ -0,0 +1,52 @@
+/**
+ * GridFS storage for encrypted file chunks
+ * Each encrypted chunk is one GridFS file, so chunks can be uploaded,
+ * replaced (on resume) and streamed back independently
+ */
+
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = 'encryptedFiles';
+
+let bucket = null;
+let bucketDb = null;
+
+/**
+ * GridFS bucket on the current MongoDB connection
+ * @returns {mongoose.mongo.GridFSBucket}
+ * @throws {Error} If MongoDB is not connected
+ */
+export function getFileBucket() {
+  const db = mongoose.connection.db;
+  if (!db) {
+    throw new Error('MongoDB is not connected');
+  }
+
+  // Recreate after a reconnect
+  if (!bucket || bucketDb !== db) {
+    bucket = new mongoose.mongo.GridFSBucket(db, { bucketName: BUCKET_NAME });
+    bucketDb = db;
+  }
+  return bucket;
+}
+
+/**
+ * GridFS file name of one encrypted chunk
+ * @param {string} fileId - FileUpload ID
+ * @param {number} chunkIndex - Chunk index
+ * @returns {string}
+ */
+export function chunkFileName(fileId, chunkIndex) {
+  return `${fileId}/${chunkIndex}`;
+}
+
+/**
+ * Delete every stored GridFS file matching a filter
+ * @param {Object} filter - Query on the bucket's files collection
+ * @returns {Promise<void>}
+ */
+export async function deleteChunkFiles(filter) {
+  const fileBucket = getFileBucket();
+  const files = await fileBucket.find(filter).toArray();
+  await Promise.all(files.map(file => fileBucket.delete(file._id)));
+}
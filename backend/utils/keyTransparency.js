@@ -0,0 +1,520 @@
+/**
+ * Key transparency log
+ * Every identity key the server hands out is appended to a Merkle tree
+ * (RFC 6962 hashing, same as shared/crypto/transparency.js) and every size
+ * the tree reaches gets a tree head signed with the log key. The public key
+ * endpoints return an inclusion proof of the user's current keys against the
+ * latest tree head, and clients check that later tree heads are consistent
+ * with the ones they have seen, so the log cannot be rewritten unnoticed.
+ *
+ * The hashes of complete subtrees are stored as they complete (KeyLogNode),
+ * so tree heads and proofs read O(log n) hashes. Keys are appended when
+ * they change; keys missing from the log (accounts older than it) are
+ * appended by backfillKeyLog at startup, never while serving a lookup.
+ *
+ * The log key is ECDSA P-256, read from KEY_LOG_PRIVATE_KEY (base64 PKCS#8)
+ * or generated on first use and kept in MongoDB. Appends are serialized in
+ * this process; the unique leaf index makes a concurrent append from another
+ * process fail rather than fork the log.
+ */
+
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+import KeyLogEntry from '../models/KeyLogEntry.model.js';
+import TreeHead from '../models/TreeHead.model.js';
+import KeyLogKey from '../models/KeyLogKey.model.js';
+import KeyLogNode from '../models/KeyLogNode.model.js';
+import User from '../models/User.model.js';
+
+// What put a key in the log
+export const KEY_LOG_EVENTS = ['registered', 'signing-key-added', 'identity-key-rotated', 'existing-key'];
+
+export const KEY_LOG_SIGNATURE_ALGORITHM = 'ECDSA-P256';
+
+const KEY_LOG_KEY_NAME = 'key-transparency';
+
+/**
+ * SHA-256 of the concatenated parts
+ * @param {...Buffer} parts - Bytes
+ * @returns {Buffer}
+ */
+function sha256(...parts) {
+  const hash = createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+/**
+ * Hash of an inner node
+ * @param {Buffer} left - Left child hash
+ * @param {Buffer} right - Right child hash
+ * @returns {Buffer}
+ */
+function nodeHash(left, right) {
+  return sha256(Buffer.from([1]), left, right);
+}
+
+/**
+ * Largest power of two smaller than n (n > 1)
+ * @param {number} n - Number of leaves
+ * @returns {number}
+ */
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+/**
+ * The log leaf recording a user's identity keys (same as keyLogLeaf in @e2ee/crypto)
+ * @param {Object} entry - { userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, event, loggedAt }
+ * @returns {string}
+ */
+export function keyLogLeaf({ userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, event, loggedAt }) {
+  const leaf = {
+    event,
+    keyVersion,
+    loggedAt,
+    publicKey,
+    signingKeyAlgorithm: signingKeyAlgorithm || null,
+    signingPublicKey: signingPublicKey || null,
+    userId: String(userId)
+  };
+  return JSON.stringify(leaf, Object.keys(leaf).sort());
+}
+
+/**
+ * Leaf hash of a log leaf
+ * @param {string} leaf - From keyLogLeaf
+ * @returns {string} Base64 hash
+ */
+export function keyLogLeafHash(leaf) {
+  return sha256(Buffer.from([0]), Buffer.from(leaf, 'utf8')).toString('base64');
+}
+
+// Complete subtree hashes read so far: they never change once stored.
+// Small subtrees are read from the database each time, so the cache stays
+// a fraction of the log's size.
+const subtreeCache = new Map();
+const CACHED_SUBTREE_LEVEL = 4;
+
+/**
+ * Hash of a complete subtree (see KeyLogNode)
+ * @param {number} level - Subtree height (2^level leaves)
+ * @param {number} index - Position among the subtrees of that height
+ * @returns {Promise<Buffer>}
+ * @throws If the subtree hash is not stored
+ */
+async function subtreeHash(level, index) {
+  const key = `${level}:${index}`;
+  if (subtreeCache.has(key)) return subtreeCache.get(key);
+
+  const node = await KeyLogNode.findOne({ level, index }).select('hash').lean();
+  if (!node) {
+    throw new Error(`Key transparency log is missing the hash of subtree ${key}`);
+  }
+
+  const hash = Buffer.from(node.hash, 'base64');
+  if (level >= CACHED_SUBTREE_LEVEL) subtreeCache.set(key, hash);
+  return hash;
+}
+
+/**
+ * Root hash of size leaves from start on (RFC 6962 MTH). The split always
+ * yields complete subtrees aligned to their size, which are all stored, so
+ * this reads O(log n) hashes.
+ * @param {number} start - First leaf index
+ * @param {number} size - Number of leaves
+ * @returns {Promise<Buffer>}
+ */
+async function rangeHash(start, size) {
+  if (size === 0) return sha256();
+  if ((size & (size - 1)) === 0) return subtreeHash(Math.log2(size), start / size);
+
+  const k = splitPoint(size);
+  return nodeHash(await rangeHash(start, k), await rangeHash(start + k, size - k));
+}
+
+/**
+ * Audit path of a leaf (RFC 6962 PATH)
+ * @param {number} index - Leaf index, relative to start
+ * @param {number} start - First leaf index of the tree
+ * @param {number} size - Number of leaves in the tree
+ * @returns {Promise<Array<Buffer>>}
+ */
+async function auditPath(index, start, size) {
+  if (size <= 1) return [];
+
+  const k = splitPoint(size);
+  if (index < k) {
+    return [...await auditPath(index, start, k), await rangeHash(start + k, size - k)];
+  }
+  return [...await auditPath(index - k, start + k, size - k), await rangeHash(start, k)];
+}
+
+/**
+ * Consistency proof between the first m leaves and a tree (RFC 6962 SUBPROOF)
+ * @param {number} m - Size of the smaller tree
+ * @param {number} start - First leaf index of the tree
+ * @param {number} size - Number of leaves in the tree
+ * @param {boolean} complete - Whether the smaller tree is a complete subtree the verifier knows
+ * @returns {Promise<Array<Buffer>>}
+ */
+async function subproof(m, start, size, complete) {
+  if (m === size) {
+    return complete ? [] : [await rangeHash(start, size)];
+  }
+
+  const k = splitPoint(size);
+  if (m <= k) {
+    return [...await subproof(m, start, k, complete), await rangeHash(start + k, size - k)];
+  }
+  return [...await subproof(m - k, start + k, size - k, false), await rangeHash(start, k)];
+}
+
+/**
+ * Store the hashes of the subtrees a new leaf completes (must run serialized)
+ * @param {number} leafIndex - Index of the new leaf
+ * @param {string} leafHash - Its base64 leaf hash
+ * @returns {Promise<void>}
+ */
+async function storeSubtrees(leafIndex, leafHash) {
+  const nodes = [{ level: 0, index: leafIndex, hash: leafHash }];
+  let hash = Buffer.from(leafHash, 'base64');
+
+  // A right child completes its parent, and so on up
+  for (let level = 0, index = leafIndex; index % 2 === 1; level++, index = (index - 1) / 2) {
+    hash = nodeHash(await subtreeHash(level, index - 1), hash);
+    nodes.push({ level: level + 1, index: (index - 1) / 2, hash: hash.toString('base64') });
+  }
+  await KeyLogNode.insertMany(nodes);
+}
+
+/**
+ * Message the log key signs for a tree head (same as treeHeadMessage in @e2ee/crypto)
+ * @param {{treeSize: number, rootHash: string, timestamp: number}} treeHead - Tree head
+ * @returns {string}
+ */
+export function treeHeadMessage({ treeSize, rootHash, timestamp }) {
+  const message = { rootHash, timestamp, treeSize };
+  return JSON.stringify(message, Object.keys(message).sort());
+}
+
+let logKeyPromise = null;
+
+/**
+ * Load the log key: from KEY_LOG_PRIVATE_KEY, or the stored one (generated if none)
+ * @returns {Promise<{privateKey: KeyObject, publicKey: string}>}
+ */
+async function loadLogKey() {
+  let pkcs8 = process.env.KEY_LOG_PRIVATE_KEY;
+
+  if (!pkcs8) {
+    const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    // Keeps the stored key if there is one (or another process stored one first)
+    const stored = await KeyLogKey.findOneAndUpdate(
+      { name: KEY_LOG_KEY_NAME },
+      { $setOnInsert: { privateKey: privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64') } },
+      { upsert: true, new: true }
+    );
+    pkcs8 = stored.privateKey;
+  }
+
+  const privateKey = createPrivateKey({ key: Buffer.from(pkcs8, 'base64'), format: 'der', type: 'pkcs8' });
+  if (privateKey.asymmetricKeyType !== 'ec' || privateKey.asymmetricKeyDetails?.namedCurve !== 'prime256v1') {
+    throw new Error('KEY_LOG_PRIVATE_KEY must be an ECDSA P-256 private key (base64 PKCS#8)');
+  }
+
+  return {
+    privateKey,
+    publicKey: createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64')
+  };
+}
+
+/**
+ * The log key, loaded once
+ * @returns {Promise<{privateKey: KeyObject, publicKey: string}>}
+ */
+function getLogKey() {
+  if (!logKeyPromise) {
+    logKeyPromise = loadLogKey().catch(error => {
+      logKeyPromise = null;
+      throw error;
+    });
+  }
+  return logKeyPromise;
+}
+
+/**
+ * The log's public key (base64 SPKI), for clients to check tree heads with
+ * @returns {Promise<string>}
+ */
+export async function getLogPublicKey() {
+  return (await getLogKey()).publicKey;
+}
+
+let queue = Promise.resolve();
+
+/**
+ * Run a task once every earlier append or signing task has finished
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} The task's result
+ */
+function serialized(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Number of entries in the log
+ * @returns {Promise<number>}
+ */
+export async function keyLogSize() {
+  const last = await KeyLogEntry.findOne().sort({ leafIndex: -1 }).select('leafIndex');
+  return last ? last.leafIndex + 1 : 0;
+}
+
+/**
+ * Leaf hashes of the first treeSize entries
+ * @param {number} treeSize - Tree size
+ * @returns {Promise<Array<string>>}
+ */
+async function leafHashes(treeSize) {
+  const entries = await KeyLogEntry.find({ leafIndex: { $lt: treeSize } })
+    .sort({ leafIndex: 1 })
+    .select('leafHash')
+    .lean();
+
+  if (entries.length !== treeSize) {
+    throw new Error(`Key transparency log has ${entries.length} of ${treeSize} entries`);
+  }
+  return entries.map(entry => entry.leafHash);
+}
+
+/**
+ * Tree head as returned to clients
+ * @param {Object} head - TreeHead document
+ * @returns {{treeSize: number, rootHash: string, timestamp: number, signature: string}}
+ */
+function serializeTreeHead(head) {
+  return {
+    treeSize: head.treeSize,
+    rootHash: head.rootHash,
+    timestamp: head.timestamp,
+    signature: head.signature
+  };
+}
+
+/**
+ * The signed tree head of the whole log, signing one if the log has grown
+ * since the last (must run serialized)
+ * @returns {Promise<Object>} Tree head
+ */
+async function signedTreeHead() {
+  const treeSize = await keyLogSize();
+  const existing = await TreeHead.findOne({ treeSize });
+  if (existing) return serializeTreeHead(existing);
+
+  const { privateKey } = await getLogKey();
+  const head = {
+    treeSize,
+    rootHash: (await rangeHash(0, treeSize)).toString('base64'),
+    timestamp: Date.now()
+  };
+  head.signature = sign('sha256', Buffer.from(treeHeadMessage(head), 'utf8'), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363' // Raw r||s, as Web Crypto verifies
+  }).toString('base64');
+
+  return serializeTreeHead(await TreeHead.create(head));
+}
+
+/**
+ * The latest signed tree head
+ * @returns {Promise<Object>} { treeSize, rootHash, timestamp, signature }
+ */
+export function latestTreeHead() {
+  return serialized(signedTreeHead);
+}
+
+/**
+ * Append a user's current identity keys to the log and sign the new tree
+ * head (must run serialized)
+ * @param {Object} user - User document
+ * @param {string} event - One of KEY_LOG_EVENTS
+ * @returns {Promise<Object>} KeyLogEntry document
+ */
+async function appendEntry(user, event) {
+  const leafIndex = await keyLogSize();
+  const leaf = keyLogLeaf({
+    userId: user._id,
+    keyVersion: user.keyVersion || 1,
+    publicKey: user.publicKey,
+    signingPublicKey: user.signingPublicKey,
+    signingKeyAlgorithm: user.signingKeyAlgorithm,
+    event,
+    loggedAt: Date.now()
+  });
+
+  const entry = await KeyLogEntry.create({
+    leafIndex,
+    userId: user._id,
+    keyVersion: user.keyVersion || 1,
+    event,
+    leaf,
+    leafHash: keyLogLeafHash(leaf)
+  });
+  await storeSubtrees(leafIndex, entry.leafHash);
+  await signedTreeHead();
+  return entry;
+}
+
+/**
+ * Append a user's current identity keys to the log and sign the new tree head
+ * @param {Object} user - User document
+ * @param {string} event - One of KEY_LOG_EVENTS
+ * @returns {Promise<Object>} KeyLogEntry document
+ */
+export function appendKeyLogEntry(user, event) {
+  return serialized(() => appendEntry(user, event));
+}
+
+/**
+ * Record a key change in the log; a failure is reported but does not undo
+ * the change. The keys are not handed out until they are logged, which
+ * backfillKeyLog does at the next start
+ * @param {Object} user - User document (after the change)
+ * @param {string} event - One of KEY_LOG_EVENTS
+ * @returns {Promise<void>}
+ */
+export async function logKeyChange(user, event) {
+  try {
+    await appendKeyLogEntry(user, event);
+  } catch (error) {
+    console.error('Key transparency log append error:', error);
+  }
+}
+
+/**
+ * Whether a log entry records a user's current keys
+ * @param {Object} entry - KeyLogEntry document
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+function entryMatchesUser(entry, user) {
+  const leaf = JSON.parse(entry.leaf);
+  return leaf.userId === String(user._id) &&
+    leaf.keyVersion === (user.keyVersion || 1) &&
+    leaf.publicKey === user.publicKey &&
+    leaf.signingPublicKey === (user.signingPublicKey || null) &&
+    leaf.signingKeyAlgorithm === (user.signingKeyAlgorithm || null);
+}
+
+/**
+ * Proof that a user's current keys are in the log
+ * @param {Object} user - User document (_id and key fields)
+ * @returns {Promise<{leafIndex: number, leaf: string, inclusionProof: Array<string>, treeHead: Object}|null>}
+ *   null if the current keys are not logged (yet)
+ */
+export function keyTransparencyProof(user) {
+  return serialized(async () => {
+    const entry = await KeyLogEntry.findOne({ userId: user._id })
+      .sort({ leafIndex: -1 })
+      .select('leafIndex leaf')
+      .lean();
+    if (!entry || !entryMatchesUser(entry, user)) return null;
+
+    const treeHead = await signedTreeHead();
+    const path = await auditPath(entry.leafIndex, 0, treeHead.treeSize);
+    return {
+      leafIndex: entry.leafIndex,
+      leaf: entry.leaf,
+      inclusionProof: path.map(hash => hash.toString('base64')),
+      treeHead
+    };
+  });
+}
+
+/**
+ * Consistency proof between two sizes of the log
+ * @param {number} from - Earlier tree size
+ * @param {number} to - Later tree size (at most the current size)
+ * @returns {Promise<Array<string>>} Base64 hashes
+ */
+export async function logConsistencyProof(from, to) {
+  if (from === 0 || from === to) return [];
+  return (await subproof(from, 0, to, true)).map(hash => hash.toString('base64'));
+}
+
+/**
+ * Store the subtree hashes of entries that have none: logs written before
+ * they were kept, or an append that failed half-way (must run serialized)
+ * @returns {Promise<number>} Number of hashes written
+ */
+async function storeMissingSubtrees() {
+  const size = await keyLogSize();
+  let expected = 0;
+  for (let width = 1; width <= size; width *= 2) {
+    expected += Math.floor(size / width);
+  }
+  if (await KeyLogNode.countDocuments() >= expected) return 0;
+
+  const nodes = [];
+  let level = (await leafHashes(size)).map(hash => Buffer.from(hash, 'base64'));
+  for (let height = 0; level.length > 0; height++) {
+    level.forEach((hash, index) => nodes.push({ level: height, index, hash: hash.toString('base64') }));
+
+    const parents = [];
+    for (let i = 0; i + 1 < level.length; i += 2) {
+      parents.push(nodeHash(level[i], level[i + 1]));
+    }
+    level = parents;
+  }
+
+  await KeyLogNode.bulkWrite(nodes.map(node => ({
+    updateOne: {
+      filter: { level: node.level, index: node.index },
+      update: { $setOnInsert: node },
+      upsert: true
+    }
+  })));
+  return nodes.length;
+}
+
+/**
+ * Log the current keys of every user whose keys are not in the log:
+ * accounts created before the log, or whose append failed (must run serialized)
+ * @returns {Promise<number>} Number of entries appended
+ */
+async function logMissingKeys() {
+  const latest = await KeyLogEntry.aggregate([
+    { $sort: { leafIndex: -1 } },
+    { $group: { _id: '$userId', leaf: { $first: '$leaf' } } }
+  ]).allowDiskUse(true);
+  const latestByUser = new Map(latest.map(entry => [String(entry._id), entry]));
+
+  let appended = 0;
+  const users = User.find().select('publicKey keyVersion signingPublicKey signingKeyAlgorithm').cursor();
+  for await (const user of users) {
+    const entry = latestByUser.get(String(user._id));
+    if (!entry || !entryMatchesUser(entry, user)) {
+      await appendEntry(user, 'existing-key');
+      appended++;
+    }
+  }
+  return appended;
+}
+
+/**
+ * Bring the log up to date (at startup): store missing subtree hashes, then
+ * log the keys of users that are not in it yet, so looking up a key never
+ * has to write
+ * @returns {Promise<{subtrees: number, entries: number}>} What was written
+ */
+export function backfillKeyLog() {
+  return serialized(async () => {
+    const subtrees = await storeMissingSubtrees();
+    const entries = await logMissingKeys();
+    return { subtrees, entries };
+  });
+}
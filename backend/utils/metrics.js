@@ -0,0 +1,34 @@
+/**
+ * In-process counters for operational metrics
+ * Reset when the server restarts; exposed to authenticated users by the
+ * security log statistics and the replay policy endpoint.
+ */
+
+const counters = new Map();
+
+/**
+ * Declare a counter so it is reported (as 0) before it is first increased
+ * @param {string} name - Counter name
+ */
+export function registerMetric(name) {
+  if (!counters.has(name)) {
+    counters.set(name, 0);
+  }
+}
+
+/**
+ * Increase a counter
+ * @param {string} name - Counter name
+ * @param {number} amount - Amount to add (default: 1)
+ */
+export function incrementMetric(name, amount = 1) {
+  counters.set(name, (counters.get(name) || 0) + amount);
+}
+
+/**
+ * Current value of every counter
+ * @returns {Object} Counter name -> value
+ */
+export function getMetrics() {
+  return Object.fromEntries(counters);
+}
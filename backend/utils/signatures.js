@@ -0,0 +1,161 @@
+/**
+ * Signature verification for client identity keys
+ * Mirrors the Web Crypto parameters used by the frontend (keyExchange.js)
+ */
+
+import { createPublicKey, verify, constants } from 'crypto';
+
+// Algorithms accepted for dedicated signing keys
+export const SIGNING_KEY_ALGORITHMS = ['Ed25519', 'ECDSA-P256'];
+
+/**
+ * Parse a base64 SPKI public key
+ * @param {string} publicKeyBase64 - Base64 SPKI
+ * @returns {KeyObject}
+ */
+function parsePublicKey(publicKeyBase64) {
+  return createPublicKey({
+    key: Buffer.from(publicKeyBase64, 'base64'),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Check that a signing public key parses and matches its declared algorithm
+ * @param {string} publicKeyBase64 - Base64 SPKI
+ * @param {string} algorithm - 'Ed25519' or 'ECDSA-P256'
+ * @returns {boolean}
+ */
+export function isValidSigningPublicKey(publicKeyBase64, algorithm) {
+  try {
+    const key = parsePublicKey(publicKeyBase64);
+    if (algorithm === 'Ed25519') {
+      return key.asymmetricKeyType === 'ed25519';
+    }
+    if (algorithm === 'ECDSA-P256') {
+      return key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1';
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a signature produced by the frontend's signMessage
+ * @param {string} publicKeyBase64 - Signer's public key (base64 SPKI)
+ * @param {string} algorithm - 'RSA-PSS' (legacy identity key), 'Ed25519' or 'ECDSA-P256'
+ * @param {string} message - Signed message
+ * @param {string} signatureBase64 - Base64 signature
+ * @returns {boolean}
+ */
+export function verifySignature(publicKeyBase64, algorithm, message, signatureBase64) {
+  try {
+    const key = parsePublicKey(publicKeyBase64);
+    const data = Buffer.from(message, 'utf8');
+    const signature = Buffer.from(signatureBase64, 'base64');
+
+    if (algorithm === 'RSA-PSS') {
+      return verify('sha256', data, {
+        key,
+        padding: constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: 32
+      }, signature);
+    }
+    if (algorithm === 'ECDSA-P256') {
+      // Web Crypto produces raw r||s signatures
+      return verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    }
+    if (algorithm === 'Ed25519') {
+      return verify(null, data, key, signature);
+    }
+    return false;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical message a user signs to bind a new signing key to their account
+ * @param {string} userId - User ID
+ * @param {string} signingPublicKey - New signing public key (base64 SPKI)
+ * @param {string} signingKeyAlgorithm - New signing key algorithm
+ * @returns {string}
+ */
+export function signingKeyUpgradeMessage(userId, signingPublicKey, signingKeyAlgorithm) {
+  const message = { signingKeyAlgorithm, signingPublicKey, userId: String(userId) };
+  return JSON.stringify(message, Object.keys(message).sort());
+}
+
+/**
+ * Canonical message a user's current identity signs to introduce their next
+ * key version (same as identityKeyRotationMessage in @e2ee/crypto)
+ * @param {Object} rotation - { userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason }
+ * @returns {string}
+ */
+export function identityKeyRotationMessage({ userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason }) {
+  const message = {
+    keyVersion,
+    publicKey,
+    reason,
+    signingKeyAlgorithm,
+    signingPublicKey,
+    userId: String(userId)
+  };
+  return JSON.stringify(message, Object.keys(message).sort());
+}
+
+/**
+ * Check that an identity public key is an RSA key of at least 2048 bits
+ * @param {string} publicKeyBase64 - Base64 SPKI
+ * @returns {boolean}
+ */
+export function isValidIdentityPublicKey(publicKeyBase64) {
+  try {
+    const key = parsePublicKey(publicKeyBase64);
+    return key.asymmetricKeyType === 'rsa' && key.asymmetricKeyDetails?.modulusLength >= 2048;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical message an account's signing key signs to certify a device key
+ * (same as deviceKeyMessage in @e2ee/crypto)
+ * @param {{userId: string, deviceId: string, publicKey: string}} device - Device
+ * @returns {string}
+ */
+export function deviceKeyMessage({ userId, deviceId, publicKey }) {
+  const message = { deviceId, publicKey, userId: String(userId) };
+  return JSON.stringify(message, Object.keys(message).sort());
+}
+
+/**
+ * Check that a device public key is an ECDH P-256 key
+ * @param {string} publicKeyBase64 - Base64 SPKI
+ * @returns {boolean}
+ */
+export function isValidDevicePublicKey(publicKeyBase64) {
+  try {
+    const key = parsePublicKey(publicKeyBase64);
+    return key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Verify a signature by a user's account, with their signing key if they have
+ * one and their RSA identity key otherwise
+ * @param {Object} user - User document (publicKey, signingPublicKey, signingKeyAlgorithm)
+ * @param {string} message - Signed message
+ * @param {string} signatureBase64 - Base64 signature
+ * @returns {boolean}
+ */
+export function verifyUserSignature(user, message, signatureBase64) {
+  if (user.signingPublicKey) {
+    return verifySignature(user.signingPublicKey, user.signingKeyAlgorithm, message, signatureBase64);
+  }
+  return verifySignature(user.publicKey, 'RSA-PSS', message, signatureBase64);
+}
@@ -0,0 +1,67 @@
+/**
+ * Real-time event delivery over Socket.IO
+ * Each authenticated socket joins a private room for its user so
+ * controllers can push events without knowing about connections
+ */
+
+import { Server } from 'socket.io';
+import { verifyToken } from '../middleware/auth.js';
+
+let io = null;
+
+/**
+ * Room name for a user's sockets
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+function userRoom(userId) {
+  return `user:${String(userId)}`;
+}
+
+/**
+ * Attach Socket.IO to the HTTP server
+ * Clients must pass their JWT as `auth.token` in the handshake
+ * @param {import('http').Server} httpServer - HTTP server
+ * @returns {Server} Socket.IO server
+ */
+export function initSocket(httpServer) {
+  io = new Server(httpServer, {
+    cors: {
+      origin: true,
+      credentials: true
+    }
+  });
+
+  io.use((socket, next) => {
+    try {
+      const { userId, username } = verifyToken(socket.handshake.auth?.token);
+      socket.userId = userId;
+      socket.username = username;
+      next();
+    } catch (error) {
+      next(new Error('Authentication required'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.userId));
+
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`Socket connected: ${socket.username} (${socket.id})`);
+    }
+  });
+
+  return io;
+}
+
+/**
+ * Push an event to every connected socket of a user
+ * No-op when Socket.IO is not initialised (e.g. in scripts)
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+export function emitToUser(userId, event, payload) {
+  if (!io || !userId) return;
+  io.to(userRoom(userId)).emit(event, payload);
+}
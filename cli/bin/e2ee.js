@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+/**
+ * e2ee - command-line client for the E2EE messaging server
+ * Lets CI jobs and servers send end-to-end encrypted alerts to users of the
+ * web app. Run `e2ee help` for usage.
+ */
+
+import { parseArgs } from 'node:util';
+import { register, login, resolveUser } from '../src/account.js';
+import { openKeystore, defaultKeystorePath } from '../src/keystore.js';
+import { createApi, DEFAULT_SERVER } from '../src/api.js';
+import { startExchange, acceptExchange, finishExchange, listExchanges, findSession } from '../src/keyExchange.js';
+import { sendMessage, sendFile, receiveMessages, saveFile } from '../src/messages.js';
+import { readPassword, readStdin } from '../src/prompt.js';
+
+const USAGE = `Usage: e2ee [options] <command>
+
+Commands:
+  register <username>            Create an account and its keystore
+  login                          Log in again (tokens expire after 7 days)
+  users                          List users
+  exchange start <username>      Start a key exchange (--wait to finish it)
+  exchange list                  Show incoming exchanges and local sessions
+  exchange accept <exchangeId>   Answer a key exchange started by someone else
+  exchange finish <exchangeId>   Complete a key exchange the other user answered
+  send <username> [message]      Send a message (reads stdin without one)
+  send-file <username> <path>    Send a file
+  receive <username>             Print new messages from a user
+  download <messageId>           Save a received file
+
+Options:
+  --server <url>       API URL (env E2EE_SERVER, default ${DEFAULT_SERVER})
+  --keystore <path>    Keystore file (env E2EE_KEYSTORE, default ~/.e2ee/keystore.json)
+  --exchange <id>      Session to use (default: newest with the user)
+  --wait <seconds>     exchange start: wait for the answer, then finish
+  --type <mime>        send-file: MIME type (default application/octet-stream)
+  --save-to <dir>      receive/download: where to save files (default .)
+  --json               One JSON object per line
+
+The password is read from E2EE_PASSWORD, or asked for on the terminal.
+The key transparency log key is pinned on first use, or set with E2EE_KEY_LOG_PUBLIC_KEY.`;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    server: { type: 'string' },
+    keystore: { type: 'string' },
+    exchange: { type: 'string' },
+    wait: { type: 'string' },
+    type: { type: 'string' },
+    'save-to': { type: 'string', default: '.' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+});
+
+const keystorePath = options.keystore || defaultKeystorePath();
+
+/**
+ * Print a result as text, or as a JSON line with --json
+ * @param {string} text - Human-readable output
+ * @param {Object} data - Machine-readable output
+ */
+function output(text, data) {
+  console.log(options.json ? JSON.stringify(data) : text);
+}
+
+/**
+ * Open the keystore, run fn with it and an authenticated API client, and
+ * release the keystore afterwards
+ * @param {Function} fn - async (keystore, api, password) => void
+ */
+async function withKeystore(fn) {
+  const password = await readPassword();
+  const keystore = await openKeystore(keystorePath, password);
+  try {
+    const server = options.server || process.env.E2EE_SERVER || keystore.data.server || DEFAULT_SERVER;
+    await fn(keystore, createApi(server, keystore.data.token), password, server);
+  } finally {
+    await keystore.close();
+  }
+}
+
+/**
+ * Poll a key exchange until the other user answers, then finish it
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} exchangeId - Exchange ID
+ * @param {number} seconds - How long to wait
+ * @returns {Promise<Object>} Result of finishExchange
+ */
+async function waitAndFinish(keystore, api, exchangeId, seconds) {
+  const deadline = Date.now() + seconds * 1000;
+  for (;;) {
+    const result = await finishExchange(keystore, api, exchangeId);
+    if (result.status === 'confirmed') return result;
+    if (result.status !== 'pending') {
+      throw new Error(`Key exchange ${exchangeId} was ${result.status}`);
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`No answer to key exchange ${exchangeId} within ${seconds}s`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+}
+
+const commands = {
+  async register(username) {
+    if (!username) throw new Error('Usage: e2ee register <username>');
+    const server = options.server || process.env.E2EE_SERVER || DEFAULT_SERVER;
+    const password = await readPassword('Choose a password: ');
+    const { userId } = await register(server, keystorePath, username, password);
+    output(`Registered ${username} (${userId}). Keys saved to ${keystorePath}`, { userId, username, keystore: keystorePath });
+  },
+
+  async login() {
+    await withKeystore(async (keystore, api, password, server) => {
+      const { userId, username } = await login(keystore, server, password);
+      output(`Logged in as ${username}`, { userId, username });
+    });
+  },
+
+  async users() {
+    await withKeystore(async (keystore, api) => {
+      const { users } = await api.get('/users');
+      for (const user of users) {
+        output(user.username, { id: user._id, username: user.username });
+      }
+    });
+  },
+
+  async exchange(action, arg) {
+    await withKeystore(async (keystore, api) => {
+      switch (action) {
+        case 'start': {
+          if (!arg) throw new Error('Usage: e2ee exchange start <username>');
+          const exchangeId = await startExchange(keystore, api, await resolveUser(api, arg));
+          if (!options.wait) {
+            output(`Started key exchange ${exchangeId} with ${arg}. Run \`e2ee exchange finish ${exchangeId}\` once they accept.`,
+              { exchangeId, status: 'pending' });
+            return;
+          }
+          await waitAndFinish(keystore, api, exchangeId, Number(options.wait));
+          output(`Session with ${arg} established (${exchangeId})`, { exchangeId, status: 'confirmed' });
+          return;
+        }
+        case 'accept': {
+          if (!arg) throw new Error('Usage: e2ee exchange accept <exchangeId>');
+          await acceptExchange(keystore, api, arg);
+          output(`Accepted key exchange ${arg}`, { exchangeId: arg, status: 'responded' });
+          return;
+        }
+        case 'finish': {
+          if (!arg) throw new Error('Usage: e2ee exchange finish <exchangeId>');
+          const { status } = await finishExchange(keystore, api, arg);
+          if (status !== 'confirmed') {
+            throw new Error(`Key exchange ${arg} is ${status}, not answered yet`);
+          }
+          output(`Key exchange ${arg} confirmed`, { exchangeId: arg, status });
+          return;
+        }
+        case 'list': {
+          const { incoming, established } = await listExchanges(keystore, api);
+          for (const exchange of incoming) {
+            output(`incoming  ${exchange.exchangeId}  from ${exchange.from}`, { ...exchange, kind: 'incoming' });
+          }
+          for (const session of established) {
+            output(`session   ${session.exchangeId}  with ${session.with}  (${session.status}, expires ${session.expiresAt})`,
+              { ...session, kind: 'session' });
+          }
+          return;
+        }
+        default:
+          throw new Error('Usage: e2ee exchange <start|list|accept|finish>');
+      }
+    });
+  },
+
+  async send(username, ...words) {
+    if (!username) throw new Error('Usage: e2ee send <username> [message]');
+    const text = words.length > 0 ? words.join(' ') : await readStdin();
+    if (!text) throw new Error('Nothing to send');
+
+    await withKeystore(async (keystore, api) => {
+      const peerId = await resolveUser(api, username);
+      const message = await sendMessage(keystore, api, peerId, findSession(keystore, peerId, options.exchange), text);
+      output(`Sent to ${username}`, { id: message?._id, to: username });
+    });
+  },
+
+  async 'send-file'(username, path) {
+    if (!username || !path) throw new Error('Usage: e2ee send-file <username> <path>');
+
+    await withKeystore(async (keystore, api) => {
+      const peerId = await resolveUser(api, username);
+      const exchangeId = findSession(keystore, peerId, options.exchange);
+      const message = await sendFile(keystore, api, peerId, exchangeId, path, options.type);
+      output(`Sent ${path} to ${username}`, { id: message?._id, to: username, file: path });
+    });
+  },
+
+  async receive(username) {
+    if (!username) throw new Error('Usage: e2ee receive <username>');
+
+    await withKeystore(async (keystore, api) => {
+      const messages = await receiveMessages(keystore, api, await resolveUser(api, username));
+      for (const message of messages) {
+        const time = new Date(message.timestamp).toISOString();
+        if (message.file) {
+          const { fileName, fileSize } = message.file;
+          output(`[${time}] ${username}: 📎 ${fileName} (${fileSize} bytes) - e2ee download ${message.id}`,
+            { id: message.id, from: username, timestamp: time, file: { fileName, fileSize } });
+        } else if (message.text !== undefined) {
+          output(`[${time}] ${username}: ${message.text}${message.replayStatus ? ` [${message.replayStatus}]` : ''}`,
+            { id: message.id, from: username, timestamp: time, text: message.text, replayStatus: message.replayStatus });
+        } else {
+          const problem = message.error || `${message.replayStatus} message blocked`;
+          output(`[${time}] ${username}: [${problem}]`,
+            { id: message.id, from: username, timestamp: time, error: problem, replayStatus: message.replayStatus });
+        }
+      }
+    });
+  },
+
+  async download(messageId) {
+    if (!messageId) throw new Error('Usage: e2ee download <messageId>');
+
+    await withKeystore(async (keystore, api) => {
+      const path = await saveFile(keystore, api, messageId, options['save-to']);
+      output(`Saved ${path}`, { id: messageId, path });
+    });
+  },
+
+  async help() {
+    console.log(USAGE);
+  }
+};
+
+const [command = 'help', ...args] = positionals;
+const run = options.help ? commands.help : commands[command];
+
+if (!run) {
+  console.error(`Unknown command: ${command}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+try {
+  await run(...args);
+} catch (error) {
+  console.error(`e2ee: ${error.message}`);
+  process.exit(1);
+}
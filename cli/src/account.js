@@ -0,0 +1,190 @@
+/**
+ * Account commands: register and login
+ * Registration generates the same keys as the web app (RSA-OAEP identity
+ * key plus a dedicated signing key) and keeps the private halves in the
+ * keystore file instead of IndexedDB. Like a browser holding the account
+ * keys, the keystore also gets a device key it certifies itself, which
+ * authenticates the message key copies it wraps for the other devices.
+ */
+
+import {
+  generateRSAKeyPair,
+  generateSigningKeyPair,
+  exportPublicKey,
+  exportPrivateKey,
+  signingKeyParams,
+  generateDeviceKeyPair,
+  deviceKeyMessage,
+  signWithKey,
+  fromBase64
+} from '@e2ee/crypto';
+import { unlink } from 'node:fs/promises';
+import { hostname } from 'node:os';
+import { createKeystore, initialKeystoreData } from './keystore.js';
+import { createApi } from './api.js';
+
+/**
+ * Generate an identity: RSA-OAEP key (as the web app's default) and signing key
+ * @returns {Promise<Object>} Serialized keys, as stored in the keystore
+ */
+export async function generateIdentity() {
+  const keyPair = await generateRSAKeyPair(2048);
+  const { keyPair: signingKeyPair, algorithm: signingAlgorithm } = await generateSigningKeyPair();
+
+  return {
+    algorithm: 'RSA-OAEP',
+    keySize: '2048',
+    publicKey: await exportPublicKey(keyPair.publicKey),
+    privateKey: await exportPrivateKey(keyPair.privateKey),
+    signingAlgorithm,
+    signingPublicKey: await exportPublicKey(signingKeyPair.publicKey),
+    signingPrivateKey: await exportPrivateKey(signingKeyPair.privateKey)
+  };
+}
+
+/**
+ * Register a new account and create its keystore
+ * @param {string} server - API base URL
+ * @param {string} keystorePath - Where to create the keystore
+ * @param {string} username - New username
+ * @param {string} password - Account password (also encrypts the keystore)
+ * @returns {Promise<{userId: string, username: string}>}
+ */
+export async function register(server, keystorePath, username, password) {
+  const identity = await generateIdentity();
+
+  // Keys are written before the account exists, so they can never be lost
+  const keystore = await createKeystore(keystorePath, password, initialKeystoreData(username, server, identity));
+
+  try {
+    let response;
+    try {
+      response = await createApi(server).post('/auth/register', {
+        username,
+        password,
+        publicKey: identity.publicKey,
+        signingPublicKey: identity.signingPublicKey,
+        signingKeyAlgorithm: identity.signingAlgorithm
+      });
+    } catch (error) {
+      // No account was created: drop the keystore so the name can be retried
+      await unlink(keystorePath).catch(() => {});
+      throw error;
+    }
+
+    keystore.data.userId = String(response.user.id);
+    keystore.data.token = response.token;
+    await keystore.save();
+    await setUpDevice(keystore, createApi(server, response.token));
+
+    return { userId: keystore.data.userId, username };
+  } finally {
+    await keystore.close();
+  }
+}
+
+/**
+ * Log in with the account the keystore belongs to and store the new token
+ * @param {Object} keystore - Open keystore
+ * @param {string} server - API base URL
+ * @param {string} password - Account password
+ * @returns {Promise<{userId: string, username: string}>}
+ */
+export async function login(keystore, server, password) {
+  const { data } = keystore;
+  const response = await createApi(server).post('/auth/login', {
+    username: data.username,
+    password
+  });
+
+  if (String(response.user.id) !== data.userId || response.user.publicKey !== data.identity.publicKey) {
+    throw new Error(`The server's identity key for ${data.username} does not match this keystore`);
+  }
+
+  data.server = server;
+  data.token = response.token;
+  await keystore.save();
+  await setUpDevice(keystore, createApi(server, response.token));
+
+  return { userId: data.userId, username: data.username };
+}
+
+/**
+ * Generate a device key for the keystore
+ * @returns {Promise<Object>} { deviceId, publicKey, privateKey } (keys serialized)
+ */
+async function generateDevice() {
+  const keyPair = await generateDeviceKeyPair();
+  return {
+    deviceId: crypto.randomUUID(),
+    publicKey: await exportPublicKey(keyPair.publicKey),
+    privateKey: await exportPrivateKey(keyPair.privateKey)
+  };
+}
+
+/**
+ * Register the keystore's device key with the server, certified with the
+ * signing key (as setUpDevice in the web app). Creates the key on first use,
+ * and a new one if the old device was revoked.
+ * @param {Object} keystore - Open keystore with userId and token
+ * @param {Object} api - API client
+ * @returns {Promise<Object>} Registered device
+ */
+export async function setUpDevice(keystore, api) {
+  const { data } = keystore;
+  const { signingKey, signingAlgorithm } = await loadSigningKey(keystore);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!data.device) {
+      data.device = await generateDevice();
+      await keystore.save();
+    }
+
+    const { deviceId, publicKey } = data.device;
+    try {
+      const { device } = await api.post('/devices', {
+        deviceId,
+        name: `e2ee on ${hostname()}`.slice(0, 64),
+        publicKey,
+        signature: await signWithKey(deviceKeyMessage({ userId: data.userId, deviceId, publicKey }), signingKey, signingAlgorithm)
+      });
+      return device;
+    } catch (error) {
+      // A revoked device ID cannot come back; register a new device
+      if (error.status !== 409 || attempt > 0) throw error;
+      data.device = null;
+    }
+  }
+}
+
+/**
+ * Import the signing key from the keystore
+ * @param {Object} keystore - Open keystore
+ * @returns {Promise<{signingKey: CryptoKey, signingAlgorithm: string}>}
+ */
+export async function loadSigningKey(keystore) {
+  const { signingPrivateKey, signingAlgorithm } = keystore.data.identity;
+  const signingKey = await crypto.subtle.importKey(
+    'pkcs8',
+    fromBase64(signingPrivateKey),
+    signingKeyParams(signingAlgorithm),
+    false,
+    ['sign']
+  );
+  return { signingKey, signingAlgorithm };
+}
+
+/**
+ * Look up a user's ID by username
+ * @param {Object} api - API client
+ * @param {string} username - Username
+ * @returns {Promise<string>} User ID
+ */
+export async function resolveUser(api, username) {
+  const { users } = await api.get('/users');
+  const user = users.find(u => u.username === username);
+  if (!user) {
+    throw new Error(`User not found: ${username}`);
+  }
+  return String(user._id);
+}
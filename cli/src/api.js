@@ -0,0 +1,68 @@
+/**
+ * HTTP client for the backend API (the CLI's counterpart of
+ * frontend/src/services/api.js), built on Node's fetch
+ */
+
+export const DEFAULT_SERVER = 'http://localhost:3001/api';
+
+/**
+ * Create an API client
+ * @param {string} baseURL - API base URL, e.g. http://localhost:3001/api
+ * @param {string} [token] - JWT from register or login
+ * @returns {{get: Function, post: Function, put: Function, delete: Function, getBinary: Function}}
+ */
+export function createApi(baseURL, token = null) {
+  const base = baseURL.replace(/\/+$/, '');
+
+  async function request(method, path, { body, binary = false, query } = {}) {
+    const url = new URL(base + path);
+    for (const [name, value] of Object.entries(query || {})) {
+      url.searchParams.set(name, value);
+    }
+
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    let payload;
+    if (body instanceof Uint8Array) {
+      headers['Content-Type'] = 'application/octet-stream';
+      payload = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { method, headers, body: payload });
+    } catch (error) {
+      const cause = error.cause?.code || error.cause?.message || error.message;
+      throw new Error(`Cannot reach ${base}: ${cause}`);
+    }
+
+    if (response.ok && binary) {
+      return new Uint8Array(await response.arrayBuffer());
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(response.status === 401
+        ? 'Not logged in or session expired. Run `e2ee login` first.'
+        : data.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    return data;
+  }
+
+  return {
+    get: (path, query) => request('GET', path, { query }),
+    post: (path, body) => request('POST', path, { body }),
+    put: (path, body) => request('PUT', path, { body }),
+    delete: (path) => request('DELETE', path),
+    getBinary: (path) => request('GET', path, { binary: true })
+  };
+}
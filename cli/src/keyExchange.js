@@ -0,0 +1,295 @@
+/**
+ * Interactive key exchange from the CLI
+ * Same protocol and signed message formats as the web app's
+ * initiate / respond / confirm flow (frontend/src/utils/keyExchange.js),
+ * with ephemeral keys, session keys and ratchet states kept in the keystore.
+ */
+
+import {
+  generateECCKeyPair,
+  exportPublicKey,
+  exportPrivateKey,
+  importPublicKey,
+  importPrivateKey,
+  toBase64,
+  canonicalJSON,
+  initiationMessage,
+  responseMessage,
+  deriveSharedSecret,
+  deriveSessionKey,
+  generateNonce,
+  verificationKeyFrom,
+  signWithKey,
+  verifySignature,
+  createKeyConfirmation,
+  verifyKeyConfirmation,
+  createInitiatorState,
+  createResponderState
+} from '@e2ee/crypto';
+import { loadSigningKey } from './account.js';
+import { fetchPublicKey } from './transparency.js';
+
+// Matches storeSessionKey's default in the web app
+const SESSION_LIFETIME_HOURS = 24;
+
+/**
+ * Sign a protocol message with the keystore's signing key
+ * @param {Object} keystore - Open keystore
+ * @param {Object} message - Message to sign
+ * @returns {Promise<string>} Base64 signature
+ */
+async function sign(keystore, message) {
+  const { signingKey, signingAlgorithm } = await loadSigningKey(keystore);
+  return signWithKey(canonicalJSON(message), signingKey, signingAlgorithm);
+}
+
+/**
+ * ID of a populated or plain user reference
+ * @param {Object|string} ref - User reference from the API
+ * @returns {string}
+ */
+function userId(ref) {
+  return String(ref?._id || ref);
+}
+
+/**
+ * Store an established session and its ratchet state
+ * @param {Object} keystore - Open keystore
+ * @param {string} exchangeId - Exchange ID
+ * @param {string} peerId - Other user's ID
+ * @param {CryptoKey} sessionKey - Session key
+ * @param {Object} ratchetState - Initial ratchet state
+ */
+async function storeSession(keystore, exchangeId, peerId, sessionKey, ratchetState) {
+  const raw = await crypto.subtle.exportKey('raw', sessionKey);
+  const now = Date.now();
+
+  keystore.data.sessions[exchangeId] = {
+    peerId,
+    sessionKey: toBase64(raw),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_LIFETIME_HOURS * 60 * 60 * 1000).toISOString()
+  };
+  keystore.data.ratchets[exchangeId] = ratchetState;
+  await keystore.save();
+}
+
+/**
+ * Start a key exchange with another user
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} peerId - Other user's ID
+ * @returns {Promise<string>} Exchange ID
+ */
+export async function startExchange(keystore, api, peerId) {
+  const ephemeralKeyPair = await generateECCKeyPair('P-256');
+
+  const message = initiationMessage({
+    ephemeralPublicKey: await exportPublicKey(ephemeralKeyPair.publicKey),
+    fromUserId: keystore.data.userId,
+    nonce: generateNonce(),
+    timestamp: Date.now(),
+    toUserId: peerId
+  });
+  const signature = await sign(keystore, message);
+
+  const { exchangeId } = await api.post('/key-exchange/initiate', { ...message, signature });
+
+  keystore.data.pendingExchanges[exchangeId] = {
+    peerId,
+    privateKey: await exportPrivateKey(ephemeralKeyPair.privateKey),
+    publicKey: message.ephemeralPublicKey
+  };
+  await keystore.save();
+
+  return exchangeId;
+}
+
+/**
+ * Answer a key exchange another user started with us
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<{exchangeId: string, peerId: string}>}
+ */
+export async function acceptExchange(keystore, api, exchangeId) {
+  const { keyExchange: exchange } = await api.get(`/key-exchange/${exchangeId}`);
+  if (!exchange || exchange.status !== 'pending') {
+    throw new Error('Key exchange is no longer pending');
+  }
+
+  const fromUserId = userId(exchange.fromUserId);
+  const toUserId = userId(exchange.toUserId);
+  if (toUserId !== keystore.data.userId) {
+    throw new Error('Key exchange is not addressed to this account');
+  }
+
+  // Verify the initiator's signature over the exact initiation message
+  const initMessage = initiationMessage({
+    ephemeralPublicKey: exchange.initiatorEphemeralPublicKey,
+    fromUserId,
+    nonce: exchange.nonce,
+    timestamp: exchange.timestamp,
+    toUserId
+  });
+  const initiatorKey = await fetchPublicKey(keystore, api, fromUserId);
+  const isValid = await verifySignature(
+    canonicalJSON(initMessage),
+    exchange.initiatorSignature,
+    verificationKeyFrom(initiatorKey)
+  );
+  if (!isValid) {
+    throw new Error('Invalid signature from initiator');
+  }
+
+  const ephemeralKeyPair = await generateECCKeyPair('P-256');
+  const sharedSecret = await deriveSharedSecret(
+    ephemeralKeyPair.privateKey,
+    await importPublicKey(exchange.initiatorEphemeralPublicKey, 'ECDH', 'P-256')
+  );
+
+  const responseNonce = generateNonce();
+  const sessionKey = await deriveSessionKey(sharedSecret, fromUserId, toUserId, responseNonce);
+
+  const response = responseMessage({
+    exchangeId,
+    ephemeralPublicKey: await exportPublicKey(ephemeralKeyPair.publicKey),
+    keyConfirmation: await createKeyConfirmation(sessionKey, responseNonce),
+    timestamp: Date.now(),
+    nonce: responseNonce
+  });
+  const signature = await sign(keystore, response);
+
+  await api.post('/key-exchange/respond', { ...response, signature });
+
+  // Our ephemeral key becomes the first ratchet key
+  await storeSession(
+    keystore,
+    exchangeId,
+    fromUserId,
+    sessionKey,
+    await createResponderState(exchangeId, sessionKey, ephemeralKeyPair)
+  );
+
+  return { exchangeId, peerId: fromUserId };
+}
+
+/**
+ * Complete a key exchange we started once the other user has answered
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<{exchangeId: string, peerId: string, status: string}>} status is
+ *   'confirmed', or the exchange's status if it is not ready yet
+ */
+export async function finishExchange(keystore, api, exchangeId) {
+  const pending = keystore.data.pendingExchanges[exchangeId];
+  if (!pending) {
+    throw new Error('No key exchange started from this keystore with ID: ' + exchangeId);
+  }
+
+  const { keyExchange: exchange } = await api.get(`/key-exchange/${exchangeId}`);
+  if (!exchange || exchange.status !== 'responded') {
+    return { exchangeId, peerId: pending.peerId, status: exchange?.status || 'missing' };
+  }
+
+  const fromUserId = userId(exchange.fromUserId);
+  const toUserId = userId(exchange.toUserId);
+
+  // Verify the responder's signature over the exact response message
+  const response = responseMessage({
+    exchangeId,
+    ephemeralPublicKey: exchange.responderEphemeralPublicKey,
+    keyConfirmation: exchange.keyConfirmation,
+    timestamp: exchange.responseTimestamp,
+    nonce: exchange.responseNonce
+  });
+  const responderKey = await fetchPublicKey(keystore, api, toUserId);
+  const isValid = await verifySignature(
+    canonicalJSON(response),
+    exchange.responderSignature,
+    verificationKeyFrom(responderKey)
+  );
+  if (!isValid) {
+    throw new Error('Invalid signature from responder');
+  }
+
+  const sharedSecret = await deriveSharedSecret(
+    await importPrivateKey(pending.privateKey, 'ECDH', 'P-256'),
+    await importPublicKey(exchange.responderEphemeralPublicKey, 'ECDH', 'P-256')
+  );
+  const sessionKey = await deriveSessionKey(sharedSecret, fromUserId, toUserId, exchange.responseNonce);
+
+  if (!await verifyKeyConfirmation(sessionKey, exchange.responseNonce, exchange.keyConfirmation)) {
+    throw new Error('Key confirmation failed');
+  }
+
+  delete keystore.data.pendingExchanges[exchangeId];
+  await storeSession(
+    keystore,
+    exchangeId,
+    toUserId,
+    sessionKey,
+    await createInitiatorState(exchangeId, sessionKey, exchange.responderEphemeralPublicKey)
+  );
+
+  await api.post('/key-exchange/confirm', { exchangeId, confirmed: true });
+
+  return { exchangeId, peerId: toUserId, status: 'confirmed' };
+}
+
+/**
+ * Key exchanges waiting for us and sessions usable from this keystore
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @returns {Promise<{incoming: Array, established: Array}>}
+ */
+export async function listExchanges(keystore, api) {
+  const { userId: currentUserId, sessions } = keystore.data;
+  const [pendingRes, completedRes] = await Promise.all([
+    api.get(`/key-exchange/pending/${currentUserId}`),
+    api.get(`/key-exchange/completed/${currentUserId}`)
+  ]);
+
+  const incoming = pendingRes.exchanges.map(exchange => ({
+    exchangeId: exchange.exchangeId,
+    from: exchange.fromUserId?.username || userId(exchange.fromUserId),
+    createdAt: exchange.createdAt
+  }));
+
+  const established = completedRes.exchanges
+    .filter(exchange => sessions[exchange.exchangeId])
+    .map(exchange => {
+      const peer = userId(exchange.fromUserId) === currentUserId ? exchange.toUserId : exchange.fromUserId;
+      return {
+        exchangeId: exchange.exchangeId,
+        with: peer?.username || userId(peer),
+        status: exchange.status,
+        expiresAt: sessions[exchange.exchangeId].expiresAt
+      };
+    });
+
+  return { incoming, established };
+}
+
+/**
+ * Newest unexpired session with a user, or the given one
+ * @param {Object} keystore - Open keystore
+ * @param {string} peerId - Other user's ID
+ * @param {string} [exchangeId] - Specific exchange to use
+ * @returns {string} Exchange ID
+ */
+export function findSession(keystore, peerId, exchangeId = null) {
+  const now = new Date();
+  const usable = Object.entries(keystore.data.sessions)
+    .filter(([id, session]) => session.peerId === peerId && (!exchangeId || id === exchangeId))
+    .filter(([, session]) => new Date(session.expiresAt) > now)
+    .sort(([, a], [, b]) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  if (usable.length === 0) {
+    throw new Error(exchangeId
+      ? 'Session not found or expired: ' + exchangeId
+      : 'No session with this user. Run `e2ee exchange start` (or accept theirs) first.');
+  }
+  return usable[0][0];
+}
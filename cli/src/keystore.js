@@ -0,0 +1,230 @@
+/**
+ * Encrypted keystore file
+ * The CLI's replacement for the browser's IndexedDB key storage: identity
+ * and signing keys, session keys, ratchet states, sequence counters and the
+ * login token live in one JSON document, encrypted with AES-256-GCM under a
+ * key derived from the account password (PBKDF2-SHA256, as in keyStorage.js).
+ *
+ * File format:
+ *   { version, username, kdf: { name, hash, iterations, salt }, iv, ciphertext }
+ * The header fields are bound to the ciphertext as additional data.
+ *
+ * A lock file next to the keystore keeps two e2ee processes from advancing
+ * the same ratchet at once.
+ */
+
+import { readFile, writeFile, rename, mkdir, open, unlink } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { toBase64, fromBase64, utf8Encode, utf8Decode } from '@e2ee/crypto';
+
+const KEYSTORE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Keystore path from the environment, or ~/.e2ee/keystore.json
+ * @returns {string}
+ */
+export function defaultKeystorePath() {
+  return process.env.E2EE_KEYSTORE || join(homedir(), '.e2ee', 'keystore.json');
+}
+
+/**
+ * Derive the AES-GCM key that encrypts the keystore
+ * @param {string} password - Account password
+ * @param {Object} kdf - KDF parameters from the file header
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKeystoreKey(password, kdf) {
+  const passwordKey = await crypto.subtle.importKey(
+    'raw',
+    utf8Encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+    passwordKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Additional data binding the file header to the ciphertext
+ * @param {Object} header - { version, username, kdf }
+ * @returns {Uint8Array}
+ */
+function headerAAD({ version, username, kdf }) {
+  return utf8Encode(JSON.stringify({ version, username, kdf }));
+}
+
+/**
+ * Take the keystore's lock file
+ * @param {string} path - Keystore path
+ * @returns {Promise<Function>} Releases the lock
+ */
+async function acquireLock(path) {
+  const lockPath = `${path}.lock`;
+  let handle;
+  try {
+    handle = await open(lockPath, 'wx', 0o600);
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`Keystore is in use by another e2ee process (remove ${lockPath} if it is not)`);
+    }
+    throw error;
+  }
+  await handle.writeFile(String(process.pid));
+  await handle.close();
+
+  return () => unlink(lockPath).catch(() => {});
+}
+
+/**
+ * Wrap decrypted keystore data with save and close
+ * @param {string} path - Keystore path
+ * @param {Object} header - { version, username, kdf }
+ * @param {CryptoKey} key - Keystore key
+ * @param {Object} data - Decrypted contents
+ * @param {Function} release - Releases the lock
+ * @returns {{data: Object, save: Function, close: Function}}
+ */
+function keystoreHandle(path, header, key, data, release) {
+  return {
+    data,
+
+    /**
+     * Encrypt and write the current data (atomically, via a temporary file)
+     * @returns {Promise<void>}
+     */
+    async save() {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: headerAAD(header), tagLength: 128 },
+        key,
+        utf8Encode(JSON.stringify(data))
+      );
+
+      const file = { ...header, iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+      const tmpPath = `${path}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+      await rename(tmpPath, path);
+    },
+
+    close: release
+  };
+}
+
+/**
+ * Contents of a new keystore
+ * @param {string} username - Account username
+ * @param {string} server - API base URL
+ * @param {Object} identity - Serialized identity and signing keys
+ * @returns {Object}
+ */
+export function initialKeystoreData(username, server, identity) {
+  return {
+    username,
+    server,
+    identity,
+    sessions: {},          // exchangeId -> { peerId, sessionKey, createdAt, expiresAt }
+    pendingExchanges: {},  // exchangeId -> our ephemeral key pair, until finished
+    ratchets: {},          // exchangeId -> Double Ratchet state
+    skippedKeys: {},       // skippedKeyId -> message key
+    sequences: {},         // exchangeId -> last sequence number sent
+    received: {},          // exchangeId -> receive window (as in sequenceManager.js)
+    files: {},             // messageId -> received file manifest and key
+    keyLog: null,          // pinned key transparency log key and latest tree head checked
+    latestLoggedKeys: {},  // userId -> { keyVersion, leafIndex } of the newest log entry accepted
+    device: null           // this keystore's device key: { deviceId, publicKey, privateKey }
+  };
+}
+
+/**
+ * Create a new keystore file. Fails if one already exists at the path.
+ * @param {string} path - Keystore path
+ * @param {string} password - Account password
+ * @param {Object} data - Initial contents (must include username)
+ * @returns {Promise<{data: Object, save: Function, close: Function}>} Open keystore
+ */
+export async function createKeystore(path, password, data) {
+  await mkdir(dirname(path), { recursive: true, mode: 0o700 });
+
+  // Claim the path first so an existing keystore is never overwritten
+  try {
+    await writeFile(path, '', { flag: 'wx', mode: 0o600 });
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new Error(`A keystore already exists at ${path}`);
+    }
+    throw error;
+  }
+
+  const release = await acquireLock(path);
+  try {
+    const header = {
+      version: KEYSTORE_VERSION,
+      username: data.username,
+      kdf: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(crypto.getRandomValues(new Uint8Array(16)))
+      }
+    };
+    const keystore = keystoreHandle(path, header, await deriveKeystoreKey(password, header.kdf), data, release);
+    await keystore.save();
+    return keystore;
+  } catch (error) {
+    await unlink(path).catch(() => {});
+    await release();
+    throw error;
+  }
+}
+
+/**
+ * Open and decrypt a keystore file
+ * @param {string} path - Keystore path
+ * @param {string} password - Account password
+ * @returns {Promise<{data: Object, save: Function, close: Function}>} Open keystore
+ */
+export async function openKeystore(path, password) {
+  let file;
+  try {
+    file = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`No keystore at ${path}. Run \`e2ee register\` first.`);
+    }
+    throw new Error(`Keystore at ${path} is not readable: ${error.message}`);
+  }
+
+  if (file.version !== KEYSTORE_VERSION || file.kdf?.name !== 'PBKDF2') {
+    throw new Error(`Unsupported keystore version: ${file.version}`);
+  }
+
+  const header = { version: file.version, username: file.username, kdf: file.kdf };
+  const key = await deriveKeystoreKey(password, header.kdf);
+
+  // Re-read under the lock: another process may have saved in the meantime
+  const release = await acquireLock(path);
+  try {
+    file = JSON.parse(await readFile(path, 'utf8'));
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(file.iv), additionalData: headerAAD(header), tagLength: 128 },
+      key,
+      fromBase64(file.ciphertext)
+    ).catch(() => {
+      throw new Error('Failed to unlock keystore. The password may be incorrect.');
+    });
+
+    return keystoreHandle(path, header, key, JSON.parse(utf8Decode(plaintext)), release);
+  } catch (error) {
+    await release();
+    throw error;
+  }
+}
@@ -0,0 +1,514 @@
+/**
+ * Sending and receiving messages and files from the CLI
+ * Messages use the same wire format as the web app (messageUtils.js):
+ * an envelope naming the cipher suite and key, a Double Ratchet message key
+ * per message, metadata bound as additional data with a sealed copy, and sequence number + nonce for replay
+ * protection. Files go through /api/files chunk by chunk with an encrypted
+ * manifest in the message.
+ *
+ * Each message key is also wrapped for the certified devices of both users
+ * (envelope deviceKeys), with the keystore's own device key, so their linked
+ * browsers can read what the CLI sends. The CLI reads only messages on
+ * sessions it holds, not those sent from linked devices (SUITE_DEVICE).
+ */
+
+import { openAsBlob } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import {
+  encryptFile,
+  decryptFile,
+  hashFileChunkDigests,
+  generateNonce,
+  ratchetSendStep,
+  ratchetReceiveStep,
+  skippedKeyId,
+  importMessageKey,
+  encodeRatchetHeader,
+  encryptBoundMessage,
+  decryptBoundMessage,
+  readFileManifest,
+  messageEnvelope,
+  sealEnvelope,
+  decodeEnvelope,
+  verificationKeyFrom,
+  verifyDeviceKey,
+  wrapKeyForDevices,
+  importDevicePrivateKey,
+  fromBase64,
+  SUITE_RATCHET
+} from '@e2ee/crypto';
+import { fetchPublicKey } from './transparency.js';
+
+// Plaintext bytes per encrypted file chunk (as in the web app)
+const FILE_CHUNK_SIZE = 1024 * 1024; // 1 MB
+
+// Attempts per chunk before an upload gives up
+const CHUNK_UPLOAD_ATTEMPTS = 3;
+
+// Recently received nonces (and sequence numbers) kept per exchange and sender
+const RECEIVE_WINDOW_SIZE = 1000;
+
+/**
+ * Take the next sending key for an exchange and persist the advanced
+ * ratchet before anything is sent, so a key is never used twice
+ * @param {Object} keystore - Open keystore
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<{key: CryptoKey, messageKey: string, header: Object, headerData: Uint8Array}>}
+ */
+async function nextSendingKey(keystore, exchangeId) {
+  const state = keystore.data.ratchets[exchangeId];
+  if (!state) {
+    throw new Error('No ratchet state for exchange: ' + exchangeId);
+  }
+
+  const { header, messageKey } = await ratchetSendStep(state);
+  await keystore.save();
+
+  return {
+    key: await importMessageKey(messageKey),
+    messageKey,
+    header,
+    headerData: encodeRatchetHeader(header)
+  };
+}
+
+/**
+ * Metadata for the next message in an exchange (sequence number, nonce,
+ * timestamp), bound to its ciphertext
+ * @param {Object} keystore - Open keystore
+ * @param {string} exchangeId - Exchange ID
+ * @param {string} toUserId - Recipient's user ID
+ * @param {string} messageType - 'text' or 'file'
+ * @returns {Promise<Object>}
+ */
+async function nextMetadata(keystore, exchangeId, toUserId, messageType) {
+  const sequenceNumber = (keystore.data.sequences[exchangeId] || 0) + 1;
+  keystore.data.sequences[exchangeId] = sequenceNumber;
+  await keystore.save();
+
+  return {
+    fromUserId: keystore.data.userId,
+    toUserId,
+    sequenceNumber,
+    nonce: generateNonce(),
+    timestamp: Date.now(),
+    messageType
+  };
+}
+
+/**
+ * A user's active devices whose certificates verify against their signing
+ * key (as getVerifiedDevices in the web app)
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function verifiedDevices(keystore, api, userId) {
+  const [{ devices }, keys] = await Promise.all([
+    api.get(`/users/${userId}/devices`),
+    fetchPublicKey(keystore, api, userId)
+  ]);
+  const verificationKey = verificationKeyFrom(keys);
+
+  const verified = [];
+  for (const device of devices) {
+    const certified = { ...device, userId: String(userId) };
+    if (await verifyDeviceKey(certified, verificationKey)) {
+      verified.push(certified);
+    }
+  }
+  return verified;
+}
+
+/**
+ * Wrap a message key for the devices of the recipient and of the sender.
+ * Best effort: without copies the message is still readable on the sessions
+ * holding the ratchet, and a keystore without a device key (registered at
+ * login) makes none.
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} messageKey - Raw message key (base64)
+ * @param {Object} metadata - Message metadata (fromUserId, toUserId)
+ * @param {Object} envelope - Envelope of the message (suite, keyId, header)
+ * @returns {Promise<Array<Object>>} Envelope deviceKeys
+ */
+async function wrapForDevices(keystore, api, messageKey, metadata, envelope) {
+  const { device } = keystore.data;
+  if (!device) {
+    return [];
+  }
+
+  try {
+    const devices = [];
+    for (const userId of [metadata.toUserId, metadata.fromUserId]) {
+      devices.push(...await verifiedDevices(keystore, api, userId));
+    }
+
+    const sender = {
+      userId: keystore.data.userId,
+      deviceId: device.deviceId,
+      privateKey: await importDevicePrivateKey(device.privateKey)
+    };
+    return await wrapKeyForDevices(
+      fromBase64(messageKey),
+      devices.filter(candidate => candidate.deviceId !== device.deviceId),
+      sender,
+      envelope
+    );
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Encrypt a message (text or file manifest) into a wire envelope, with its
+ * metadata and the envelope's suite and key ID bound as additional data
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {Object} sending - Key from nextSendingKey
+ * @param {string} exchangeId - Exchange ID (the envelope's key ID)
+ * @param {string} plaintext - Payload to encrypt
+ * @param {Object} metadata - Message metadata to bind
+ * @returns {Promise<Object>} Envelope for /messages/send
+ */
+async function encryptEnvelope(keystore, api, sending, exchangeId, plaintext, metadata) {
+  const envelope = messageEnvelope({ suite: SUITE_RATCHET, keyId: exchangeId, header: sending.header });
+  const encrypted = await encryptBoundMessage(plaintext, sending.key, { ...metadata, envelope }, sending.headerData);
+  const sealed = sealEnvelope(envelope, encrypted);
+
+  const deviceKeys = await wrapForDevices(keystore, api, sending.messageKey, metadata, envelope);
+  return deviceKeys.length > 0 ? { ...sealed, deviceKeys } : sealed;
+}
+
+/**
+ * Send an encrypted text message
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} toUserId - Recipient's user ID
+ * @param {string} exchangeId - Session to send on
+ * @param {string} plaintext - Message text
+ * @returns {Promise<Object>} Stored message
+ */
+export async function sendMessage(keystore, api, toUserId, exchangeId, plaintext) {
+  const metadata = await nextMetadata(keystore, exchangeId, toUserId, 'text');
+  const sending = await nextSendingKey(keystore, exchangeId);
+
+  const response = await api.post('/messages/send', {
+    ...metadata,
+    exchangeId,
+    envelope: await encryptEnvelope(keystore, api, sending, exchangeId, plaintext, metadata)
+  });
+  return response.message;
+}
+
+/**
+ * Upload one encrypted chunk, retrying on failure (see uploadFileChunk in
+ * the web app)
+ * @param {Object} api - API client
+ * @param {string} fileId - Upload ID
+ * @param {number} chunkIndex - Chunk index
+ * @param {Uint8Array} data - Encrypted chunk
+ */
+async function uploadFileChunk(api, fileId, chunkIndex, data) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await api.put(`/files/${fileId}/chunks/${chunkIndex}`, data);
+      return;
+    } catch (error) {
+      if (attempt >= CHUNK_UPLOAD_ATTEMPTS || (error.status && error.status < 500)) {
+        throw error;
+      }
+
+      const status = await api.get(`/files/${fileId}`).catch(() => null);
+      if (status?.file.receivedChunks.includes(chunkIndex)) return;
+    }
+  }
+}
+
+/**
+ * Encrypt and send a file from disk
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} toUserId - Recipient's user ID
+ * @param {string} exchangeId - Session to send on
+ * @param {string} path - File to send
+ * @param {string} [fileType] - MIME type
+ * @returns {Promise<Object>} Stored message
+ */
+export async function sendFile(keystore, api, toUserId, exchangeId, path, fileType = 'application/octet-stream') {
+  const file = await openAsBlob(path);
+  const fileName = basename(path);
+  const fileSize = file.size;
+  const totalChunks = Math.max(1, Math.ceil(fileSize / FILE_CHUNK_SIZE));
+
+  // One ratchet message key covers every chunk of the file
+  const sending = await nextSendingKey(keystore, exchangeId);
+
+  const { file: upload } = await api.post('/files', {
+    toUserId,
+    exchangeId,
+    fileName,
+    fileType,
+    fileSize,
+    chunkSize: FILE_CHUNK_SIZE,
+    totalChunks
+  });
+  const fileId = upload.fileId;
+  let uploaded = false;
+
+  try {
+    const chunkDigests = [];
+    for await (const chunk of encryptFile(file, sending.key, FILE_CHUNK_SIZE, fileId, sending.headerData)) {
+      await uploadFileChunk(api, fileId, chunk.chunkIndex, chunk.data);
+      chunkDigests.push(chunk.digest);
+    }
+    await api.post(`/files/${fileId}/complete`);
+    uploaded = true;
+
+    const manifest = {
+      fileId,
+      fileName,
+      fileType,
+      fileSize,
+      chunkSize: FILE_CHUNK_SIZE,
+      totalChunks,
+      contentHash: await hashFileChunkDigests(chunkDigests)
+    };
+
+    const metadata = await nextMetadata(keystore, exchangeId, toUserId, 'file');
+    const response = await api.post('/messages/send', {
+      ...metadata,
+      exchangeId,
+      envelope: await encryptEnvelope(keystore, api, sending, exchangeId, JSON.stringify(manifest), metadata),
+      fileId,
+      fileName,
+      fileType,
+      fileSize,
+      totalChunks
+    });
+    return response.message;
+  } catch (error) {
+    // Don't leave a half-finished upload behind
+    if (!uploaded) {
+      await api.delete(`/files/${fileId}`).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Judge a received message against the receive window for its sender
+ * (same verdicts as checkReceivedMessage in the web app)
+ * @param {Object} record - Receive record for the exchange
+ * @param {Object} msg - Received message
+ * @returns {string} 'ok', 'out-of-order', 'replay' or 'duplicate'
+ */
+function judgeReceivedMessage(record, msg) {
+  if (record.recent.some(entry => entry.nonce === msg.nonce)) {
+    return 'duplicate';
+  }
+  if (record.recent.some(entry => entry.sequenceNumber === msg.sequenceNumber) ||
+      msg.sequenceNumber <= record.highestSequence - RECEIVE_WINDOW_SIZE) {
+    return 'replay';
+  }
+  return msg.sequenceNumber <= record.highestSequence ? 'out-of-order' : 'ok';
+}
+
+/**
+ * Decrypt a received ratchet message. The ratchet only advances (and the
+ * keystore is only saved) once the message has authenticated; malformed
+ * messages are rejected before any key is derived.
+ * @param {Object} keystore - Open keystore
+ * @param {Object} msg - Received message
+ * @returns {Promise<{text?: string, manifest?: Object, fileKey?: string}>}
+ */
+async function decryptRatchetMessage(keystore, msg) {
+  const wire = { ...msg, ...decodeEnvelope(msg) };
+  const { exchangeId, header: ratchetHeader } = wire;
+  const { ratchets, skippedKeys } = keystore.data;
+  if (!ratchets[exchangeId]) {
+    throw new Error('No ratchet state for exchange: ' + exchangeId);
+  }
+
+  const skippedId = skippedKeyId(exchangeId, ratchetHeader);
+  const state = structuredClone(ratchets[exchangeId]);
+  let messageKey = skippedKeys[skippedId];
+  let skipped = [];
+  if (!messageKey) {
+    ({ messageKey, skipped } = await ratchetReceiveStep(state, ratchetHeader));
+  }
+
+  const key = await importMessageKey(messageKey);
+  const headerData = encodeRatchetHeader(ratchetHeader);
+  const result = msg.messageType === 'file'
+    ? { manifest: await readFileManifest(wire, key, headerData), fileKey: messageKey }
+    : { text: await decryptBoundMessage(wire, key, headerData) };
+
+  ratchets[exchangeId] = state;
+  delete skippedKeys[skippedId];
+  for (const { id, messageKey: key } of skipped) {
+    skippedKeys[id] = key;
+  }
+  return result;
+}
+
+/**
+ * What to show for a message that could not be read
+ * @param {Error} error - Error from decryptRatchetMessage
+ * @returns {string}
+ */
+function receiveError(error) {
+  if (error.tampered) {
+    return 'Message was tampered with';
+  }
+  if (error.unsupportedVersion || error.unsupportedSuite) {
+    return 'Message uses a newer format; update e2ee';
+  }
+  return 'Unable to decrypt message';
+}
+
+/**
+ * Report a rejected or suspicious message to the security log
+ * @param {Object} api - API client
+ * @param {string} currentUserId - Our user ID
+ * @param {Object} msg - Received message
+ * @param {string} eventType - Security log event type
+ * @param {string} errorMessage - What went wrong
+ * @param {Object} [details] - Extra details
+ */
+async function reportAnomaly(api, currentUserId, msg, eventType, errorMessage, details = {}) {
+  const warning = eventType === 'INVALID_SEQUENCE' || eventType === 'DECRYPTION_FAILURE';
+  await api.post('/security-logs', {
+    eventType,
+    severity: warning ? 'WARNING' : 'CRITICAL',
+    userId: currentUserId,
+    details: {
+      detectedBy: 'cli',
+      messageId: msg._id,
+      exchangeId: msg.exchangeId,
+      sequenceNumber: msg.sequenceNumber,
+      nonce: msg.nonce,
+      ...details
+    },
+    success: false,
+    errorMessage
+  }).catch(() => {});
+}
+
+/**
+ * Fetch and decrypt messages from a user that this keystore has not seen yet
+ * Only messages on sessions held by this keystore can be read; others
+ * (e.g. sent to the user's browser session) are skipped.
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} peerId - Sender's user ID
+ * @returns {Promise<Array<Object>>} New messages, oldest first, each with
+ *   text or file (manifest + fileKey), and replayStatus/error when flagged
+ */
+export async function receiveMessages(keystore, api, peerId) {
+  const currentUserId = keystore.data.userId;
+  const { messages } = await api.get(`/messages/${currentUserId}/${peerId}`, { currentUserId });
+
+  const received = [];
+  for (const msg of messages) {
+    const fromUserId = String(msg.fromUserId?._id || msg.fromUserId);
+    const ratchetHeader = msg.envelope ? msg.envelope.header : msg.ratchetHeader;
+    if (fromUserId !== peerId || !keystore.data.ratchets[msg.exchangeId] || !ratchetHeader) {
+      continue;
+    }
+
+    const record = keystore.data.received[msg.exchangeId] ||= { highestSequence: 0, recent: [], verdicts: {} };
+    const messageId = String(msg._id);
+    if (record.verdicts[messageId]) {
+      continue; // Seen on an earlier run
+    }
+
+    const verdict = judgeReceivedMessage(record, msg);
+    const entry = { id: messageId, timestamp: msg.timestamp, exchangeId: msg.exchangeId, type: msg.messageType };
+    if (verdict !== 'ok') {
+      entry.replayStatus = verdict;
+      await reportAnomaly(
+        api, currentUserId, msg,
+        verdict === 'out-of-order' ? 'INVALID_SEQUENCE' : 'REPLAY_ATTACK_DETECTED',
+        verdict === 'out-of-order' ? 'Message received out of order' : `Message rejected by client: ${verdict}`,
+        { verdict, fromUserId }
+      );
+    }
+
+    if (verdict === 'duplicate' || verdict === 'replay') {
+      record.verdicts[messageId] = verdict;
+      await keystore.save();
+      received.push(entry);
+      continue;
+    }
+
+    let outcome = verdict;
+    try {
+      const result = await decryptRatchetMessage(keystore, msg);
+      if (result.manifest) {
+        // The message key is gone from the ratchet: keep it to download the file later
+        entry.file = { ...result.manifest, fileKey: result.fileKey, ratchetHeader };
+        keystore.data.files[messageId] = entry.file;
+      } else {
+        entry.text = result.text;
+      }
+
+      record.recent.push({ messageId, sequenceNumber: msg.sequenceNumber, nonce: msg.nonce });
+      if (record.recent.length > RECEIVE_WINDOW_SIZE) {
+        record.recent.splice(0, record.recent.length - RECEIVE_WINDOW_SIZE);
+      }
+      record.highestSequence = Math.max(record.highestSequence, msg.sequenceNumber);
+    } catch (error) {
+      outcome = 'failed';
+      entry.error = receiveError(error);
+      await reportAnomaly(
+        api, currentUserId, msg,
+        error.tampered ? 'MESSAGE_TAMPERED' : 'DECRYPTION_FAILURE',
+        error.message,
+        { alteredFields: error.alteredFields }
+      );
+    }
+
+    record.verdicts[messageId] = outcome;
+    await keystore.save();
+    received.push(entry);
+  }
+
+  return received;
+}
+
+/**
+ * Download, decrypt and save a received file
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} messageId - File message ID (from receiveMessages)
+ * @param {string} directory - Where to save it
+ * @returns {Promise<string>} Path written
+ */
+export async function saveFile(keystore, api, messageId, directory) {
+  const file = keystore.data.files[messageId];
+  if (!file) {
+    throw new Error('No received file with message ID: ' + messageId);
+  }
+
+  async function* chunks() {
+    for (let i = 0; i < file.totalChunks; i++) {
+      yield await api.getBinary(`/files/${file.fileId}/chunks/${i}`);
+    }
+  }
+
+  const blob = await decryptFile(
+    chunks(),
+    await importMessageKey(file.fileKey),
+    file.fileName,
+    file.fileType,
+    encodeRatchetHeader(file.ratchetHeader),
+    file
+  );
+
+  const path = join(directory, basename(file.fileName || 'file'));
+  await writeFile(path, new Uint8Array(await blob.arrayBuffer()), { flag: 'wx' });
+  return path;
+}
@@ -0,0 +1,63 @@
+/**
+ * Terminal input: the account password and piped message text
+ */
+
+/**
+ * The account password, from E2EE_PASSWORD (for CI jobs) or typed without echo
+ * @param {string} [label] - Prompt text
+ * @returns {Promise<string>}
+ */
+export async function readPassword(label = 'Password: ') {
+  if (process.env.E2EE_PASSWORD) {
+    return process.env.E2EE_PASSWORD;
+  }
+
+  const { stdin, stderr } = process;
+  if (!stdin.isTTY) {
+    throw new Error('No terminal to ask for the password. Set E2EE_PASSWORD.');
+  }
+
+  stderr.write(label);
+  stdin.setRawMode(true);
+  stdin.resume();
+  stdin.setEncoding('utf8');
+
+  return new Promise((resolve, reject) => {
+    let password = '';
+
+    const finish = (error) => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.removeListener('data', onData);
+      stderr.write('\n');
+      if (error) reject(error);
+      else resolve(password);
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') return finish();
+        if (char === '\u0003') return finish(new Error('Cancelled'));
+        if (char === '\u007f' || char === '\b') {
+          password = password.slice(0, -1);
+        } else {
+          password += char;
+        }
+      }
+    };
+
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Read all of standard input as text (for `e2ee send <user>` without a message)
+ * @returns {Promise<string>}
+ */
+export async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\n$/, '');
+}
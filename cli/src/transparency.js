@@ -0,0 +1,144 @@
+/**
+ * Key transparency checks for the CLI
+ * The same checks as the web app (frontend/src/utils/transparency.js): a
+ * user's public keys are only used once the log entry that comes with them
+ * records exactly these keys, is included in a tree head signed by the log
+ * key, and that tree head is consistent with the latest one this keystore
+ * has checked, and the entry is not older than the newest one accepted for
+ * the user. The log key is pinned in the keystore on first use, or set
+ * with E2EE_KEY_LOG_PUBLIC_KEY.
+ */
+
+import {
+  keyLogLeafHash,
+  verifyInclusion,
+  verifyConsistency,
+  verifyTreeHead
+} from '@e2ee/crypto';
+
+/**
+ * The log key: configured, pinned, or fetched and pinned now
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @returns {Promise<string>} Base64 SPKI
+ */
+async function logPublicKey(keystore, api) {
+  const configured = process.env.E2EE_KEY_LOG_PUBLIC_KEY;
+  if (configured) return configured;
+  if (keystore.data.keyLog?.publicKey) return keystore.data.keyLog.publicKey;
+
+  const { publicKey } = await api.get('/transparency/log-key');
+  return publicKey;
+}
+
+/**
+ * Check a tree head's signature and its consistency with the latest tree
+ * head this keystore has checked, then remember the larger of the two
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {Object} treeHead - { treeSize, rootHash, timestamp, signature }
+ * @returns {Promise<void>}
+ * @throws If the signature is invalid or the log was rewritten
+ */
+async function checkTreeHead(keystore, api, treeHead) {
+  const publicKey = await logPublicKey(keystore, api);
+
+  if (!(await verifyTreeHead(treeHead, publicKey))) {
+    throw new Error('Key transparency tree head is not signed by the log key');
+  }
+
+  const seen = keystore.data.keyLog?.treeHead;
+  if (seen) {
+    const [older, newer] = seen.treeSize <= treeHead.treeSize ? [seen, treeHead] : [treeHead, seen];
+
+    if (older.treeSize === newer.treeSize) {
+      if (older.rootHash !== newer.rootHash) {
+        throw new Error('Key transparency log has two different trees of the same size');
+      }
+    } else {
+      const { proof } = await api.get(`/transparency/consistency?from=${older.treeSize}&to=${newer.treeSize}`);
+      if (!await verifyConsistency(older.treeSize, older.rootHash, newer.treeSize, newer.rootHash, proof)) {
+        throw new Error('Key transparency log was rewritten since this keystore last checked it');
+      }
+    }
+  }
+
+  if (!seen || treeHead.treeSize > seen.treeSize) {
+    keystore.data.keyLog = { publicKey, treeHead };
+    await keystore.save();
+  }
+}
+
+/**
+ * Check that a user's logged keys are not older than the newest ones this
+ * keystore has accepted for them (old entries keep valid proofs after a
+ * rotation), then remember them if they are newer
+ * @param {Object} keystore - Open keystore
+ * @param {string} userId - User ID
+ * @param {number} keyVersion - Key version of the log entry
+ * @param {number} leafIndex - Position of the log entry
+ * @returns {Promise<void>}
+ * @throws If the server sent an older entry (e.g. a key the user replaced)
+ */
+async function checkLatestKeys(keystore, userId, keyVersion, leafIndex) {
+  const latest = keystore.data.latestLoggedKeys?.[userId];
+  if (latest && (keyVersion < latest.keyVersion || leafIndex < latest.leafIndex)) {
+    throw new Error(
+      `The server sent key version ${keyVersion} of a user whose key version ${latest.keyVersion} this keystore has already seen`
+    );
+  }
+
+  if (!latest || leafIndex > latest.leafIndex) {
+    keystore.data.latestLoggedKeys = { ...keystore.data.latestLoggedKeys, [userId]: { keyVersion, leafIndex } };
+    await keystore.save();
+  }
+}
+
+/**
+ * Fetch a user's public keys and check them against the key transparency log
+ * @param {Object} keystore - Open keystore
+ * @param {Object} api - API client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Response of /users/:userId/public-key
+ * @throws If the keys are not in the log as served
+ */
+export async function fetchPublicKey(keystore, api, userId) {
+  const keys = await api.get(`/users/${userId}/public-key`);
+
+  const proof = keys?.transparency;
+  if (!proof || typeof proof.leaf !== 'string' || !proof.treeHead) {
+    throw new Error('The server sent public keys without a key transparency proof');
+  }
+
+  let leaf;
+  try {
+    leaf = JSON.parse(proof.leaf);
+  } catch {
+    throw new Error('Malformed key transparency log entry');
+  }
+
+  const logged = leaf.userId === String(userId) &&
+    leaf.keyVersion === (keys.keyVersion || 1) &&
+    leaf.publicKey === keys.publicKey &&
+    leaf.signingPublicKey === (keys.signingPublicKey || null) &&
+    leaf.signingKeyAlgorithm === (keys.signingKeyAlgorithm || null);
+  if (!logged) {
+    throw new Error('The server sent public keys that differ from the ones in the key transparency log');
+  }
+
+  const { treeHead } = proof;
+  const included = await verifyInclusion(
+    await keyLogLeafHash(proof.leaf),
+    proof.leafIndex,
+    treeHead.treeSize,
+    proof.inclusionProof,
+    treeHead.rootHash
+  );
+  if (!included) {
+    throw new Error('Public keys are not included in the key transparency log');
+  }
+
+  await checkTreeHead(keystore, api, treeHead);
+  await checkLatestKeys(keystore, String(userId), leaf.keyVersion, proof.leafIndex);
+  return keys;
+}
@@ -0,0 +1,70 @@
+/**
+ * Test helpers: CLI users backed by temporary keystores, talking to the
+ * in-memory backend the frontend tests use (frontend/src/test/fakeApi.js)
+ */
+
+import { mkdtemp } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import fakeApi, { registerFakeUser, newUserId, setFakeCaller } from '../../frontend/src/test/fakeApi.js';
+import { generateIdentity, setUpDevice } from '../src/account.js';
+import { createKeystore, initialKeystoreData } from '../src/keystore.js';
+
+export { fakeServerState } from '../../frontend/src/test/fakeApi.js';
+
+/**
+ * Call the fake backend, converting axios-shaped errors to the CLI client's
+ * @param {Promise<{data: *}>} request - Fake API call
+ * @returns {Promise<*>} Response data
+ */
+async function unwrap(request) {
+  try {
+    return (await request).data;
+  } catch (error) {
+    if (!error.response) throw error;
+    const converted = new Error(error.response.data.error);
+    converted.status = error.response.status;
+    throw converted;
+  }
+}
+
+// Same interface as createApi() in src/api.js
+export const api = {
+  get: (path) => unwrap(fakeApi.get(path)),
+  post: (path, body) => unwrap(fakeApi.post(path, body)),
+  put: (path, body) => unwrap(fakeApi.put(path, body)),
+  delete: (path) => unwrap(fakeApi.delete(path)),
+  getBinary: async (path) => new Uint8Array(await unwrap(fakeApi.get(path)))
+};
+
+/**
+ * A temporary directory for keystores and downloads
+ * @returns {Promise<string>}
+ */
+export function tempDir() {
+  return mkdtemp(join(tmpdir(), 'e2ee-cli-test-'));
+}
+
+/**
+ * Create a user with a keystore and register its keys and device with the
+ * fake backend (what `e2ee register` does against the real one)
+ * @param {string} username - Username
+ * @returns {Promise<Object>} Open keystore (close it when done)
+ */
+export async function createCliUser(username) {
+  const identity = await generateIdentity();
+  const userId = newUserId();
+  await registerFakeUser(userId, {
+    username,
+    publicKey: identity.publicKey,
+    signingPublicKey: identity.signingPublicKey,
+    signingKeyAlgorithm: identity.signingAlgorithm
+  });
+
+  const data = { ...initialKeystoreData(username, 'http://fake', identity), userId, token: 'test-token' };
+  const keystore = await createKeystore(join(await tempDir(), 'keystore.json'), `${username} password`, data);
+
+  setFakeCaller(userId);
+  await setUpDevice(keystore, api);
+  return keystore;
+}
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createKeystore, openKeystore } from '../src/keystore.js';
+import { tempDir } from './helpers.js';
+
+/**
+ * Create a keystore with some contents and release it
+ * @returns {Promise<string>} Keystore path
+ */
+async function storedKeystore() {
+  const path = join(await tempDir(), 'keystore.json');
+  const keystore = await createKeystore(path, 'correct horse', { username: 'alice', secret: 'identity key' });
+  await keystore.close();
+  return path;
+}
+
+describe('keystore file', () => {
+  it('round-trips its contents with the right password', async () => {
+    const path = await storedKeystore();
+
+    const keystore = await openKeystore(path, 'correct horse');
+    assert.equal(keystore.data.secret, 'identity key');
+    keystore.data.secret = 'rotated';
+    await keystore.save();
+    await keystore.close();
+
+    const reopened = await openKeystore(path, 'correct horse');
+    assert.equal(reopened.data.secret, 'rotated');
+    await reopened.close();
+  });
+
+  it('stores nothing in the clear', async () => {
+    const path = await storedKeystore();
+
+    assert.doesNotMatch(await readFile(path, 'utf8'), /identity key/);
+  });
+
+  it('refuses the wrong password', async () => {
+    const path = await storedKeystore();
+
+    await assert.rejects(openKeystore(path, 'wrong'), /password may be incorrect/);
+  });
+
+  it('rejects a modified header', async () => {
+    const path = await storedKeystore();
+    const file = JSON.parse(await readFile(path, 'utf8'));
+    await writeFile(path, JSON.stringify({ ...file, username: 'mallory' }));
+
+    await assert.rejects(openKeystore(path, 'correct horse'), /password may be incorrect/);
+  });
+
+  it('never overwrites an existing keystore', async () => {
+    const path = await storedKeystore();
+
+    await assert.rejects(createKeystore(path, 'other', { username: 'bob' }), /already exists/);
+    const keystore = await openKeystore(path, 'correct horse');
+    assert.equal(keystore.data.username, 'alice');
+    await keystore.close();
+  });
+
+  it('can only be open in one process at a time', async () => {
+    const path = await storedKeystore();
+
+    const first = await openKeystore(path, 'correct horse');
+    await assert.rejects(openKeystore(path, 'correct horse'), /in use by another e2ee process/);
+    await first.close();
+
+    const second = await openKeystore(path, 'correct horse');
+    await second.close();
+  });
+});
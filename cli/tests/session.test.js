@@ -0,0 +1,189 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { startExchange, acceptExchange, finishExchange, findSession } from '../src/keyExchange.js';
+import { sendMessage, sendFile, receiveMessages, saveFile } from '../src/messages.js';
+import { loadSigningKey } from '../src/account.js';
+import {
+  generateDeviceKeyPair,
+  exportPublicKey,
+  deviceKeyMessage,
+  signWithKey,
+  unwrapDeviceKey,
+  decodeEnvelope,
+  decryptBoundMessage,
+  importMessageKey,
+  encodeRatchetHeader,
+  toBase64
+} from '@e2ee/crypto';
+import { api, createCliUser, fakeServerState, tempDir } from './helpers.js';
+
+/**
+ * Run the interactive key exchange between two CLI users
+ * @param {Object} initiator - Initiator's keystore
+ * @param {Object} responder - Responder's keystore
+ * @returns {Promise<string>} Exchange ID
+ */
+async function establishSession(initiator, responder) {
+  const exchangeId = await startExchange(initiator, api, responder.data.userId);
+  await acceptExchange(responder, api, exchangeId);
+  await finishExchange(initiator, api, exchangeId);
+  return exchangeId;
+}
+
+/**
+ * Message as stored on the fake server
+ * @param {string} messageId - Message ID
+ * @returns {Object}
+ */
+function storedMessage(messageId) {
+  return fakeServerState().messages.find(m => m._id === messageId);
+}
+
+describe('CLI sessions', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    alice = await createCliUser('cli-alice');
+    bob = await createCliUser('cli-bob');
+  });
+
+  after(async () => {
+    await alice.close();
+    await bob.close();
+  });
+
+  it('establishes the same session key on both sides', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    assert.equal(fakeServerState().exchanges.get(exchangeId).status, 'confirmed');
+    assert.equal(alice.data.sessions[exchangeId].sessionKey, bob.data.sessions[exchangeId].sessionKey);
+    assert.equal(alice.data.ratchets[exchangeId].role, 'initiator');
+    assert.equal(bob.data.ratchets[exchangeId].role, 'responder');
+    assert.equal(alice.data.pendingExchanges[exchangeId], undefined);
+  });
+
+  it('waits for the answer before finishing', async () => {
+    const exchangeId = await startExchange(alice, api, bob.data.userId);
+
+    assert.equal((await finishExchange(alice, api, exchangeId)).status, 'pending');
+  });
+
+  it('rejects an initiation whose ephemeral key was swapped (MITM)', async () => {
+    const exchangeId = await startExchange(alice, api, bob.data.userId);
+    const exchange = fakeServerState().exchanges.get(exchangeId);
+    exchange.initiatorEphemeralPublicKey = bob.data.identity.signingPublicKey;
+
+    await assert.rejects(acceptExchange(bob, api, exchangeId), /Invalid signature from initiator/);
+  });
+
+  it('delivers messages in both directions, each only once', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    await sendMessage(alice, api, bob.data.userId, exchangeId, 'build #42 failed');
+    await sendMessage(alice, api, bob.data.userId, exchangeId, 'build #43 passed');
+
+    let received = await receiveMessages(bob, api, alice.data.userId);
+    assert.deepEqual(received.map(m => m.text), ['build #42 failed', 'build #43 passed']);
+    assert.deepEqual(await receiveMessages(bob, api, alice.data.userId), []);
+
+    await sendMessage(bob, api, alice.data.userId, findSession(bob, alice.data.userId, exchangeId), 'on it');
+    received = await receiveMessages(alice, api, bob.data.userId);
+    assert.deepEqual(received.map(m => m.text), ['on it']);
+  });
+
+  it('never sends plaintext to the server', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    const message = await sendMessage(alice, api, bob.data.userId, exchangeId, 'disk full on db-1');
+
+    assert.doesNotMatch(JSON.stringify(storedMessage(message._id)), /disk full/);
+  });
+
+  it('blocks a redelivered copy and reports it', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const message = await sendMessage(alice, api, bob.data.userId, exchangeId, 'once');
+    await receiveMessages(bob, api, alice.data.userId);
+
+    fakeServerState().messages.push({ ...storedMessage(message._id), _id: 'redelivered-copy' });
+    const [copy] = await receiveMessages(bob, api, alice.data.userId);
+
+    assert.equal(copy.replayStatus, 'duplicate');
+    assert.equal(copy.text, undefined);
+    assert.equal(fakeServerState().securityLogs.at(-1).details.messageId, 'redelivered-copy');
+  });
+
+  it('detects metadata altered by the server without advancing the ratchet', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const message = await sendMessage(alice, api, bob.data.userId, exchangeId, 'pay 10');
+    storedMessage(message._id).timestamp += 60 * 60 * 1000;
+
+    const [received] = await receiveMessages(bob, api, alice.data.userId);
+
+    assert.equal(received.error, 'Message was tampered with');
+    assert.equal(bob.data.ratchets[exchangeId].receiveCount, 0);
+  });
+
+  it('refuses a cipher suite it does not know without advancing the ratchet', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const message = await sendMessage(alice, api, bob.data.userId, exchangeId, 'from the future');
+    storedMessage(message._id).envelope.suite = 'E2EE-FUTURE-SUITE';
+
+    const [received] = await receiveMessages(bob, api, alice.data.userId);
+
+    assert.equal(received.error, 'Message uses a newer format; update e2ee');
+    assert.equal(bob.data.ratchets[exchangeId].receiveCount, 0);
+  });
+
+  it('wraps message keys for the certified devices of the recipient', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const keyPair = await generateDeviceKeyPair();
+    const phone = { userId: bob.data.userId, deviceId: 'bob-phone-1', publicKey: await exportPublicKey(keyPair.publicKey) };
+
+    // One device certified by Bob's signing key, one by somebody else's
+    const sign = async (keystore, device) => {
+      const { signingKey, signingAlgorithm } = await loadSigningKey(keystore);
+      return signWithKey(deviceKeyMessage(device), signingKey, signingAlgorithm);
+    };
+    const forged = { ...phone, deviceId: 'bob-phone-2' };
+    fakeServerState().devices.push(
+      { ...phone, name: 'Phone', status: 'active', signature: await sign(bob, phone) },
+      { ...forged, name: 'Phone', status: 'active', signature: await sign(alice, forged) }
+    );
+
+    const message = await sendMessage(alice, api, bob.data.userId, exchangeId, 'read me on your phone');
+    const stored = storedMessage(message._id);
+    assert.deepEqual(stored.envelope.deviceKeys.map(entry => entry.deviceId), [bob.data.device.deviceId, 'bob-phone-1']);
+    assert.ok(stored.envelope.deviceKeys.every(entry => entry.fromDeviceId === alice.data.device.deviceId));
+
+    const wire = { ...stored, ...decodeEnvelope(stored) };
+    const { devices: aliceDevices } = await api.get(`/users/${alice.data.userId}/devices`);
+    const senderDevices = aliceDevices.map(device => ({ ...device, userId: alice.data.userId }));
+    const messageKey = await unwrapDeviceKey(wire.deviceKeys, { deviceId: 'bob-phone-1', privateKey: keyPair.privateKey }, senderDevices, wire);
+    const text = await decryptBoundMessage(wire, await importMessageKey(toBase64(messageKey)), encodeRatchetHeader(wire.header));
+    assert.equal(text, 'read me on your phone');
+
+    // The session itself still reads it
+    const [received] = await receiveMessages(bob, api, alice.data.userId);
+    assert.equal(received.text, 'read me on your phone');
+  });
+
+  it('sends a multi-chunk file', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const directory = await tempDir();
+    const content = new Uint8Array(2 * 1024 * 1024 + 10).map((_, i) => i % 251);
+    await writeFile(join(directory, 'report.pdf'), content);
+
+    const message = await sendFile(alice, api, bob.data.userId, exchangeId, join(directory, 'report.pdf'), 'application/pdf');
+    assert.equal(fakeServerState().files.get(storedMessage(message._id).fileId).chunks.size, 3);
+
+    const [received] = await receiveMessages(bob, api, alice.data.userId);
+    assert.equal(received.file.fileName, 'report.pdf');
+
+    const downloads = await tempDir();
+    const path = await saveFile(bob, api, received.id, downloads);
+    assert.deepEqual(new Uint8Array(await readFile(path)), content);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { keyLogLeaf } from '@e2ee/crypto';
+import { startExchange, acceptExchange } from '../src/keyExchange.js';
+import { fetchPublicKey } from '../src/transparency.js';
+import { generateIdentity } from '../src/account.js';
+import { setFakeCaller } from '../../frontend/src/test/fakeApi.js';
+import { api, createCliUser, fakeServerState } from './helpers.js';
+
+/**
+ * API client whose public key responses are rewritten (a malicious server)
+ * @param {Function} tamper - Maps the response data
+ * @returns {Object} Same interface as createApi()
+ */
+function tamperedApi(tamper) {
+  return {
+    ...api,
+    get: async (path) => {
+      const data = await api.get(path);
+      return /\/users\/.+\/public-key$/.test(path) ? tamper(data) : data;
+    }
+  };
+}
+
+describe('CLI key transparency', () => {
+  let alice;
+  let bob;
+
+  before(async () => {
+    alice = await createCliUser('cli-alice-log');
+    bob = await createCliUser('cli-bob-log');
+  });
+
+  after(async () => {
+    await alice.close();
+    await bob.close();
+  });
+
+  it('accepts logged keys and pins the log key and tree head', async () => {
+    const keys = await fetchPublicKey(alice, api, bob.data.userId);
+
+    assert.equal(keys.publicKey, bob.data.identity.publicKey);
+    assert.equal(alice.data.keyLog.publicKey, fakeServerState().keyLogKey.publicKey);
+    assert.equal(alice.data.keyLog.treeHead.treeSize, fakeServerState().keyLog.length);
+  });
+
+  it('rejects a key missing from the log', async () => {
+    const substitute = await generateIdentity();
+    const tampered = tamperedApi(data => {
+      const leaf = JSON.parse(data.transparency.leaf);
+      const forged = { ...leaf, publicKey: substitute.publicKey, signingPublicKey: substitute.signingPublicKey };
+      return {
+        ...data,
+        publicKey: substitute.publicKey,
+        signingPublicKey: substitute.signingPublicKey,
+        transparency: { ...data.transparency, leaf: keyLogLeaf(forged) }
+      };
+    });
+
+    await assert.rejects(fetchPublicKey(alice, tampered, bob.data.userId), /not included in the key transparency log/);
+
+    // Nor is it used to check a key exchange
+    const exchangeId = await startExchange(alice, api, bob.data.userId);
+    await assert.rejects(acceptExchange(bob, tampered, exchangeId), /not included in the key transparency log/);
+    assert.equal(bob.data.sessions[exchangeId], undefined);
+  });
+
+  it('rejects keys served without their log entry', async () => {
+    const tampered = tamperedApi(data => ({ ...data, publicKey: alice.data.identity.publicKey }));
+    await assert.rejects(fetchPublicKey(alice, tampered, bob.data.userId), /differ from the ones in the key transparency log/);
+
+    const { transparency: _transparency, ...unproven } = await api.get(`/users/${bob.data.userId}/public-key`);
+    await assert.rejects(fetchPublicKey(alice, tamperedApi(() => unproven), bob.data.userId), /without a key transparency proof/);
+  });
+
+  it('rejects keys older than ones it has seen for the user', async () => {
+    const original = await api.get(`/users/${bob.data.userId}/public-key`);
+    await fetchPublicKey(alice, api, bob.data.userId);
+
+    // Bob rotates his keys (the fake server does not check the signature)
+    const next = await generateIdentity();
+    setFakeCaller(bob.data.userId);
+    await api.post('/users/identity-key', {
+      keyVersion: 2,
+      publicKey: next.publicKey,
+      signingPublicKey: next.signingPublicKey,
+      signingKeyAlgorithm: next.signingAlgorithm,
+      reason: 'compromised',
+      signature: 'unchecked',
+      devices: []
+    });
+    setFakeCaller(alice.data.userId);
+    assert.equal((await fetchPublicKey(alice, api, bob.data.userId)).keyVersion, 2);
+
+    // The server goes back to the replaced key, with its proof from the old tree
+    await assert.rejects(
+      fetchPublicKey(alice, tamperedApi(() => original), bob.data.userId),
+      /key version 1 of a user whose key version 2/
+    );
+  });
+
+  it('rejects tree heads not signed by the pinned log key', async () => {
+    const state = fakeServerState();
+    const logKey = state.keyLogKey;
+    state.keyLogKey = null; // the server switches to a new log key
+
+    try {
+      await assert.rejects(fetchPublicKey(alice, api, bob.data.userId), /not signed by the log key/);
+    } finally {
+      state.keyLogKey = logKey;
+    }
+  });
+});
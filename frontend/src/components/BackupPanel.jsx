@@ -0,0 +1,178 @@
+import { useEffect, useState } from 'react';
+import { generateRecoveryCode } from '@e2ee/crypto';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  createKeyBackup,
+  getKeyBackupStatus,
+  deleteKeyBackup
+} from '../utils/backup';
+import './BackupPanel.css';
+
+/**
+ * Encrypted key backup of the account: its status, creating or replacing it
+ * under a generated recovery code or a passphrase, and deleting it.
+ */
+const BackupPanel = ({ currentUser, currentDevice, onClose }) => {
+  const [status, setStatus] = useState(null);
+  const [secretType, setSecretType] = useState('recovery-code');
+  const [recoveryCode, setRecoveryCode] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    getKeyBackupStatus()
+      .then(setStatus)
+      .catch(err => {
+        console.error('Error loading backup status:', err);
+        setError('Could not load your backup status.');
+      });
+  }, []);
+
+  // Only the browser holding the account keys has something worth backing up
+  const canBackUp = !currentDevice?.linked;
+
+  const handleGenerate = () => {
+    setRecoveryCode(generateRecoveryCode());
+    setNotice(null);
+  };
+
+  const handleCreate = async () => {
+    setError(null);
+    setNotice(null);
+
+    const secret = secretType === 'recovery-code' ? recoveryCode : passphrase;
+    if (secretType === 'passphrase' && passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      setStatus(await createKeyBackup(currentUser.username, secret, secretType));
+      setNotice(secretType === 'recovery-code'
+        ? 'Backup saved. Keep your recovery code somewhere safe: it will not be shown again.'
+        : 'Backup saved.');
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete your key backup? You will not be able to restore your messages on a new browser.')) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await deleteKeyBackup();
+      setStatus(null);
+      setRecoveryCode(null);
+      setNotice('Backup deleted.');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const secretReady = secretType === 'recovery-code'
+    ? Boolean(recoveryCode)
+    : passphrase.length >= MIN_PASSPHRASE_LENGTH && confirmation.length > 0;
+
+  return (
+    <div className="backup-overlay" onClick={onClose}>
+      <div className="backup-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Key backup</h3>
+
+        <p className="backup-status">
+          {status
+            ? `Last backup: ${new Date(status.updatedAt).toLocaleString()} (${status.secretType === 'recovery-code' ? 'recovery code' : 'passphrase'}, ${status.kdf})`
+            : 'No backup yet. If this browser\'s storage is cleared, your past messages cannot be decrypted.'}
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+        {notice && <div className="backup-notice">{notice}</div>}
+
+        {canBackUp ? (
+          <>
+            <div className="backup-choice">
+              <label>
+                <input
+                  type="radio"
+                  checked={secretType === 'recovery-code'}
+                  onChange={() => setSecretType('recovery-code')}
+                />
+                Recovery code
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  checked={secretType === 'passphrase'}
+                  onChange={() => setSecretType('passphrase')}
+                />
+                Passphrase
+              </label>
+            </div>
+
+            {secretType === 'recovery-code' ? (
+              <div className="backup-secret">
+                {recoveryCode
+                  ? <div className="backup-recovery-code">{recoveryCode}</div>
+                  : <p>Generate a code and write it down before saving the backup.</p>}
+                <button onClick={handleGenerate} disabled={busy}>
+                  {recoveryCode ? 'New code' : 'Generate recovery code'}
+                </button>
+              </div>
+            ) : (
+              <div className="backup-secret">
+                <input
+                  type="password"
+                  placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  autoComplete="new-password"
+                />
+                <input
+                  type="password"
+                  placeholder="Confirm passphrase"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  autoComplete="new-password"
+                />
+              </div>
+            )}
+
+            <div className="backup-actions">
+              <button onClick={handleCreate} disabled={busy || !secretReady}>
+                {busy ? 'Encrypting...' : status ? 'Update backup' : 'Create backup'}
+              </button>
+              {status && (
+                <button className="btn-delete" onClick={handleDelete} disabled={busy}>
+                  Delete backup
+                </button>
+              )}
+              <button className="btn-close" onClick={onClose}>Close</button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="backup-status">
+              Backups are made from a device that holds the account keys.
+            </p>
+            <div className="backup-actions">
+              <button className="btn-close" onClick={onClose}>Close</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BackupPanel;
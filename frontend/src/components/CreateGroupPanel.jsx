@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import api from '../services/api.js';
+import './GroupChat.css';
+
+/**
+ * Dialog to create a group: a name and the initial members.
+ * The creator is added as the group's first admin by the server.
+ */
+const CreateGroupPanel = ({ users, onCreated, onClose }) => {
+  const [name, setName] = useState('');
+  const [memberIds, setMemberIds] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleMember = (userId) => {
+    setMemberIds(prev => prev.includes(userId)
+      ? prev.filter(id => id !== userId)
+      : [...prev, userId]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await api.post('/groups', { name: name.trim(), memberIds });
+      onCreated(response.data.group);
+    } catch (err) {
+      console.error('Error creating group:', err);
+      setError(err.response?.data?.error || err.message);
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="group-panel-overlay" onClick={onClose}>
+      <form className="group-panel" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <h3>New group</h3>
+
+        <input
+          type="text"
+          placeholder="Group name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={100}
+          autoFocus
+        />
+
+        <div className="group-panel-members">
+          {users.map(user => (
+            <label key={user._id}>
+              <input
+                type="checkbox"
+                checked={memberIds.includes(String(user._id))}
+                onChange={() => toggleMember(String(user._id))}
+              />
+              {user.username}
+            </label>
+          ))}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="group-panel-actions">
+          <button type="submit" disabled={creating || !name.trim() || memberIds.length === 0}>
+            {creating ? 'Creating...' : 'Create group'}
+          </button>
+          <button type="button" className="btn-close" onClick={onClose}>Cancel</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CreateGroupPanel;
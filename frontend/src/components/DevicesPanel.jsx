@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import {
+  currentLinkingCode,
+  listOwnDevices,
+  approveDevice,
+  revokeDevice
+} from '../utils/devices';
+import './DevicesPanel.css';
+
+/**
+ * Devices of the account: this browser's linking code while it waits for
+ * approval, approval of pending devices by their linking code, and revocation.
+ */
+const DevicesPanel = ({ currentUser, currentDevice, onClose }) => {
+  const [devices, setDevices] = useState([]);
+  const [linkingCode, setLinkingCode] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [codes, setCodes] = useState({}); // Map of deviceId -> typed linking code
+  const [busyDeviceId, setBusyDeviceId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setDevices(await listOwnDevices());
+    } catch (err) {
+      console.error('Error loading devices:', err);
+      setError('Could not load your devices.');
+    }
+  }, []);
+
+  // Reload when this device changes (Chat refreshes it on every device:updated event)
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices, currentDevice]);
+
+  // Linking code of this browser, to type on a device that holds the account keys
+  useEffect(() => {
+    if (currentDevice?.status !== 'pending') return;
+    let cancelled = false;
+
+    const load = async () => {
+      const code = await currentLinkingCode();
+      const qr = await QRCode.toDataURL(code, { margin: 1, width: 160 });
+      if (!cancelled) {
+        setLinkingCode(code);
+        setQrCode(qr);
+      }
+    };
+
+    load().catch(err => console.error('Error computing linking code:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentDevice?.status]);
+
+  const handleApprove = async (deviceId) => {
+    setBusyDeviceId(deviceId);
+    setError(null);
+    try {
+      await approveDevice(String(currentUser.id), currentUser.username, deviceId, codes[deviceId] || '');
+      await loadDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusyDeviceId(null);
+    }
+  };
+
+  const handleRevoke = async (deviceId) => {
+    setBusyDeviceId(deviceId);
+    setError(null);
+    try {
+      await revokeDevice(String(currentUser.id), deviceId);
+      await loadDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusyDeviceId(null);
+    }
+  };
+
+  const canApprove = currentDevice && !currentDevice.linked;
+
+  return (
+    <div className="devices-overlay" onClick={onClose}>
+      <div className="devices-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Your devices</h3>
+
+        {currentDevice?.status === 'pending' && (
+          <div className="devices-linking">
+            <p>
+              This browser is waiting to be linked. On a device where you already use this account,
+              open Devices and enter this code:
+            </p>
+            <div className="devices-linking-code">{linkingCode || '…'}</div>
+            {qrCode && <img className="devices-qr" src={qrCode} alt="Linking code QR code" />}
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+
+        <ul className="devices-list">
+          {devices.map(device => (
+            <li key={device.deviceId} className={`device-item device-${device.status}`}>
+              <div className="device-info">
+                <strong>{device.name}</strong>
+                {device.deviceId === currentDevice?.deviceId && <span className="device-this">this device</span>}
+                <span className="device-status">{device.status}</span>
+              </div>
+
+              {device.status === 'pending' && device.deviceId !== currentDevice?.deviceId && canApprove && (
+                <div className="device-approve">
+                  <input
+                    type="text"
+                    placeholder="Linking code"
+                    value={codes[device.deviceId] || ''}
+                    onChange={(e) => setCodes(prev => ({ ...prev, [device.deviceId]: e.target.value }))}
+                  />
+                  <button
+                    onClick={() => handleApprove(device.deviceId)}
+                    disabled={busyDeviceId === device.deviceId || !codes[device.deviceId]}
+                  >
+                    Approve
+                  </button>
+                </div>
+              )}
+
+              {device.status !== 'revoked' && device.deviceId !== currentDevice?.deviceId && (
+                <button
+                  className="btn-revoke"
+                  onClick={() => handleRevoke(device.deviceId)}
+                  disabled={busyDeviceId === device.deviceId}
+                >
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="devices-actions">
+          <button className="btn-close" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DevicesPanel;
@@ -0,0 +1,307 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import api from '../services/api.js';
+import { getSocket } from '../services/socket.js';
+import { ensureSenderKey, receiveSenderKeys } from '../utils/senderKeys.js';
+import {
+  sendGroupMessage,
+  getAndDecryptGroupMessages,
+  decryptGroupMessageForDisplay
+} from '../utils/groupMessages.js';
+import './GroupChat.css';
+
+/**
+ * Group conversation: messages encrypted with sender keys, plus the member
+ * list and (for admins) membership management. Membership changes rotate
+ * the group key on the server; the parent passes the refreshed group in.
+ */
+const GroupChat = ({ group, currentUser, users, sessions, getExchangeId, onGroupChange }) => {
+  const currentUserId = String(currentUser.id);
+  const groupId = String(group._id);
+  const isAdmin = group.members.some(member => String(member.userId) === currentUserId && member.role === 'admin');
+
+  const [messages, setMessages] = useState([]);
+  const [messageInput, setMessageInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  const [newMemberId, setNewMemberId] = useState('');
+  const messagesEndRef = useRef(null);
+  // Latest group, readable from socket handlers and retries without re-subscribing
+  const groupRef = useRef(group);
+
+  useEffect(() => {
+    groupRef.current = group;
+  }, [group]);
+
+  const loadMessages = useCallback(async () => {
+    try {
+      setMessages(await getAndDecryptGroupMessages(groupId, currentUserId));
+    } catch (err) {
+      setError('Failed to load messages: ' + (err.response?.data?.error || err.message));
+    }
+  }, [groupId, currentUserId]);
+
+  // Share our sender key for this epoch, collect the others', then show history
+  const shareSenderKey = useCallback(async () => {
+    const unreachable = await ensureSenderKey(groupRef.current, currentUserId, getExchangeId);
+    if (unreachable.length > 0) {
+      const names = groupRef.current.members
+        .filter(member => unreachable.includes(String(member.userId)))
+        .map(member => member.username);
+      setError(`Could not share your group key with ${names.join(', ')} (no secure session yet). They cannot read your messages until it is shared.`);
+    }
+  }, [currentUserId, getExchangeId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const prepare = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        await shareSenderKey();
+        await receiveSenderKeys(groupId, currentUserId);
+        if (!cancelled) await loadMessages();
+      } catch (err) {
+        console.error('Error preparing group:', err);
+        if (!cancelled) setError('Failed to set up group encryption: ' + (err.response?.data?.error || err.message));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    prepare();
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, group.keyEpoch, currentUserId, shareSenderKey, loadMessages]);
+
+  // New pairwise sessions can unlock sender keys that were waiting for them
+  useEffect(() => {
+    receiveSenderKeys(groupId, currentUserId)
+      .then(received => {
+        if (received > 0) loadMessages();
+      })
+      .catch(err => console.error('Error receiving sender keys:', err));
+  }, [sessions, groupId, currentUserId, loadMessages]);
+
+  // Real-time group events
+  useEffect(() => {
+    const socket = getSocket();
+    if (!socket) return;
+
+    const handleGroupMessage = async (msg) => {
+      if (String(msg.groupId) !== groupId) return;
+      // Our own sends are shown from the send response (plaintext is cached then)
+      if (String(msg.fromUserId?._id || msg.fromUserId) === currentUserId) return;
+
+      const decrypted = await decryptGroupMessageForDisplay(msg, currentUserId);
+      setMessages(prev => prev.some(m => m._id === decrypted._id) ? prev : [...prev, decrypted]);
+    };
+
+    const handleSenderKey = async ({ groupId: keyGroupId }) => {
+      if (String(keyGroupId) !== groupId) return;
+
+      try {
+        if (await receiveSenderKeys(groupId, currentUserId) > 0) {
+          await loadMessages();
+        }
+      } catch (err) {
+        console.error('Error receiving sender keys:', err);
+      }
+    };
+
+    socket.on('group:message', handleGroupMessage);
+    socket.on('group:sender-key', handleSenderKey);
+
+    return () => {
+      socket.off('group:message', handleGroupMessage);
+      socket.off('group:sender-key', handleSenderKey);
+    };
+  }, [groupId, currentUserId, loadMessages]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  const handleSendMessage = async (e) => {
+    e.preventDefault();
+    const text = messageInput.trim();
+    if (!text) return;
+
+    setSending(true);
+    setError(null);
+    try {
+      let response;
+      try {
+        response = await sendGroupMessage(groupRef.current, currentUserId, text);
+      } catch (err) {
+        // Membership changed meanwhile: move to the new epoch and retry once
+        if (err.response?.status !== 409) throw err;
+        const groupRes = await api.get(`/groups/${groupId}`);
+        groupRef.current = groupRes.data.group;
+        onGroupChange(groupRes.data.group);
+        await shareSenderKey();
+        response = await sendGroupMessage(groupRef.current, currentUserId, text);
+      }
+
+      setMessageInput('');
+      setMessages(prev => [...prev, { ...response.message, plaintext: text, isOwn: true }]);
+    } catch (err) {
+      console.error('Error sending group message:', err);
+      setError('Failed to send message: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const updateMembership = async (request) => {
+    setError(null);
+    try {
+      const response = await request();
+      if (response.data.group) onGroupChange(response.data.group);
+    } catch (err) {
+      console.error('Error updating group:', err);
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMemberId) return;
+    await updateMembership(() => api.post(`/groups/${groupId}/members`, { userId: newMemberId }));
+    setNewMemberId('');
+  };
+
+  const handleRemoveMember = (member) => updateMembership(() => (
+    api.delete(`/groups/${groupId}/members/${member.userId}`)
+  ));
+
+  const handleToggleAdmin = (member) => updateMembership(() => (
+    api.patch(`/groups/${groupId}/members/${member.userId}`, {
+      role: member.role === 'admin' ? 'member' : 'admin'
+    })
+  ));
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${group.name}? You will no longer receive its messages.`)) return;
+    await updateMembership(() => api.delete(`/groups/${groupId}/members/${currentUserId}`));
+  };
+
+  const nonMembers = users.filter(user => !group.members.some(member => String(member.userId) === String(user._id)));
+
+  return (
+    <>
+      <div className="chat-header-bar">
+        <h3>{group.name}</h3>
+        <span className="encryption-badge" title={`Sender keys rotated ${new Date(group.keyRotatedAt).toLocaleString()}`}>
+          🔒 Group key #{group.keyEpoch}
+        </span>
+        <button className="btn-group-members" onClick={() => setShowMembers(prev => !prev)}>
+          👥 {group.members.length} members
+        </button>
+      </div>
+
+      {showMembers && (
+        <div className="group-members-panel">
+          <ul>
+            {group.members.map(member => (
+              <li key={member.userId}>
+                <span>
+                  {member.username}
+                  {String(member.userId) === currentUserId && ' (you)'}
+                  {member.role === 'admin' && <span className="group-admin-badge">admin</span>}
+                </span>
+                {isAdmin && String(member.userId) !== currentUserId && (
+                  <span className="group-member-actions">
+                    <button onClick={() => handleToggleAdmin(member)}>
+                      {member.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                    </button>
+                    <button onClick={() => handleRemoveMember(member)}>Remove</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isAdmin && nonMembers.length > 0 && (
+            <form className="group-add-member" onSubmit={handleAddMember}>
+              <select value={newMemberId} onChange={(e) => setNewMemberId(e.target.value)}>
+                <option value="">Add a member...</option>
+                {nonMembers.map(user => (
+                  <option key={user._id} value={user._id}>{user.username}</option>
+                ))}
+              </select>
+              <button type="submit" disabled={!newMemberId}>Add</button>
+            </form>
+          )}
+
+          <p className="group-members-note">
+            Adding or removing a member starts a new group key: removed members cannot read new messages,
+            and new members cannot read earlier ones.
+          </p>
+          <button className="btn-leave-group" onClick={handleLeave}>Leave group</button>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="messages-container">
+        {loading && messages.length === 0 ? (
+          <div className="loading">Loading messages...</div>
+        ) : messages.length === 0 ? (
+          <div className="no-messages">No messages yet. Start the conversation!</div>
+        ) : (
+          <div className="messages">
+            {messages.map((msg, index) => (
+              <div key={msg._id || index} className={`message ${msg.isOwn ? 'own' : 'other'}`}>
+                <div className="message-header">
+                  <span className="message-sender">
+                    {msg.isOwn ? 'You' : msg.fromUserId?.username || 'Unknown'}
+                  </span>
+                  <span className="message-time">
+                    {new Date(msg.timestamp || msg.createdAt).toLocaleTimeString()}
+                  </span>
+                </div>
+                <div className="message-content">
+                  {msg.decryptionError || msg.awaitingKey ? (
+                    <span className="error-text">{msg.plaintext}</span>
+                  ) : (
+                    <span>{msg.plaintext}</span>
+                  )}
+                </div>
+                {!msg.decryptionError && !msg.awaitingKey && (
+                  <div className="message-meta">
+                    <small>🔒 Sender key #{msg.keyEpoch}, signed</small>
+                  </div>
+                )}
+              </div>
+            ))}
+            <div ref={messagesEndRef} />
+          </div>
+        )}
+      </div>
+
+      <form className="message-input-form" onSubmit={handleSendMessage}>
+        <input
+          type="text"
+          className="message-input"
+          placeholder="Type a message..."
+          value={messageInput}
+          onChange={(e) => setMessageInput(e.target.value)}
+          disabled={loading || sending}
+        />
+        <button
+          type="submit"
+          className="btn-send"
+          disabled={loading || sending || !messageInput.trim()}
+        >
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </form>
+    </>
+  );
+};
+
+export default GroupChat;
@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useState } from 'react';
+import { rotateIdentityKey, fetchKeyHistory } from '../utils/identityKeys';
+import { RETIRED_KEY_RETENTION_DAYS } from '../utils/keyStorage';
+import './IdentityKeyPanel.css';
+
+/**
+ * The account's identity key versions with their validity periods, and
+ * rotation of the current key (routine, or because it may be compromised).
+ */
+const IdentityKeyPanel = ({ currentUser, currentDevice, onClose }) => {
+  const [history, setHistory] = useState(null);
+  const [password, setPassword] = useState('');
+  const [compromised, setCompromised] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      setHistory(await fetchKeyHistory(String(currentUser.id)));
+    } catch (err) {
+      console.error('Error loading key history:', err);
+      setError('Could not load your key history.');
+    }
+  }, [currentUser.id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRotate = async (e) => {
+    e.preventDefault();
+    const question = compromised
+      ? 'Replace your identity key and report the current one as compromised?'
+      : 'Replace your identity key?';
+    if (!window.confirm(`${question} Your contacts will have to set up new secure sessions with you.`)) return;
+
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const { keyVersion, revokedDevices } = await rotateIdentityKey(
+        String(currentUser.id), currentUser.username, password, { compromised }
+      );
+      setNotice(`Now using key version ${keyVersion}. Your contacts were asked to set up new sessions.` +
+        (revokedDevices.length ? ` ${revokedDevices.length} device(s) could not be certified again and were revoked.` : ''));
+      setPassword('');
+      setCompromised(false);
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'now');
+
+  return (
+    <div className="identity-key-overlay" onClick={onClose}>
+      <div className="identity-key-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Identity key</h3>
+
+        {error && <div className="error-message">{error}</div>}
+        {notice && <div className="identity-key-notice">{notice}</div>}
+
+        {history && (
+          <>
+            {!history.verified && (
+              <div className="error-message">
+                Your key history does not verify: a key was not signed by the one before it.
+              </div>
+            )}
+            <ul className="identity-key-history">
+              {[...history.keys].reverse().map(key => (
+                <li key={key.keyVersion} className={key.revoked ? 'identity-key-revoked' : undefined}>
+                  <strong>Version {key.keyVersion}</strong>
+                  {!key.validUntil && <span className="identity-key-current">current</span>}
+                  {key.revoked && <span className="identity-key-flag">compromised</span>}
+                  <div className="identity-key-period">
+                    {formatDate(key.validFrom)} – {key.validUntil ? formatDate(key.validUntil) : 'now'}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {currentDevice?.linked ? (
+          <p className="identity-key-hint">Keys are rotated from the device that holds the account keys.</p>
+        ) : (
+          <form className="identity-key-rotate" onSubmit={handleRotate}>
+            <p className="identity-key-hint">
+              Rotating creates a new identity key signed by the current one. Past messages stay readable;
+              the old key is kept on this device for {RETIRED_KEY_RETENTION_DAYS} days, then deleted.
+            </p>
+            <input
+              type="password"
+              placeholder="Account password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+            <label>
+              <input
+                type="checkbox"
+                checked={compromised}
+                onChange={(e) => setCompromised(e.target.checked)}
+              />
+              My current key may be compromised
+            </label>
+            <div className="identity-key-actions">
+              <button type="submit" disabled={busy || !password}>
+                {busy ? 'Rotating...' : 'Rotate identity key'}
+              </button>
+              <button type="button" className="btn-close" onClick={onClose}>Close</button>
+            </div>
+          </form>
+        )}
+
+        {currentDevice?.linked && (
+          <div className="identity-key-actions">
+            <button className="btn-close" onClick={onClose}>Close</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default IdentityKeyPanel;
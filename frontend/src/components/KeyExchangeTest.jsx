@@ -133,9 +133,9 @@ const KeyExchangeTest = () => {
       const fromUserId = exchange.fromUserId._id || exchange.fromUserId;
       const cleanToUserId = cleanUserId(toUserId || currentUserId);
 
-      // Get initiator's public key
+      // Get initiator's signing key
       const initiatorKeyRes = await api.get(`/users/${fromUserId}/public-key`);
-      const initiatorRSAKey = initiatorKeyRes.data.publicKey;
+      const initiatorVerificationKey = keyExchange.verificationKeyFrom(initiatorKeyRes.data);
 
       setResult(prev => prev + `From User ID: ${fromUserId}\nTo User ID: ${cleanToUserId}\n`);
 
@@ -153,7 +153,7 @@ const KeyExchangeTest = () => {
         username || currentUsername,
         exchange.initiatorEphemeralPublicKey,
         exchange.initiatorSignature,
-        initiatorRSAKey,
+        initiatorVerificationKey,
         exchangeTimestamp,
         exchangeNonce
       );
@@ -190,9 +190,9 @@ const KeyExchangeTest = () => {
 
       setResult(prev => prev + `From User ID: ${cleanFromUserId}\nTo User ID: ${cleanToUserId}\n`);
 
-      // Get responder's RSA public key for signature verification
+      // Get responder's signing key for signature verification
       const responderKeyRes = await api.get(`/users/${cleanToUserId}/public-key`);
-      const responderRSAKey = responderKeyRes.data.publicKey;
+      const responderVerificationKey = keyExchange.verificationKeyFrom(responderKeyRes.data);
 
       // Complete the key exchange (ephemeral key pair will be retrieved from storage)
       // Use responseNonce for key derivation (this is the nonce from the response, not initiation)
@@ -208,7 +208,7 @@ const KeyExchangeTest = () => {
         exchange.keyConfirmation,
         responseNonce,
         exchange.responderSignature,
-        responderRSAKey,
+        responderVerificationKey,
         responseTimestamp
       );
 
@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import {
+  fetchIdentityKeys,
+  fetchLocalIdentityKeys,
+  computeSafetyNumber,
+  formatSafetyNumber,
+  identityKeyDigest,
+  markContactVerified,
+  clearContactVerified
+} from '../utils/safetyNumber';
+import './SafetyNumberPanel.css';
+
+/**
+ * Safety number view for one conversation: 60 digits + QR code to compare
+ * in person, and the controls to mark the contact as verified. Our half of
+ * the number is computed from the keys on this device, so only the device
+ * holding the account keys can show it.
+ */
+const SafetyNumberPanel = ({ currentUserId, currentUsername, currentDevice, contact, status, onStatusChange, onClose }) => {
+  const contactId = String(contact._id || contact.id);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [keyDigest, setKeyDigest] = useState(null);
+  const [error, setError] = useState(null);
+
+  const linked = Boolean(currentDevice?.linked);
+
+  useEffect(() => {
+    if (linked) return;
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const [localKeys, remoteKeys] = await Promise.all([
+          fetchLocalIdentityKeys(currentUsername),
+          fetchIdentityKeys(contactId)
+        ]);
+        const number = await computeSafetyNumber(currentUserId, localKeys, contactId, remoteKeys);
+        const digest = await identityKeyDigest(remoteKeys);
+        const qr = await QRCode.toDataURL(number, { margin: 1, width: 200 });
+
+        if (!cancelled) {
+          setSafetyNumber(number);
+          setKeyDigest(digest);
+          setQrCode(qr);
+        }
+      } catch (err) {
+        console.error('Error computing safety number:', err);
+        if (!cancelled) setError('Could not compute the safety number.');
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUserId, currentUsername, contactId, linked]);
+
+  const handleMarkVerified = () => {
+    markContactVerified(currentUserId, contactId, keyDigest);
+    onStatusChange('verified');
+  };
+
+  const handleClearVerified = () => {
+    clearContactVerified(currentUserId, contactId);
+    onStatusChange('unverified');
+  };
+
+  return (
+    <div className="safety-number-overlay" onClick={onClose}>
+      <div className="safety-number-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Safety number with {contact.username}</h3>
+        <p className="safety-number-help">
+          Compare these numbers with {contact.username} in person or over a channel you trust, or scan
+          each other&apos;s QR code. If they match, nobody is intercepting your messages.
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+        {linked && (
+          <p className="safety-number-help">Safety numbers are shown on the device that holds the account keys.</p>
+        )}
+        {!linked && !error && !safetyNumber && <div className="loading">Computing safety number...</div>}
+
+        {safetyNumber && (
+          <>
+            <div className="safety-number-digits">
+              {formatSafetyNumber(safetyNumber).map((group, index) => (
+                <span key={index}>{group}</span>
+              ))}
+            </div>
+            {qrCode && <img className="safety-number-qr" src={qrCode} alt="Safety number QR code" />}
+          </>
+        )}
+
+        <div className="safety-number-actions">
+          {status === 'verified' ? (
+            <button onClick={handleClearVerified}>Clear verification</button>
+          ) : (
+            <button onClick={handleMarkVerified} disabled={!keyDigest}>
+              {status === 'changed' ? 'Numbers match, verify new key' : 'Mark as verified'}
+            </button>
+          )}
+          <button className="btn-close" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SafetyNumberPanel;
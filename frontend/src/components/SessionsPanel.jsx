@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { listSessions, SESSION_POLICY } from '../utils/sessionManager';
+import './SessionsPanel.css';
+
+const STATE_LABELS = {
+  active: 'active',
+  expired: 'expired',
+  retired: 'replaced'
+};
+
+/**
+ * This browser's sessions with a contact: the active one, and the expired
+ * or replaced ones kept (read-only) for older messages.
+ */
+const SessionsPanel = ({ contact, currentDevice, onClose }) => {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listSessions(String(contact._id || contact.id))
+      .then(list => {
+        if (!cancelled) setSessions(list);
+      })
+      .catch(err => {
+        console.error('Error loading sessions:', err);
+        if (!cancelled) setError('Could not load your sessions.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [contact]);
+
+  const formatDate = (date) => new Date(date).toLocaleString();
+  const shortId = (sessionId) => sessionId.slice(0, 8);
+
+  return (
+    <div className="sessions-overlay" onClick={onClose}>
+      <div className="sessions-panel" onClick={(e) => e.stopPropagation()}>
+        <h3>Sessions with {contact.username}</h3>
+        <p className="sessions-hint">
+          A new session is set up after {SESSION_POLICY.maxMessages} messages or {SESSION_POLICY.lifetimeHours} hours.
+          Older sessions only decrypt the messages sent under them.
+        </p>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {currentDevice?.linked ? (
+          <p className="sessions-hint">Sessions are held by the device that holds the account keys.</p>
+        ) : sessions && sessions.length === 0 ? (
+          <p className="sessions-hint">No sessions with {contact.username} in this browser yet.</p>
+        ) : sessions && (
+          <ul className="sessions-list">
+            {sessions.map(session => (
+              <li key={session.sessionId} className={session.state !== 'active' ? 'sessions-read-only' : undefined}>
+                <strong title={session.sessionId}>{shortId(session.sessionId)}</strong>
+                <span className={`sessions-state sessions-state-${session.state}`}>{STATE_LABELS[session.state]}</span>
+                <div className="sessions-details">
+                  Set up {formatDate(session.createdAt)}
+                  {' · '}
+                  {session.retiredAt
+                    ? `replaced ${formatDate(session.retiredAt)}`
+                    : `${session.state === 'expired' ? 'expired' : 'expires'} ${formatDate(session.expiresAt)}`}
+                </div>
+                <div className="sessions-details">
+                  {session.messageCount} / {SESSION_POLICY.maxMessages} messages sent
+                  {session.replacedBy && <> · replaced by {shortId(session.replacedBy)}</>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="sessions-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -186,6 +186,7 @@ const AttackDemo = () => {
           ciphertext: lastMessage.ciphertext,
           iv: lastMessage.iv,
           tag: lastMessage.tag,
+          envelope: lastMessage.envelope,
           timestamp: lastMessage.timestamp,
           messageType: lastMessage.messageType,
           sequenceNumber: lastMessage.sequenceNumber,
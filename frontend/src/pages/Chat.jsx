@@ -1,8 +1,22 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { sendEncryptedMessage, getAndDecryptMessages, sendEncryptedFile, getAndDecryptFile, downloadFile } from '../utils/messageUtils.js';
-import { getSessionKey, getAllSessionKeyIds } from '../utils/keyStorage.js';
+import { sendEncryptedMessage, getAndDecryptMessages, sendEncryptedFile, getAndDecryptFile, downloadFile, decryptIncomingMessage, markMessageAsRead } from '../utils/messageUtils.js';
+import { getAllSessionKeyIds, lockPrivateKeys } from '../utils/keyStorage.js';
+import { acceptKeyExchange, finalizeKeyExchange, declineKeyExchange, receiveX3DHExchange } from '../utils/keyExchange.js';
+import { listSessions, sessionForSending, startSession } from '../utils/sessionManager.js';
+import { ensurePreKeys, replenishOneTimePreKeys } from '../utils/prekeys.js';
+import { getCurrentDevice, refreshCurrentDevice, forgetCurrentDevice, forgetDeviceList } from '../utils/devices.js';
+import { keyRotationSinceSession } from '../utils/identityKeys.js';
 import api from '../services/api.js';
+import { getSocket, disconnectSocket } from '../services/socket.js';
+import { fetchIdentityKeys, identityKeyDigest, getVerificationStatus } from '../utils/safetyNumber.js';
+import SafetyNumberPanel from '../components/SafetyNumberPanel.jsx';
+import DevicesPanel from '../components/DevicesPanel.jsx';
+import BackupPanel from '../components/BackupPanel.jsx';
+import IdentityKeyPanel from '../components/IdentityKeyPanel.jsx';
+import SessionsPanel from '../components/SessionsPanel.jsx';
+import GroupChat from '../components/GroupChat.jsx';
+import CreateGroupPanel from '../components/CreateGroupPanel.jsx';
 import './Chat.css';
 
 const Chat = () => {
@@ -18,9 +32,30 @@ const Chat = () => {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
-  const [downloadingFiles, setDownloadingFiles] = useState(new Set());
+  const [downloadingFiles, setDownloadingFiles] = useState({}); // Map of messageId -> download progress
+  const [pendingExchanges, setPendingExchanges] = useState([]); // Incoming requests awaiting accept/decline
+  const [respondingExchangeId, setRespondingExchangeId] = useState(null);
+  const [sessionRequests, setSessionRequests] = useState({}); // Map of userId -> 'starting' | 'waiting'
+  const [contactVerification, setContactVerification] = useState(null); // 'unverified' | 'verified' | 'changed'
+  const [keyTransparencyError, setKeyTransparencyError] = useState(null); // Contact's keys failed the log checks
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [groups, setGroups] = useState([]);
+  const [selectedGroupId, setSelectedGroupId] = useState(null);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [currentDevice, setCurrentDevice] = useState(getCurrentDevice);
+  const [showDevices, setShowDevices] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [showIdentityKey, setShowIdentityKey] = useState(false);
+  const [contactKeyRotation, setContactKeyRotation] = useState(null); // Rotation newer than our session with the contact
+  const [keyChangeCount, setKeyChangeCount] = useState(0); // Bumped when a contact rotates their identity key
+  const [sessionState, setSessionState] = useState(null); // 'active' | 'expired' | 'retired' for the open conversation
+  const [showSessions, setShowSessions] = useState(false);
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  // Latest selection, readable from socket handlers without re-subscribing
+  const selectedUserRef = useRef(null);
+  const exchangeIdRef = useRef(null);
+  const completedExchangesRef = useRef({});
 
   // Get current user info
   useEffect(() => {
@@ -33,6 +68,63 @@ const Chat = () => {
     }
   }, []);
 
+  // Record a freshly established session key for another user
+  const registerSession = useCallback((otherUserId, newExchangeId) => {
+    setCompletedExchanges(prev => ({ ...prev, [otherUserId]: newExchangeId }));
+    setSessionRequests(prev => {
+      const next = { ...prev };
+      delete next[otherUserId];
+      return next;
+    });
+    localStorage.setItem(`exchangeId_${otherUserId}`, newExchangeId);
+
+    const activeUser = selectedUserRef.current;
+    if (activeUser && String(activeUser._id || activeUser.id) === String(otherUserId)) {
+      setExchangeId(newExchangeId);
+      setError(null);
+    }
+  }, []);
+
+  const loadPendingExchanges = useCallback(async () => {
+    if (!currentUser?.id) return;
+
+    try {
+      const response = await api.get(`/key-exchange/pending/${currentUser.id}`);
+      setPendingExchanges(response.data.exchanges || []);
+    } catch (error) {
+      console.error('Error loading pending key exchanges:', error);
+    }
+  }, [currentUser]);
+
+  // Load incoming key exchange requests
+  useEffect(() => {
+    loadPendingExchanges();
+  }, [loadPendingExchanges]);
+
+  // Publish prekeys so others can start sessions with us while we are offline
+  useEffect(() => {
+    // A linked device has no identity keys to publish prekeys with
+    if (!currentUser?.id || currentDevice?.linked) return;
+
+    ensurePreKeys(String(currentUser.id), currentUser.username).catch((error) => {
+      console.error('Error publishing prekeys:', error);
+    });
+  }, [currentUser, currentDevice?.linked]);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      const response = await api.get('/groups');
+      setGroups(response.data.groups || []);
+    } catch (error) {
+      console.error('Error loading groups:', error);
+    }
+  }, []);
+
+  // Load the groups we belong to
+  useEffect(() => {
+    if (currentUser?.id) loadGroups();
+  }, [currentUser, loadGroups]);
+
   // Load users list
   useEffect(() => {
     const loadUsers = async () => {
@@ -58,10 +150,13 @@ const Chat = () => {
         
         // Get all available session keys from IndexedDB
         const availableSessionKeys = await getAllSessionKeyIds();
+        // A linked device holds no session keys: it reads and sends through device keys
+        const linkedDevice = Boolean(currentDevice?.linked && currentDevice.status === 'active');
         console.log('Available session keys in IndexedDB:', availableSessionKeys);
         
         // Create a map: otherUserId -> exchangeId
         const exchangeMap = {};
+        const contactIds = new Set();
         const currentUserIdStr = String(currentUser.id);
         
         exchanges.forEach(exchange => {
@@ -79,8 +174,10 @@ const Chat = () => {
             ? toUserIdStr 
             : fromUserIdStr;
           
-          // Only include if session key exists in IndexedDB
-          if (availableSessionKeys.includes(exchange.exchangeId)) {
+          contactIds.add(otherUserId);
+
+          // A linked device goes by the server's exchanges; others by their session keys (below)
+          if (linkedDevice) {
             // Use the most recent exchange if multiple exist (prefer confirmed over responded)
             if (!exchangeMap[otherUserId]) {
               exchangeMap[otherUserId] = exchange.exchangeId;
@@ -99,6 +196,15 @@ const Chat = () => {
             }
           }
         });
+
+        // Newest session with each contact, expired ones too: older history
+        // still decrypts and the next send sets up a new session
+        if (!linkedDevice) {
+          for (const contactId of contactIds) {
+            const [latest] = await listSessions(contactId);
+            if (latest) exchangeMap[contactId] = latest.sessionId;
+          }
+        }
         
         console.log('Loaded completed exchanges with session keys:', exchangeMap);
         console.log('Current user ID:', currentUserIdStr);
@@ -109,14 +215,292 @@ const Chat = () => {
           status: e.status
         })));
         setCompletedExchanges(exchangeMap);
+
+        // Completing exchanges needs the identity keys, which a linked device does not have
+        if (currentDevice?.linked) return;
+
+        // Finish exchanges we initiated that were answered while we were away
+        const awaitingCompletion = exchanges.filter(exchange =>
+          exchange.status === 'responded' &&
+          String(exchange.fromUserId?._id || exchange.fromUserId) === currentUserIdStr &&
+          !availableSessionKeys.includes(exchange.exchangeId)
+        );
+        for (const exchange of awaitingCompletion) {
+          try {
+            const { otherUserId } = await finalizeKeyExchange(exchange.exchangeId);
+            registerSession(otherUserId, exchange.exchangeId);
+          } catch (error) {
+            // Ephemeral key is missing if the exchange was started in another browser
+            console.log(`Could not complete exchange ${exchange.exchangeId}:`, error.message);
+          }
+        }
+
+        // Derive session keys for X3DH exchanges started while we were offline
+        const unreceivedX3DH = exchanges.filter(exchange =>
+          exchange.protocol === 'x3dh' &&
+          String(exchange.toUserId?._id || exchange.toUserId) === currentUserIdStr &&
+          !availableSessionKeys.includes(exchange.exchangeId)
+        );
+        for (const exchange of unreceivedX3DH) {
+          try {
+            const { otherUserId } = await receiveX3DHExchange(exchange.exchangeId, currentUserIdStr);
+            registerSession(otherUserId, exchange.exchangeId);
+          } catch (error) {
+            console.log(`Could not receive X3DH exchange ${exchange.exchangeId}:`, error.message);
+          }
+        }
       } catch (error) {
         console.error('Error loading completed exchanges:', error);
       }
     };
     
     loadCompletedExchanges();
+  }, [currentUser, currentDevice, registerSession]);
+
+  // Compare the selected contact's identity keys with the ones we verified
+  useEffect(() => {
+    setContactVerification(null);
+    setKeyTransparencyError(null);
+    setShowSafetyNumber(false);
+    setShowSessions(false);
+    if (!selectedUser || !currentUser?.id) return;
+
+    let cancelled = false;
+    const contactId = String(selectedUser._id || selectedUser.id);
+
+    const checkVerification = async () => {
+      try {
+        const digest = await identityKeyDigest(await fetchIdentityKeys(contactId));
+        if (!cancelled) {
+          setContactVerification(getVerificationStatus(String(currentUser.id), contactId, digest));
+        }
+      } catch (error) {
+        console.error('Error checking contact verification:', error);
+        if (error.keyTransparency && !cancelled) {
+          setKeyTransparencyError(error.message);
+        }
+      }
+    };
+
+    checkVerification();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedUser, currentUser, keyChangeCount]);
+
+  // Has the contact replaced their identity key since our session was set up?
+  useEffect(() => {
+    setContactKeyRotation(null);
+    if (!selectedUser || !exchangeId) return;
+
+    let cancelled = false;
+    const contactId = String(selectedUser._id || selectedUser.id);
+
+    keyRotationSinceSession(contactId, exchangeId)
+      .then(rotation => {
+        if (!cancelled) setContactKeyRotation(rotation);
+      })
+      .catch(error => console.error('Error checking contact key rotation:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedUser, exchangeId, keyChangeCount]);
+
+  // Sessions past their lifetime only read; the next send replaces them
+  useEffect(() => {
+    setSessionState(null);
+    if (!selectedUser || !exchangeId || currentDevice?.linked) return;
+
+    let cancelled = false;
+    listSessions(String(selectedUser._id || selectedUser.id))
+      .then(sessions => {
+        const session = sessions.find(s => s.sessionId === exchangeId);
+        if (!cancelled) setSessionState(session?.state || null);
+      })
+      .catch(error => console.error('Error checking session state:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedUser, exchangeId, currentDevice?.linked]);
+
+  useEffect(() => {
+    selectedUserRef.current = selectedUser;
+    exchangeIdRef.current = exchangeId;
+    completedExchangesRef.current = completedExchanges;
+  }, [selectedUser, exchangeId, completedExchanges]);
+
+  // Pairwise session with a group member, for sender key distribution.
+  // Missing or due sessions are replaced (with X3DH if the member has prekeys).
+  const getExchangeIdForMember = useCallback(async (memberId) => {
+    const existing = completedExchangesRef.current[memberId];
+    // A linked device sends through device keys under the account's sessions
+    if (existing && currentDevice?.linked) return existing;
+
+    const { exchangeId: sendingExchangeId, waiting } = await sessionForSending(
+      String(currentUser.id),
+      memberId,
+      currentUser.username
+    );
+    if (!sendingExchangeId) {
+      throw new Error(waiting ? 'Waiting for the member to accept a secure session' : 'No secure session with the member');
+    }
+    if (sendingExchangeId !== existing) {
+      completedExchangesRef.current = { ...completedExchangesRef.current, [memberId]: sendingExchangeId };
+      registerSession(memberId, sendingExchangeId);
+    }
+    return sendingExchangeId;
+  }, [currentUser, currentDevice?.linked, registerSession]);
+
+  // Replace a group after a change; groups we are no longer in are dropped
+  const handleGroupChange = useCallback((group) => {
+    const stillMember = group.members.some(member => String(member.userId) === String(currentUser?.id));
+    setGroups(prev => stillMember
+      ? prev.map(g => (g._id === group._id ? group : g))
+      : prev.filter(g => g._id !== group._id));
+    if (!stillMember) {
+      setSelectedGroupId(prev => (prev === group._id ? null : prev));
+    }
   }, [currentUser]);
 
+  // Subscribe to real-time events for the current user
+  useEffect(() => {
+    if (!currentUser?.id) return;
+
+    const socket = getSocket();
+    if (!socket) return;
+
+    const currentUserId = String(currentUser.id);
+
+    const handleNewMessage = async (msg) => {
+      const activeUser = selectedUserRef.current;
+      const activeExchangeId = exchangeIdRef.current;
+      if (!activeUser || !activeExchangeId) return;
+
+      // Only messages in the open conversation are shown
+      const activeUserId = String(activeUser._id || activeUser.id);
+      const fromUserIdStr = String(msg.fromUserId?._id || msg.fromUserId);
+      const toUserIdStr = String(msg.toUserId?._id || msg.toUserId);
+      if (fromUserIdStr !== activeUserId && toUserIdStr !== activeUserId) return;
+
+      // Our own sends are shown by the reload after sending (their plaintext is cached then)
+      if (fromUserIdStr === currentUserId) return;
+
+      try {
+        const decrypted = await decryptIncomingMessage(msg, activeExchangeId, currentUserId);
+        setMessages(prev => prev.some(m => m._id === decrypted._id) ? prev : [...prev, decrypted]);
+
+        if (!decrypted.isOwn) {
+          await markMessageAsRead(decrypted._id, currentUserId);
+        }
+      } catch (error) {
+        console.error('Error handling incoming message:', error);
+      }
+    };
+
+    const handleMessageRead = ({ messageId, readAt }) => {
+      setMessages(prev => prev.map(m => (
+        String(m._id) === String(messageId) ? { ...m, status: 'read', readAt } : m
+      )));
+    };
+
+    const handleKeyExchangeRequest = async ({ exchangeId: requestExchangeId, protocol }) => {
+      if (protocol !== 'x3dh') {
+        loadPendingExchanges();
+        return;
+      }
+
+      // X3DH needs no answer: derive the session key right away
+      try {
+        const { otherUserId } = await receiveX3DHExchange(requestExchangeId, currentUserId);
+        registerSession(otherUserId, requestExchangeId);
+      } catch (error) {
+        console.error('Error receiving X3DH key exchange:', error);
+      }
+    };
+
+    const handlePreKeysLow = async () => {
+      try {
+        await replenishOneTimePreKeys(currentUserId);
+      } catch (error) {
+        console.error('Error replenishing prekeys:', error);
+      }
+    };
+
+    // Responder answered one of our requests: complete it without user action
+    const handleKeyExchangeResponse = async ({ exchangeId: respondedExchangeId }) => {
+      try {
+        const { otherUserId } = await finalizeKeyExchange(respondedExchangeId);
+        registerSession(otherUserId, respondedExchangeId);
+      } catch (error) {
+        console.error('Error completing key exchange:', error);
+        setError('Failed to complete key exchange: ' + (error.response?.data?.error || error.message));
+      }
+    };
+
+    const handleKeyExchangeDeclined = ({ toUserId }) => {
+      const otherUserId = String(toUserId?._id || toUserId);
+      setSessionRequests(prev => {
+        const next = { ...prev };
+        delete next[otherUserId];
+        return next;
+      });
+
+      const activeUser = selectedUserRef.current;
+      if (activeUser && String(activeUser._id || activeUser.id) === otherUserId) {
+        setError(`${toUserId?.username || 'The user'} declined the secure session request.`);
+      }
+    };
+
+    // Membership or key epoch changed in one of our groups
+    const handleGroupUpdated = () => {
+      loadGroups();
+    };
+
+    const handleGroupRemoved = ({ groupId }) => {
+      setGroups(prev => prev.filter(g => String(g._id) !== String(groupId)));
+      setSelectedGroupId(prev => (String(prev) === String(groupId) ? null : prev));
+    };
+
+    // One of our devices was registered, linked or revoked
+    const handleDeviceUpdated = async () => {
+      try {
+        setCurrentDevice(await refreshCurrentDevice());
+      } catch (error) {
+        console.error('Error refreshing device:', error);
+      }
+    };
+
+    // A contact replaced their identity key (and had their devices certified anew)
+    const handleIdentityKeyRotated = ({ userId }) => {
+      forgetDeviceList(userId);
+      setKeyChangeCount(count => count + 1);
+    };
+
+    socket.on('message:new', handleNewMessage);
+    socket.on('message:read', handleMessageRead);
+    socket.on('key-exchange:request', handleKeyExchangeRequest);
+    socket.on('key-exchange:response', handleKeyExchangeResponse);
+    socket.on('key-exchange:declined', handleKeyExchangeDeclined);
+    socket.on('prekeys:low', handlePreKeysLow);
+    socket.on('group:updated', handleGroupUpdated);
+    socket.on('group:removed', handleGroupRemoved);
+    socket.on('device:updated', handleDeviceUpdated);
+    socket.on('identity-key:rotated', handleIdentityKeyRotated);
+
+    return () => {
+      socket.off('message:new', handleNewMessage);
+      socket.off('message:read', handleMessageRead);
+      socket.off('key-exchange:request', handleKeyExchangeRequest);
+      socket.off('key-exchange:response', handleKeyExchangeResponse);
+      socket.off('key-exchange:declined', handleKeyExchangeDeclined);
+      socket.off('prekeys:low', handlePreKeysLow);
+      socket.off('group:updated', handleGroupUpdated);
+      socket.off('group:removed', handleGroupRemoved);
+      socket.off('device:updated', handleDeviceUpdated);
+      socket.off('identity-key:rotated', handleIdentityKeyRotated);
+    };
+  }, [currentUser, loadPendingExchanges, registerSession, loadGroups]);
+
   // Scroll to bottom when messages change
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -155,7 +539,22 @@ const Chat = () => {
     }
   };
 
+  const handleSelectGroup = (group) => {
+    setSelectedGroupId(group._id);
+    setSelectedUser(null);
+    setExchangeId(null);
+    setMessages([]);
+    setError(null);
+  };
+
+  const handleGroupCreated = (group) => {
+    setGroups(prev => [group, ...prev.filter(g => g._id !== group._id)]);
+    setShowCreateGroup(false);
+    handleSelectGroup(group);
+  };
+
   const handleSelectUser = async (user) => {
+    setSelectedGroupId(null);
     setSelectedUser(user);
     setMessages([]);
     setError(null);
@@ -177,82 +576,111 @@ const Chat = () => {
     
     // Try to find exchange ID automatically
     let userExchangeId = completedExchanges[userId];
-    
-    // If not found, try to find it by checking all available session keys
-    if (!userExchangeId) {
-      console.log('Exchange ID not in map, checking all session keys...');
-      const availableSessionKeys = await getAllSessionKeyIds();
-      
-      // Try to find exchange by querying server for each session key
-      for (const exchangeId of availableSessionKeys) {
-        try {
-          const exchangeRes = await api.get(`/key-exchange/${exchangeId}`);
-          const exchange = exchangeRes.data.keyExchange;
-          
-          if (exchange) {
-            const fromUserIdStr = String(exchange.fromUserId?._id || exchange.fromUserId);
-            const toUserIdStr = String(exchange.toUserId?._id || exchange.toUserId);
-            
-            // Skip self-exchanges
-            if (fromUserIdStr === toUserIdStr) {
-              continue;
-            }
-            
-            // Check if this exchange is with the selected user
-            if ((fromUserIdStr === currentUserIdStr && toUserIdStr === userId) ||
-                (toUserIdStr === currentUserIdStr && fromUserIdStr === userId)) {
-              // Found a matching exchange!
-              userExchangeId = exchangeId;
-              console.log('✅ Found matching exchange:', exchangeId);
-              // Update the map for future use
-              setCompletedExchanges(prev => ({ ...prev, [userId]: exchangeId }));
-              break;
-            }
-          }
-        } catch (err) {
-          // Exchange not found (might be expired) or error, continue to next
-          console.log(`Exchange ${exchangeId} not found in database (might be expired)`);
-          continue;
-        }
-      }
+
+    // Otherwise the newest session with the user in this browser, expired ones
+    // too: older messages still decrypt and the next send sets up a new session
+    if (!userExchangeId && !currentDevice?.linked) {
+      const [latest] = await listSessions(userId);
+      userExchangeId = latest?.sessionId;
     }
-    
+
     if (userExchangeId) {
-      // Found exchange ID
-      try {
-        // Verify session key exists
-        await getSessionKey(userExchangeId);
-        setExchangeId(userExchangeId);
-        // Store it for future use
+      // A linked device reads and sends through device keys, under the account's sessions
+      setExchangeId(userExchangeId);
+      if (!currentDevice?.linked) {
         localStorage.setItem(`exchangeId_${userId}`, userExchangeId);
-        console.log('✅ Exchange ID found and session key verified:', userExchangeId);
-      } catch (error) {
-        // Session key not found in IndexedDB
-        console.error('Session key not found for exchange:', userExchangeId, error);
-        setError('Session key not found. Please complete key exchange again with this user.');
-        setExchangeId(null);
       }
+      console.log('✅ Exchange ID found:', userExchangeId);
     } else {
-      // Check localStorage as fallback
-      const storedExchangeId = localStorage.getItem(`exchangeId_${userId}`);
-      if (storedExchangeId) {
-        try {
-          await getSessionKey(storedExchangeId);
-          setExchangeId(storedExchangeId);
-          console.log('✅ Exchange ID found in localStorage:', storedExchangeId);
-        } catch (error) {
-          // No exchange found - prompt user
-          console.error('Session key not found in localStorage:', error);
-          setError('No key exchange found. Please complete key exchange with this user first.');
-          setExchangeId(null);
-        }
+      // No exchange found at all
+      console.log('❌ No exchange ID found for user:', userId);
+      setError(`No secure session with ${user.username} yet. Click "Start secure session" to create one.`);
+      setExchangeId(null);
+    }
+  };
+
+  const handleStartSession = async () => {
+    if (!selectedUser || !currentUser) return;
+
+    const selectedUserId = String(selectedUser._id || selectedUser.id);
+    setSessionRequests(prev => ({ ...prev, [selectedUserId]: 'starting' }));
+    setError(null);
+
+    try {
+      // X3DH is usable at once, even if the other user is offline
+      const { exchangeId: newExchangeId } = await startSession(
+        String(currentUser.id),
+        selectedUserId,
+        currentUser.username
+      );
+      if (newExchangeId) {
+        registerSession(selectedUserId, newExchangeId);
       } else {
-        // No exchange found at all
-        console.log('❌ No exchange ID found for user:', userId);
-        setError(`No key exchange found with ${user.username}. Please complete key exchange first using the "Test Key Exchange" page.`);
-        setExchangeId(null);
+        // Completion runs automatically when the 'key-exchange:response' event arrives
+        setSessionRequests(prev => ({ ...prev, [selectedUserId]: 'waiting' }));
       }
+    } catch (error) {
+      console.error('Error starting secure session:', error);
+      setError('Failed to start secure session: ' + (error.response?.data?.error || error.message));
+      setSessionRequests(prev => {
+        const next = { ...prev };
+        delete next[selectedUserId];
+        return next;
+      });
+    }
+  };
+
+  const handleAcceptExchange = async (exchange) => {
+    const initiatorId = String(exchange.fromUserId?._id || exchange.fromUserId);
+    setRespondingExchangeId(exchange.exchangeId);
+    setError(null);
+
+    try {
+      await acceptKeyExchange(exchange.exchangeId, String(currentUser.id), currentUser.username);
+      registerSession(initiatorId, exchange.exchangeId);
+      setPendingExchanges(prev => prev.filter(e => e.exchangeId !== exchange.exchangeId));
+    } catch (error) {
+      console.error('Error accepting key exchange:', error);
+      setError('Failed to accept secure session: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setRespondingExchangeId(null);
+    }
+  };
+
+  const handleDeclineExchange = async (exchange) => {
+    setRespondingExchangeId(exchange.exchangeId);
+
+    try {
+      await declineKeyExchange(exchange.exchangeId);
+      setPendingExchanges(prev => prev.filter(e => e.exchangeId !== exchange.exchangeId));
+    } catch (error) {
+      console.error('Error declining key exchange:', error);
+      setError('Failed to decline secure session: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setRespondingExchangeId(null);
+    }
+  };
+
+  // Session to send the next message under, set up anew when the current one
+  // is due (see sessionManager.js). A linked device sends under the account's sessions.
+  const sendingExchangeIdFor = async (selectedUserId) => {
+    if (currentDevice?.linked) return exchangeId;
+
+    const { exchangeId: sendingExchangeId, waiting } = await sessionForSending(
+      String(currentUser.id),
+      selectedUserId,
+      currentUser.username
+    );
+    if (!sendingExchangeId) {
+      if (waiting) setSessionRequests(prev => ({ ...prev, [selectedUserId]: 'waiting' }));
+      throw new Error(waiting
+        ? `Your session has expired. Waiting for ${selectedUser.username} to accept a new one.`
+        : 'No secure session to send with.');
+    }
+    if (sendingExchangeId !== exchangeId) {
+      registerSession(selectedUserId, sendingExchangeId);
     }
+    return sendingExchangeId;
   };
 
   const handleSendMessage = async (e) => {
@@ -266,14 +694,15 @@ const Chat = () => {
       const currentUserId = String(currentUser.id || currentUser._id);
       const selectedUserId = String(selectedUser._id || selectedUser.id);
       
-      console.log('Sending message:', { currentUserId, selectedUserId, exchangeId });
+      const sendingExchangeId = await sendingExchangeIdFor(selectedUserId);
+      console.log('Sending message:', { currentUserId, selectedUserId, exchangeId: sendingExchangeId });
       
       // Send encrypted message
       await sendEncryptedMessage(
         currentUserId,
         selectedUserId,
         messageInput,
-        exchangeId
+        sendingExchangeId
       );
       
       // Clear input
@@ -304,10 +733,10 @@ const Chat = () => {
       return;
     }
 
-    // Check file size (limit to 50MB)
-    const maxSize = 50 * 1024 * 1024; // 50MB
+    // Check file size (chunks are streamed, so the limit is the server's)
+    const maxSize = 1024 * 1024 * 1024; // 1GB
     if (file.size > maxSize) {
-      setError('File size exceeds 50MB limit.');
+      setError('File size exceeds 1GB limit.');
       return;
     }
 
@@ -324,7 +753,7 @@ const Chat = () => {
         currentUserId,
         selectedUserId,
         file,
-        exchangeId,
+        await sendingExchangeIdFor(selectedUserId),
         (progress) => setUploadProgress(progress)
       );
 
@@ -346,11 +775,13 @@ const Chat = () => {
     }
 
     const messageId = message._id || message.id;
-    setDownloadingFiles(prev => new Set(prev).add(messageId));
+    setDownloadingFiles(prev => ({ ...prev, [messageId]: 0 }));
 
     try {
-      // Decrypt file
-      const decryptedBlob = await getAndDecryptFile(message, exchangeId);
+      // Fetch and decrypt the file chunk by chunk
+      const decryptedBlob = await getAndDecryptFile(message, exchangeId, (progress) => {
+        setDownloadingFiles(prev => ({ ...prev, [messageId]: progress }));
+      });
       
       // Download file
       downloadFile(decryptedBlob, message.fileName);
@@ -359,9 +790,8 @@ const Chat = () => {
       setError('Failed to download file: ' + error.message);
     } finally {
       setDownloadingFiles(prev => {
-        const newSet = new Set(prev);
-        newSet.delete(messageId);
-        return newSet;
+        const { [messageId]: _done, ...rest } = prev;
+        return rest;
       });
     }
   };
@@ -375,12 +805,21 @@ const Chat = () => {
   };
 
   const handleLogout = () => {
+    lockPrivateKeys();
+    forgetCurrentDevice();
+    disconnectSocket();
     localStorage.removeItem('token');
     localStorage.removeItem('userId');
     localStorage.removeItem('username');
     window.location.href = '/login';
   };
 
+  const selectedSessionRequest = selectedUser
+    ? sessionRequests[String(selectedUser._id || selectedUser.id)]
+    : null;
+
+  const selectedGroup = groups.find(group => group._id === selectedGroupId) || null;
+
   return (
     <div className="chat-container">
       <div className="chat-header">
@@ -396,12 +835,107 @@ const Chat = () => {
           <button className="btn-security-logs" onClick={() => navigate('/security-logs')}>
             Security Logs
           </button>
+          <button className="btn-devices" onClick={() => setShowDevices(true)}>
+            Devices
+          </button>
+          <button className="btn-devices" onClick={() => setShowBackup(true)}>
+            Backup
+          </button>
+          <button className="btn-devices" onClick={() => setShowIdentityKey(true)}>
+            Identity key
+          </button>
           <button className="btn-logout" onClick={handleLogout}>Logout</button>
         </div>
       </div>
       
+      {currentDevice?.status === 'pending' && (
+        <div className="key-exchange-notice">
+          <span>📱 This browser is not linked yet. Approve it from a device where you already use this account.</span>
+          <button onClick={() => setShowDevices(true)}>Show linking code</button>
+        </div>
+      )}
+
+      {currentDevice?.status === 'revoked' && (
+        <div className="key-exchange-notice">
+          <span>📱 This browser was removed from your devices. Log in again to link it.</span>
+        </div>
+      )}
+
+      {showDevices && currentUser && (
+        <DevicesPanel
+          currentUser={currentUser}
+          currentDevice={currentDevice}
+          onClose={() => setShowDevices(false)}
+        />
+      )}
+
+      {showBackup && currentUser && (
+        <BackupPanel
+          currentUser={currentUser}
+          currentDevice={currentDevice}
+          onClose={() => setShowBackup(false)}
+        />
+      )}
+
+      {showIdentityKey && currentUser && (
+        <IdentityKeyPanel
+          currentUser={currentUser}
+          currentDevice={currentDevice}
+          onClose={() => setShowIdentityKey(false)}
+        />
+      )}
+
+      {pendingExchanges.map(exchange => (
+        <div key={exchange.exchangeId} className="key-exchange-notice">
+          <span>🔑 {exchange.fromUserId?.username || 'A user'} wants to start a secure session with you.</span>
+          <button
+            onClick={() => handleAcceptExchange(exchange)}
+            disabled={respondingExchangeId === exchange.exchangeId}
+          >
+            {respondingExchangeId === exchange.exchangeId ? 'Securing...' : 'Accept'}
+          </button>
+          <button
+            onClick={() => handleDeclineExchange(exchange)}
+            disabled={respondingExchangeId === exchange.exchangeId}
+          >
+            Decline
+          </button>
+        </div>
+      ))}
+      
+      {showCreateGroup && (
+        <CreateGroupPanel
+          users={users.filter(user => String(user._id) !== String(currentUser?.id))}
+          onCreated={handleGroupCreated}
+          onClose={() => setShowCreateGroup(false)}
+        />
+      )}
+
       <div className="chat-main">
         <div className="sidebar">
+          <div className="sidebar-section-header">
+            <h3>Groups</h3>
+            <button className="btn-new-group" onClick={() => setShowCreateGroup(true)}>+ New</button>
+          </div>
+          <div className="group-list">
+            {groups.length === 0 && <div className="group-list-empty">No groups yet</div>}
+            {groups.map(group => (
+              <div
+                key={group._id}
+                className={`user-item ${selectedGroupId === group._id ? 'selected' : ''}`}
+                onClick={() => handleSelectGroup(group)}
+              >
+                <div className="user-avatar group-avatar">#</div>
+                <div className="user-details">
+                  <div className="user-name">
+                    {group.name}
+                    <span className="encryption-indicator">🔒</span>
+                  </div>
+                  <div className="user-status">{group.members.length} members</div>
+                </div>
+              </div>
+            ))}
+          </div>
           <h3>Users</h3>
           <div className="user-list">
             {users.filter(user => String(user._id) !== String(currentUser?.id)).map(user => {
@@ -420,7 +954,7 @@ const Chat = () => {
                       {hasExchange && <span className="encryption-indicator">🔒</span>}
                     </div>
                     <div className="user-status">
-                      {hasExchange ? 'Ready to chat' : 'Complete key exchange first'}
+                      {hasExchange ? 'Ready to chat' : 'No secure session yet'}
                     </div>
                   </div>
                 </div>
@@ -430,13 +964,108 @@ const Chat = () => {
         </div>
         
         <div className="chat-area">
-          {selectedUser ? (
+          {selectedGroup ? (
+            <GroupChat
+              key={selectedGroup._id}
+              group={selectedGroup}
+              currentUser={currentUser}
+              users={users.filter(user => String(user._id) !== String(currentUser?.id))}
+              sessions={completedExchanges}
+              getExchangeId={getExchangeIdForMember}
+              onGroupChange={handleGroupChange}
+            />
+          ) : selectedUser ? (
             <>
               <div className="chat-header-bar">
                 <h3>Chat with {selectedUser.username}</h3>
                 {exchangeId && <span className="encryption-badge">🔒 Encrypted</span>}
+                {contactVerification === 'verified' && <span className="verified-badge">✓ Verified</span>}
+                <button className="btn-safety-number" onClick={() => setShowSafetyNumber(true)}>
+                  🔢 Safety number
+                </button>
+                <button className="btn-safety-number" onClick={() => setShowSessions(true)}>
+                  🔑 Sessions
+                </button>
                 {!exchangeId && <span className="warning-badge">⚠️ No session key</span>}
+                {exchangeId && sessionState && sessionState !== 'active' && (
+                  <span className="warning-badge">⏱️ Session expired – a new one is set up when you send</span>
+                )}
+                {!exchangeId && (
+                  <button
+                    className="btn-start-session"
+                    onClick={handleStartSession}
+                    disabled={!!selectedSessionRequest}
+                  >
+                    {selectedSessionRequest === 'starting'
+                      ? 'Starting...'
+                      : selectedSessionRequest === 'waiting'
+                        ? `Waiting for ${selectedUser.username}...`
+                        : '🔐 Start secure session'}
+                  </button>
+                )}
               </div>
+
+              {keyTransparencyError && (
+                <div className="key-change-warning">
+                  <strong>⚠️ {selectedUser.username}&apos;s keys failed the key transparency check.</strong>
+                  <span>
+                    {keyTransparencyError}. The server may be showing you different keys than everyone else:
+                    do not send anything sensitive until you have compared safety numbers.
+                  </span>
+                </div>
+              )}
+
+              {contactVerification === 'changed' && (
+                <div className="key-change-warning">
+                  <strong>⚠️ {selectedUser.username}&apos;s security key has changed since you verified it.</strong>
+                  <span>
+                    This can happen if they re-registered, or if someone is intercepting your messages.
+                    Compare safety numbers again before sending anything sensitive.
+                  </span>
+                  <button onClick={() => setShowSafetyNumber(true)}>Compare safety numbers</button>
+                </div>
+              )}
+
+              {contactKeyRotation && (
+                <div className="key-change-warning">
+                  <strong>
+                    🔑 {selectedUser.username}{' '}
+                    {contactKeyRotation.reason === 'compromised'
+                      ? 'replaced an identity key they reported as compromised'
+                      : 'rotated their identity key'}{' '}
+                    on {new Date(contactKeyRotation.rotatedAt).toLocaleString()}.
+                  </strong>
+                  <span>
+                    {contactKeyRotation.verified
+                      ? 'The new key is signed by their previous one.'
+                      : 'The new key is not signed by their previous one: compare safety numbers before trusting it.'}
+                    {' '}Your current session was set up with the old key. Start a new secure session.
+                  </span>
+                  <button onClick={handleStartSession} disabled={!!selectedSessionRequest}>
+                    {selectedSessionRequest ? 'Starting...' : 'Start new session'}
+                  </button>
+                </div>
+              )}
+
+              {showSessions && (
+                <SessionsPanel
+                  contact={selectedUser}
+                  currentDevice={currentDevice}
+                  onClose={() => setShowSessions(false)}
+                />
+              )}
+
+              {showSafetyNumber && (
+                <SafetyNumberPanel
+                  currentUserId={String(currentUser.id)}
+                  currentUsername={currentUser.username}
+                  currentDevice={currentDevice}
+                  contact={selectedUser}
+                  status={contactVerification}
+                  onStatusChange={setContactVerification}
+                  onClose={() => setShowSafetyNumber(false)}
+                />
+              )}
               
               {error && (
                 <div className="error-message">
@@ -465,7 +1094,13 @@ const Chat = () => {
                           </span>
                         </div>
                         <div className="message-content">
-                          {msg.messageType === 'file' ? (
+                          {msg.replayStatus === 'duplicate' || msg.replayStatus === 'replay' ? (
+                            <span className="tampered-text">⚠️ {msg.plaintext}</span>
+                          ) : msg.tampered ? (
+                            <span className="tampered-text">
+                              ⚠️ {msg.plaintext} (changed: {msg.alteredFields.join(', ')})
+                            </span>
+                          ) : msg.messageType === 'file' ? (
                             <div className="file-message">
                               <div className="file-icon">📎</div>
                               <div className="file-info">
@@ -478,9 +1113,11 @@ const Chat = () => {
                               <button
                                 className="btn-download"
                                 onClick={() => handleDownloadFile(msg)}
-                                disabled={downloadingFiles.has(msg._id || msg.id)}
+                                disabled={(msg._id || msg.id) in downloadingFiles}
                               >
-                                {downloadingFiles.has(msg._id || msg.id) ? '⏳' : '⬇️'} Download
+                                {(msg._id || msg.id) in downloadingFiles
+                                  ? `⏳ ${downloadingFiles[msg._id || msg.id]}%`
+                                  : '⬇️ Download'}
                               </button>
                             </div>
                           ) : msg.decryptionError ? (
@@ -489,9 +1126,24 @@ const Chat = () => {
                             <span>{msg.plaintext}</span>
                           )}
                         </div>
-                        {!msg.decryptionError && (
+                        {msg.replayStatus === 'out-of-order' && (
+                          <div className="message-meta">
+                            <small className="replay-warning">⚠️ Arrived out of order</small>
+                          </div>
+                        )}
+                        {!msg.decryptionError && !msg.tampered && !['duplicate', 'replay'].includes(msg.replayStatus) && (
                           <div className="message-meta">
                             <small>🔒 Encrypted with AES-256-GCM</small>
+                            {msg.keyId && (
+                              <small className="message-key-id" title={`Session ${msg.keyId}`}>
+                                🔑 {msg.keyId.slice(0, 8)}
+                              </small>
+                            )}
+                            {msg.isOwn && (
+                              <small className="message-status">
+                                {msg.status === 'read' ? '✓✓ Read' : '✓ Sent'}
+                              </small>
+                            )}
                           </div>
                         )}
                       </div>
@@ -521,7 +1173,7 @@ const Chat = () => {
                 <input
                   type="text"
                   className="message-input"
-                  placeholder={exchangeId ? "Type a message..." : "Complete key exchange first"}
+                  placeholder={exchangeId ? "Type a message..." : "Start a secure session first"}
                   value={messageInput}
                   onChange={(e) => setMessageInput(e.target.value)}
                   disabled={!exchangeId || loading || uploading}
@@ -537,8 +1189,8 @@ const Chat = () => {
             </>
           ) : (
             <div className="no-selection">
-              <p>Select a user from the sidebar to start chatting</p>
-              <p className="hint">💡 Make sure you've completed key exchange with the user first!</p>
+              <p>Select a user or group from the sidebar to start chatting</p>
+              <p className="hint">💡 Use "Start secure session" in the chat header to set up encryption with a new contact.</p>
             </div>
           )}
         </div>
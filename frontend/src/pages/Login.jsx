@@ -1,7 +1,11 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
-import { hasPrivateKey } from '../utils/keyStorage';
+import { hasPrivateKey, unlockPrivateKey } from '../utils/keyStorage';
+import { upgradeSigningKey, settlePendingSigningKey } from '../utils/keyExchange';
+import { setUpDevice } from '../utils/devices';
+import { settlePendingRotation } from '../utils/identityKeys';
+import { getKeyBackupStatus, restoreKeyBackup } from '../utils/backup';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -10,6 +14,8 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [restore, setRestore] = useState(null); // { user, backup } when offering a key backup
+  const [recoverySecret, setRecoverySecret] = useState('');
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -20,6 +26,51 @@ const Login = () => {
     setError('');
   };
 
+  /**
+   * Finish logging in once the account keys are in place (or known to be absent):
+   * store the session, settle an interrupted key rotation, upgrade legacy accounts,
+   * register this browser as a device
+   * @param {Object} user - User returned by /auth/login
+   * @param {boolean} keyExists - Whether this browser holds the account keys
+   */
+  const completeLogin = async (user, keyExists) => {
+    localStorage.setItem('username', formData.username);
+    localStorage.setItem('userId', user.id);
+
+    // A key rotation interrupted before the server answered
+    if (keyExists) {
+      try {
+        await settlePendingRotation(user.id, formData.username, formData.password);
+      } catch (rotationError) {
+        console.error('Could not settle the interrupted key rotation, will retry at next login:', rotationError);
+      }
+    }
+
+    // Accounts created before signing keys existed get one now, unless an
+    // interrupted upgrade turns out to have given them one
+    if (keyExists) {
+      try {
+        const settled = await settlePendingSigningKey(user.id, formData.username, formData.password);
+        if (!settled && !user.signingPublicKey) {
+          await upgradeSigningKey(user.id, formData.username, formData.password);
+        }
+      } catch (upgradeError) {
+        console.error('Signing key upgrade failed, will retry at next login:', upgradeError);
+      }
+    }
+
+    // Register this browser as a device: active if it holds the account keys,
+    // otherwise waiting to be linked from another device
+    try {
+      await setUpDevice(user.id, formData.username, formData.password);
+    } catch (deviceError) {
+      console.error('Device registration failed:', deviceError);
+    }
+
+    // Navigate to chat
+    navigate('/chat');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -30,21 +81,25 @@ const Login = () => {
       const response = await api.post('/auth/login', formData);
 
       if (response.data.success) {
-        // Store token and user info
         localStorage.setItem('token', response.data.token);
-        localStorage.setItem('username', formData.username);
-        localStorage.setItem('userId', response.data.user.id);
 
         // Check if private key exists locally
         const keyExists = await hasPrivateKey(formData.username);
-        if (!keyExists) {
-          console.warn('Private key not found locally. User may need to re-register or restore keys.');
-          // For now, we'll allow login but warn the user
-          // In production, you might want to handle this differently
+        if (keyExists) {
+          // Unwrap the private key with the password (migrates legacy plaintext records)
+          await unlockPrivateKey(formData.username, formData.password);
+        } else {
+          // Storage was cleared or this is another browser: offer the key backup if
+          // there is one, otherwise this browser can be linked as a device
+          const backup = await getKeyBackupStatus().catch(() => null);
+          if (backup) {
+            setRestore({ user: response.data.user, backup });
+            return;
+          }
+          console.warn('Private key not found locally. This browser needs to be linked from another device.');
         }
 
-        // Navigate to chat
-        navigate('/chat');
+        await completeLogin(response.data.user, keyExists);
       } else {
         throw new Error(response.data.error || 'Login failed');
       }
@@ -56,6 +111,74 @@ const Login = () => {
     }
   };
 
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await restoreKeyBackup(formData.username, recoverySecret);
+      await unlockPrivateKey(formData.username, formData.password);
+      await completeLogin(restore.user, true);
+    } catch (err) {
+      console.error('Backup restore error:', err);
+      setError(err.response?.data?.error || err.message || 'Restore failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSkipRestore = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      await completeLogin(restore.user, false);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (restore) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Restore keys</h2>
+          <p className="auth-link">
+            This browser has no keys for your account, but you have a backup from{' '}
+            {new Date(restore.backup.updatedAt).toLocaleString()}. Restore it to read your past messages.
+          </p>
+          <form onSubmit={handleRestore}>
+            <div className="form-group">
+              <label htmlFor="recoverySecret">
+                {restore.backup.secretType === 'recovery-code' ? 'Recovery code' : 'Recovery passphrase'}
+              </label>
+              <input
+                type={restore.backup.secretType === 'recovery-code' ? 'text' : 'password'}
+                id="recoverySecret"
+                value={recoverySecret}
+                onChange={(e) => {
+                  setRecoverySecret(e.target.value);
+                  setError('');
+                }}
+                required
+                autoComplete="off"
+              />
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button type="submit" disabled={loading} className="btn-primary">
+              {loading ? 'Restoring...' : 'Restore'}
+            </button>
+          </form>
+          <p className="auth-link">
+            <button type="button" className="btn-link" onClick={handleSkipRestore} disabled={loading}>
+              Skip and link this browser from another device
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
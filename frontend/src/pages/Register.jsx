@@ -1,8 +1,9 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../services/api';
-import { generateRSAKeyPair, exportPublicKey, exportPrivateKey } from '../utils/crypto';
-import { storePrivateKey } from '../utils/keyStorage';
+import { generateRSAKeyPair, generateSigningKeyPair, exportPublicKey, exportPrivateKey } from '@e2ee/crypto';
+import { storePrivateKey, storeSigningKey, unlockPrivateKey } from '../utils/keyStorage';
+import { setUpDevice } from '../utils/devices';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -59,20 +60,31 @@ const Register = () => {
         throw new Error('Invalid key type selected');
       }
 
+      // Dedicated signing key pair (the RSA key is only used for encryption)
+      const { keyPair: signingKeyPair, algorithm: signingAlgorithm } = await generateSigningKeyPair();
+
       // Step 2: Export keys
       const publicKeyBase64 = await exportPublicKey(keyPair.publicKey);
       const privateKeyBase64 = await exportPrivateKey(keyPair.privateKey);
+      const signingPublicKeyBase64 = await exportPublicKey(signingKeyPair.publicKey);
+      const signingPrivateKeyBase64 = await exportPrivateKey(signingKeyPair.privateKey);
 
       setGeneratingKeys(false);
 
-      // Step 3: Store private key locally in IndexedDB
-      await storePrivateKey(formData.username, privateKeyBase64, algorithm, keySize);
+      // Step 3: Store private key locally in IndexedDB, wrapped under the password
+      await storePrivateKey(formData.username, privateKeyBase64, algorithm, keySize, formData.password, publicKeyBase64);
+      await storeSigningKey(
+        formData.username, signingPrivateKeyBase64, signingAlgorithm, formData.password, signingPublicKeyBase64
+      );
+      await unlockPrivateKey(formData.username, formData.password);
 
-      // Step 4: Register user with server (sends public key)
+      // Step 4: Register user with server (sends public keys)
       const response = await api.post('/auth/register', {
         username: formData.username,
         password: formData.password,
-        publicKey: publicKeyBase64
+        publicKey: publicKeyBase64,
+        signingPublicKey: signingPublicKeyBase64,
+        signingKeyAlgorithm: signingAlgorithm
       });
 
       if (response.data.success) {
@@ -81,6 +93,13 @@ const Register = () => {
         localStorage.setItem('username', formData.username);
         localStorage.setItem('userId', response.data.user.id);
 
+        // This browser is the account's first device
+        try {
+          await setUpDevice(response.data.user.id, formData.username, formData.password);
+        } catch (deviceError) {
+          console.error('Device registration failed, will retry at next login:', deviceError);
+        }
+
         // Navigate to chat
         navigate('/chat');
       } else {
@@ -8,6 +8,7 @@ const SecurityLogs = () => {
 
   const [logs, setLogs] = useState([]);
   const [stats, setStats] = useState(null);
+  const [replayPolicy, setReplayPolicy] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -48,6 +49,17 @@ const SecurityLogs = () => {
     }
   };
 
+  // Loaded on its own: the logs are still shown if the policy cannot be
+  const fetchReplayPolicy = async () => {
+    try {
+      const res = await api.get('/security-logs/policy');
+      setReplayPolicy(res.data);
+    } catch (err) {
+      console.error('Error loading replay protection policy:', err);
+      setReplayPolicy(null);
+    }
+  };
+
   useEffect(() => {
     // Simple auth guard: redirect to login if no token
     const token = localStorage.getItem('token');
@@ -57,11 +69,13 @@ const SecurityLogs = () => {
     }
 
     fetchData();
+    fetchReplayPolicy();
   }, []);
 
   const handleApplyFilters = (e) => {
     e.preventDefault();
     fetchData();
+    fetchReplayPolicy();
   };
 
   return (
@@ -109,6 +123,37 @@ const SecurityLogs = () => {
         </section>
       )}
 
+      {replayPolicy && (
+        <section className="stats-grid">
+          <div className="stat-card">
+            <h3>Replay Protection Policy</h3>
+            <p>
+              <strong>Clock skew:</strong> ±{replayPolicy.policy.clockSkewSeconds}s
+            </p>
+            <p>
+              <strong>Nonce retention:</strong> {replayPolicy.policy.nonceRetentionSeconds}s
+            </p>
+            <p>
+              <strong>Max sequence gap:</strong> {replayPolicy.policy.maxSequenceGap}
+            </p>
+            <p>
+              <strong>Larger gaps are:</strong> {replayPolicy.policy.sequenceGapAction === 'reject' ? 'rejected' : 'logged'}
+            </p>
+          </div>
+          <div className="stat-card">
+            <h3>Rejections by Rule</h3>
+            {replayPolicy.rules.map((rule) => (
+              <p key={rule}>
+                <strong>{rule}</strong>: {replayPolicy.metrics[`replayRejected.${rule}`] || 0}
+              </p>
+            ))}
+            <p>
+              <strong>Gaps logged:</strong> {replayPolicy.metrics['replayFlagged.SEQUENCE_GAP'] || 0}
+            </p>
+          </div>
+        </section>
+      )}
+
       <section className="filters-card">
         <h2>Filters</h2>
         <form className="filters-grid" onSubmit={handleApplyFilters}>
@@ -123,6 +168,17 @@ const SecurityLogs = () => {
               <option value="MESSAGE_RECEIVED">Message Received</option>
               <option value="REPLAY_ATTACK_DETECTED">Replay Attack Detected</option>
               <option value="DECRYPTION_FAILED">Decryption Failed</option>
+              <option value="MESSAGE_TAMPERED">Message Tampered</option>
+              <option value="INVALID_SEQUENCE">Invalid Sequence</option>
+              <option value="INVALID_TIMESTAMP">Invalid Timestamp</option>
+              <option value="INVALID_NONCE">Invalid Nonce</option>
+              <option value="IDENTITY_KEY_ROTATED">Identity Key Rotated</option>
+              <option value="DEVICE_REGISTERED">Device Registered</option>
+              <option value="DEVICE_LINKED">Device Linked</option>
+              <option value="DEVICE_REVOKED">Device Revoked</option>
+              <option value="KEY_BACKUP_SAVED">Key Backup Saved</option>
+              <option value="KEY_BACKUP_DOWNLOADED">Key Backup Downloaded</option>
+              <option value="KEY_BACKUP_DELETED">Key Backup Deleted</option>
             </select>
           </div>
 
@@ -199,12 +255,13 @@ const SecurityLogs = () => {
                 <th>User</th>
                 <th>Success</th>
                 <th>IP Address</th>
+                <th>Rule</th>
               </tr>
             </thead>
             <tbody>
               {logs.length === 0 && !loading && (
                 <tr>
-                  <td colSpan="6" className="empty-state">
+                  <td colSpan="7" className="empty-state">
                     No logs found for the selected filters.
                   </td>
                 </tr>
@@ -217,6 +274,7 @@ const SecurityLogs = () => {
                   <td>{log.username || '—'}</td>
                   <td>{log.success ? '✔' : '✖'}</td>
                   <td>{log.ipAddress || '—'}</td>
+                  <td>{log.details?.rule || '—'}</td>
                 </tr>
               ))}
             </tbody>
@@ -0,0 +1,42 @@
+import { io } from 'socket.io-client';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+// Socket.IO is served from the API origin, not under /api
+const SOCKET_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+let socket = null;
+
+/**
+ * Get the shared socket, connecting with the current JWT if needed
+ * @returns {import('socket.io-client').Socket|null} Socket, or null when logged out
+ */
+export function getSocket() {
+  const token = localStorage.getItem('token');
+  if (!token) {
+    return null;
+  }
+
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      auth: { token },
+      withCredentials: true
+    });
+
+    socket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+    });
+  }
+
+  return socket;
+}
+
+/**
+ * Close the shared socket (logout)
+ */
+export function disconnectSocket() {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+}
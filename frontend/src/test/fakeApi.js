@@ -0,0 +1,562 @@
+/**
+ * In-memory stand-in for the backend, used in place of services/api.js
+ * Implements the routes the crypto utils call, with the same response
+ * shapes and state checks as the real controllers. Errors are thrown in
+ * axios' shape ({ response: { status, data } }). Routes that act on the
+ * caller's account use the user set with setFakeCaller (the JWT's user).
+ * Key changes are recorded in a key transparency log built with the same
+ * Merkle tree code the clients verify with.
+ */
+
+import {
+  exportPublicKey,
+  signWithKey,
+  keyLogLeaf,
+  keyLogLeafHash,
+  merkleTreeHash,
+  inclusionProof,
+  consistencyProof,
+  treeHeadMessage,
+  KEY_LOG_SIGNATURE_ALGORITHM
+} from '@e2ee/crypto';
+
+const state = {
+  users: new Map(),
+  exchanges: new Map(),
+  messages: [],
+  files: new Map(),
+  devices: [],
+  preKeys: [],
+  keyHistory: new Map(), // Map of userId -> retired identity keys, oldest first
+  backups: new Map(), // Map of userId -> backup
+  keyLog: [], // Key transparency log entries: { leafIndex, userId, leaf, leafHash }
+  keyLogKey: null, // { privateKey, publicKey } signing tree heads
+  securityLogs: [],
+  callerId: null
+};
+
+let nextId = 1;
+
+/**
+ * Generate a document ID
+ * @returns {string}
+ */
+function newId() {
+  return (nextId++).toString(16).padStart(24, '0');
+}
+
+/**
+ * Error as thrown by axios for a non-2xx response
+ * @param {number} status - HTTP status
+ * @param {string} error - Error message
+ * @returns {Error}
+ */
+function httpError(status, error) {
+  const err = new Error(`Request failed with status code ${status}`);
+  err.response = { status, data: { success: false, error } };
+  return err;
+}
+
+/**
+ * Look up a key exchange
+ * @param {string} exchangeId - Exchange ID
+ * @param {string} [status] - Status the exchange must be in
+ * @returns {Object}
+ */
+function findExchange(exchangeId, status) {
+  const exchange = state.exchanges.get(exchangeId);
+  if (!exchange) throw httpError(404, 'Key exchange not found');
+  if (status && exchange.status !== status) throw httpError(400, 'Invalid key exchange status');
+  return exchange;
+}
+
+/**
+ * Look up an upload
+ * @param {string} fileId - Upload ID
+ * @returns {Object}
+ */
+function findFile(fileId) {
+  const file = state.files.get(fileId);
+  if (!file) throw httpError(404, 'File not found');
+  return file;
+}
+
+/**
+ * Look up one of the caller's devices
+ * @param {string} deviceId - Device ID
+ * @returns {Object}
+ */
+function findOwnDevice(deviceId) {
+  const device = state.devices.find(d => d.userId === state.callerId && d.deviceId === deviceId);
+  if (!device) throw httpError(404, 'Device not found');
+  return device;
+}
+
+/**
+ * The key transparency log key, generated on first use
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: string}>}
+ */
+async function keyLogKey() {
+  if (!state.keyLogKey) {
+    const keyPair = await globalThis.crypto.subtle.generateKey(
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      true,
+      ['sign', 'verify']
+    );
+    state.keyLogKey = { privateKey: keyPair.privateKey, publicKey: await exportPublicKey(keyPair.publicKey) };
+  }
+  return state.keyLogKey;
+}
+
+/**
+ * Append a user's current keys to the key transparency log
+ * @param {string} userId - User ID
+ * @param {string} event - What changed the keys
+ * @returns {Promise<Object>} Log entry
+ */
+async function appendKeyLog(userId, event) {
+  const { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm } = state.users.get(userId);
+  const leaf = keyLogLeaf({ userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, event, loggedAt: Date.now() });
+  const leafHash = await keyLogLeafHash(leaf);
+
+  const entry = { leafIndex: state.keyLog.length, userId, leaf, leafHash };
+  state.keyLog.push(entry);
+  return entry;
+}
+
+/**
+ * Signed tree head of the whole key transparency log
+ * @returns {Promise<Object>} { treeSize, rootHash, timestamp, signature }
+ */
+async function signedTreeHead() {
+  const { privateKey } = await keyLogKey();
+  const head = {
+    treeSize: state.keyLog.length,
+    rootHash: await merkleTreeHash(state.keyLog.map(entry => entry.leafHash)),
+    timestamp: Date.now()
+  };
+  return { ...head, signature: await signWithKey(treeHeadMessage(head), privateKey, KEY_LOG_SIGNATURE_ALGORITHM) };
+}
+
+/**
+ * Proof that a user's current keys are in the log (null if they are not,
+ * as the backend serves no keys until they are logged)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { leafIndex, leaf, inclusionProof, treeHead }
+ */
+async function keyTransparencyProof(userId) {
+  const user = state.users.get(userId);
+  const entry = state.keyLog.findLast(e => e.userId === userId);
+  const leaf = entry && JSON.parse(entry.leaf);
+  if (!leaf || leaf.keyVersion !== user.keyVersion || leaf.publicKey !== user.publicKey ||
+      leaf.signingPublicKey !== (user.signingPublicKey || null)) {
+    return null;
+  }
+
+  const treeHead = await signedTreeHead();
+  return {
+    leafIndex: entry.leafIndex,
+    leaf: entry.leaf,
+    inclusionProof: await inclusionProof(entry.leafIndex, state.keyLog.slice(0, treeHead.treeSize).map(e => e.leafHash)),
+    treeHead
+  };
+}
+
+/**
+ * Upload status as returned by GET /files/:fileId
+ * @param {Object} file - Upload
+ * @returns {Object}
+ */
+function serializeFile(file) {
+  return { ...file, chunks: undefined, receivedChunks: [...file.chunks.keys()].sort((a, b) => a - b) };
+}
+
+// [method, path pattern, handler(params, body)]
+const routes = [
+  ['get', /^\/users\/([^/]+)\/public-key$/, async ([userId]) => {
+    const user = state.users.get(userId);
+    if (!user) throw httpError(404, 'User not found');
+    const { reason: _reason, rotationSignature: _rotationSignature, ...keys } = user;
+    const transparency = await keyTransparencyProof(userId);
+    if (!transparency) throw httpError(503, 'Public keys are not in the key transparency log yet');
+    return { success: true, ...keys, transparency };
+  }],
+
+  ['get', /^\/transparency\/log-key$/, async () => ({
+    success: true,
+    publicKey: (await keyLogKey()).publicKey,
+    algorithm: KEY_LOG_SIGNATURE_ALGORITHM
+  })],
+
+  ['get', /^\/transparency\/tree-head$/, async () => ({ success: true, treeHead: await signedTreeHead() })],
+
+  ['get', /^\/transparency\/consistency\?from=(\d+)&to=(\d+)$/, async ([from, to]) => {
+    if (Number(to) > state.keyLog.length) throw httpError(404, 'The log is smaller than the requested tree size');
+    const leafHashes = state.keyLog.slice(0, Number(to)).map(entry => entry.leafHash);
+    return { success: true, from: Number(from), to: Number(to), proof: await consistencyProof(Number(from), leafHashes) };
+  }],
+
+  ['get', /^\/users\/([^/]+)\/key-history$/, ([userId]) => {
+    const user = state.users.get(userId);
+    if (!user) throw httpError(404, 'User not found');
+    const { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, keyValidFrom, reason, rotationSignature } = user;
+    return {
+      success: true,
+      userId,
+      keys: [
+        ...(state.keyHistory.get(userId) || []),
+        { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, validFrom: keyValidFrom, validUntil: null, reason, rotationSignature, revoked: false }
+      ]
+    };
+  }],
+
+  // The RSA signature over the new key is not checked, like the ones below
+  ['post', /^\/users\/signing-key$/, async (params, body) => {
+    const user = state.users.get(state.callerId);
+    if (user.signingPublicKey) throw httpError(409, 'Account already has a signing key');
+
+    Object.assign(user, { signingPublicKey: body.signingPublicKey, signingKeyAlgorithm: body.signingKeyAlgorithm });
+    state.preKeys = state.preKeys.filter(k => !(k.userId === state.callerId && k.type === 'signed'));
+    await appendKeyLog(state.callerId, 'signing-key-added');
+    return { success: true, signingPublicKey: user.signingPublicKey, signingKeyAlgorithm: user.signingKeyAlgorithm };
+  }],
+
+  // Signatures are stored as given, like the device certificates below
+  ['post', /^\/users\/identity-key$/, async (params, body) => {
+    const user = state.users.get(state.callerId);
+    if (body.keyVersion !== user.keyVersion + 1) throw httpError(409, `Next key version must be ${user.keyVersion + 1}`);
+
+    const now = new Date().toISOString();
+    const { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, keyValidFrom, reason, rotationSignature } = user;
+    state.keyHistory.set(state.callerId, [
+      ...(state.keyHistory.get(state.callerId) || []),
+      { keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, validFrom: keyValidFrom, validUntil: now, reason, rotationSignature, revoked: body.reason === 'compromised' }
+    ]);
+    Object.assign(user, {
+      keyVersion: body.keyVersion,
+      publicKey: body.publicKey,
+      signingPublicKey: body.signingPublicKey,
+      signingKeyAlgorithm: body.signingKeyAlgorithm,
+      keyValidFrom: now,
+      reason: body.reason,
+      rotationSignature: body.signature
+    });
+
+    const revokedDevices = [];
+    for (const device of state.devices.filter(d => d.userId === state.callerId && d.status === 'active')) {
+      const recertified = body.devices.find(d => d.deviceId === device.deviceId);
+      if (recertified) {
+        device.signature = recertified.signature;
+      } else {
+        device.status = 'revoked';
+        revokedDevices.push(device.deviceId);
+      }
+    }
+    state.preKeys = state.preKeys.filter(k => k.userId !== state.callerId);
+    for (const exchange of state.exchanges.values()) {
+      if ([exchange.fromUserId, exchange.toUserId].includes(state.callerId) && ['pending', 'responded'].includes(exchange.status)) {
+        exchange.status = 'expired';
+      }
+    }
+    await appendKeyLog(state.callerId, 'identity-key-rotated');
+    return { success: true, keyVersion: body.keyVersion, keyValidFrom: now, revokedDevices };
+  }],
+
+  // Signatures are stored as given: clients verify them before trusting a device
+  ['get', /^\/users\/([^/]+)\/devices$/, ([userId]) => ({
+    success: true,
+    userId,
+    devices: state.devices
+      .filter(d => d.userId === userId && d.status === 'active')
+      .map(({ deviceId, name, publicKey, signature, approvedAt }) => ({ userId, deviceId, name, publicKey, signature, approvedAt }))
+  })],
+
+  ['post', /^\/devices$/, (params, body) => {
+    const existing = state.devices.find(d => d.userId === state.callerId && d.deviceId === body.deviceId);
+    if (existing) {
+      if (existing.status === 'revoked' || existing.publicKey !== body.publicKey) {
+        throw httpError(409, 'Device ID already in use');
+      }
+      if (body.signature && existing.status === 'pending') {
+        Object.assign(existing, { status: 'active', signature: body.signature, approvedAt: new Date().toISOString() });
+      }
+      return { success: true, device: { ...existing } };
+    }
+
+    const device = {
+      userId: state.callerId,
+      deviceId: body.deviceId,
+      name: body.name,
+      publicKey: body.publicKey,
+      signature: body.signature || null,
+      status: body.signature ? 'active' : 'pending',
+      approvedAt: body.signature ? new Date().toISOString() : null
+    };
+    state.devices.push(device);
+    return { success: true, device: { ...device } };
+  }],
+
+  ['get', /^\/devices$/, () => ({
+    success: true,
+    devices: state.devices.filter(d => d.userId === state.callerId).map(d => ({ ...d }))
+  })],
+
+  ['post', /^\/devices\/([^/]+)\/approve$/, ([deviceId], body) => {
+    const device = findOwnDevice(deviceId);
+    if (device.status !== 'pending') throw httpError(409, `Device is already ${device.status}`);
+    Object.assign(device, { status: 'active', signature: body.signature, approvedAt: new Date().toISOString() });
+    return { success: true, device: { ...device } };
+  }],
+
+  ['delete', /^\/devices\/([^/]+)$/, ([deviceId]) => {
+    const device = findOwnDevice(deviceId);
+    if (device.status === 'revoked') throw httpError(404, 'Device not found');
+    device.status = 'revoked';
+    return { success: true, device: { ...device } };
+  }],
+
+  ['put', /^\/backup$/, (params, body) => {
+    const { version, secretType, kdf, ciphertext } = body;
+    const backup = { version, secretType, kdf, ciphertext, updatedAt: new Date().toISOString() };
+    state.backups.set(state.callerId, backup);
+    return { success: true, backup: { version, secretType, kdf: kdf.name, size: ciphertext.length, updatedAt: backup.updatedAt } };
+  }],
+
+  ['get', /^\/backup\/status$/, () => {
+    const backup = state.backups.get(state.callerId);
+    return {
+      success: true,
+      backup: backup
+        ? { version: backup.version, secretType: backup.secretType, kdf: backup.kdf.name, size: backup.ciphertext.length, updatedAt: backup.updatedAt }
+        : null
+    };
+  }],
+
+  ['get', /^\/backup$/, () => {
+    const backup = state.backups.get(state.callerId);
+    if (!backup) throw httpError(404, 'No key backup found');
+    return { success: true, backup: { ...backup } };
+  }],
+
+  ['delete', /^\/backup$/, () => {
+    if (!state.backups.delete(state.callerId)) throw httpError(404, 'No key backup found');
+    return { success: true };
+  }],
+
+  ['post', /^\/key-exchange\/initiate$/, (params, body) => {
+    const exchangeId = crypto.randomUUID();
+    state.exchanges.set(exchangeId, {
+      exchangeId,
+      fromUserId: body.fromUserId,
+      toUserId: body.toUserId,
+      initiatorEphemeralPublicKey: body.ephemeralPublicKey,
+      initiatorSignature: body.signature,
+      nonce: body.nonce,
+      timestamp: body.timestamp,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    });
+    return { success: true, exchangeId };
+  }],
+
+  ['post', /^\/key-exchange\/respond$/, (params, body) => {
+    const exchange = findExchange(body.exchangeId, 'pending');
+    Object.assign(exchange, {
+      responderEphemeralPublicKey: body.ephemeralPublicKey,
+      responderSignature: body.signature,
+      keyConfirmation: body.keyConfirmation,
+      responseNonce: body.nonce,
+      responseTimestamp: body.timestamp,
+      status: 'responded'
+    });
+    return { success: true };
+  }],
+
+  ['post', /^\/key-exchange\/confirm$/, (params, body) => {
+    findExchange(body.exchangeId, 'responded').status = 'confirmed';
+    return { success: true };
+  }],
+
+  ['post', /^\/key-exchange\/decline$/, (params, body) => {
+    findExchange(body.exchangeId, 'pending').status = 'declined';
+    return { success: true };
+  }],
+
+  ['get', /^\/key-exchange\/([^/]+)$/, ([exchangeId]) => (
+    { success: true, keyExchange: { ...findExchange(exchangeId) } }
+  )],
+
+  ['get', /^\/prekeys\/status$/, () => {
+    const own = state.preKeys.filter(k => k.userId === state.callerId);
+    const signed = own.filter(k => k.type === 'signed').at(-1);
+    return {
+      success: true,
+      signedPreKeyId: signed?.keyId || null,
+      signedPreKeyCreatedAt: signed?.createdAt || null,
+      oneTimePreKeyCount: own.filter(k => k.type === 'one-time').length,
+      maxKeyId: Math.max(0, ...own.map(k => k.keyId)),
+      lowThreshold: 10
+    };
+  }],
+
+  ['post', /^\/prekeys\/signed$/, (params, body) => {
+    state.preKeys = state.preKeys.filter(k => k.userId !== state.callerId || k.type !== 'signed');
+    state.preKeys.push({ ...body, userId: state.callerId, type: 'signed', createdAt: new Date().toISOString() });
+    return { success: true };
+  }],
+
+  ['post', /^\/prekeys\/one-time$/, (params, body) => {
+    state.preKeys.push(...body.preKeys.map(k => ({ ...k, userId: state.callerId, type: 'one-time' })));
+    return { success: true, available: state.preKeys.filter(k => k.userId === state.callerId && k.type === 'one-time').length };
+  }],
+
+  ['get', /^\/users\/([^/]+)\/prekey-bundle$/, ([userId]) => {
+    const signed = state.preKeys.filter(k => k.userId === userId && k.type === 'signed').at(-1);
+    if (!signed) throw httpError(404, 'User has not published prekeys');
+
+    const oneTime = state.preKeys.find(k => k.userId === userId && k.type === 'one-time' && !k.claimedBy);
+    if (oneTime) oneTime.claimedBy = state.callerId;
+
+    return {
+      success: true,
+      bundle: {
+        userId,
+        signedPreKey: { keyId: signed.keyId, publicKey: signed.publicKey, signature: signed.signature },
+        oneTimePreKey: oneTime ? { keyId: oneTime.keyId, publicKey: oneTime.publicKey } : null
+      }
+    };
+  }],
+
+  ['post', /^\/key-exchange\/x3dh$/, (params, body) => {
+    state.preKeys = state.preKeys.filter(k => !(
+      k.userId === body.toUserId && k.type === 'one-time' && k.keyId === body.oneTimePreKeyId
+    ));
+
+    const exchangeId = crypto.randomUUID();
+    state.exchanges.set(exchangeId, {
+      exchangeId,
+      protocol: 'x3dh',
+      fromUserId: body.fromUserId,
+      toUserId: body.toUserId,
+      initiatorEphemeralPublicKey: body.ephemeralPublicKey,
+      initiatorSignature: body.signature,
+      signedPreKeyId: body.signedPreKeyId,
+      oneTimePreKeyId: body.oneTimePreKeyId ?? null,
+      nonce: body.nonce,
+      timestamp: body.timestamp,
+      status: 'completed',
+      createdAt: new Date().toISOString()
+    });
+    return { success: true, exchangeId };
+  }],
+
+  ['post', /^\/messages\/send$/, (params, body) => {
+    const message = { ...body, _id: newId(), status: 'sent', createdAt: new Date().toISOString() };
+    state.messages.push(message);
+    return { success: true, message: { _id: message._id, fromUserId: body.fromUserId, toUserId: body.toUserId } };
+  }],
+
+  ['get', /^\/messages\/([^/]+)\/([^/]+)$/, ([userId1, userId2]) => ({
+    success: true,
+    messages: state.messages
+      .filter(m => [userId1, userId2].includes(m.fromUserId) && [userId1, userId2].includes(m.toUserId))
+      .map(m => structuredClone(m))
+  })],
+
+  ['post', /^\/security-logs$/, (params, body) => {
+    state.securityLogs.push(body);
+    return { success: true };
+  }],
+
+  ['post', /^\/files$/, (params, body) => {
+    const fileId = newId();
+    state.files.set(fileId, { ...body, fileId, status: 'uploading', chunks: new Map() });
+    return { success: true, file: serializeFile(state.files.get(fileId)) };
+  }],
+
+  ['get', /^\/files\/([^/]+)$/, ([fileId]) => ({ success: true, file: serializeFile(findFile(fileId)) })],
+
+  ['put', /^\/files\/([^/]+)\/chunks\/(\d+)$/, ([fileId, chunkIndex], data) => {
+    findFile(fileId).chunks.set(Number(chunkIndex), new Uint8Array(data).slice());
+    return { success: true };
+  }],
+
+  ['post', /^\/files\/([^/]+)\/complete$/, ([fileId]) => {
+    const file = findFile(fileId);
+    if (file.chunks.size !== file.totalChunks) throw httpError(409, 'Upload is missing chunks');
+    file.status = 'complete';
+    return { success: true, file: serializeFile(file) };
+  }],
+
+  ['get', /^\/files\/([^/]+)\/chunks\/(\d+)$/, ([fileId, chunkIndex]) => {
+    const chunk = findFile(fileId).chunks.get(Number(chunkIndex));
+    if (!chunk) throw httpError(404, 'Chunk not found');
+    return chunk.slice().buffer;
+  }],
+
+  ['delete', /^\/files\/([^/]+)$/, ([fileId]) => {
+    state.files.delete(fileId);
+    return { success: true };
+  }]
+];
+
+/**
+ * Dispatch a request to its route
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below /api
+ * @param {*} body - Request body
+ * @returns {Promise<{data: *}>}
+ */
+async function handle(method, url, body) {
+  for (const [routeMethod, pattern, handler] of routes) {
+    const match = routeMethod === method && url.match(pattern);
+    if (match) {
+      return { data: await handler(match.slice(1).map(decodeURIComponent), body) };
+    }
+  }
+  throw new Error(`No fake route for ${method.toUpperCase()} ${url}`);
+}
+
+const api = {
+  get: (url) => handle('get', url),
+  post: (url, body) => handle('post', url, body),
+  put: (url, body) => handle('put', url, body),
+  delete: (url) => handle('delete', url)
+};
+
+/**
+ * Register a user's public keys (what POST /auth/register stores and logs)
+ * @param {string} userId - User ID
+ * @param {Object} keys - { username, publicKey, signingPublicKey, signingKeyAlgorithm }
+ * @returns {Promise<void>}
+ */
+export async function registerFakeUser(userId, keys) {
+  state.users.set(userId, { keyVersion: 1, keyValidFrom: new Date().toISOString(), ...keys });
+  await appendKeyLog(userId, 'registered');
+}
+
+/**
+ * Set the user requests are made as (whose token the client would send)
+ * @param {string} userId - User ID
+ */
+export function setFakeCaller(userId) {
+  state.callerId = userId;
+}
+
+/**
+ * Server-side state, for tests that inspect or tamper with it
+ * @returns {Object}
+ */
+export function fakeServerState() {
+  return state;
+}
+
+/**
+ * Generate a user ID
+ * @returns {string}
+ */
+export function newUserId() {
+  return newId();
+}
+
+export default api;
@@ -0,0 +1,8 @@
+/**
+ * Vitest setup: the browser APIs the crypto utils use, under Node
+ * window.crypto is Node's webcrypto; IndexedDB comes from fake-indexeddb.
+ */
+
+import 'fake-indexeddb/auto';
+
+globalThis.window = globalThis;
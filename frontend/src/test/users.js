@@ -0,0 +1,98 @@
+/**
+ * Simulated users for the crypto tests
+ * Each user has their own IndexedDB (as on their own device); actAs()
+ * switches the global indexedDB the utils open to that user's database and
+ * makes the fake API treat requests as coming from that user.
+ */
+
+import { IDBFactory } from 'fake-indexeddb';
+import { generateRSAKeyPair, generateSigningKeyPair, exportPublicKey, exportPrivateKey } from '@e2ee/crypto';
+import { storePrivateKey, storeSigningKey, unlockPrivateKey } from '../utils/keyStorage.js';
+import { initiateKeyExchange, acceptKeyExchange, finalizeKeyExchange } from '../utils/keyExchange.js';
+import { registerFakeUser, newUserId, setFakeCaller } from './fakeApi.js';
+
+/**
+ * Make the utils run against a user's device storage
+ * @param {Object} user - User from createUser
+ */
+export function actAs(user) {
+  globalThis.indexedDB = user.indexedDB;
+  setFakeCaller(user.id);
+}
+
+/**
+ * Another browser of the same account: same user, empty device storage
+ * @param {Object} user - User from createUser
+ * @returns {Object} User to pass to actAs
+ */
+export function otherBrowser(user) {
+  return { ...user, indexedDB: new IDBFactory() };
+}
+
+/**
+ * Create a user as registration does: identity and signing keys stored
+ * (password-wrapped) on their device, public keys registered with the server
+ * @param {string} username - Username
+ * @param {string} [password] - Password wrapping the stored keys
+ * @returns {Promise<{id: string, username: string, password: string, indexedDB: IDBFactory}>}
+ */
+export async function createUser(username, password = 'correct horse battery') {
+  const user = { id: newUserId(), username, password, indexedDB: new IDBFactory() };
+  actAs(user);
+
+  const keyPair = await generateRSAKeyPair(2048);
+  const { keyPair: signingKeyPair, algorithm: signingAlgorithm } = await generateSigningKeyPair();
+
+  const publicKey = await exportPublicKey(keyPair.publicKey);
+  const signingPublicKey = await exportPublicKey(signingKeyPair.publicKey);
+
+  await storePrivateKey(username, await exportPrivateKey(keyPair.privateKey), 'RSA-OAEP', '2048', password, publicKey);
+  await storeSigningKey(username, await exportPrivateKey(signingKeyPair.privateKey), signingAlgorithm, password, signingPublicKey);
+  await unlockPrivateKey(username, password);
+
+  await registerFakeUser(user.id, {
+    username,
+    publicKey,
+    signingPublicKey,
+    signingKeyAlgorithm: signingAlgorithm
+  });
+
+  return user;
+}
+
+/**
+ * Create a user as registration did before signing keys existed: only the
+ * RSA key, which also signs (as RSA-PSS) until the signing key upgrade
+ * @param {string} username - Username
+ * @param {string} [password] - Password wrapping the stored key
+ * @returns {Promise<{id: string, username: string, password: string, indexedDB: IDBFactory}>}
+ */
+export async function createLegacyUser(username, password = 'correct horse battery') {
+  const user = { id: newUserId(), username, password, indexedDB: new IDBFactory() };
+  actAs(user);
+
+  const keyPair = await generateRSAKeyPair(2048);
+  await storePrivateKey(username, await exportPrivateKey(keyPair.privateKey), 'RSA-OAEP', '2048', password);
+  await unlockPrivateKey(username, password);
+
+  await registerFakeUser(user.id, { username, publicKey: await exportPublicKey(keyPair.publicKey) });
+  return user;
+}
+
+/**
+ * Run the interactive key exchange between two users
+ * @param {Object} initiator - User from createUser
+ * @param {Object} responder - User from createUser
+ * @param {Function} [switchTo] - Switches to a user's browser (actAs, or a
+ *   login that also sets up the device)
+ * @returns {Promise<string>} Exchange ID
+ */
+export async function establishSession(initiator, responder, switchTo = actAs) {
+  await switchTo(initiator);
+  const { exchangeId } = await initiateKeyExchange(initiator.id, responder.id, initiator.username);
+  await switchTo(responder);
+  await acceptKeyExchange(exchangeId, responder.id, responder.username);
+  await switchTo(initiator);
+  await finalizeKeyExchange(exchangeId);
+  return exchangeId;
+}
@@ -0,0 +1,76 @@
+/**
+ * Encrypted key backups
+ * The whole key storage (identity, signing and device keys, still wrapped
+ * under the password, plus session keys, ratchet states, prekeys, sender
+ * keys and the decrypted message cache) is encrypted under a recovery
+ * passphrase or a generated recovery code and kept on the server, which
+ * cannot read it (see shared/crypto/backup.js). Restoring it on a fresh
+ * browser rebuilds the key storage exactly as it was when the backup was
+ * made; the keys are then unlocked with the account password as usual.
+ */
+
+import { encryptBackup, decryptBackup } from '@e2ee/crypto';
+import { exportKeyStorage, importKeyStorage } from './keyStorage.js';
+import api from '../services/api.js';
+
+// Shortest recovery passphrase accepted (generated recovery codes are 120 bits)
+export const MIN_PASSPHRASE_LENGTH = 12;
+
+/**
+ * Back up this browser's key storage, replacing any earlier backup
+ * @param {string} username - Our username (recorded in the backup)
+ * @param {string} secret - Recovery passphrase or code
+ * @param {string} secretType - 'passphrase' or 'recovery-code'
+ * @returns {Promise<Object>} Backup status (see getKeyBackupStatus)
+ */
+export async function createKeyBackup(username, secret, secretType) {
+  if (secretType === 'passphrase' && String(secret).length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Recovery passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const contents = {
+    username,
+    createdAt: new Date().toISOString(),
+    keyStorage: await exportKeyStorage()
+  };
+  const response = await api.put('/backup', await encryptBackup(contents, secret, secretType));
+  return response.data.backup;
+}
+
+/**
+ * Whether the account has a backup, and when it was made
+ * @returns {Promise<{secretType: string, kdf: string, size: number, updatedAt: string}|null>}
+ */
+export async function getKeyBackupStatus() {
+  const response = await api.get('/backup/status');
+  return response.data.backup;
+}
+
+/**
+ * Restore the account's backup into this browser's key storage, replacing
+ * what is there
+ * @param {string} username - Our username
+ * @param {string} secret - Recovery passphrase or code
+ * @returns {Promise<{createdAt: string}>} When the restored backup was made
+ * @throws If there is no backup, the secret is wrong (error.wrongSecret) or
+ *   the backup belongs to another account
+ */
+export async function restoreKeyBackup(username, secret) {
+  const response = await api.get('/backup');
+  const contents = await decryptBackup(response.data.backup, secret);
+
+  if (contents.username !== username) {
+    throw new Error('This backup belongs to another account');
+  }
+
+  await importKeyStorage(contents.keyStorage);
+  return { createdAt: contents.createdAt };
+}
+
+/**
+ * Delete the account's backup from the server
+ * @returns {Promise<void>}
+ */
+export async function deleteKeyBackup() {
+  await api.delete('/backup');
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { createKeyBackup, restoreKeyBackup, getKeyBackupStatus, deleteKeyBackup } from './backup.js';
+import { exportKeyStorage, hasPrivateKey, unlockPrivateKey, lockPrivateKeys } from './keyStorage.js';
+import { sendEncryptedMessage, getAndDecryptMessages } from './messageUtils.js';
+import { initiateKeyExchange, acceptKeyExchange, finalizeKeyExchange } from './keyExchange.js';
+import { generateRecoveryCode } from '@e2ee/crypto';
+import { createUser, actAs, otherBrowser } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+describe('key backups', () => {
+  let alice;
+  let bob;
+  let exchangeId;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+
+    actAs(alice);
+    ({ exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username));
+    actAs(bob);
+    await acceptKeyExchange(exchangeId, bob.id, bob.username);
+    actAs(alice);
+    await finalizeKeyExchange(exchangeId);
+    await sendEncryptedMessage(alice.id, bob.id, 'Before the backup', exchangeId);
+    actAs(bob);
+    await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id);
+  });
+
+  it('rebuilds the key storage exactly on a fresh browser', async () => {
+    const code = generateRecoveryCode();
+    actAs(bob);
+    const original = await exportKeyStorage();
+    const status = await createKeyBackup(bob.username, code, 'recovery-code');
+    expect(status.secretType).toBe('recovery-code');
+
+    const freshBrowser = otherBrowser(bob);
+    actAs(freshBrowser);
+    lockPrivateKeys();
+    expect(await hasPrivateKey(bob.username)).toBe(false);
+
+    await restoreKeyBackup(bob.username, code);
+
+    expect(await exportKeyStorage()).toEqual(original);
+    await unlockPrivateKey(bob.username, bob.password);
+    const messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Before the backup']);
+  });
+
+  it('refuses a wrong recovery code and leaves the storage untouched', async () => {
+    actAs(alice);
+    await createKeyBackup(alice.username, generateRecoveryCode(), 'recovery-code');
+
+    const freshBrowser = otherBrowser(alice);
+    actAs(freshBrowser);
+    await expect(restoreKeyBackup(alice.username, generateRecoveryCode())).rejects.toMatchObject({ wrongSecret: true });
+    expect(await hasPrivateKey(alice.username)).toBe(false);
+  });
+
+  it('refuses short passphrases and backups of another account', async () => {
+    actAs(alice);
+    await expect(createKeyBackup(alice.username, 'too short', 'passphrase'))
+      .rejects.toThrow('Recovery passphrase must be at least 12 characters');
+
+    await createKeyBackup(alice.username, 'a long recovery passphrase', 'passphrase');
+    await expect(restoreKeyBackup('mallory', 'a long recovery passphrase'))
+      .rejects.toThrow('This backup belongs to another account');
+  });
+
+  it('reports and deletes the backup', async () => {
+    actAs(alice);
+    expect((await getKeyBackupStatus()).secretType).toBe('passphrase');
+
+    await deleteKeyBackup();
+
+    expect(await getKeyBackupStatus()).toBeNull();
+  });
+});
@@ -0,0 +1,437 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  encryptMessage,
+  decryptMessage,
+  encryptFile,
+  decryptFile,
+  hashFileChunkDigests,
+  toBase64,
+  fromBase64,
+  encryptBoundMessage,
+  decryptBoundMessage,
+  messageEnvelope,
+  sealEnvelope,
+  decodeEnvelope,
+  decodeLegacyFileChunks,
+  WIRE_FORMAT_VERSION,
+  SUITE_RATCHET,
+  SUITE_SESSION_KEY,
+  generateDeviceKeyPair,
+  exportPublicKey,
+  linkingCode,
+  normalizeLinkingCode,
+  wrapKeyForDevices,
+  unwrapDeviceKey,
+  encryptBackup,
+  decryptBackup,
+  generateRecoveryCode,
+  keyLogLeafHash,
+  merkleTreeHash,
+  inclusionProof,
+  consistencyProof,
+  verifyInclusion,
+  verifyConsistency
+} from '@e2ee/crypto';
+
+const CHUNK_SIZE = 1024;
+
+/**
+ * Generate an AES-256-GCM key
+ * @returns {Promise<CryptoKey>}
+ */
+function generateKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Random file content of a given size
+ * @param {number} size - Bytes
+ * @returns {Uint8Array}
+ */
+function randomContent(size) {
+  const bytes = new Uint8Array(size);
+  // getRandomValues fills at most 64 KiB per call
+  for (let offset = 0; offset < size; offset += 65536) {
+    crypto.getRandomValues(bytes.subarray(offset, offset + 65536));
+  }
+  return bytes;
+}
+
+/**
+ * Encrypt a file and build its manifest, as sendEncryptedFile does
+ * @param {Uint8Array} content - File content
+ * @param {CryptoKey} key - File key
+ * @param {Uint8Array} [additionalData] - AAD shared by every chunk
+ * @returns {Promise<{chunks: Array<Uint8Array>, manifest: Object}>}
+ */
+async function encryptForUpload(content, key, additionalData = null) {
+  const fileId = 'file-1';
+  const chunks = [];
+  const digests = [];
+
+  for await (const chunk of encryptFile(new Blob([content]), key, CHUNK_SIZE, fileId, additionalData)) {
+    chunks.push(chunk.data);
+    digests.push(chunk.digest);
+  }
+
+  return {
+    chunks,
+    manifest: { fileId, totalChunks: chunks.length, contentHash: await hashFileChunkDigests(digests) }
+  };
+}
+
+describe('text encryption', () => {
+  let key;
+
+  beforeAll(async () => {
+    key = await generateKey();
+  });
+
+  it('round-trips text', async () => {
+    const plaintext = 'Hello, Bob! 👋 Ünïcödé';
+    const { ciphertext, iv, tag } = await encryptMessage(plaintext, key);
+
+    expect(ciphertext).not.toContain('Hello');
+    expect(await decryptMessage(ciphertext, iv, tag, key)).toBe(plaintext);
+  });
+
+  it('uses a fresh IV for every message', async () => {
+    const first = await encryptMessage('same text', key);
+    const second = await encryptMessage('same text', key);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+  });
+
+  it('authenticates the additional data', async () => {
+    const aad = new TextEncoder().encode('{"sequenceNumber":1}');
+    const { ciphertext, iv, tag } = await encryptMessage('bound', key, aad);
+
+    expect(await decryptMessage(ciphertext, iv, tag, key, aad)).toBe('bound');
+    await expect(decryptMessage(ciphertext, iv, tag, key, new TextEncoder().encode('{"sequenceNumber":2}'))).rejects.toThrow();
+    await expect(decryptMessage(ciphertext, iv, tag, key)).rejects.toThrow();
+  });
+
+  it('rejects a modified ciphertext or tag', async () => {
+    const { ciphertext, iv, tag } = await encryptMessage('do not touch', key);
+    const flipFirst = (base64) => {
+      const bytes = fromBase64(base64);
+      bytes[0] ^= 0x01;
+      return toBase64(bytes);
+    };
+
+    await expect(decryptMessage(flipFirst(ciphertext), iv, tag, key)).rejects.toThrow();
+    await expect(decryptMessage(ciphertext, iv, flipFirst(tag), key)).rejects.toThrow();
+  });
+
+  it('rejects the wrong key', async () => {
+    const { ciphertext, iv, tag } = await encryptMessage('secret', key);
+
+    await expect(decryptMessage(ciphertext, iv, tag, await generateKey())).rejects.toThrow();
+  });
+});
+
+describe('file encryption', () => {
+  let key;
+
+  beforeAll(async () => {
+    key = await generateKey();
+  });
+
+  it('round-trips a multi-chunk file against its manifest', async () => {
+    const content = randomContent(CHUNK_SIZE * 3 + 100);
+    const { chunks, manifest } = await encryptForUpload(content, key);
+    expect(chunks).toHaveLength(4);
+
+    const blob = await decryptFile(chunks, key, 'photo.jpg', 'image/jpeg', null, manifest);
+
+    expect(blob.type).toBe('image/jpeg');
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(content);
+  });
+
+  it('round-trips an empty file as one chunk', async () => {
+    const { chunks, manifest } = await encryptForUpload(new Uint8Array(0), key);
+    expect(chunks).toHaveLength(1);
+
+    const blob = await decryptFile(chunks, key, 'empty.txt', 'text/plain', null, manifest);
+    expect(blob.size).toBe(0);
+  });
+
+  it('decrypts chunks streamed from an async source', async () => {
+    const content = randomContent(CHUNK_SIZE * 2);
+    const { chunks, manifest } = await encryptForUpload(content, key);
+    async function* download() {
+      for (const chunk of chunks) yield chunk.slice().buffer;
+    }
+
+    const blob = await decryptFile(download(), key, 'a.bin', 'application/octet-stream', null, manifest);
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(content);
+  });
+
+  it('binds chunks to the shared additional data', async () => {
+    const aad = new TextEncoder().encode('ratchet-header');
+    const { chunks, manifest } = await encryptForUpload(randomContent(CHUNK_SIZE), key, aad);
+
+    await expect(decryptFile(chunks, key, 'a.bin', 'application/octet-stream', null, manifest)).rejects.toThrow();
+  });
+
+  it('rejects reordered chunks', async () => {
+    const { chunks, manifest } = await encryptForUpload(randomContent(CHUNK_SIZE * 2), key);
+
+    await expect(decryptFile([chunks[1], chunks[0]], key, 'a.bin', 'application/octet-stream', null, manifest))
+      .rejects.toThrow('Failed to decrypt file');
+  });
+
+  it('rejects a truncated file', async () => {
+    const { chunks, manifest } = await encryptForUpload(randomContent(CHUNK_SIZE * 3), key);
+
+    await expect(decryptFile(chunks.slice(0, 2), key, 'a.bin', 'application/octet-stream', null, manifest))
+      .rejects.toThrow('File is incomplete or has extra chunks.');
+  });
+
+  it('rejects extra chunks', async () => {
+    const { chunks, manifest } = await encryptForUpload(randomContent(CHUNK_SIZE * 2), key);
+
+    await expect(decryptFile([...chunks, chunks[1]], key, 'a.bin', 'application/octet-stream', null, manifest))
+      .rejects.toThrow('File is incomplete or has extra chunks.');
+  });
+
+  it('rejects chunks that do not match the content hash', async () => {
+    const { manifest } = await encryptForUpload(randomContent(CHUNK_SIZE), key);
+    const other = await encryptForUpload(randomContent(CHUNK_SIZE), key);
+
+    await expect(decryptFile(other.chunks, key, 'a.bin', 'application/octet-stream', null, manifest))
+      .rejects.toThrow('File content does not match its manifest.');
+  });
+});
+
+describe('encoding', () => {
+  it('round-trips buffers too large to spread into String.fromCharCode', () => {
+    const bytes = randomContent(3 * 1024 * 1024);
+
+    expect(fromBase64(toBase64(bytes))).toEqual(bytes);
+  });
+
+  it('matches standard base64', () => {
+    expect(toBase64(new TextEncoder().encode('any carnal pleas'))).toBe('YW55IGNhcm5hbCBwbGVhcw==');
+    expect(toBase64(new Uint8Array([0xfb, 0xff]).buffer)).toBe('+/8=');
+    expect(fromBase64('+/8=')).toEqual(new Uint8Array([0xfb, 0xff]));
+  });
+
+  it('rejects invalid base64', () => {
+    expect(() => fromBase64('not base64!')).toThrow('Invalid base64 encoding');
+  });
+});
+
+describe('wire format', () => {
+  const header = { dh: 'AAAA', n: 0, pn: 0 };
+  const metadata = {
+    fromUserId: 'alice',
+    toUserId: 'bob',
+    sequenceNumber: 1,
+    nonce: 'bm9uY2U=',
+    timestamp: 1700000000000,
+    messageType: 'text'
+  };
+  let key;
+
+  beforeAll(async () => {
+    key = await generateKey();
+  });
+
+  /**
+   * Encrypt a text message into an envelope, as sendEncryptedMessage does
+   * @param {string} plaintext - Message text
+   * @returns {Promise<Object>} Message as stored by the server
+   */
+  async function envelopeMessage(plaintext) {
+    const envelope = messageEnvelope({ suite: SUITE_RATCHET, keyId: 'exchange-1', header });
+    const encrypted = await encryptBoundMessage(plaintext, key, { ...metadata, envelope });
+    return { ...metadata, envelope: sealEnvelope(envelope, encrypted) };
+  }
+
+  it('wraps outgoing messages in a versioned envelope', async () => {
+    const msg = await envelopeMessage('hello');
+    const decoded = decodeEnvelope(msg);
+
+    expect(msg.envelope.version).toBe(WIRE_FORMAT_VERSION);
+    expect(decoded).toMatchObject({ version: 2, suite: SUITE_RATCHET, keyId: 'exchange-1', header });
+    expect(await decryptBoundMessage({ ...msg, ...decoded }, key)).toBe('hello');
+  });
+
+  it('reads the legacy layouts', async () => {
+    const { ciphertext, iv, tag } = await encryptMessage('hello', key);
+
+    expect(decodeEnvelope({ exchangeId: 'exchange-1', ciphertext, iv, tag })).toMatchObject({
+      version: 1,
+      suite: SUITE_SESSION_KEY,
+      keyId: 'exchange-1',
+      header: null
+    });
+    expect(decodeEnvelope({ ciphertext, iv, tag, ratchetHeader: header, wireVersion: 1 }).suite).toBe(SUITE_RATCHET);
+
+    const inline = JSON.stringify([{ chunkIndex: 1, ciphertext }, { chunkIndex: 0, ciphertext }]);
+    expect(decodeLegacyFileChunks({ ciphertext: inline }).map(chunk => chunk.chunkIndex)).toEqual([0, 1]);
+  });
+
+  it('refuses unknown versions and suites and malformed fields', async () => {
+    const { envelope } = await envelopeMessage('hello');
+
+    expect(() => decodeEnvelope({ envelope: { ...envelope, version: 99 } })).toThrow('unsupported wire format version 99');
+    expect(() => decodeEnvelope({ envelope: { ...envelope, suite: 'E2EE-NEW' } })).toThrow('unsupported cipher suite E2EE-NEW');
+    expect(() => decodeEnvelope({ envelope: { ...envelope, header: null } })).toThrow('invalid ratchet header');
+    expect(() => decodeEnvelope({ envelope: { ...envelope, keyId: '' } })).toThrow('key ID is missing');
+    expect(() => decodeEnvelope({
+      envelope: { ...envelope, payload: { ...envelope.payload, iv: toBase64(new Uint8Array(8)) } }
+    })).toThrow('iv must be 12 bytes');
+  });
+
+  it('binds the suite and key ID to the ciphertext', async () => {
+    const msg = await envelopeMessage('hello');
+    const read = (message) => decryptBoundMessage({ ...message, ...decodeEnvelope(message) }, key);
+
+    await expect(read({ ...msg, envelope: { ...msg.envelope, keyId: 'exchange-2' } }))
+      .rejects.toMatchObject({ tampered: true, alteredFields: ['keyId'] });
+
+    // Stripped back to the legacy layout
+    const { envelope, ...rest } = msg;
+    await expect(read({ ...rest, ...envelope.payload, ratchetHeader: header }))
+      .rejects.toMatchObject({ tampered: true, alteredFields: ['wireVersion', 'suite', 'keyId'] });
+  });
+});
+
+describe('device keys', () => {
+  let laptop;
+  let phone;
+  let desktop;
+  let senderDevices;
+  const envelope = { suite: 'E2EE-DR-P256-AES256GCM', keyId: 'exchange-1', header: { dh: 'AAAA', n: 0, pn: 0 } };
+
+  /**
+   * A device with a fresh key pair
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<{userId: string, deviceId: string, publicKey: string, privateKey: CryptoKey}>}
+   */
+  async function newDevice(deviceId) {
+    const keyPair = await generateDeviceKeyPair();
+    return { userId: 'user-1', deviceId, publicKey: await exportPublicKey(keyPair.publicKey), privateKey: keyPair.privateKey };
+  }
+
+  beforeAll(async () => {
+    laptop = await newDevice('laptop-0001');
+    phone = await newDevice('phone-00001');
+    desktop = await newDevice('desktop-001');
+    senderDevices = [desktop];
+  });
+
+  it('wraps a message key for each device', async () => {
+    const messageKey = crypto.getRandomValues(new Uint8Array(32));
+    const deviceKeys = await wrapKeyForDevices(messageKey, [laptop, phone], desktop, envelope);
+
+    expect(deviceKeys.map(entry => entry.deviceId)).toEqual(['laptop-0001', 'phone-00001']);
+    expect(deviceKeys.map(entry => entry.fromDeviceId)).toEqual(['desktop-001', 'desktop-001']);
+    expect(await unwrapDeviceKey(deviceKeys, laptop, senderDevices, envelope)).toEqual(messageKey);
+    expect(await unwrapDeviceKey(deviceKeys, phone, senderDevices, envelope)).toEqual(messageKey);
+  });
+
+  it('gives nothing to a device without a copy, and no copy to the wrong key', async () => {
+    const deviceKeys = await wrapKeyForDevices(crypto.getRandomValues(new Uint8Array(32)), [laptop], desktop, envelope);
+
+    expect(await unwrapDeviceKey(deviceKeys, phone, senderDevices, envelope)).toBeNull();
+    await expect(unwrapDeviceKey(deviceKeys, { ...phone, deviceId: laptop.deviceId }, senderDevices, envelope)).rejects.toThrow();
+  });
+
+  it('accepts copies only from a certified device of the sender, for the same envelope', async () => {
+    const messageKey = crypto.getRandomValues(new Uint8Array(32));
+
+    // Made with another key in the name of the sender's device (what a forging server can do)
+    const impostor = { ...await newDevice('server-0001'), deviceId: desktop.deviceId };
+    const forged = await wrapKeyForDevices(messageKey, [laptop], impostor, envelope);
+    await expect(unwrapDeviceKey(forged, laptop, senderDevices, envelope)).rejects.toThrow();
+
+    const uncertified = await wrapKeyForDevices(messageKey, [laptop], phone, envelope);
+    await expect(unwrapDeviceKey(uncertified, laptop, senderDevices, envelope))
+      .rejects.toThrow('not from a certified device of the sender');
+
+    const genuine = await wrapKeyForDevices(messageKey, [laptop], desktop, envelope);
+    await expect(unwrapDeviceKey(genuine, laptop, senderDevices, { ...envelope, keyId: 'exchange-2' })).rejects.toThrow();
+    await expect(unwrapDeviceKey(genuine, laptop, [{ ...desktop, userId: 'user-2' }], envelope)).rejects.toThrow();
+  });
+
+  it('derives the same linking code from the same key only', async () => {
+    const code = await linkingCode(laptop.publicKey);
+
+    expect(code).toMatch(/^\d{5}(-\d{5}){11}$/);
+    expect(await linkingCode(laptop.publicKey)).toBe(code);
+    expect(await linkingCode(phone.publicKey)).not.toBe(code);
+    expect(normalizeLinkingCode(` ${code.replace(/-/g, ' ')} `)).toBe(normalizeLinkingCode(code));
+  });
+});
+
+describe('key backups', () => {
+  const contents = { username: 'alice', keyStorage: { stores: { sessionKeys: [{ exchangeId: 'x', key: 'AAAA' }] } } };
+
+  it('round-trips contents under a passphrase', async () => {
+    const backup = await encryptBackup(contents, 'a long recovery passphrase', 'passphrase');
+
+    expect(backup.kdf.name).toMatch(/^(Argon2id|PBKDF2)$/);
+    expect(backup.ciphertext).not.toContain('alice');
+    expect(await decryptBackup(backup, 'a long recovery passphrase')).toEqual(contents);
+    await expect(decryptBackup(backup, 'another passphrase')).rejects.toMatchObject({ wrongSecret: true });
+  });
+
+  it('accepts a recovery code however it is typed', async () => {
+    const code = generateRecoveryCode();
+    expect(code).toMatch(/^([0-9A-HJKMNP-TV-Z]{4}-){5}[0-9A-HJKMNP-TV-Z]{4}$/);
+    const backup = await encryptBackup(contents, code, 'recovery-code');
+
+    expect(await decryptBackup(backup, ` ${code.toLowerCase().replace(/-/g, ' ')} `)).toEqual(contents);
+  });
+
+  it('rejects a backup whose parameters were changed', async () => {
+    const backup = await encryptBackup(contents, 'a long recovery passphrase', 'passphrase');
+
+    await expect(decryptBackup({ ...backup, secretType: 'recovery-code' }, 'a long recovery passphrase'))
+      .rejects.toMatchObject({ wrongSecret: true });
+    await expect(decryptBackup({ ...backup, kdf: { ...backup.kdf, extra: 1 } }, 'a long recovery passphrase'))
+      .rejects.toMatchObject({ wrongSecret: true });
+    await expect(decryptBackup({ ...backup, version: 2 }, 'a long recovery passphrase'))
+      .rejects.toThrow('Unsupported backup version: 2');
+  });
+});
+
+describe('key transparency log', () => {
+  let leaves;
+
+  beforeAll(async () => {
+    leaves = await Promise.all(Array.from({ length: 9 }, (_, i) => keyLogLeafHash(`leaf ${i}`)));
+  });
+
+  it('proves every leaf is included in trees of every size', async () => {
+    for (let size = 1; size <= leaves.length; size++) {
+      const tree = leaves.slice(0, size);
+      const root = await merkleTreeHash(tree);
+
+      for (let index = 0; index < size; index++) {
+        const proof = await inclusionProof(index, tree);
+        expect(await verifyInclusion(tree[index], index, size, proof, root)).toBe(true);
+        if (size > 1) {
+          expect(await verifyInclusion(tree[(index + 1) % size], index, size, proof, root)).toBe(false);
+        }
+      }
+    }
+  });
+
+  it('proves every smaller tree is a prefix of a larger one', async () => {
+    const root = await merkleTreeHash(leaves);
+    const otherRoot = await merkleTreeHash([await keyLogLeafHash('other'), ...leaves.slice(1)]);
+
+    for (let size = 1; size < leaves.length; size++) {
+      const oldRoot = await merkleTreeHash(leaves.slice(0, size));
+      const proof = await consistencyProof(size, leaves);
+
+      expect(await verifyConsistency(size, oldRoot, leaves.length, root, proof)).toBe(true);
+      expect(await verifyConsistency(size, oldRoot, leaves.length, otherRoot, proof)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Devices of an account (multi-device support)
+ *
+ * Every browser an account logs in from gets its own device key (ECDH
+ * P-256), stored wrapped with the password like the identity keys. A browser
+ * that holds the account's identity keys certifies its own device key with
+ * the account's signing key at login. Any other browser registers as a
+ * pending device and shows a linking code derived from its key; an existing
+ * device approves it by typing that code, which signs the new key.
+ *
+ * Senders wrap each message key to every certified device of the recipient
+ * and to their own other devices (envelope deviceKeys), so a linked device can
+ * read messages without holding the ratchet. Device certificates are checked
+ * against the account's signing key before any key is wrapped to a device,
+ * and the copies are made with the sending device's own key, so a device
+ * only accepts copies from a certified device of the sender.
+ */
+
+import {
+  generateDeviceKeyPair,
+  deviceKeyMessage,
+  verifyDeviceKey,
+  linkingCode,
+  normalizeLinkingCode,
+  wrapKeyForDevices,
+  exportPublicKey,
+  exportPrivateKey,
+  verificationKeyFrom,
+  signWithKey,
+  fromBase64
+} from '@e2ee/crypto';
+import {
+  getPrivateKey,
+  storeDeviceKey,
+  unlockDeviceKey,
+  getDeviceKey,
+  deleteDeviceKey
+} from './keyStorage.js';
+import { fetchIdentityKeys } from './safetyNumber.js';
+import api from '../services/api.js';
+
+// How long a user's verified device list is reused before fetching it again
+const DEVICE_LIST_TTL = 60 * 1000;
+
+// This browser's device for the logged-in account
+let currentDevice = null;
+
+// Verified device lists, keyed by user ID: { devices, fetchedAt }
+const deviceLists = new Map();
+
+/**
+ * Readable name for this browser, shown in the device list
+ * @returns {string}
+ */
+function browserName() {
+  const userAgent = globalThis.navigator?.userAgent || '';
+  const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(name));
+  const platform = ['Windows', 'Mac OS', 'Android', 'iPhone', 'Linux'].find(name => userAgent.includes(name));
+
+  return [browser === 'Edg' ? 'Edge' : browser, platform && `on ${platform}`].filter(Boolean).join(' ') || 'Browser';
+}
+
+/**
+ * The account's signing key, if this browser holds the account keys
+ * @param {string} username - Username
+ * @returns {Promise<{signingKey: CryptoKey, signingAlgorithm: string}|null>}
+ */
+async function accountSigningKey(username) {
+  try {
+    const { signingKey, signingAlgorithm } = await getPrivateKey(username);
+    return { signingKey, signingAlgorithm };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Sign a device key with the account's signing key
+ * @param {Object} account - From accountSigningKey
+ * @param {{userId: string, deviceId: string, publicKey: string}} device - Device to certify
+ * @returns {Promise<string>} Base64 signature
+ */
+function certifyDevice(account, device) {
+  return signWithKey(deviceKeyMessage(device), account.signingKey, account.signingAlgorithm);
+}
+
+/**
+ * Create a device key for this browser and keep it (wrapped) for the user
+ * @param {string} username - Username
+ * @param {string} password - Password wrapping the key
+ * @returns {Promise<void>}
+ */
+async function createDeviceKey(username, password) {
+  const keyPair = await generateDeviceKeyPair();
+
+  await storeDeviceKey(username, {
+    deviceId: crypto.randomUUID(),
+    name: browserName(),
+    publicKey: await exportPublicKey(keyPair.publicKey),
+    privateKey: await exportPrivateKey(keyPair.privateKey)
+  }, password);
+  await unlockDeviceKey(username, password);
+}
+
+/**
+ * Set up this browser as a device of the account at login or registration.
+ * The device key is created on first use. With the account keys unlocked the
+ * device certifies itself and is active at once; otherwise it stays pending
+ * until another device approves it with its linking code.
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username
+ * @param {string} password - Password (unwraps the device key)
+ * @returns {Promise<{deviceId: string, status: string, linked: boolean}>} This device
+ */
+export async function setUpDevice(userId, username, password) {
+  if (!(await unlockDeviceKey(username, password))) {
+    await createDeviceKey(username, password);
+  }
+
+  const account = await accountSigningKey(username);
+
+  for (let attempt = 0; ; attempt++) {
+    const { deviceId, name, publicKey } = getDeviceKey(username);
+    const device = { userId: String(userId), deviceId, publicKey };
+
+    try {
+      const response = await api.post('/devices', {
+        deviceId,
+        name,
+        publicKey,
+        signature: account ? await certifyDevice(account, device) : undefined
+      });
+
+      currentDevice = {
+        ...device,
+        username,
+        status: response.data.device.status,
+        // Linked devices read through wrapped keys only: no sessions of their own
+        linked: !account
+      };
+      return currentDevice;
+    } catch (error) {
+      // A revoked device ID cannot come back; link this browser again as a new device
+      if (error.response?.status !== 409 || attempt > 0) throw error;
+      await deleteDeviceKey(username);
+      await createDeviceKey(username, password);
+    }
+  }
+}
+
+/**
+ * This browser's device, once setUpDevice has run
+ * @returns {{userId: string, username: string, deviceId: string, publicKey: string, status: string, linked: boolean}|null}
+ */
+export function getCurrentDevice() {
+  return currentDevice;
+}
+
+/**
+ * Re-read this device's status from the server (e.g. after it was approved)
+ * @returns {Promise<Object|null>} This device, or null if none is set up
+ */
+export async function refreshCurrentDevice() {
+  if (!currentDevice) return null;
+
+  const devices = await listOwnDevices();
+  const own = devices.find(device => device.deviceId === currentDevice.deviceId);
+  currentDevice = { ...currentDevice, status: own ? own.status : 'revoked' };
+  return currentDevice;
+}
+
+/**
+ * Linking code of this device, to show while it waits for approval
+ * @returns {Promise<string|null>}
+ */
+export async function currentLinkingCode() {
+  return currentDevice ? linkingCode(currentDevice.publicKey) : null;
+}
+
+/**
+ * Forget this browser's device (logout)
+ */
+export function forgetCurrentDevice() {
+  currentDevice = null;
+  deviceLists.clear();
+}
+
+/**
+ * List our own devices (pending, active and revoked)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listOwnDevices() {
+  const response = await api.get('/devices');
+  return response.data.devices;
+}
+
+/**
+ * Approve a pending device of our account. The code typed by the user must
+ * match the one computed from the key the server holds for that device, so
+ * the server cannot slip in a key of its own.
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username (signing key)
+ * @param {string} deviceId - Pending device
+ * @param {string} code - Linking code shown on the new device
+ * @returns {Promise<Object>} Approved device
+ */
+export async function approveDevice(userId, username, deviceId, code) {
+  const account = await accountSigningKey(username);
+  if (!account) {
+    throw new Error('Only a device with the account keys can approve new devices');
+  }
+
+  const pending = (await listOwnDevices()).find(device => device.deviceId === deviceId && device.status === 'pending');
+  if (!pending) {
+    throw new Error('Device is not waiting for approval');
+  }
+
+  if (normalizeLinkingCode(code) !== normalizeLinkingCode(await linkingCode(pending.publicKey))) {
+    throw new Error('Linking code does not match the device');
+  }
+
+  const signature = await certifyDevice(account, { userId: String(userId), deviceId, publicKey: pending.publicKey });
+  const response = await api.post(`/devices/${deviceId}/approve`, { signature });
+  deviceLists.delete(String(userId));
+  return response.data.device;
+}
+
+/**
+ * Revoke one of our devices; messages are no longer wrapped to it
+ * @param {string} userId - Our user ID
+ * @param {string} deviceId - Device to revoke
+ * @returns {Promise<void>}
+ */
+export async function revokeDevice(userId, deviceId) {
+  await api.delete(`/devices/${deviceId}`);
+  deviceLists.delete(String(userId));
+}
+
+/**
+ * A user's active devices whose certificates verify against their signing key.
+ * Devices with a bad certificate are left out: no key is wrapped to them.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<{userId: string, deviceId: string, publicKey: string}>>}
+ */
+export async function getVerifiedDevices(userId) {
+  const cached = deviceLists.get(String(userId));
+  if (cached && Date.now() - cached.fetchedAt < DEVICE_LIST_TTL) {
+    return cached.devices;
+  }
+
+  const [response, keys] = await Promise.all([
+    api.get(`/users/${userId}/devices`),
+    fetchIdentityKeys(userId)
+  ]);
+  const verificationKey = verificationKeyFrom(keys);
+
+  const devices = [];
+  for (const device of response.data.devices) {
+    const certified = { ...device, userId: String(userId) };
+    if (await verifyDeviceKey(certified, verificationKey)) {
+      devices.push(certified);
+    } else {
+      console.warn(`Ignoring device ${device.deviceId} of user ${userId}: invalid certificate`);
+    }
+  }
+
+  deviceLists.set(String(userId), { devices, fetchedAt: Date.now() });
+  return devices;
+}
+
+/**
+ * Drop a user's cached device list, e.g. after their identity key changed
+ * and their devices were certified anew
+ * @param {string} userId - User ID
+ */
+export function forgetDeviceList(userId) {
+  deviceLists.delete(String(userId));
+}
+
+/**
+ * Wrap a message key to the devices of the given users, except this one.
+ * The copies are made by this device, with its certified device key.
+ * @param {string} messageKey - Raw message key (base64)
+ * @param {Array<string>} userIds - Users whose devices get a copy (recipient and sender)
+ * @param {{suite: string, keyId: string|null, header: Object|null}} envelope - Envelope of the message
+ * @returns {Promise<Array<{deviceId: string, fromDeviceId: string, ephemeralPublicKey: string, wrappedKey: string}>>}
+ * @throws If there are devices to wrap to but this browser is not an active device
+ */
+export async function wrapForDevices(messageKey, userIds, envelope) {
+  const devices = [];
+  for (const userId of userIds) {
+    devices.push(...await getVerifiedDevices(userId));
+  }
+
+  const others = devices.filter(device => device.deviceId !== currentDevice?.deviceId);
+  if (others.length === 0) {
+    return [];
+  }
+
+  const deviceKey = currentDevice?.status === 'active' && getDeviceKey(currentDevice.username);
+  if (!deviceKey) {
+    throw new Error('This browser is not an active device of the account');
+  }
+  return wrapKeyForDevices(
+    fromBase64(messageKey),
+    others,
+    { userId: currentDevice.userId, deviceId: currentDevice.deviceId, privateKey: deviceKey.privateKey },
+    envelope
+  );
+}
@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import {
+  setUpDevice,
+  currentLinkingCode,
+  forgetCurrentDevice,
+  approveDevice,
+  revokeDevice,
+  listOwnDevices
+} from './devices.js';
+import { sendEncryptedMessage, getAndDecryptMessages } from './messageUtils.js';
+import { hasPrivateKey, unlockPrivateKey, lockPrivateKeys } from './keyStorage.js';
+import { SUITE_DEVICE, generateDeviceKeyPair, wrapKeyForDevices } from '@e2ee/crypto';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, actAs, otherBrowser, establishSession } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+/**
+ * Log in on a browser as the Login page does: unlock the account keys if
+ * this browser has them, then set up its device
+ * @param {Object} browser - User from createUser or otherBrowser
+ * @returns {Promise<Object>} This browser's device
+ */
+async function logIn(browser) {
+  actAs(browser);
+  lockPrivateKeys();
+  forgetCurrentDevice();
+
+  if (await hasPrivateKey(browser.username)) {
+    await unlockPrivateKey(browser.username, browser.password);
+  }
+  return setUpDevice(browser.id, browser.username, browser.password);
+}
+
+/**
+ * Link a new browser of a user, approving it from their primary browser
+ * @param {Object} user - User from createUser
+ * @returns {Promise<{browser: Object, device: Object}>}
+ */
+async function linkBrowser(user) {
+  const browser = otherBrowser(user);
+  const device = await logIn(browser);
+  const code = await currentLinkingCode();
+
+  await logIn(user);
+  await approveDevice(user.id, user.username, device.deviceId, code);
+  return { browser, device };
+}
+
+describe('devices', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+  });
+
+  it('activates the browser holding the account keys', async () => {
+    const device = await logIn(alice);
+
+    expect(device.status).toBe('active');
+    expect(device.linked).toBe(false);
+    expect((await logIn(alice)).deviceId).toBe(device.deviceId);
+  });
+
+  it('keeps another browser pending until approved with its linking code', async () => {
+    const laptop = otherBrowser(alice);
+    const device = await logIn(laptop);
+    expect(device.status).toBe('pending');
+    expect(device.linked).toBe(true);
+    const code = await currentLinkingCode();
+
+    await logIn(alice);
+    await expect(approveDevice(alice.id, alice.username, device.deviceId, '0000-0000-0000'))
+      .rejects.toThrow('Linking code does not match the device');
+    await approveDevice(alice.id, alice.username, device.deviceId, code);
+
+    expect((await logIn(laptop)).status).toBe('active');
+  });
+
+  it('refuses approvals from a browser without the account keys', async () => {
+    const { browser } = await linkBrowser(alice);
+    const pending = await logIn(otherBrowser(alice));
+
+    await logIn(browser);
+    await expect(approveDevice(alice.id, alice.username, pending.deviceId, '0000-0000-0000'))
+      .rejects.toThrow('Only a device with the account keys can approve new devices');
+  });
+
+  it('lets linked browsers read and send messages of the conversation', async () => {
+    const exchangeId = await establishSession(alice, bob, logIn);
+    const { browser: aliceLaptop } = await linkBrowser(alice);
+    const { browser: bobPhone } = await linkBrowser(bob);
+
+    await logIn(alice);
+    await sendEncryptedMessage(alice.id, bob.id, 'Hi Bob', exchangeId);
+
+    await logIn(bobPhone);
+    let messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob']);
+
+    await logIn(aliceLaptop);
+    messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, alice.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob']);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'Sent from my laptop', exchangeId);
+    const stored = fakeServerState().messages.find(m => m._id === message._id);
+    expect(stored.envelope.suite).toBe(SUITE_DEVICE);
+    expect(stored.fromDeviceId).toBeTruthy();
+
+    await logIn(bob);
+    messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob', 'Sent from my laptop']);
+
+    await logIn(alice);
+    messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, alice.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob', 'Sent from my laptop']);
+  });
+
+  it('rejects message key copies forged by the server', async () => {
+    const exchangeId = await establishSession(alice, bob, logIn);
+    const { browser: bobPhone, device: phone } = await linkBrowser(bob);
+
+    const aliceDevice = await logIn(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'Hi Bob', exchangeId);
+    const stored = fakeServerState().messages.find(m => m._id === message._id);
+    const { fromDeviceId } = stored.envelope.deviceKeys.find(entry => entry.deviceId === phone.deviceId);
+    expect(fromDeviceId).toBe(aliceDevice.deviceId);
+
+    // The server wraps a message key of its own, claiming it comes from Alice's device
+    const serverKey = await generateDeviceKeyPair();
+    const [forged] = await wrapKeyForDevices(
+      window.crypto.getRandomValues(new Uint8Array(32)),
+      [phone],
+      { userId: alice.id, deviceId: aliceDevice.deviceId, privateKey: serverKey.privateKey },
+      stored.envelope
+    );
+    stored.envelope.deviceKeys = stored.envelope.deviceKeys.map(entry => entry.deviceId === phone.deviceId ? forged : entry);
+
+    const receive = async () => (await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id))
+      .find(m => m._id === message._id);
+
+    await logIn(bobPhone);
+    let received = await receive();
+    expect(received.decryptionError).toBe(true);
+    expect(received.plaintext).not.toBe('Hi Bob');
+
+    // Nor is a copy from a device Alice never certified accepted
+    stored.envelope.deviceKeys = stored.envelope.deviceKeys.map(entry => (
+      entry.deviceId === phone.deviceId ? { ...forged, fromDeviceId: 'server-device-1' } : entry
+    ));
+    received = await receive();
+    expect(received.decryptionError).toBe(true);
+  });
+
+  it('stops wrapping message keys for a revoked device', async () => {
+    const exchangeId = await establishSession(alice, bob, logIn);
+    const { browser: bobPhone, device } = await linkBrowser(bob);
+
+    await revokeDevice(bob.id, device.deviceId);
+    expect((await listOwnDevices()).find(d => d.deviceId === device.deviceId).status).toBe('revoked');
+
+    await logIn(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'Not for the phone', exchangeId);
+    const stored = fakeServerState().messages.find(m => m._id === message._id);
+    expect(stored.envelope.deviceKeys.map(entry => entry.deviceId)).not.toContain(device.deviceId);
+
+    // The revoked browser comes back as a new device waiting for approval
+    const relinked = await logIn(bobPhone);
+    expect(relinked.deviceId).not.toBe(device.deviceId);
+    expect(relinked.status).toBe('pending');
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Group message utilities
+ * Encrypts with our sender key and decrypts with the senders' keys.
+ * Sender message keys are single-use, so decrypted messages are cached
+ * locally by message ID (as for Double Ratchet messages).
+ */
+
+import { storeDecryptedMessage, getDecryptedMessage } from './keyStorage.js';
+import { encryptGroupMessage, decryptGroupMessage, hasSenderKey } from './senderKeys.js';
+import { getNextSequenceNumber, generateNonce } from './sequenceManager.js';
+import api from '../services/api.js';
+
+/**
+ * Cache key grouping a group's messages in the message cache
+ * @param {string} groupId - Group ID
+ * @returns {string}
+ */
+function groupCacheId(groupId) {
+  return `group:${groupId}`;
+}
+
+/**
+ * Send an encrypted group message
+ * @param {Object} group - Group from the API ({ _id, keyEpoch })
+ * @param {string} fromUserId - Our user ID
+ * @param {string} plaintext - Message to encrypt and send
+ * @returns {Promise<Object>} Sent message response
+ */
+export async function sendGroupMessage(group, fromUserId, plaintext) {
+  try {
+    const groupId = String(group._id);
+    const encrypted = await encryptGroupMessage(groupId, group.keyEpoch, String(fromUserId), plaintext);
+
+    // Replay protection: per-sender sequence in this group
+    const sequenceNumber = await getNextSequenceNumber(groupCacheId(groupId), String(fromUserId), groupId);
+
+    const response = await api.post(`/groups/${groupId}/messages`, {
+      keyEpoch: group.keyEpoch,
+      ...encrypted,
+      sequenceNumber,
+      nonce: generateNonce(),
+      timestamp: Date.now()
+    });
+
+    if (response.data.message?._id) {
+      await storeDecryptedMessage(response.data.message._id, groupCacheId(groupId), { plaintext });
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Error sending group message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt one group message for display
+ * @param {Object} msg - Encrypted group message as returned by the API
+ * @param {string} currentUserId - Our user ID
+ * @returns {Promise<Object>} Message with plaintext and isOwn added
+ */
+export async function decryptGroupMessageForDisplay(msg, currentUserId) {
+  const groupId = String(msg.groupId);
+  const senderId = String(msg.fromUserId?._id || msg.fromUserId);
+  const isOwn = senderId === String(currentUserId);
+
+  try {
+    const cached = await getDecryptedMessage(msg._id);
+    if (cached) {
+      return { ...msg, plaintext: cached.plaintext, isOwn };
+    }
+
+    if (isOwn) {
+      return {
+        ...msg,
+        plaintext: '[Sent message not available on this device]',
+        isOwn,
+        unavailable: true
+      };
+    }
+
+    // The sender's key may still be on its way; not a decryption failure
+    if (!(await hasSenderKey(groupId, msg.keyEpoch, senderId))) {
+      return {
+        ...msg,
+        plaintext: '[Waiting for the sender\'s key]',
+        isOwn,
+        awaitingKey: true
+      };
+    }
+
+    const plaintext = await decryptGroupMessage(msg);
+    await storeDecryptedMessage(msg._id, groupCacheId(groupId), { plaintext });
+
+    return { ...msg, plaintext, isOwn };
+  } catch (error) {
+    console.error('Error decrypting group message:', error);
+
+    try {
+      await api.post('/security-logs', {
+        eventType: 'DECRYPTION_FAILURE',
+        severity: 'WARNING',
+        userId: currentUserId,
+        details: {
+          messageId: msg._id,
+          groupId,
+          keyEpoch: msg.keyEpoch,
+          error: error.message
+        },
+        success: false,
+        errorMessage: error.message
+      });
+    } catch (logError) {
+      console.error('Failed to log decryption error:', logError);
+    }
+
+    return {
+      ...msg,
+      plaintext: '[Unable to decrypt message]',
+      isOwn,
+      decryptionError: true
+    };
+  }
+}
+
+/**
+ * Get and decrypt a group's messages
+ * @param {string} groupId - Group ID
+ * @param {string} currentUserId - Our user ID
+ * @returns {Promise<Array>} Decrypted messages
+ */
+export async function getAndDecryptGroupMessages(groupId, currentUserId) {
+  try {
+    const response = await api.get(`/groups/${groupId}/messages`);
+
+    // Decrypt in order: sender chains advance in message order
+    const decryptedMessages = [];
+    for (const msg of response.data.messages) {
+      decryptedMessages.push(await decryptGroupMessageForDisplay(msg, currentUserId));
+    }
+
+    return decryptedMessages;
+  } catch (error) {
+    console.error('Error getting group messages:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Identity key rotation
+ *
+ * An account's identity keys (RSA key + signing key) can be replaced from the
+ * browser that holds them: the new public keys are signed with the current
+ * signing key and sent to the server, which keeps the old ones in the user's
+ * key history with the period they were valid for. In the same request the
+ * new signing key re-certifies our active devices (the others are revoked).
+ * The new private keys are stored (as pending) before the request is sent and
+ * become the current ones once the server has taken them, so an accepted
+ * rotation never leaves us without them. A rotation whose request got no
+ * answer is settled at the next login (settlePendingRotation).
+ * The old RSA key stays in local storage (wrapped, never unlocked) for
+ * RETIRED_KEY_RETENTION_DAYS (keyStorage.js); the old signing key is dropped
+ * so it never signs again.
+ *
+ * Contacts learn about a rotation from the 'identity-key:rotated' event, or
+ * later by noticing that our current key is newer than their session with us
+ * (keyRotationSinceSession); either way they should set up a new session.
+ * Messages already exchanged stay readable: they depend on session keys,
+ * ratchet states and the message cache, not on the identity keys.
+ */
+
+import {
+  generateRSAKeyPair,
+  generateSigningKeyPair,
+  exportPublicKey,
+  exportPrivateKey,
+  signWithKey,
+  deviceKeyMessage,
+  identityKeyRotationMessage,
+  verifyKeyHistory
+} from '@e2ee/crypto';
+import {
+  hasPrivateKey,
+  unlockPrivateKey,
+  getPrivateKey,
+  storePendingIdentityKeys,
+  getPendingIdentityKeys,
+  promotePendingIdentityKeys,
+  discardPendingIdentityKeys
+} from './keyStorage.js';
+import { listOwnDevices, forgetDeviceList } from './devices.js';
+import { ensurePreKeys } from './prekeys.js';
+import { fetchIdentityKeys } from './safetyNumber.js';
+import api from '../services/api.js';
+
+/**
+ * Replace our identity keys with new ones signed by the current keys
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username
+ * @param {string} password - Our password (checked, and wraps the new keys)
+ * @param {Object} [options] - { compromised: true } if the current keys may be known to someone else
+ * @returns {Promise<{keyVersion: number, revokedDevices: Array<string>}>}
+ */
+export async function rotateIdentityKey(userId, username, password, { compromised = false } = {}) {
+  if (!(await hasPrivateKey(username))) {
+    throw new Error('Only a device with the account keys can rotate them');
+  }
+  // Fails on a wrong password, before anything changes
+  await unlockPrivateKey(username, password);
+  await settlePendingRotation(userId, username, password);
+
+  const { signingKey, signingAlgorithm, algorithm, keySize } = await getPrivateKey(username);
+  const current = await fetchIdentityKeys(userId);
+
+  const keyPair = await generateRSAKeyPair(Number(keySize) || 2048);
+  const { keyPair: signingKeyPair, algorithm: newSigningAlgorithm } = await generateSigningKeyPair();
+
+  const rotation = {
+    keyVersion: (current.keyVersion || 1) + 1,
+    publicKey: await exportPublicKey(keyPair.publicKey),
+    signingPublicKey: await exportPublicKey(signingKeyPair.publicKey),
+    signingKeyAlgorithm: newSigningAlgorithm,
+    reason: compromised ? 'compromised' : 'rotated'
+  };
+  const signature = await signWithKey(
+    identityKeyRotationMessage({ userId: String(userId), ...rotation }),
+    signingKey,
+    signingAlgorithm
+  );
+
+  // Our active devices stay trusted only if the new signing key certifies them
+  const devices = [];
+  for (const device of await listOwnDevices()) {
+    if (device.status !== 'active') continue;
+    devices.push({
+      deviceId: device.deviceId,
+      signature: await signWithKey(
+        deviceKeyMessage({ userId: String(userId), deviceId: device.deviceId, publicKey: device.publicKey }),
+        signingKeyPair.privateKey,
+        newSigningAlgorithm
+      )
+    });
+  }
+
+  await storePendingIdentityKeys(username, {
+    privateKey: await exportPrivateKey(keyPair.privateKey),
+    publicKey: rotation.publicKey,
+    algorithm,
+    keySize,
+    signingPrivateKey: await exportPrivateKey(signingKeyPair.privateKey),
+    signingPublicKey: rotation.signingPublicKey,
+    signingAlgorithm: newSigningAlgorithm,
+    keyVersion: rotation.keyVersion
+  }, password);
+
+  let response;
+  try {
+    response = await api.post('/users/identity-key', { ...rotation, signature, devices });
+  } catch (error) {
+    // Refused: the current keys stay. Without an answer the server may have
+    // taken the new ones, so they are kept until settlePendingRotation knows.
+    if (error.response) {
+      await discardPendingIdentityKeys(username);
+    }
+    throw error;
+  }
+
+  await promotePendingIdentityKeys(username);
+  await unlockPrivateKey(username, password);
+  forgetDeviceList(userId);
+
+  // The server dropped our prekeys, which were signed with the old key
+  try {
+    await ensurePreKeys(String(userId), username);
+  } catch (error) {
+    console.error('Could not publish new prekeys after key rotation, will retry at next login:', error);
+  }
+
+  return { keyVersion: rotation.keyVersion, revokedDevices: response.data.revokedDevices };
+}
+
+/**
+ * Settle a rotation whose request got no answer: make the pending keys the
+ * current ones if the server has them, drop them otherwise
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username
+ * @param {string} password - Our password (unlocks the keys again if they changed)
+ * @returns {Promise<boolean>} Whether the pending keys became the current ones
+ */
+export async function settlePendingRotation(userId, username, password) {
+  const pending = await getPendingIdentityKeys(username);
+  if (!pending) {
+    return false;
+  }
+
+  const current = await fetchIdentityKeys(userId);
+  if (current.publicKey !== pending.publicKey) {
+    await discardPendingIdentityKeys(username);
+    return false;
+  }
+
+  await promotePendingIdentityKeys(username);
+  await unlockPrivateKey(username, password);
+  forgetDeviceList(userId);
+  return true;
+}
+
+/**
+ * Fetch a user's key history and check that every version was signed by the
+ * one before it
+ * @param {string} userId - User ID
+ * @returns {Promise<{keys: Array<Object>, verified: boolean}>} Keys oldest first
+ */
+export async function fetchKeyHistory(userId) {
+  const response = await api.get(`/users/${userId}/key-history`);
+  const { keys } = response.data;
+  return { keys, verified: await verifyKeyHistory(String(userId), keys) };
+}
+
+/**
+ * Whether a contact's identity key changed after our session with them was
+ * set up, so the session should be replaced
+ * @param {string} contactId - Contact's user ID
+ * @param {string} exchangeId - Our current session with them
+ * @returns {Promise<{keyVersion: number, reason: string, rotatedAt: string, verified: boolean}|null>}
+ *   The rotation, or null if the session is newer than their current key
+ */
+export async function keyRotationSinceSession(contactId, exchangeId) {
+  const [keys, exchangeResponse] = await Promise.all([
+    fetchIdentityKeys(contactId),
+    api.get(`/key-exchange/${exchangeId}`)
+  ]);
+  const sessionCreatedAt = exchangeResponse.data.keyExchange.createdAt;
+
+  if ((keys.keyVersion || 1) === 1 || !sessionCreatedAt ||
+      new Date(keys.keyValidFrom) <= new Date(sessionCreatedAt)) {
+    return null;
+  }
+
+  const history = await fetchKeyHistory(contactId);
+  const latest = history.keys[history.keys.length - 1];
+  return {
+    keyVersion: latest.keyVersion,
+    reason: latest.reason,
+    rotatedAt: latest.validFrom,
+    verified: history.verified && latest.publicKey === keys.publicKey
+  };
+}
@@ -0,0 +1,222 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { rotateIdentityKey, settlePendingRotation, fetchKeyHistory, keyRotationSinceSession } from './identityKeys.js';
+import {
+  getPrivateKey,
+  unlockPrivateKey,
+  getPendingIdentityKeys,
+  exportKeyStorage,
+  RETIRED_KEY_RETENTION_DAYS
+} from './keyStorage.js';
+import { setUpDevice, getVerifiedDevices, forgetDeviceList } from './devices.js';
+import { sendEncryptedMessage, getAndDecryptMessages } from './messageUtils.js';
+import { fetchIdentityKeys, fetchLocalIdentityKeys } from './safetyNumber.js';
+import { generateRSAKeyPair, exportPublicKey } from '@e2ee/crypto';
+import api from '../services/api.js';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, actAs, establishSession } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+/**
+ * Make the server's answer to key rotations fail
+ * @param {Function} fail - Gets the real request, returns the failing one
+ */
+function failRotations(fail) {
+  const post = api.post;
+  vi.spyOn(api, 'post').mockImplementation((url, body) => (
+    url === '/users/identity-key' ? fail(() => post(url, body)) : post(url, body)
+  ));
+}
+
+/**
+ * Key versions of the retired identity keys stored for a user (still wrapped)
+ * @param {string} username - Username
+ * @returns {Promise<Array<number>>}
+ */
+async function retiredKeyVersions(username) {
+  const { stores } = await exportKeyStorage();
+  const record = stores.privateKeys.find(entry => entry.username === username);
+  return (record.retiredKeys || []).map(entry => entry.keyVersion);
+}
+
+describe('identity key rotation', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('replaces the keys with a signed history and keeps past messages readable', async () => {
+    const exchangeId = await establishSession(bob, alice);
+    actAs(bob);
+    await sendEncryptedMessage(bob.id, alice.id, 'Before the rotation', exchangeId);
+    actAs(alice);
+    const before = await fetchIdentityKeys(alice.id);
+
+    const { keyVersion } = await rotateIdentityKey(alice.id, alice.username, alice.password);
+
+    expect(keyVersion).toBe(2);
+    const after = await fetchIdentityKeys(alice.id);
+    expect(after.keyVersion).toBe(2);
+    expect(after.publicKey).not.toBe(before.publicKey);
+    expect(after.signingPublicKey).not.toBe(before.signingPublicKey);
+    expect(await fetchLocalIdentityKeys(alice.username))
+      .toEqual({ publicKey: after.publicKey, signingPublicKey: after.signingPublicKey });
+
+    const history = await fetchKeyHistory(alice.id);
+    expect(history.verified).toBe(true);
+    expect(history.keys.map(key => key.keyVersion)).toEqual([1, 2]);
+
+    const keys = await getPrivateKey(alice.username);
+    expect(keys.keyVersion).toBe(2);
+    expect(await retiredKeyVersions(alice.username)).toEqual([1]);
+
+    const messages = await getAndDecryptMessages(bob.id, alice.id, exchangeId, alice.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Before the rotation']);
+  });
+
+  it('tells contacts their session predates the new key until they set up a new one', async () => {
+    const carol = await createUser('carol');
+    const dave = await createUser('dave');
+    const oldExchangeId = await establishSession(dave, carol);
+
+    actAs(carol);
+    await rotateIdentityKey(carol.id, carol.username, carol.password, { compromised: true });
+
+    actAs(dave);
+    const rotation = await keyRotationSinceSession(carol.id, oldExchangeId);
+    expect(rotation).toMatchObject({ keyVersion: 2, reason: 'compromised', verified: true });
+    expect((await fetchKeyHistory(carol.id)).keys[0].revoked).toBe(true);
+
+    const newExchangeId = await establishSession(dave, carol);
+    actAs(dave);
+    expect(await keyRotationSinceSession(carol.id, newExchangeId)).toBeNull();
+  });
+
+  it('flags a key the server swapped in without a signature', async () => {
+    const erin = await createUser('erin');
+    const user = fakeServerState().users.get(erin.id);
+
+    Object.assign(user, {
+      keyVersion: 2,
+      publicKey: await exportPublicKey((await generateRSAKeyPair(2048)).publicKey),
+      rotationSignature: 'AAAA'
+    });
+
+    expect((await fetchKeyHistory(erin.id)).verified).toBe(false);
+  });
+
+  it('keeps our devices certified and refuses a wrong password', async () => {
+    const frank = await createUser('frank');
+    actAs(frank);
+    await setUpDevice(frank.id, frank.username, frank.password);
+
+    await expect(rotateIdentityKey(frank.id, frank.username, 'wrong password'))
+      .rejects.toThrow('The password may be incorrect');
+    expect((await fetchIdentityKeys(frank.id)).keyVersion).toBe(1);
+
+    await rotateIdentityKey(frank.id, frank.username, frank.password);
+    forgetDeviceList(frank.id);
+
+    expect(await getVerifiedDevices(frank.id)).toHaveLength(1);
+  });
+
+  it('keeps the current keys when the server refuses the rotation', async () => {
+    const henry = await createUser('henry');
+    actAs(henry);
+    failRotations(async () => {
+      throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500, data: {} } });
+    });
+
+    await expect(rotateIdentityKey(henry.id, henry.username, henry.password)).rejects.toThrow('status code 500');
+
+    expect((await fetchIdentityKeys(henry.id)).keyVersion).toBe(1);
+    expect((await getPrivateKey(henry.username)).keyVersion).toBe(1);
+    expect(await getPendingIdentityKeys(henry.username)).toBeNull();
+
+    vi.restoreAllMocks();
+    expect((await rotateIdentityKey(henry.id, henry.username, henry.password)).keyVersion).toBe(2);
+  });
+
+  it('settles a rotation whose answer was lost by what the server holds', async () => {
+    const ivan = await createUser('ivan');
+    actAs(ivan);
+    failRotations(async (send) => {
+      await send();
+      throw new Error('Network Error');
+    });
+
+    await expect(rotateIdentityKey(ivan.id, ivan.username, ivan.password)).rejects.toThrow('Network Error');
+
+    // The server took the new keys; they are kept until the next login settles it
+    const serverKeys = await fetchIdentityKeys(ivan.id);
+    expect(serverKeys.keyVersion).toBe(2);
+    expect(await getPendingIdentityKeys(ivan.username)).toMatchObject({ keyVersion: 2, publicKey: serverKeys.publicKey });
+    expect((await getPrivateKey(ivan.username)).keyVersion).toBe(1);
+
+    expect(await settlePendingRotation(ivan.id, ivan.username, ivan.password)).toBe(true);
+    expect((await getPrivateKey(ivan.username)).keyVersion).toBe(2);
+    expect(await getPendingIdentityKeys(ivan.username)).toBeNull();
+    expect(await retiredKeyVersions(ivan.username)).toEqual([1]);
+  });
+
+  it('drops pending keys the server never took when settling', async () => {
+    const judy = await createUser('judy');
+    actAs(judy);
+    failRotations(async () => {
+      throw new Error('Network Error');
+    });
+
+    await expect(rotateIdentityKey(judy.id, judy.username, judy.password)).rejects.toThrow('Network Error');
+    expect(await getPendingIdentityKeys(judy.username)).toMatchObject({ keyVersion: 2 });
+
+    expect(await settlePendingRotation(judy.id, judy.username, judy.password)).toBe(false);
+    expect(await getPendingIdentityKeys(judy.username)).toBeNull();
+    expect((await getPrivateKey(judy.username)).keyVersion).toBe(1);
+    expect(await retiredKeyVersions(judy.username)).toEqual([]);
+  });
+
+  it('does not send the rotation when the new keys cannot be stored', async () => {
+    const kate = await createUser('kate');
+    actAs(kate);
+    const put = IDBObjectStore.prototype.put;
+    vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(function (...args) {
+      if (this.name === 'privateKeys') {
+        throw new DOMException('The quota has been exceeded', 'QuotaExceededError');
+      }
+      return put.apply(this, args);
+    });
+    const post = vi.spyOn(api, 'post');
+
+    await expect(rotateIdentityKey(kate.id, kate.username, kate.password)).rejects.toThrow('quota');
+
+    expect(post).not.toHaveBeenCalledWith('/users/identity-key', expect.anything());
+    expect((await fetchIdentityKeys(kate.id)).keyVersion).toBe(1);
+    expect((await getPrivateKey(kate.username)).keyVersion).toBe(1);
+  });
+
+  it('deletes retired keys after the retention period', async () => {
+    const grace = await createUser('grace');
+    actAs(grace);
+    await rotateIdentityKey(grace.id, grace.username, grace.password);
+    expect(await retiredKeyVersions(grace.username)).toEqual([1]);
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(Date.now() + (RETIRED_KEY_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+      await unlockPrivateKey(grace.username, grace.password);
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(await retiredKeyVersions(grace.username)).toEqual([]);
+    await unlockPrivateKey(grace.username, grace.password);
+    expect(await retiredKeyVersions(grace.username)).toEqual([]);
+  });
+});
@@ -1,290 +1,79 @@
 /**
  * Key Exchange Protocol Implementation
  * ECDH-based key exchange with digital signatures
+ *
+ * Two ways to establish a session:
+ * - Interactive: initiate / respond / confirm (both users online)
+ * - X3DH: the initiator uses the recipient's published prekeys and can send
+ *   immediately; the recipient derives the same session key later
  */
 
-import { 
-  generateECCKeyPair, 
-  exportPublicKey, 
+import {
+  generateECCKeyPair,
+  exportPublicKey,
   importPublicKey,
-  importPrivateKey
-} from './crypto.js';
+  exportPrivateKey,
+  generateSigningKeyPair,
+  canonicalJSON,
+  initiationMessage,
+  responseMessage,
+  x3dhInitiationMessage,
+  signedPreKeyMessage,
+  combineSecrets,
+  deriveSharedSecret,
+  deriveSessionKey,
+  generateNonce,
+  verificationKeyFrom,
+  signWithKey,
+  verifySignature,
+  createKeyConfirmation,
+  verifyKeyConfirmation
+} from '@e2ee/crypto';
 import { 
   getPrivateKey,
   storeEphemeralKeyPair,
   getEphemeralKeyPair,
-  storeSessionKey
+  storeSessionKey,
+  getPreKeyPair,
+  deletePreKeyPair,
+  storePendingSigningKey,
+  getPendingSigningKey,
+  promotePendingSigningKey,
+  discardPendingSigningKey,
+  unlockPrivateKey
 } from './keyStorage.js';
+import { initRatchetAsInitiator, initRatchetAsResponder, hasRatchet } from './ratchet.js';
+import { fetchIdentityKeys } from './safetyNumber.js';
 import api from '../services/api.js';
 
-/**
- * Derive shared secret using ECDH
- * @param {CryptoKey} privateKey - Our ECDH private key
- * @param {CryptoKey} publicKey - Other party's ECDH public key
- * @returns {Promise<ArrayBuffer>} Shared secret
- */
-export async function deriveSharedSecret(privateKey, publicKey) {
-  try {
-    const sharedSecret = await window.crypto.subtle.deriveBits(
-      {
-        name: 'ECDH',
-        public: publicKey
-      },
-      privateKey,
-      256 // 256 bits = 32 bytes
-    );
-    return sharedSecret;
-  } catch (error) {
-    console.error('Error deriving shared secret:', error);
-    throw error;
-  }
-}
-
-/**
- * Derive session key using HKDF
- * @param {ArrayBuffer} sharedSecret - ECDH shared secret
- * @param {string} fromUserId - Sender user ID
- * @param {string} toUserId - Receiver user ID
- * @param {string} nonce - Random nonce
- * @returns {Promise<CryptoKey>} Derived session key
- */
-export async function deriveSessionKey(sharedSecret, fromUserId, toUserId, nonce) {
-  try {
-    // Import shared secret as a key for HKDF
-    const baseKey = await window.crypto.subtle.importKey(
-      'raw',
-      sharedSecret,
-      'HKDF',
-      false,
-      ['deriveBits', 'deriveKey']
-    );
-
-    // Create info parameter: "E2EE-SessionKey" + user IDs + nonce
-    const info = new TextEncoder().encode(
-      `E2EE-SessionKey-${fromUserId}-${toUserId}-${nonce}`
-    );
-
-    // Derive session key using HKDF
-    const sessionKey = await window.crypto.subtle.deriveKey(
-      {
-        name: 'HKDF',
-        hash: 'SHA-256',
-        salt: new Uint8Array(0), // No salt for simplicity (can be improved)
-        info: info
-      },
-      baseKey,
-      {
-        name: 'AES-GCM',
-        length: 256
-      },
-      true, // extractable
-      ['encrypt', 'decrypt']
-    );
-
-    return sessionKey;
-  } catch (error) {
-    console.error('Error deriving session key:', error);
-    throw error;
-  }
-}
-
-/**
- * Generate random nonce
- * @param {number} length - Nonce length in bytes (default: 16)
- * @returns {string} Base64-encoded nonce
- */
-export function generateNonce(length = 16) {
-  const array = new Uint8Array(length);
-  window.crypto.getRandomValues(array);
-  return btoa(String.fromCharCode(...array));
-}
-
-/**
- * Import RSA private key for signing (RSA-PSS)
- * @param {string} base64Key - Base64-encoded PKCS#8 format private key
- * @returns {Promise<CryptoKey>} Imported private key for signing
- */
-async function importRSASigningKey(base64Key) {
-  try {
-    const binaryString = atob(base64Key);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-
-    // Import the same key material but with RSA-PSS algorithm for signing
-    const privateKey = await window.crypto.subtle.importKey(
-      'pkcs8',
-      bytes,
-      {
-        name: 'RSA-PSS',
-        hash: 'SHA-256',
-      },
-      true,
-      ['sign']
-    );
-
-    return privateKey;
-  } catch (error) {
-    console.error('Error importing RSA signing key:', error);
-    throw error;
-  }
-}
-
-/**
- * Import RSA public key for verification (RSA-PSS)
- * @param {string} base64Key - Base64-encoded SPKI format public key
- * @returns {Promise<CryptoKey>} Imported public key for verification
- */
-async function importRSAVerificationKey(base64Key) {
-  try {
-    const binaryString = atob(base64Key);
-    const bytes = new Uint8Array(binaryString.length);
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
-    }
-
-    // Import the same key material but with RSA-PSS algorithm for verification
-    const publicKey = await window.crypto.subtle.importKey(
-      'spki',
-      bytes,
-      {
-        name: 'RSA-PSS',
-        hash: 'SHA-256',
-      },
-      true,
-      ['verify']
-    );
-
-    return publicKey;
-  } catch (error) {
-    console.error('Error importing RSA verification key:', error);
-    throw error;
-  }
-}
+export {
+  deriveSharedSecret,
+  deriveSessionKey,
+  generateNonce,
+  verificationKeyFrom,
+  verifySignature,
+  createKeyConfirmation,
+  verifyKeyConfirmation,
+  signedPreKeyMessage
+};
 
 /**
- * Sign a message using RSA private key
+ * Sign a message with the user's signing key
  * @param {string} message - Message to sign (JSON string)
  * @param {string} username - Username to get private key
  * @returns {Promise<string>} Base64-encoded signature
  */
 export async function signMessage(message, username) {
   try {
-    // Get user's private key from storage
-    const keyData = await getPrivateKey(username);
-    
-    // Import key for signing (RSA-PSS)
-    const privateKey = await importRSASigningKey(keyData.privateKey);
-
-    // Convert message to ArrayBuffer
-    const messageBuffer = new TextEncoder().encode(message);
-
-    // Sign the message
-    const signature = await window.crypto.subtle.sign(
-      {
-        name: 'RSA-PSS',
-        saltLength: 32
-      },
-      privateKey,
-      messageBuffer
-    );
-
-    // Convert to base64
-    return btoa(String.fromCharCode(...new Uint8Array(signature)));
+    // Get user's unlocked signing key (unwrapped at login)
+    const { signingKey, signingAlgorithm } = await getPrivateKey(username);
+    return await signWithKey(message, signingKey, signingAlgorithm);
   } catch (error) {
     console.error('Error signing message:', error);
     throw error;
   }
 }
 
-/**
- * Verify a digital signature
- * @param {string} message - Original message
- * @param {string} signature - Base64-encoded signature
- * @param {string} publicKeyBase64 - Sender's public key (SPKI format)
- * @returns {Promise<boolean>} True if signature is valid
- */
-export async function verifySignature(message, signature, publicKeyBase64) {
-  try {
-    // Import public key for verification (RSA-PSS)
-    const publicKey = await importRSAVerificationKey(publicKeyBase64);
-
-    // Convert message and signature to ArrayBuffer
-    const messageBuffer = new TextEncoder().encode(message);
-    const signatureBuffer = Uint8Array.from(atob(signature), c => c.charCodeAt(0));
-
-    // Verify signature
-    const isValid = await window.crypto.subtle.verify(
-      {
-        name: 'RSA-PSS',
-        saltLength: 32
-      },
-      publicKey,
-      signatureBuffer,
-      messageBuffer
-    );
-
-    return isValid;
-  } catch (error) {
-    console.error('Error verifying signature:', error);
-    return false;
-  }
-}
-
-/**
- * Create HMAC for key confirmation
- * @param {CryptoKey} sessionKey - Session key
- * @param {string} nonce - Nonce to include in HMAC
- * @returns {Promise<string>} Base64-encoded HMAC
- */
-export async function createKeyConfirmation(sessionKey, nonce) {
-  try {
-    // Import session key for HMAC (we'll use AES key material)
-    // For key confirmation, we'll derive an HMAC key from the session key
-    const hmacKey = await window.crypto.subtle.importKey(
-      'raw',
-      await window.crypto.subtle.exportKey('raw', sessionKey),
-      {
-        name: 'HMAC',
-        hash: 'SHA-256'
-      },
-      false,
-      ['sign']
-    );
-
-    // Create HMAC
-    const message = new TextEncoder().encode(`KeyConfirmation-${nonce}`);
-    const hmac = await window.crypto.subtle.sign(
-      'HMAC',
-      hmacKey,
-      message
-    );
-
-    return btoa(String.fromCharCode(...new Uint8Array(hmac)));
-  } catch (error) {
-    console.error('Error creating key confirmation:', error);
-    throw error;
-  }
-}
-
-/**
- * Verify key confirmation HMAC
- * @param {CryptoKey} sessionKey - Session key
- * @param {string} nonce - Nonce used in HMAC
- * @param {string} hmac - Base64-encoded HMAC to verify
- * @returns {Promise<boolean>} True if HMAC is valid
- */
-export async function verifyKeyConfirmation(sessionKey, nonce, hmac) {
-  try {
-    const expectedHmac = await createKeyConfirmation(sessionKey, nonce);
-    return hmac === expectedHmac;
-  } catch (error) {
-    console.error('Error verifying key confirmation:', error);
-    return false;
-  }
-}
-
 /**
  * Initiate key exchange with another user
  * @param {string} fromUserId - Our user ID
@@ -301,19 +90,15 @@ export async function initiateKeyExchange(fromUserId, toUserId, username) {
     // Generate nonce
     const nonce = generateNonce();
 
-    // Create initiation message (order matters for signature verification)
-    const timestamp = Date.now();
-    const message = {
+    // Create and sign the initiation message
+    const message = initiationMessage({
       ephemeralPublicKey,
       fromUserId,
       nonce,
-      timestamp,
+      timestamp: Date.now(),
       toUserId
-    };
-
-    // Sign the message (use sorted keys for consistency)
-    const messageString = JSON.stringify(message, Object.keys(message).sort());
-    const signature = await signMessage(messageString, username);
+    });
+    const signature = await signMessage(canonicalJSON(message), username);
 
     // Send to server
     const response = await api.post('/key-exchange/initiate', {
@@ -343,7 +128,7 @@ export async function initiateKeyExchange(fromUserId, toUserId, username) {
  * @param {string} username - Our username (for signing)
  * @param {string} initiatorPublicKey - Initiator's ECDH public key
  * @param {string} initiatorSignature - Initiator's signature
- * @param {string} initiatorRSAKey - Initiator's RSA public key (for verification)
+ * @param {{publicKey: string, algorithm: string}} initiatorVerificationKey - Initiator's signing key (see verificationKeyFrom)
  * @param {number} timestamp - Original timestamp from initiation (required for signature verification)
  * @param {string} nonce - Original nonce from initiation (required for signature verification)
  * @returns {Promise<Object>} Response with session key
@@ -355,28 +140,24 @@ export async function respondToKeyExchange(
   username,
   initiatorPublicKey,
   initiatorSignature,
-  initiatorRSAKey,
+  initiatorVerificationKey,
   timestamp,
   nonce
 ) {
   try {
     // Verify initiator's signature using the EXACT message that was signed
-    // Order must match the initiation message format
-    const initMessage = {
+    const messageString = canonicalJSON(initiationMessage({
       ephemeralPublicKey: initiatorPublicKey,
       fromUserId,
-      nonce: nonce, // Use the actual nonce from initiation
-      timestamp: timestamp, // Use the actual timestamp from initiation
+      nonce, // The actual nonce from initiation
+      timestamp, // The actual timestamp from initiation
       toUserId
-    };
-    
-    // Stringify with sorted keys to ensure consistent format (must match initiation)
-    const messageString = JSON.stringify(initMessage, Object.keys(initMessage).sort());
+    }));
     
     const isValid = await verifySignature(
       messageString,
       initiatorSignature,
-      initiatorRSAKey
+      initiatorVerificationKey
     );
 
     if (!isValid) {
@@ -404,28 +185,28 @@ export async function respondToKeyExchange(
     // Create key confirmation
     const keyConfirmation = await createKeyConfirmation(sessionKey, responseNonce);
 
-    // Create response message
-    const responseMessage = {
+    // Create and sign the response message
+    const response = responseMessage({
       exchangeId,
       ephemeralPublicKey,
       keyConfirmation,
       timestamp: Date.now(),
       nonce: responseNonce
-    };
-
-    // Sign the response (use sorted keys for consistency)
-    const responseMessageString = JSON.stringify(responseMessage, Object.keys(responseMessage).sort());
-    const signature = await signMessage(responseMessageString, username);
+    });
+    const signature = await signMessage(canonicalJSON(response), username);
 
     // Send to server
     await api.post('/key-exchange/respond', {
-      ...responseMessage,
+      ...response,
       signature
     });
 
     // Store session key
     await storeSessionKey(exchangeId, sessionKey, fromUserId);
 
+    // Seed the Double Ratchet; our ephemeral key becomes the first ratchet key
+    await initRatchetAsResponder(exchangeId, sessionKey, ephemeralKeyPair);
+
     return {
       sessionKey,
       exchangeId
@@ -446,7 +227,7 @@ export async function respondToKeyExchange(
  * @param {string} keyConfirmation - Responder's key confirmation HMAC
  * @param {string} nonce - Nonce from response
  * @param {string} responderSignature - Responder's signature
- * @param {string} responderRSAKey - Responder's RSA public key
+ * @param {{publicKey: string, algorithm: string}} responderVerificationKey - Responder's signing key (see verificationKeyFrom)
  * @returns {Promise<CryptoKey>} Session key
  */
 export async function completeKeyExchange(
@@ -457,7 +238,7 @@ export async function completeKeyExchange(
   keyConfirmation,
   nonce,
   responderSignature,
-  responderRSAKey,
+  responderVerificationKey,
   responseTimestamp
 ) {
   try {
@@ -465,22 +246,18 @@ export async function completeKeyExchange(
     const ephemeralKeyPair = await getEphemeralKeyPair(exchangeId);
 
     // Verify responder's signature using the EXACT message that was signed
-    // Order must match the response message format
-    const responseMessage = {
+    const messageString = canonicalJSON(responseMessage({
       exchangeId,
       ephemeralPublicKey: responderPublicKey,
       keyConfirmation,
-      timestamp: responseTimestamp, // Use the original timestamp from response
+      timestamp: responseTimestamp, // The original timestamp from response
       nonce
-    };
-
-    // Stringify with sorted keys to ensure consistent format (must match response)
-    const messageString = JSON.stringify(responseMessage, Object.keys(responseMessage).sort());
+    }));
 
     const isValid = await verifySignature(
       messageString,
       responderSignature,
-      responderRSAKey
+      responderVerificationKey
     );
 
     if (!isValid) {
@@ -505,6 +282,9 @@ export async function completeKeyExchange(
     // Store session key
     await storeSessionKey(exchangeId, sessionKey, toUserId);
 
+    // Seed the Double Ratchet against the responder's ephemeral key
+    await initRatchetAsInitiator(exchangeId, sessionKey, responderPublicKey);
+
     // Send confirmation to server
     await api.post('/key-exchange/confirm', {
       exchangeId,
@@ -518,3 +298,323 @@ export async function completeKeyExchange(
   }
 }
 
+
+/**
+ * Accept a pending key exchange (responder side)
+ * Fetches the exchange and the initiator's public key, then responds
+ * @param {string} exchangeId - Key exchange ID
+ * @param {string} currentUserId - Our user ID (the responder)
+ * @param {string} username - Our username (for signing)
+ * @returns {Promise<Object>} Response with session key
+ */
+export async function acceptKeyExchange(exchangeId, currentUserId, username) {
+  try {
+    const exchangeRes = await api.get(`/key-exchange/${exchangeId}`);
+    const exchange = exchangeRes.data.keyExchange;
+
+    if (!exchange || exchange.status !== 'pending') {
+      throw new Error('Key exchange is no longer pending');
+    }
+
+    const fromUserId = String(exchange.fromUserId?._id || exchange.fromUserId);
+
+    // Get initiator's signing key for signature verification (checked against the key transparency log)
+    const initiatorKeys = await fetchIdentityKeys(fromUserId);
+
+    return await respondToKeyExchange(
+      exchangeId,
+      fromUserId,
+      currentUserId,
+      username,
+      exchange.initiatorEphemeralPublicKey,
+      exchange.initiatorSignature,
+      verificationKeyFrom(initiatorKeys),
+      exchange.timestamp,
+      exchange.nonce
+    );
+  } catch (error) {
+    console.error('Error accepting key exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * Finish a key exchange the responder has answered (initiator side)
+ * @param {string} exchangeId - Key exchange ID
+ * @returns {Promise<{sessionKey: CryptoKey, otherUserId: string}>} Session key and responder ID
+ */
+export async function finalizeKeyExchange(exchangeId) {
+  try {
+    const exchangeRes = await api.get(`/key-exchange/${exchangeId}`);
+    const exchange = exchangeRes.data.keyExchange;
+
+    if (!exchange || exchange.status !== 'responded') {
+      throw new Error('Key exchange not ready for completion');
+    }
+
+    const fromUserId = String(exchange.fromUserId?._id || exchange.fromUserId);
+    const toUserId = String(exchange.toUserId?._id || exchange.toUserId);
+
+    // Get responder's signing key for signature verification (checked against the key transparency log)
+    const responderKeys = await fetchIdentityKeys(toUserId);
+
+    const sessionKey = await completeKeyExchange(
+      exchangeId,
+      fromUserId,
+      toUserId,
+      exchange.responderEphemeralPublicKey,
+      exchange.keyConfirmation,
+      exchange.responseNonce,
+      exchange.responderSignature,
+      verificationKeyFrom(responderKeys),
+      exchange.responseTimestamp
+    );
+
+    return { sessionKey, otherUserId: toUserId };
+  } catch (error) {
+    console.error('Error finalizing key exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decline a pending key exchange
+ * @param {string} exchangeId - Key exchange ID
+ * @returns {Promise<void>}
+ */
+export async function declineKeyExchange(exchangeId) {
+  try {
+    await api.post('/key-exchange/decline', { exchangeId });
+  } catch (error) {
+    console.error('Error declining key exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a session using the recipient's prekey bundle (X3DH, initiator side).
+ * DH1 = DH(EK_A, SPK_B), DH2 = DH(EK_A, OPK_B) when a one-time prekey is
+ * available. The initiator authenticates by signing the initiation message
+ * with its signing key, as in the interactive protocol.
+ * @param {string} fromUserId - Our user ID
+ * @param {string} toUserId - Recipient's user ID
+ * @param {string} username - Our username (for signing)
+ * @returns {Promise<{exchangeId: string, sessionKey: CryptoKey}>}
+ */
+export async function initiateX3DHExchange(fromUserId, toUserId, username) {
+  try {
+    const bundleRes = await api.get(`/users/${toUserId}/prekey-bundle`);
+    const bundle = bundleRes.data.bundle;
+    const { signedPreKey, oneTimePreKey } = bundle;
+
+    // Signed prekey must be signed by the recipient's signing key, as logged
+    // in the key transparency log (not the copy in the bundle)
+    const signatureValid = await verifySignature(
+      signedPreKeyMessage(signedPreKey.keyId, signedPreKey.publicKey),
+      signedPreKey.signature,
+      verificationKeyFrom(await fetchIdentityKeys(toUserId))
+    );
+    if (!signatureValid) {
+      throw new Error('Invalid signed prekey signature');
+    }
+
+    // Generate our ephemeral ECDH key pair
+    const ephemeralKeyPair = await generateECCKeyPair('P-256');
+    const ephemeralPublicKey = await exportPublicKey(ephemeralKeyPair.publicKey);
+
+    const secrets = [
+      await deriveSharedSecret(
+        ephemeralKeyPair.privateKey,
+        await importPublicKey(signedPreKey.publicKey, 'ECDH', 'P-256')
+      )
+    ];
+    if (oneTimePreKey) {
+      secrets.push(await deriveSharedSecret(
+        ephemeralKeyPair.privateKey,
+        await importPublicKey(oneTimePreKey.publicKey, 'ECDH', 'P-256')
+      ));
+    }
+
+    const nonce = generateNonce();
+    const sessionKey = await deriveSessionKey(combineSecrets(secrets), fromUserId, toUserId, nonce);
+
+    // Create and sign the initiation message
+    const message = x3dhInitiationMessage({
+      ephemeralPublicKey,
+      fromUserId,
+      nonce,
+      oneTimePreKeyId: oneTimePreKey ? oneTimePreKey.keyId : null,
+      signedPreKeyId: signedPreKey.keyId,
+      timestamp: Date.now(),
+      toUserId
+    });
+    const signature = await signMessage(canonicalJSON(message), username);
+
+    const response = await api.post('/key-exchange/x3dh', {
+      ...message,
+      signature
+    });
+    const exchangeId = response.data.exchangeId;
+
+    await storeSessionKey(exchangeId, sessionKey, toUserId);
+
+    // The signed prekey acts as the recipient's first ratchet key
+    await initRatchetAsInitiator(exchangeId, sessionKey, signedPreKey.publicKey);
+
+    return { exchangeId, sessionKey };
+  } catch (error) {
+    console.error('Error initiating X3DH key exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive the session key for an X3DH exchange addressed to us (recipient side)
+ * @param {string} exchangeId - Key exchange ID
+ * @param {string} currentUserId - Our user ID
+ * @returns {Promise<{sessionKey: CryptoKey, otherUserId: string}>}
+ */
+export async function receiveX3DHExchange(exchangeId, currentUserId) {
+  try {
+    // Re-deriving would reset a ratchet that is already in use
+    if (await hasRatchet(exchangeId)) {
+      throw new Error('X3DH exchange already processed');
+    }
+
+    const exchangeRes = await api.get(`/key-exchange/${exchangeId}`);
+    const exchange = exchangeRes.data.keyExchange;
+
+    const fromUserId = String(exchange?.fromUserId?._id || exchange?.fromUserId);
+    const toUserId = String(exchange?.toUserId?._id || exchange?.toUserId);
+
+    if (!exchange || exchange.protocol !== 'x3dh' || toUserId !== String(currentUserId)) {
+      throw new Error('Not an X3DH exchange addressed to us');
+    }
+
+    // Verify initiator's signature using the EXACT message that was signed
+    const message = x3dhInitiationMessage({
+      ephemeralPublicKey: exchange.initiatorEphemeralPublicKey,
+      fromUserId,
+      nonce: exchange.nonce,
+      oneTimePreKeyId: exchange.oneTimePreKeyId ?? null,
+      signedPreKeyId: exchange.signedPreKeyId,
+      timestamp: exchange.timestamp,
+      toUserId
+    });
+    const messageString = canonicalJSON(message);
+
+    const initiatorKeys = await fetchIdentityKeys(fromUserId);
+    const isValid = await verifySignature(
+      messageString,
+      exchange.initiatorSignature,
+      verificationKeyFrom(initiatorKeys)
+    );
+    if (!isValid) {
+      throw new Error('Invalid signature from initiator');
+    }
+
+    const signedPreKeyPair = await getPreKeyPair(currentUserId, 'signed', exchange.signedPreKeyId);
+    if (!signedPreKeyPair) {
+      throw new Error('Signed prekey not found on this device');
+    }
+
+    const initiatorECDHKey = await importPublicKey(exchange.initiatorEphemeralPublicKey, 'ECDH', 'P-256');
+    const secrets = [await deriveSharedSecret(signedPreKeyPair.privateKey, initiatorECDHKey)];
+
+    if (message.oneTimePreKeyId !== null) {
+      const oneTimePreKeyPair = await getPreKeyPair(currentUserId, 'one-time', message.oneTimePreKeyId);
+      if (!oneTimePreKeyPair) {
+        throw new Error('One-time prekey not found on this device');
+      }
+      secrets.push(await deriveSharedSecret(oneTimePreKeyPair.privateKey, initiatorECDHKey));
+    }
+
+    const sessionKey = await deriveSessionKey(combineSecrets(secrets), fromUserId, toUserId, exchange.nonce);
+
+    await storeSessionKey(exchangeId, sessionKey, fromUserId);
+    await initRatchetAsResponder(exchangeId, sessionKey, signedPreKeyPair);
+
+    // One-time prekeys are single use
+    if (message.oneTimePreKeyId !== null) {
+      await deletePreKeyPair(currentUserId, 'one-time', message.oneTimePreKeyId);
+    }
+
+    return { sessionKey, otherUserId: fromUserId };
+  } catch (error) {
+    console.error('Error receiving X3DH key exchange:', error);
+    throw error;
+  }
+}
+
+/**
+ * Give a legacy account (RSA key only) a dedicated signing key.
+ * The new public key is signed with the RSA key so the server can check
+ * that it comes from the account's identity key holder. The private key is
+ * stored as pending before it is posted: the server takes one signing key
+ * per account, so it must never hold one whose private half we lost.
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username (RSA key must be unlocked)
+ * @param {string} password - Our password (wraps the new private key)
+ * @returns {Promise<string>} New signing algorithm
+ */
+export async function upgradeSigningKey(userId, username, password) {
+  try {
+    const { keyPair, algorithm } = await generateSigningKeyPair();
+    const signingPublicKey = await exportPublicKey(keyPair.publicKey);
+
+    // Must match signingKeyUpgradeMessage on the server
+    const message = { signingKeyAlgorithm: algorithm, signingPublicKey, userId: String(userId) };
+    const signature = await signMessage(canonicalJSON(message), username);
+
+    await storePendingSigningKey(username, await exportPrivateKey(keyPair.privateKey), algorithm, password, signingPublicKey);
+
+    try {
+      await api.post('/users/signing-key', {
+        signingPublicKey,
+        signingKeyAlgorithm: algorithm,
+        signature
+      });
+    } catch (error) {
+      // Refused: nothing changed. Without an answer the server may have
+      // taken the key, so it is kept until settlePendingSigningKey knows.
+      if (error.response) {
+        await discardPendingSigningKey(username);
+      }
+      throw error;
+    }
+
+    await promotePendingSigningKey(username);
+    await unlockPrivateKey(username, password);
+
+    return algorithm;
+  } catch (error) {
+    console.error('Error upgrading signing key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Settle a signing key upgrade whose request got no answer, or whose key was
+ * not stored after the server took it: make the pending key the signing key
+ * if the server has it, drop it otherwise
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username
+ * @param {string} password - Our password (unlocks the keys again if they changed)
+ * @returns {Promise<boolean>} Whether the pending key became the signing key
+ */
+export async function settlePendingSigningKey(userId, username, password) {
+  const pending = await getPendingSigningKey(username);
+  if (!pending) {
+    return false;
+  }
+
+  const current = await fetchIdentityKeys(userId);
+  if (current.signingPublicKey !== pending.signingPublicKey) {
+    await discardPendingSigningKey(username);
+    return false;
+  }
+
+  await promotePendingSigningKey(username);
+  await unlockPrivateKey(username, password);
+  return true;
+}
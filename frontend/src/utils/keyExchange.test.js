@@ -0,0 +1,247 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import {
+  deriveSessionKey,
+  createKeyConfirmation,
+  verifyKeyConfirmation,
+  initiateKeyExchange,
+  acceptKeyExchange,
+  finalizeKeyExchange,
+  signMessage,
+  verifySignature,
+  verificationKeyFrom,
+  upgradeSigningKey,
+  settlePendingSigningKey
+} from './keyExchange.js';
+import { kdfChainKey } from './ratchet.js';
+import { getSessionKey, getPrivateKey, getPendingSigningKey } from './keyStorage.js';
+import api from '../services/api.js';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, createLegacyUser, actAs } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+/**
+ * Raw bytes of an AES key as hex
+ * @param {CryptoKey} key - Extractable key
+ * @returns {Promise<string>}
+ */
+async function keyHex(key) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  return Array.from(raw, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Import bytes 0x00..0x1f as an AES-GCM session key
+ * @returns {Promise<CryptoKey>}
+ */
+function sequentialKey() {
+  return crypto.subtle.importKey(
+    'raw',
+    Uint8Array.from({ length: 32 }, (_, i) => i),
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Make the server's answer to signing key upgrades fail
+ * @param {Function} fail - Gets the real request, returns the failing one
+ */
+function failUpgrades(fail) {
+  const post = api.post;
+  vi.spyOn(api, 'post').mockImplementation((url, body) => (
+    url === '/users/signing-key' ? fail(() => post(url, body)) : post(url, body)
+  ));
+}
+
+// Expected values computed independently with Node's crypto.hkdfSync / createHmac
+describe('known-answer tests', () => {
+  it('derives the session key with HKDF-SHA256 over the user IDs and nonce', async () => {
+    const sharedSecret = new Uint8Array(32).fill(0x0b);
+    const sessionKey = await deriveSessionKey(sharedSecret, 'alice', 'bob', 'bm9uY2U=');
+
+    expect(await keyHex(sessionKey)).toBe('da19747ee3f93692e2bb76e55af2c0129045c52781c88cd48ad9b0e50ef38147');
+  });
+
+  it('binds the session key to the user IDs', async () => {
+    const sharedSecret = new Uint8Array(32).fill(0x0b);
+    const swapped = await deriveSessionKey(sharedSecret, 'bob', 'alice', 'bm9uY2U=');
+
+    expect(await keyHex(swapped)).not.toBe('da19747ee3f93692e2bb76e55af2c0129045c52781c88cd48ad9b0e50ef38147');
+  });
+
+  it('computes the key confirmation as HMAC-SHA256 of the nonce', async () => {
+    const confirmation = await createKeyConfirmation(await sequentialKey(), 'bm9uY2U=');
+
+    expect(confirmation).toBe('1ajXK+LOMiXtb+MUNDL8TT5efUO1/iYrqBF1bU3V1jg=');
+  });
+
+  it('verifies a key confirmation only for the same key and nonce', async () => {
+    const key = await sequentialKey();
+    const confirmation = await createKeyConfirmation(key, 'bm9uY2U=');
+
+    expect(await verifyKeyConfirmation(key, 'bm9uY2U=', confirmation)).toBe(true);
+    expect(await verifyKeyConfirmation(key, 'b3RoZXI=', confirmation)).toBe(false);
+  });
+
+  it('steps the ratchet chain key with HMAC-SHA256', async () => {
+    const { chainKey, messageKey } = await kdfChainKey('AAECAwQFBgcICQoLDA0ODxAREhMUFRYXGBkaGxwdHh8=');
+
+    expect(messageKey).toBe('m0yBIKSCOpX0fN4XokT0UHJE7m45V9H6ufoptE04Kbc=');
+    expect(chainKey).toBe('QwTCLISlN1WrCOrY2XqNQpvl76SAaC160don9z4fvh0=');
+  });
+});
+
+describe('signatures', () => {
+  let alice;
+
+  beforeAll(async () => {
+    alice = await createUser('alice-signer');
+  });
+
+  it('verifies with the registered signing key and rejects altered messages', async () => {
+    actAs(alice);
+    const signature = await signMessage('{"hello":"world"}', alice.username);
+    const verificationKey = verificationKeyFrom(fakeServerState().users.get(alice.id));
+
+    expect(await verifySignature('{"hello":"world"}', signature, verificationKey)).toBe(true);
+    expect(await verifySignature('{"hello":"there"}', signature, verificationKey)).toBe(false);
+  });
+});
+
+describe('interactive key exchange', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+  });
+
+  it('gives both users the same session key', async () => {
+    actAs(alice);
+    const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+    expect(fakeServerState().exchanges.get(exchangeId).status).toBe('pending');
+
+    actAs(bob);
+    const { sessionKey: bobKey } = await acceptKeyExchange(exchangeId, bob.id, bob.username);
+    expect(fakeServerState().exchanges.get(exchangeId).status).toBe('responded');
+
+    actAs(alice);
+    const { sessionKey: aliceKey, otherUserId } = await finalizeKeyExchange(exchangeId);
+    expect(otherUserId).toBe(bob.id);
+    expect(fakeServerState().exchanges.get(exchangeId).status).toBe('confirmed');
+
+    expect(await keyHex(aliceKey)).toBe(await keyHex(bobKey));
+
+    // And each stored it on their own device
+    expect(await keyHex(await getSessionKey(exchangeId))).toBe(await keyHex(aliceKey));
+    actAs(bob);
+    expect(await keyHex(await getSessionKey(exchangeId))).toBe(await keyHex(bobKey));
+  });
+
+  it('gives each exchange a different session key', async () => {
+    const keys = [];
+    for (let i = 0; i < 2; i++) {
+      actAs(alice);
+      const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+      actAs(bob);
+      keys.push(await keyHex((await acceptKeyExchange(exchangeId, bob.id, bob.username)).sessionKey));
+    }
+
+    expect(keys[0]).not.toBe(keys[1]);
+  });
+
+  it("rejects an initiation whose ephemeral key was swapped (MITM)", async () => {
+    actAs(alice);
+    const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+
+    // The server substitutes another ephemeral key from an earlier exchange
+    const exchanges = [...fakeServerState().exchanges.values()];
+    const other = exchanges.find(exchange => exchange.exchangeId !== exchangeId);
+    fakeServerState().exchanges.get(exchangeId).initiatorEphemeralPublicKey = other.initiatorEphemeralPublicKey;
+
+    actAs(bob);
+    await expect(acceptKeyExchange(exchangeId, bob.id, bob.username)).rejects.toThrow('Invalid signature from initiator');
+  });
+
+  it('rejects a response whose key confirmation does not match', async () => {
+    actAs(alice);
+    const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+    actAs(bob);
+    await acceptKeyExchange(exchangeId, bob.id, bob.username);
+
+    fakeServerState().exchanges.get(exchangeId).keyConfirmation = 'AAAA';
+
+    actAs(alice);
+    // The confirmation is covered by the responder's signature
+    await expect(finalizeKeyExchange(exchangeId)).rejects.toThrow('Invalid signature from responder');
+    expect(fakeServerState().exchanges.get(exchangeId).status).toBe('responded');
+  });
+
+  it('cannot be finalized before the responder answers', async () => {
+    actAs(alice);
+    const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+
+    await expect(finalizeKeyExchange(exchangeId)).rejects.toThrow('Key exchange not ready for completion');
+  });
+
+  it('cannot be accepted twice', async () => {
+    actAs(alice);
+    const { exchangeId } = await initiateKeyExchange(alice.id, bob.id, alice.username);
+    actAs(bob);
+    await acceptKeyExchange(exchangeId, bob.id, bob.username);
+
+    await expect(acceptKeyExchange(exchangeId, bob.id, bob.username)).rejects.toThrow('Key exchange is no longer pending');
+  });
+});
+
+describe('signing key upgrade', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('gives a legacy account a signing key that verifies', async () => {
+    const lena = await createLegacyUser('lena');
+    expect((await getPrivateKey(lena.username)).signingAlgorithm).toBe('RSA-PSS');
+
+    const algorithm = await upgradeSigningKey(lena.id, lena.username, lena.password);
+
+    expect((await getPrivateKey(lena.username)).signingAlgorithm).toBe(algorithm);
+    expect(await getPendingSigningKey(lena.username)).toBeNull();
+    const signature = await signMessage('after the upgrade', lena.username);
+    const serverKeys = fakeServerState().users.get(lena.id);
+    expect(await verifySignature('after the upgrade', signature, verificationKeyFrom(serverKeys))).toBe(true);
+  });
+
+  it('keeps a key the server took without answering and settles it at the next login', async () => {
+    const mona = await createLegacyUser('mona');
+    failUpgrades(async (send) => {
+      await send();
+      throw new Error('Network Error');
+    });
+
+    await expect(upgradeSigningKey(mona.id, mona.username, mona.password)).rejects.toThrow('Network Error');
+    expect((await getPrivateKey(mona.username)).signingAlgorithm).toBe('RSA-PSS');
+    const pending = await getPendingSigningKey(mona.username);
+    expect(pending.signingPublicKey).toBe(fakeServerState().users.get(mona.id).signingPublicKey);
+
+    vi.restoreAllMocks();
+    expect(await settlePendingSigningKey(mona.id, mona.username, mona.password)).toBe(true);
+
+    const signature = await signMessage('settled', mona.username);
+    expect(await verifySignature('settled', signature, verificationKeyFrom(fakeServerState().users.get(mona.id)))).toBe(true);
+  });
+
+  it('drops the new key when the server refuses it', async () => {
+    const nora = await createLegacyUser('nora');
+    failUpgrades(() => Promise.reject(Object.assign(new Error('Invalid identity key signature'), {
+      response: { status: 400, data: { error: 'Invalid identity key signature' } }
+    })));
+
+    await expect(upgradeSigningKey(nora.id, nora.username, nora.password)).rejects.toThrow('Invalid identity key signature');
+    expect(await getPendingSigningKey(nora.username)).toBeNull();
+    expect((await getPrivateKey(nora.username)).signingAlgorithm).toBe('RSA-PSS');
+  });
+});
@@ -1,12 +1,97 @@
 /**
  * Secure key storage using IndexedDB
  * Stores private keys encrypted with user password
+ *
+ * Identity private keys are wrapped with AES-256-GCM under a key derived
+ * from the user's password (PBKDF2-SHA256, per-user random salt). They are
+ * unwrapped once at login into non-extractable CryptoKeys that live only
+ * in memory for the lifetime of the page.
+ *
+ * The record also holds the user's dedicated signing key (Ed25519 or ECDSA
+ * P-256), wrapped under the same password-derived key. Accounts created
+ * before signing keys existed sign with their RSA key (as RSA-PSS) until
+ * they upgrade; the upgrade's new key is kept as the record's
+ * pendingSigningKey until the server has taken it. The public halves are
+ * kept in the record too, so our half of a safety number never depends on
+ * what the server says our keys are; records written before that get them
+ * derived at the next unlock.
+ *
+ * Each browser also has its own device key (ECDH P-256) that other clients
+ * wrap message keys to. It is stored per username, wrapped the same way, so
+ * a browser linked to an account without the account's identity keys can
+ * still read messages sent to it.
+ *
+ * When the identity keys are rotated (identityKeys.js), the new keys are
+ * first kept as the record's pendingKeys until the server has taken them.
+ * They then replace the current ones, and the old RSA key is kept in the
+ * record's retiredKeys, wrapped the same way, for RETIRED_KEY_RETENTION_DAYS.
+ * Nothing decrypts with the identity key (messages depend on session keys and
+ * ratchet states), so retired keys are not unlocked; they only travel in key
+ * backups. Expired retired keys are deleted at the next unlock.
+ *
+ * Session keys (one per key exchange) are kept after they expire or are
+ * replaced by a newer session with the same user, so older messages still
+ * decrypt; which session may still send is decided by sessionManager.js.
+ *
+ * The key transparency log's key and the latest tree head this browser has
+ * checked (transparency.js) are kept here too, so a log rewritten after this
+ * browser saw it is detected, as is the newest logged entry accepted for
+ * each user, so older keys of theirs are not accepted again.
+ *
+ * The whole database can be exported and imported as is (exportKeyStorage /
+ * importKeyStorage) for encrypted key backups (backup.js).
  */
 
+import {
+  toBase64,
+  fromBase64,
+  signingKeyParams,
+  exportPrivateKey,
+  exportPublicKey,
+  importPrivateKey,
+  importPublicKey
+} from '@e2ee/crypto';
+
 const DB_NAME = 'E2EEKeyStorage';
-const DB_VERSION = 2; // Incremented to add session keys store
+const DB_VERSION = 7; // Incremented to add the key transparency store
 const STORE_NAME = 'privateKeys';
 const SESSION_STORE_NAME = 'sessionKeys';
+const RATCHET_STORE_NAME = 'ratchetStates';
+const SKIPPED_KEYS_STORE_NAME = 'skippedMessageKeys';
+const MESSAGE_CACHE_STORE_NAME = 'messageCache';
+const PREKEY_STORE_NAME = 'preKeys';
+const SENDER_KEY_STORE_NAME = 'senderKeys';
+const DEVICE_KEY_STORE_NAME = 'deviceKeys';
+const KEY_LOG_STORE_NAME = 'keyTransparency';
+
+// Every store of the database (what a key backup holds)
+const ALL_STORE_NAMES = [
+  STORE_NAME,
+  SESSION_STORE_NAME,
+  RATCHET_STORE_NAME,
+  SKIPPED_KEYS_STORE_NAME,
+  MESSAGE_CACHE_STORE_NAME,
+  PREKEY_STORE_NAME,
+  SENDER_KEY_STORE_NAME,
+  DEVICE_KEY_STORE_NAME,
+  KEY_LOG_STORE_NAME
+];
+
+// Private key record versions: 1 = plaintext PKCS#8 (legacy), 2 = password-wrapped
+const KEY_RECORD_VERSION = 2;
+const PBKDF2_ITERATIONS = 600000;
+
+// Days a retired identity key stays on the device after a rotation
+export const RETIRED_KEY_RETENTION_DAYS = 90;
+
+// Hours a session key is used for sending (VITE_SESSION_LIFETIME_HOURS)
+export const SESSION_LIFETIME_HOURS = Number(import.meta.env.VITE_SESSION_LIFETIME_HOURS) || 24;
+
+// Unwrapped identity keys, keyed by username (never persisted)
+const unlockedKeys = new Map();
+
+// Unwrapped device keys, keyed by username (never persisted)
+const unlockedDeviceKeys = new Map();
 
 /**
  * Open IndexedDB database
@@ -30,29 +115,157 @@ function openDB() {
         sessionStore.createIndex('userId', 'userId', { unique: false });
         sessionStore.createIndex('expiresAt', 'expiresAt', { unique: false });
       }
+      if (!db.objectStoreNames.contains(RATCHET_STORE_NAME)) {
+        db.createObjectStore(RATCHET_STORE_NAME, { keyPath: 'exchangeId' });
+      }
+      if (!db.objectStoreNames.contains(SKIPPED_KEYS_STORE_NAME)) {
+        const skippedStore = db.createObjectStore(SKIPPED_KEYS_STORE_NAME, { keyPath: 'id' });
+        skippedStore.createIndex('exchangeId', 'exchangeId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(MESSAGE_CACHE_STORE_NAME)) {
+        const cacheStore = db.createObjectStore(MESSAGE_CACHE_STORE_NAME, { keyPath: 'messageId' });
+        cacheStore.createIndex('exchangeId', 'exchangeId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(PREKEY_STORE_NAME)) {
+        const preKeyStore = db.createObjectStore(PREKEY_STORE_NAME, { keyPath: 'id' });
+        preKeyStore.createIndex('userId', 'userId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(SENDER_KEY_STORE_NAME)) {
+        const senderKeyStore = db.createObjectStore(SENDER_KEY_STORE_NAME, { keyPath: 'id' });
+        senderKeyStore.createIndex('groupId', 'groupId', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(DEVICE_KEY_STORE_NAME)) {
+        db.createObjectStore(DEVICE_KEY_STORE_NAME, { keyPath: 'username' });
+      }
+      if (!db.objectStoreNames.contains(KEY_LOG_STORE_NAME)) {
+        db.createObjectStore(KEY_LOG_STORE_NAME, { keyPath: 'id' });
+      }
     };
   });
 }
 
 /**
- * Store private key for a user
+ * Derive the AES-GCM key that wraps a user's private key
+ * @param {string} password - User password
+ * @param {Uint8Array} salt - Per-user random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<CryptoKey>} Wrapping key
+ */
+async function deriveWrappingKey(password, salt, iterations) {
+  const passwordKey = await window.crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return window.crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: salt,
+      iterations: iterations,
+      hash: 'SHA-256'
+    },
+    passwordKey,
+    {
+      name: 'AES-GCM',
+      length: 256
+    },
+    false,
+    ['encrypt', 'unwrapKey']
+  );
+}
+
+/**
+ * Additional authenticated data binding a wrapped key to its owner
+ * @param {string} username - Username
+ * @returns {Uint8Array}
+ */
+function wrapAAD(username) {
+  return new TextEncoder().encode(`E2EE-PrivateKey-${username}`);
+}
+
+/**
+ * Additional authenticated data binding a wrapped signing key to its owner
+ * @param {string} username - Username
+ * @returns {Uint8Array}
+ */
+function signingWrapAAD(username) {
+  return new TextEncoder().encode(`E2EE-SigningKey-${username}`);
+}
+
+/**
+ * Additional authenticated data binding a wrapped device key to its owner
+ * @param {string} username - Username
+ * @returns {Uint8Array}
+ */
+function deviceWrapAAD(username) {
+  return new TextEncoder().encode(`E2EE-DeviceKey-${username}`);
+}
+
+/**
+ * Read the raw private key record for a user
+ * @param {string} username - Username
+ * @returns {Promise<Object|undefined>} Stored record
+ */
+async function readKeyRecord(username) {
+  const db = await openDB();
+  const transaction = db.transaction([STORE_NAME], 'readonly');
+  const store = transaction.objectStore(STORE_NAME);
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(username);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store private key for a user, wrapped under a password-derived key
  * @param {string} username - Username
- * @param {string} privateKeyBase64 - Base64-encoded private key
+ * @param {string} privateKeyBase64 - Base64-encoded PKCS#8 private key
  * @param {string} algorithm - Algorithm type: 'RSA-OAEP' or 'ECDH'
  * @param {string} keySize - Key size or curve name
+ * @param {string} password - User password used to wrap the key
+ * @param {string} [publicKeyBase64] - Base64-encoded SPKI public key (derived at unlock if missing)
  * @returns {Promise<void>}
  */
-export async function storePrivateKey(username, privateKeyBase64, algorithm, keySize) {
+export async function storePrivateKey(username, privateKeyBase64, algorithm, keySize, password, publicKeyBase64 = null) {
   try {
+    if (!password) {
+      throw new Error('Password is required to store a private key');
+    }
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(password, salt, PBKDF2_ITERATIONS);
+
+    const wrappedKey = await window.crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: iv,
+        additionalData: wrapAAD(username),
+        tagLength: 128
+      },
+      wrappingKey,
+      fromBase64(privateKeyBase64)
+    );
+
     const db = await openDB();
     const transaction = db.transaction([STORE_NAME], 'readwrite');
     const store = transaction.objectStore(STORE_NAME);
 
     const keyData = {
       username: username,
-      privateKey: privateKeyBase64,
+      version: KEY_RECORD_VERSION,
+      wrappedKey: toBase64(new Uint8Array(wrappedKey)),
+      iv: toBase64(iv),
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
       algorithm: algorithm,
       keySize: keySize,
+      publicKey: publicKeyBase64,
       createdAt: new Date().toISOString()
     };
 
@@ -70,37 +283,473 @@ export async function storePrivateKey(username, privateKeyBase64, algorithm, key
 }
 
 /**
- * Retrieve private key for a user
+ * Wrap a signing private key under the password-derived key of a user's record
  * @param {string} username - Username
- * @returns {Promise<{privateKey: string, algorithm: string, keySize: string}>}
+ * @param {Object} record - Wrapped private key record
+ * @param {string} signingPrivateKeyBase64 - Base64-encoded PKCS#8 signing private key
+ * @param {string} password - User password
+ * @returns {Promise<{wrappedSigningKey: string, signingIv: string}>}
  */
-export async function getPrivateKey(username) {
+async function wrapSigningKey(username, record, signingPrivateKeyBase64, password) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const wrappingKey = await deriveWrappingKey(password, fromBase64(record.salt), record.iterations);
+
+  const wrappedSigningKey = await window.crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv: iv,
+      additionalData: signingWrapAAD(username),
+      tagLength: 128
+    },
+    wrappingKey,
+    fromBase64(signingPrivateKeyBase64)
+  );
+  return { wrappedSigningKey: toBase64(new Uint8Array(wrappedSigningKey)), signingIv: toBase64(iv) };
+}
+
+/**
+ * Add a dedicated signing private key to a user's key record
+ * Wrapped under the same password-derived key as the identity key
+ * @param {string} username - Username
+ * @param {string} signingPrivateKeyBase64 - Base64-encoded PKCS#8 signing private key
+ * @param {string} signingAlgorithm - 'Ed25519' or 'ECDSA-P256'
+ * @param {string} password - User password
+ * @param {string} [signingPublicKeyBase64] - Base64-encoded SPKI signing public key (derived at unlock if missing)
+ * @returns {Promise<void>}
+ */
+export async function storeSigningKey(username, signingPrivateKeyBase64, signingAlgorithm, password, signingPublicKeyBase64 = null) {
   try {
-    const db = await openDB();
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
+    const record = await readKeyRecord(username);
+    if (!record || record.version !== KEY_RECORD_VERSION) {
+      throw new Error('Wrapped private key not found for user: ' + username);
+    }
 
-    return new Promise((resolve, reject) => {
-      const request = store.get(username);
-      request.onsuccess = () => {
-        if (request.result) {
-          resolve({
-            privateKey: request.result.privateKey,
-            algorithm: request.result.algorithm,
-            keySize: request.result.keySize
-          });
-        } else {
-          reject(new Error('Private key not found for user: ' + username));
-        }
-      };
-      request.onerror = () => reject(request.error);
+    await putKeyRecord({
+      ...record,
+      ...await wrapSigningKey(username, record, signingPrivateKeyBase64, password),
+      signingAlgorithm,
+      signingPublicKey: signingPublicKeyBase64
+    });
+
+    console.log('Signing key stored successfully for:', username);
+  } catch (error) {
+    console.error('Error storing signing key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Keep a legacy account's new signing key next to its RSA key, wrapped the
+ * same way, until the server has taken it (promotePendingSigningKey) or
+ * refused it (discardPendingSigningKey). The server refuses a second signing
+ * key, so one it took must never be lost before it is stored here.
+ * @param {string} username - Username
+ * @param {string} signingPrivateKeyBase64 - Base64-encoded PKCS#8 signing private key
+ * @param {string} signingAlgorithm - 'Ed25519' or 'ECDSA-P256'
+ * @param {string} password - User password
+ * @param {string} signingPublicKeyBase64 - Base64-encoded SPKI signing public key
+ * @returns {Promise<void>}
+ */
+export async function storePendingSigningKey(username, signingPrivateKeyBase64, signingAlgorithm, password, signingPublicKeyBase64) {
+  try {
+    const record = await readKeyRecord(username);
+    if (!record || record.version !== KEY_RECORD_VERSION) {
+      throw new Error('Wrapped private key not found for user: ' + username);
+    }
+
+    await putKeyRecord({
+      ...record,
+      pendingSigningKey: {
+        ...await wrapSigningKey(username, record, signingPrivateKeyBase64, password),
+        signingAlgorithm,
+        signingPublicKey: signingPublicKeyBase64,
+        createdAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error storing pending signing key:', error);
+    throw error;
+  }
+}
+
+/**
+ * The pending signing key of an upgrade, if one was not settled
+ * @param {string} username - Username
+ * @returns {Promise<{signingPublicKey: string, signingAlgorithm: string, createdAt: string}|null>}
+ */
+export async function getPendingSigningKey(username) {
+  const record = await readKeyRecord(username);
+  if (!record?.pendingSigningKey) {
+    return null;
+  }
+  const { signingPublicKey, signingAlgorithm, createdAt } = record.pendingSigningKey;
+  return { signingPublicKey, signingAlgorithm, createdAt };
+}
+
+/**
+ * Make the pending signing key the account's signing key once the server has
+ * taken it. Unlock again afterwards.
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export async function promotePendingSigningKey(username) {
+  const record = await readKeyRecord(username);
+  const pending = record?.pendingSigningKey;
+  if (!pending) {
+    throw new Error('No pending signing key for user: ' + username);
+  }
+
+  const { pendingSigningKey: _pendingSigningKey, ...rest } = record;
+  await putKeyRecord({
+    ...rest,
+    wrappedSigningKey: pending.wrappedSigningKey,
+    signingIv: pending.signingIv,
+    signingAlgorithm: pending.signingAlgorithm,
+    signingPublicKey: pending.signingPublicKey
+  });
+  console.log('Signing key stored successfully for:', username);
+}
+
+/**
+ * Drop the pending signing key of an upgrade the server did not take
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export async function discardPendingSigningKey(username) {
+  const record = await readKeyRecord(username);
+  if (record?.pendingSigningKey) {
+    const { pendingSigningKey: _pendingSigningKey, ...rest } = record;
+    await putKeyRecord(rest);
+  }
+}
+
+/**
+ * Unwrap a user's private key with their password and keep it in memory.
+ * Legacy plaintext records are re-stored in wrapped form first.
+ * @param {string} username - Username
+ * @param {string} password - User password
+ * @returns {Promise<void>}
+ */
+export async function unlockPrivateKey(username, password) {
+  try {
+    let record = await readKeyRecord(username);
+    if (!record) {
+      throw new Error('Private key not found for user: ' + username);
+    }
+
+    if (!record.version || record.version < KEY_RECORD_VERSION) {
+      // Migrate legacy plaintext record
+      await storePrivateKey(username, record.privateKey, record.algorithm, record.keySize, password);
+      record = await readKeyRecord(username);
+      console.log('Migrated plaintext private key for:', username);
+    }
+
+    const wrappingKey = await deriveWrappingKey(password, fromBase64(record.salt), record.iterations);
+    const wrappedKey = fromBase64(record.wrappedKey);
+    const unwrapParams = {
+      name: 'AES-GCM',
+      iv: fromBase64(record.iv),
+      additionalData: wrapAAD(username),
+      tagLength: 128
+    };
+
+    let privateKey;
+    let signingKey;
+    const signingAlgorithm = record.wrappedSigningKey ? record.signingAlgorithm : 'RSA-PSS';
+    try {
+      // Non-extractable: key material cannot be read back out of the CryptoKey
+      privateKey = await window.crypto.subtle.unwrapKey(
+        'pkcs8', wrappedKey, wrappingKey, unwrapParams,
+        { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['decrypt']
+      );
+
+      if (record.wrappedSigningKey) {
+        signingKey = await window.crypto.subtle.unwrapKey(
+          'pkcs8', fromBase64(record.wrappedSigningKey), wrappingKey,
+          {
+            name: 'AES-GCM',
+            iv: fromBase64(record.signingIv),
+            additionalData: signingWrapAAD(username),
+            tagLength: 128
+          },
+          signingKeyParams(signingAlgorithm), false, ['sign']
+        );
+      } else {
+        // Legacy account: sign with the RSA key until the signing key upgrade runs
+        signingKey = await window.crypto.subtle.unwrapKey(
+          'pkcs8', wrappedKey, wrappingKey, unwrapParams,
+          signingKeyParams('RSA-PSS'), false, ['sign']
+        );
+      }
+    } catch {
+      throw new Error('Failed to unlock private key. The password may be incorrect.');
+    }
+
+    unlockedKeys.set(username, {
+      privateKey,
+      signingKey,
+      signingAlgorithm,
+      algorithm: record.algorithm,
+      keySize: record.keySize,
+      keyVersion: record.keyVersion || 1
+    });
+    if (!record.publicKey || (record.wrappedSigningKey && !record.signingPublicKey)) {
+      record = await storeDerivedPublicKeys(username, record, wrappingKey);
+    }
+    await deleteExpiredRetiredKeys(username, record);
+  } catch (error) {
+    console.error('Error unlocking private key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive the public keys of a record written before they were stored with
+ * it, and store them
+ * @param {string} username - Username
+ * @param {Object} record - Wrapped private key record
+ * @param {CryptoKey} wrappingKey - Password-derived key wrapping the record
+ * @returns {Promise<Object>} Record with publicKey (and signingPublicKey)
+ */
+async function storeDerivedPublicKeys(username, record, wrappingKey) {
+  // The public key is the private key's JWK without its private members
+  const publicHalf = async (wrapped, iv, additionalData, algorithm, privateUsages, publicUsages, publicMembers) => {
+    const privateKey = await window.crypto.subtle.unwrapKey(
+      'pkcs8', fromBase64(wrapped), wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(iv), additionalData, tagLength: 128 },
+      algorithm, true, privateUsages
+    );
+    const jwk = await window.crypto.subtle.exportKey('jwk', privateKey);
+    const publicJwk = Object.fromEntries(['kty', 'crv', ...publicMembers].filter(m => jwk[m]).map(m => [m, jwk[m]]));
+    const publicKey = await window.crypto.subtle.importKey('jwk', publicJwk, algorithm, true, publicUsages);
+    return exportPublicKey(publicKey);
+  };
+
+  const updated = { ...record };
+  if (!record.publicKey) {
+    updated.publicKey = await publicHalf(
+      record.wrappedKey, record.iv, wrapAAD(username),
+      { name: 'RSA-OAEP', hash: 'SHA-256' }, ['decrypt'], ['encrypt'], ['n', 'e']
+    );
+  }
+  if (record.wrappedSigningKey && !record.signingPublicKey) {
+    updated.signingPublicKey = await publicHalf(
+      record.wrappedSigningKey, record.signingIv, signingWrapAAD(username),
+      signingKeyParams(record.signingAlgorithm), ['sign'], ['verify'], ['x', 'y']
+    );
+  }
+
+  await putKeyRecord(updated);
+  return updated;
+}
+
+/**
+ * Delete a user's retired identity keys whose retention period is over
+ * @param {string} username - Username
+ * @param {Object} record - Wrapped private key record
+ * @returns {Promise<void>}
+ */
+async function deleteExpiredRetiredKeys(username, record) {
+  const retiredKeys = record.retiredKeys || [];
+  const kept = retiredKeys.filter(entry => Date.parse(entry.deleteAfter) > Date.now());
+
+  if (kept.length !== retiredKeys.length) {
+    await putKeyRecord({ ...record, retiredKeys: kept });
+    console.log(`Deleted ${retiredKeys.length - kept.length} expired retired key(s) for:`, username);
+  }
+}
+
+/**
+ * Write a user's private key record
+ * @param {Object} record - Record (keyed by username)
+ * @returns {Promise<void>}
+ */
+async function putKeyRecord(record) {
+  const db = await openDB();
+  const transaction = db.transaction([STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(STORE_NAME);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keep the new identity keys of a rotation next to the current ones, wrapped
+ * under the same password, until the server has taken them
+ * (promotePendingIdentityKeys) or refused them (discardPendingIdentityKeys).
+ * Writing them before the server knows them means a rotation the server
+ * accepted can never leave us without the private keys.
+ * @param {string} username - Username
+ * @param {Object} keys - { privateKey, publicKey, algorithm, keySize, signingPrivateKey, signingPublicKey,
+ *   signingAlgorithm, keyVersion } (private keys as base64 PKCS#8, public keys as base64 SPKI)
+ * @param {string} password - User password (must be the one wrapping the current keys)
+ * @returns {Promise<void>}
+ */
+export async function storePendingIdentityKeys(username, keys, password) {
+  try {
+    const record = await readKeyRecord(username);
+    if (!record || record.version !== KEY_RECORD_VERSION) {
+      throw new Error('Wrapped private key not found for user: ' + username);
+    }
+
+    const wrappingKey = await deriveWrappingKey(password, fromBase64(record.salt), record.iterations);
+    const wrap = async (keyBase64, additionalData) => {
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const wrapped = await window.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData, tagLength: 128 },
+        wrappingKey,
+        fromBase64(keyBase64)
+      );
+      return { wrapped: toBase64(new Uint8Array(wrapped)), iv: toBase64(iv) };
+    };
+    const identity = await wrap(keys.privateKey, wrapAAD(username));
+    const signing = await wrap(keys.signingPrivateKey, signingWrapAAD(username));
+
+    await putKeyRecord({
+      ...record,
+      pendingKeys: {
+        keyVersion: keys.keyVersion,
+        publicKey: keys.publicKey,
+        wrappedKey: identity.wrapped,
+        iv: identity.iv,
+        algorithm: keys.algorithm,
+        keySize: keys.keySize,
+        wrappedSigningKey: signing.wrapped,
+        signingIv: signing.iv,
+        signingAlgorithm: keys.signingAlgorithm,
+        signingPublicKey: keys.signingPublicKey,
+        createdAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error storing pending identity keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * The pending identity keys of a rotation, if one was not settled
+ * @param {string} username - Username
+ * @returns {Promise<{keyVersion: number, publicKey: string, createdAt: string}|null>}
+ */
+export async function getPendingIdentityKeys(username) {
+  const record = await readKeyRecord(username);
+  if (!record?.pendingKeys) {
+    return null;
+  }
+  const { keyVersion, publicKey, createdAt } = record.pendingKeys;
+  return { keyVersion, publicKey, createdAt };
+}
+
+/**
+ * Make the pending identity keys the current ones once the server has taken
+ * them. The current RSA key moves to the record's retiredKeys (kept for
+ * RETIRED_KEY_RETENTION_DAYS); the old signing key is dropped. The record is
+ * written in one go, so it never holds half of a rotation. Unlock again
+ * afterwards.
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export async function promotePendingIdentityKeys(username) {
+  try {
+    const record = await readKeyRecord(username);
+    const pending = record?.pendingKeys;
+    if (!pending) {
+      throw new Error('No pending identity keys for user: ' + username);
+    }
+
+    const retiredAt = new Date();
+    const retired = {
+      keyVersion: record.keyVersion || 1,
+      wrappedKey: record.wrappedKey,
+      iv: record.iv,
+      salt: record.salt,
+      iterations: record.iterations,
+      algorithm: record.algorithm,
+      keySize: record.keySize,
+      retiredAt: retiredAt.toISOString(),
+      deleteAfter: new Date(retiredAt.getTime() + RETIRED_KEY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    await putKeyRecord({
+      username,
+      version: KEY_RECORD_VERSION,
+      keyVersion: pending.keyVersion,
+      wrappedKey: pending.wrappedKey,
+      iv: pending.iv,
+      salt: record.salt,
+      iterations: record.iterations,
+      algorithm: pending.algorithm,
+      keySize: pending.keySize,
+      publicKey: pending.publicKey,
+      wrappedSigningKey: pending.wrappedSigningKey,
+      signingIv: pending.signingIv,
+      signingAlgorithm: pending.signingAlgorithm,
+      signingPublicKey: pending.signingPublicKey,
+      createdAt: retiredAt.toISOString(),
+      retiredKeys: [...(record.retiredKeys || []), retired]
     });
+
+    unlockedKeys.delete(username);
+    console.log(`Identity keys replaced for ${username} (key version ${pending.keyVersion})`);
   } catch (error) {
-    console.error('Error retrieving private key:', error);
+    console.error('Error replacing identity keys:', error);
     throw error;
   }
 }
 
+/**
+ * Drop the pending identity keys of a rotation the server did not take
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export async function discardPendingIdentityKeys(username) {
+  const record = await readKeyRecord(username);
+  if (record?.pendingKeys) {
+    const { pendingKeys: _pendingKeys, ...rest } = record;
+    await putKeyRecord(rest);
+  }
+}
+
+/**
+ * Retrieve the unlocked private key for a user
+ * @param {string} username - Username
+ * @returns {Promise<{privateKey: CryptoKey, signingKey: CryptoKey, signingAlgorithm: string, algorithm: string,
+ *   keySize: string, keyVersion: number}>}
+ */
+export async function getPrivateKey(username) {
+  const keys = unlockedKeys.get(username);
+  if (!keys) {
+    throw new Error('Private key is locked for user: ' + username + '. Please log in again.');
+  }
+  return keys;
+}
+
+/**
+ * The public identity keys stored with a user's private keys on this device
+ * @param {string} username - Username
+ * @returns {Promise<{publicKey: string, signingPublicKey: string|null}|null>} Base64 SPKI,
+ *   or null if the keys are not on this device (or not unlocked since they were stored)
+ */
+export async function getLocalPublicKeys(username) {
+  const record = await readKeyRecord(username);
+  if (!record?.publicKey) {
+    return null;
+  }
+  return { publicKey: record.publicKey, signingPublicKey: record.signingPublicKey || null };
+}
+
+/**
+ * Forget all unlocked private keys (logout)
+ */
+export function lockPrivateKeys() {
+  unlockedKeys.clear();
+  unlockedDeviceKeys.clear();
+}
+
 /**
  * Check if private key exists for a user
  * @param {string} username - Username
@@ -142,6 +791,7 @@ export async function deletePrivateKey(username) {
       request.onerror = () => reject(request.error);
     });
 
+    unlockedKeys.delete(username);
     console.log('Private key deleted for:', username);
   } catch (error) {
     console.error('Error deleting private key:', error);
@@ -149,6 +799,201 @@ export async function deletePrivateKey(username) {
   }
 }
 
+/**
+ * Store this browser's device key for a user, wrapped under a password-derived key
+ * @param {string} username - Username
+ * @param {{deviceId: string, name: string, publicKey: string, privateKey: string}} device -
+ *   Device ID and name, and its key pair (base64 SPKI / PKCS#8)
+ * @param {string} password - User password used to wrap the key
+ * @returns {Promise<void>}
+ */
+export async function storeDeviceKey(username, device, password) {
+  try {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(password, salt, PBKDF2_ITERATIONS);
+
+    const wrappedKey = await window.crypto.subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv: iv,
+        additionalData: deviceWrapAAD(username),
+        tagLength: 128
+      },
+      wrappingKey,
+      fromBase64(device.privateKey)
+    );
+
+    const db = await openDB();
+    const transaction = db.transaction([DEVICE_KEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(DEVICE_KEY_STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({
+        username,
+        deviceId: device.deviceId,
+        name: device.name,
+        publicKey: device.publicKey,
+        wrappedKey: toBase64(new Uint8Array(wrappedKey)),
+        iv: toBase64(iv),
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        createdAt: new Date().toISOString()
+      });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error storing device key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Unwrap this browser's device key for a user and keep it in memory
+ * @param {string} username - Username
+ * @param {string} password - User password
+ * @returns {Promise<boolean>} False if this browser has no device key for the user yet
+ */
+export async function unlockDeviceKey(username, password) {
+  const db = await openDB();
+  const transaction = db.transaction([DEVICE_KEY_STORE_NAME], 'readonly');
+  const store = transaction.objectStore(DEVICE_KEY_STORE_NAME);
+
+  const record = await new Promise((resolve, reject) => {
+    const request = store.get(username);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  if (!record) {
+    return false;
+  }
+
+  let privateKey;
+  try {
+    const wrappingKey = await deriveWrappingKey(password, fromBase64(record.salt), record.iterations);
+    privateKey = await window.crypto.subtle.unwrapKey(
+      'pkcs8', fromBase64(record.wrappedKey), wrappingKey,
+      {
+        name: 'AES-GCM',
+        iv: fromBase64(record.iv),
+        additionalData: deviceWrapAAD(username),
+        tagLength: 128
+      },
+      { name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']
+    );
+  } catch {
+    throw new Error('Failed to unlock device key. The password may be incorrect.');
+  }
+
+  unlockedDeviceKeys.set(username, {
+    deviceId: record.deviceId,
+    name: record.name,
+    publicKey: record.publicKey,
+    privateKey
+  });
+  return true;
+}
+
+/**
+ * Retrieve the unlocked device key for a user
+ * @param {string} username - Username
+ * @returns {{deviceId: string, name: string, publicKey: string, privateKey: CryptoKey}|null}
+ */
+export function getDeviceKey(username) {
+  return unlockedDeviceKeys.get(username) || null;
+}
+
+/**
+ * Delete this browser's device key for a user (e.g. after it was revoked)
+ * @param {string} username - Username
+ * @returns {Promise<void>}
+ */
+export async function deleteDeviceKey(username) {
+  const db = await openDB();
+  const transaction = db.transaction([DEVICE_KEY_STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(DEVICE_KEY_STORE_NAME);
+
+  await new Promise((resolve, reject) => {
+    const request = store.delete(username);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+
+  unlockedDeviceKeys.delete(username);
+}
+
+/**
+ * What this browser knows of the key transparency log
+ * @returns {Promise<{publicKey: string, treeHead: Object|null}|null>} Pinned log
+ *   key and latest checked tree head, or null before the first check
+ */
+export async function getKeyLogState() {
+  const db = await openDB();
+  const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readonly');
+  const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+
+  const record = await new Promise((resolve, reject) => {
+    const request = store.get('log');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return record ? { publicKey: record.publicKey, treeHead: record.treeHead } : null;
+}
+
+/**
+ * Remember the key transparency log's key and latest checked tree head
+ * @param {{publicKey: string, treeHead: Object|null}} state - Log state
+ * @returns {Promise<void>}
+ */
+export async function storeKeyLogState({ publicKey, treeHead }) {
+  const db = await openDB();
+  const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put({ id: 'log', publicKey, treeHead, updatedAt: new Date().toISOString() });
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * The newest log entry of a user's keys this browser has accepted
+ * @param {string} userId - User ID
+ * @returns {Promise<{keyVersion: number, leafIndex: number}|null>}
+ */
+export async function getLatestLoggedKeys(userId) {
+  const db = await openDB();
+  const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readonly');
+  const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+
+  const record = await new Promise((resolve, reject) => {
+    const request = store.get(`user:${userId}`);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return record ? { keyVersion: record.keyVersion, leafIndex: record.leafIndex } : null;
+}
+
+/**
+ * Remember the newest log entry of a user's keys this browser has accepted
+ * @param {string} userId - User ID
+ * @param {{keyVersion: number, leafIndex: number}} entry - Key version and log position
+ * @returns {Promise<void>}
+ */
+export async function storeLatestLoggedKeys(userId, { keyVersion, leafIndex }) {
+  const db = await openDB();
+  const transaction = db.transaction([KEY_LOG_STORE_NAME], 'readwrite');
+  const store = transaction.objectStore(KEY_LOG_STORE_NAME);
+
+  await new Promise((resolve, reject) => {
+    const request = store.put({ id: `user:${userId}`, keyVersion, leafIndex, updatedAt: new Date().toISOString() });
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Clear all stored keys (use with caution)
  * @returns {Promise<void>}
@@ -165,6 +1010,7 @@ export async function clearAllKeys() {
       request.onerror = () => reject(request.error);
     });
 
+    unlockedKeys.clear();
     console.log('All keys cleared');
   } catch (error) {
     console.error('Error clearing keys:', error);
@@ -173,46 +1019,126 @@ export async function clearAllKeys() {
 }
 
 /**
- * Store session key
- * @param {string} sessionId - Session ID (exchangeId or combination of user IDs)
- * @param {CryptoKey} sessionKey - Session key (CryptoKey object)
- * @param {string} userId - Other user's ID
- * @param {number} expiresInHours - Expiration in hours (default: 24)
+ * Export every record of every store, as stored: identity and device keys
+ * stay wrapped under the password. Used for encrypted key backups.
+ * @returns {Promise<{database: string, version: number, stores: Object<string, Array<Object>>}>}
+ */
+export async function exportKeyStorage() {
+  const db = await openDB();
+  const transaction = db.transaction(ALL_STORE_NAMES, 'readonly');
+
+  const stores = {};
+  await Promise.all(ALL_STORE_NAMES.map(name => new Promise((resolve, reject) => {
+    const request = transaction.objectStore(name).getAll();
+    request.onsuccess = () => {
+      stores[name] = request.result || [];
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  })));
+
+  return { database: DB_NAME, version: DB_VERSION, stores };
+}
+
+/**
+ * Replace the whole key storage with an export from exportKeyStorage, in
+ * one transaction. Unlocked keys are forgotten: unlock them again with the
+ * password the restored keys are wrapped under.
+ * @param {{database: string, version: number, stores: Object<string, Array<Object>>}} exported - Key storage export
  * @returns {Promise<void>}
  */
+export async function importKeyStorage(exported) {
+  if (exported?.database !== DB_NAME || !Number.isInteger(exported.version) || !exported.stores) {
+    throw new Error('Not a key storage export');
+  }
+  if (exported.version > DB_VERSION) {
+    throw new Error('This backup was made by a newer version of the app');
+  }
+  const unknown = Object.keys(exported.stores).filter(name => !ALL_STORE_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error('Unknown key storage stores: ' + unknown.join(', '));
+  }
+
+  const db = await openDB();
+  const transaction = db.transaction(ALL_STORE_NAMES, 'readwrite');
+
+  for (const name of ALL_STORE_NAMES) {
+    const store = transaction.objectStore(name);
+    store.clear();
+    for (const record of exported.stores[name] || []) {
+      store.put(record);
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  unlockedKeys.clear();
+  unlockedDeviceKeys.clear();
+}
+
+/**
+ * Session record without its key material
+ * @param {Object} record - Stored session record
+ * @returns {Object} { sessionId, userId, createdAt, expiresAt, retiredAt, replacedBy, messageCount }
+ */
+function sessionInfo(record) {
+  const info = { retiredAt: null, replacedBy: null, messageCount: 0, ...record };
+  delete info.sessionKey;
+  return info;
+}
 
 /**
  * Store session key
+ * Earlier sessions with the same user are retired: they stay readable but
+ * are no longer used to send.
  * @param {string} sessionId - Session ID (exchangeId or combination of user IDs)
  * @param {CryptoKey} sessionKey - Session key (CryptoKey object)
  * @param {string} userId - Other user's ID
- * @param {number} expiresInHours - Expiration in hours (default: 24)
+ * @param {number} expiresInHours - Expiration in hours (default: SESSION_LIFETIME_HOURS)
  * @returns {Promise<void>}
  */
-export async function storeSessionKey(sessionId, sessionKey, userId, expiresInHours = 24) {
+export async function storeSessionKey(sessionId, sessionKey, userId, expiresInHours = SESSION_LIFETIME_HOURS) {
   try {
-    const db = await openDB();
-    const transaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(SESSION_STORE_NAME);
-
     // Export session key to store it
     const exported = await window.crypto.subtle.exportKey('raw', sessionKey);
-    const keyBase64 = btoa(String.fromCharCode(...new Uint8Array(exported)));
+    const keyBase64 = toBase64(exported);
+    const now = new Date();
 
     const sessionData = {
       sessionId: sessionId,
-      userId: userId,
+      userId: String(userId),
       sessionKey: keyBase64,
       algorithm: 'AES-GCM',
       keyLength: 256,
-      createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString()
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000).toISOString(),
+      retiredAt: null,
+      replacedBy: null,
+      messageCount: 0
+    };
+
+    const db = await openDB();
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+
+    const earlier = store.index('userId').getAll(sessionData.userId);
+    earlier.onsuccess = () => {
+      for (const record of earlier.result) {
+        if (record.sessionId !== sessionId && !record.retiredAt) {
+          store.put({ ...record, retiredAt: now.toISOString(), replacedBy: sessionId });
+        }
+      }
+      store.put(sessionData);
     };
 
     await new Promise((resolve, reject) => {
-      const request = store.put(sessionData);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     });
 
     console.log('Session key stored:', sessionId);
@@ -224,6 +1150,7 @@ export async function storeSessionKey(sessionId, sessionKey, userId, expiresInHo
 
 /**
  * Retrieve session key
+ * Expired and retired session keys are returned too, for reading older messages.
  * @param {string} sessionId - Session ID
  * @returns {Promise<CryptoKey>} Session key
  */
@@ -243,26 +1170,10 @@ export async function getSessionKey(sessionId) {
 
         const sessionData = request.result;
 
-        // Check expiration
-        if (new Date(sessionData.expiresAt) < new Date()) {
-          // Delete expired key
-          const deleteTransaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
-          const deleteStore = deleteTransaction.objectStore(SESSION_STORE_NAME);
-          deleteStore.delete(sessionId);
-          reject(new Error('Session key expired'));
-          return;
-        }
-
         // Import session key
-        const binaryString = atob(sessionData.sessionKey);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-
         const sessionKey = await window.crypto.subtle.importKey(
           'raw',
-          bytes,
+          fromBase64(sessionData.sessionKey),
           {
             name: 'AES-GCM',
             length: 256
@@ -289,8 +1200,6 @@ export async function getSessionKey(sessionId) {
  */
 export async function storeEphemeralKeyPair(exchangeId, ephemeralKeyPair) {
   try {
-    const { exportPrivateKey, exportPublicKey } = await import('./crypto.js');
-    
     // Export both keys
     const privateKeyBase64 = await exportPrivateKey(ephemeralKeyPair.privateKey);
     const publicKeyBase64 = await exportPublicKey(ephemeralKeyPair.publicKey);
@@ -329,8 +1238,6 @@ export async function storeEphemeralKeyPair(exchangeId, ephemeralKeyPair) {
  */
 export async function getEphemeralKeyPair(exchangeId) {
   try {
-    const { importPrivateKey, importPublicKey } = await import('./crypto.js');
-    
     const db = await openDB();
     const transaction = db.transaction([STORE_NAME], 'readonly');
     const store = transaction.objectStore(STORE_NAME);
@@ -371,7 +1278,7 @@ export async function getEphemeralKeyPair(exchangeId) {
 
 /**
  * Get all available session keys (exchange IDs) from IndexedDB
- * @returns {Promise<Array<string>>} Array of exchange IDs that have session keys
+ * @returns {Promise<Array<string>>} Array of exchange IDs that have session keys (expired ones included)
  */
 export async function getAllSessionKeyIds() {
   try {
@@ -380,15 +1287,8 @@ export async function getAllSessionKeyIds() {
     const store = transaction.objectStore(SESSION_STORE_NAME);
 
     return new Promise((resolve, reject) => {
-      const request = store.getAll();
-      request.onsuccess = () => {
-        const sessionKeys = request.result || [];
-        // Filter out expired keys and return only valid exchange IDs
-        const validIds = sessionKeys
-          .filter(sk => new Date(sk.expiresAt) > new Date())
-          .map(sk => sk.sessionId);
-        resolve(validIds);
-      };
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
       request.onerror = () => reject(request.error);
     });
   } catch (error) {
@@ -397,3 +1297,375 @@ export async function getAllSessionKeyIds() {
   }
 }
 
+/**
+ * Retrieve a session's details (without its key)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session details, or null if not stored
+ */
+export async function getSessionInfo(sessionId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(sessionId);
+      request.onsuccess = () => resolve(request.result ? sessionInfo(request.result) : null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error retrieving session info:', error);
+    throw error;
+  }
+}
+
+/**
+ * Details of every session with a user (without their keys), oldest first
+ * @param {string} userId - Other user's ID
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSessionInfo(userId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.index('userId').getAll(userId);
+      request.onsuccess = () => resolve(
+        request.result
+          .map(sessionInfo)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      );
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a message sent under a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number|null>} Messages sent under the session so far, or null if not stored
+ */
+export async function countSessionMessage(sessionId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SESSION_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SESSION_STORE_NAME);
+
+    let count = null;
+    const request = store.get(sessionId);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      count = (request.result.messageCount || 0) + 1;
+      store.put({ ...request.result, messageCount: count });
+    };
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    return count;
+  } catch (error) {
+    console.error('Error counting session message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieve Double Ratchet state for an exchange
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<Object|null>} Serialized ratchet state, or null if none
+ */
+export async function getRatchetState(exchangeId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([RATCHET_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(RATCHET_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(exchangeId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error retrieving ratchet state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save Double Ratchet state together with skipped message key changes.
+ * Runs in one transaction so state and skipped keys never diverge.
+ * @param {Object} state - Serialized ratchet state (keyed by exchangeId)
+ * @param {Object} changes - Skipped key changes
+ * @param {Array<{id: string, messageKey: string}>} changes.addSkipped - Skipped keys to store
+ * @param {string|null} changes.removeSkippedId - Skipped key consumed by this message
+ * @returns {Promise<void>}
+ */
+export async function saveRatchetState(state, { addSkipped = [], removeSkippedId = null } = {}) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([RATCHET_STORE_NAME, SKIPPED_KEYS_STORE_NAME], 'readwrite');
+    const ratchetStore = transaction.objectStore(RATCHET_STORE_NAME);
+    const skippedStore = transaction.objectStore(SKIPPED_KEYS_STORE_NAME);
+
+    ratchetStore.put({ ...state, updatedAt: new Date().toISOString() });
+    for (const skipped of addSkipped) {
+      skippedStore.put({
+        id: skipped.id,
+        exchangeId: state.exchangeId,
+        messageKey: skipped.messageKey,
+        createdAt: new Date().toISOString()
+      });
+    }
+    if (removeSkippedId) {
+      skippedStore.delete(removeSkippedId);
+    }
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error('Error saving ratchet state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieve a skipped (out-of-order) message key
+ * @param {string} id - Skipped key ID (exchangeId|ratchetPublicKey|messageNumber)
+ * @returns {Promise<string|null>} Base64 message key, or null if not stored
+ */
+export async function getSkippedMessageKey(id) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SKIPPED_KEYS_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SKIPPED_KEYS_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result ? request.result.messageKey : null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error retrieving skipped message key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cache the decrypted form of a message.
+ * Ratchet message keys are single-use, so history is re-rendered from here.
+ * @param {string} messageId - Server message ID
+ * @param {string} exchangeId - Exchange ID
+ * @param {Object} data - { plaintext } for text, { fileKey } for files
+ * @returns {Promise<void>}
+ */
+export async function storeDecryptedMessage(messageId, exchangeId, data) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([MESSAGE_CACHE_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(MESSAGE_CACHE_STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({
+        messageId: String(messageId),
+        exchangeId,
+        ...data,
+        createdAt: new Date().toISOString()
+      });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error caching decrypted message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieve the cached decrypted form of a message
+ * @param {string} messageId - Server message ID
+ * @returns {Promise<Object|null>} Cached entry, or null if not cached
+ */
+export async function getDecryptedMessage(messageId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([MESSAGE_CACHE_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(MESSAGE_CACHE_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(String(messageId));
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error retrieving cached message:', error);
+    return null;
+  }
+}
+
+/**
+ * Store X3DH prekey pairs (private halves never leave the device)
+ * @param {string} userId - Owner's user ID
+ * @param {string} type - 'signed' or 'one-time'
+ * @param {Array<{keyId: number, privateKey: string, publicKey: string}>} keyPairs - Base64 PKCS#8 / SPKI keys
+ * @returns {Promise<void>}
+ */
+export async function storePreKeyPairs(userId, type, keyPairs) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+
+    for (const keyPair of keyPairs) {
+      store.put({
+        id: `${userId}:${type}:${keyPair.keyId}`,
+        userId: String(userId),
+        type,
+        keyId: keyPair.keyId,
+        privateKey: keyPair.privateKey,
+        publicKey: keyPair.publicKey,
+        createdAt: new Date().toISOString()
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } catch (error) {
+    console.error('Error storing prekeys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieve an X3DH prekey pair
+ * @param {string} userId - Owner's user ID
+ * @param {string} type - 'signed' or 'one-time'
+ * @param {number} keyId - Prekey ID
+ * @returns {Promise<CryptoKeyPair|null>} Key pair, or null if not found
+ */
+export async function getPreKeyPair(userId, type, keyId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+
+    const record = await new Promise((resolve, reject) => {
+      const request = store.get(`${userId}:${type}:${keyId}`);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+
+    if (!record) return null;
+
+    return {
+      privateKey: await importPrivateKey(record.privateKey, 'ECDH', 'P-256'),
+      publicKey: await importPublicKey(record.publicKey, 'ECDH', 'P-256')
+    };
+  } catch (error) {
+    console.error('Error retrieving prekey:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an X3DH prekey pair (one-time prekeys are deleted after use)
+ * @param {string} userId - Owner's user ID
+ * @param {string} type - 'signed' or 'one-time'
+ * @param {number} keyId - Prekey ID
+ * @returns {Promise<void>}
+ */
+export async function deletePreKeyPair(userId, type, keyId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(PREKEY_STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.delete(`${userId}:${type}:${keyId}`);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error deleting prekey:', error);
+    throw error;
+  }
+}
+
+/**
+ * Next unused prekey ID for a user (IDs are shared by signed and one-time prekeys)
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<number>}
+ */
+export async function getNextPreKeyId(userId) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([PREKEY_STORE_NAME], 'readonly');
+    const index = transaction.objectStore(PREKEY_STORE_NAME).index('userId');
+
+    const records = await new Promise((resolve, reject) => {
+      const request = index.getAll(String(userId));
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+
+    return records.reduce((max, record) => Math.max(max, record.keyId), 0) + 1;
+  } catch (error) {
+    console.error('Error reading prekey IDs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieve a group sender key state (ours or another member's)
+ * @param {string} id - Sender key ID (groupId:keyEpoch:senderId)
+ * @returns {Promise<Object|null>} Serialized sender key state, or null if none
+ */
+export async function getSenderKeyState(id) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SENDER_KEY_STORE_NAME], 'readonly');
+    const store = transaction.objectStore(SENDER_KEY_STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error retrieving sender key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a group sender key state
+ * @param {Object} state - Serialized sender key state (keyed by id)
+ * @returns {Promise<void>}
+ */
+export async function saveSenderKeyState(state) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([SENDER_KEY_STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(SENDER_KEY_STORE_NAME);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put({ ...state, updatedAt: new Date().toISOString() });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error saving sender key:', error);
+    throw error;
+  }
+}
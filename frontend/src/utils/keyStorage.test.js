@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { generateRSAKeyPair, generateSigningKeyPair, exportPublicKey, exportPrivateKey } from '@e2ee/crypto';
+import {
+  storePrivateKey,
+  storeSigningKey,
+  getLocalPublicKeys,
+  unlockPrivateKey,
+  getPrivateKey,
+  lockPrivateKeys,
+  storeSessionKey,
+  getSessionKey,
+  getSessionInfo
+} from './keyStorage.js';
+import { createUser, actAs } from '../test/users.js';
+
+describe('identity key storage', () => {
+  let alice;
+
+  beforeAll(async () => {
+    alice = await createUser('alice-storage', 'alice password');
+  });
+
+  it('unlocks the stored keys with the right password', async () => {
+    actAs(alice);
+    lockPrivateKeys();
+    await expect(getPrivateKey(alice.username)).rejects.toThrow('Private key is locked');
+
+    await unlockPrivateKey(alice.username, 'alice password');
+    const { privateKey, signingKey } = await getPrivateKey(alice.username);
+
+    expect(privateKey.extractable).toBe(false);
+    expect(signingKey.usages).toEqual(['sign']);
+  });
+
+  it('refuses the wrong password', async () => {
+    actAs(alice);
+
+    await expect(unlockPrivateKey(alice.username, 'wrong password')).rejects.toThrow('The password may be incorrect');
+  });
+
+  it('derives the public keys of records stored without them at unlock', async () => {
+    const carol = await createUser('carol-storage');
+    actAs(carol);
+    const keyPair = await generateRSAKeyPair(2048);
+    const { keyPair: signingKeyPair, algorithm } = await generateSigningKeyPair();
+    await storePrivateKey(carol.username, await exportPrivateKey(keyPair.privateKey), 'RSA-OAEP', '2048', carol.password);
+    await storeSigningKey(carol.username, await exportPrivateKey(signingKeyPair.privateKey), algorithm, carol.password);
+
+    expect(await getLocalPublicKeys(carol.username)).toBeNull();
+    await unlockPrivateKey(carol.username, carol.password);
+    expect(await getLocalPublicKeys(carol.username)).toEqual({
+      publicKey: await exportPublicKey(keyPair.publicKey),
+      signingPublicKey: await exportPublicKey(signingKeyPair.publicKey)
+    });
+  });
+
+  it('keeps each device separate', async () => {
+    const bob = await createUser('bob-storage');
+
+    actAs(bob);
+    await expect(unlockPrivateKey(alice.username, 'alice password')).rejects.toThrow('Private key not found');
+  });
+});
+
+describe('session key storage', () => {
+  it('round-trips a session key', async () => {
+    const alice = await createUser('alice-sessions');
+    actAs(alice);
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await storeSessionKey('exchange-1', key, 'bob');
+    const stored = await getSessionKey('exchange-1');
+
+    expect(new Uint8Array(await crypto.subtle.exportKey('raw', stored)))
+      .toEqual(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+  });
+
+  it('keeps an expired session key for reading older messages', async () => {
+    const alice = await createUser('alice-expired');
+    actAs(alice);
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await storeSessionKey('exchange-old', key, 'bob', -1);
+
+    await expect(getSessionKey('exchange-old')).resolves.toBeTruthy();
+    expect(new Date((await getSessionInfo('exchange-old')).expiresAt).getTime()).toBeLessThan(Date.now());
+  });
+
+  it('retires the earlier sessions with a user when a new one is stored', async () => {
+    const alice = await createUser('alice-retire');
+    actAs(alice);
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    await storeSessionKey('exchange-first', key, 'bob');
+    await storeSessionKey('exchange-carol', key, 'carol');
+    await storeSessionKey('exchange-second', key, 'bob');
+
+    expect(await getSessionInfo('exchange-first')).toMatchObject({ replacedBy: 'exchange-second', retiredAt: expect.any(String) });
+    expect(await getSessionInfo('exchange-second')).toMatchObject({ replacedBy: null, retiredAt: null });
+    expect(await getSessionInfo('exchange-carol')).toMatchObject({ replacedBy: null, retiredAt: null });
+  });
+});
@@ -1,13 +1,190 @@
 /**
  * Message encryption/decryption utilities
  * Handles E2EE message operations
+ *
+ * Sessions with ratchet state encrypt every message under a one-time Double
+ * Ratchet message key. Those keys are deleted once used, so decrypted
+ * messages (and file keys) are cached locally by message ID. Older sessions
+ * and messages without a ratchet header still use the session key.
+ *
+ * Messages are sent as wire envelopes naming their cipher suite and key
+ * (shared/crypto/wireFormat.js); messages in the older loose-field layout
+ * are still read. Each message is decrypted with the session its key ID
+ * names, so a conversation can span several sessions (sessionManager.js
+ * replaces them as they expire); only the current one sends.
+ *
+ * Ratchet message keys are also wrapped to the other devices of both users
+ * (devices.js). A linked device, which holds no session of its own, reads
+ * through those copies and sends under a fresh random key per message
+ * (SUITE_DEVICE) that only travels wrapped to devices.
  */
 
-import { encryptMessage, decryptMessage, encryptFile, decryptFile } from './crypto.js';
-import { getSessionKey } from './keyStorage.js';
-import { getNextSequenceNumber, generateNonce } from './sequenceManager.js';
+import {
+  encryptMessage,
+  decryptMessage,
+  encryptFile,
+  decryptFile,
+  hashFileChunkDigests,
+  encryptBoundMessage,
+  decryptBoundMessage,
+  readFileManifest,
+  messageEnvelope,
+  sealEnvelope,
+  decodeEnvelope,
+  decodeLegacyFileChunks,
+  unwrapDeviceKey,
+  toBase64,
+  SUITE_RATCHET,
+  SUITE_SESSION_KEY,
+  SUITE_DEVICE
+} from '@e2ee/crypto';
+import { getSessionKey, storeDecryptedMessage, getDecryptedMessage, getDeviceKey } from './keyStorage.js';
+import {
+  hasRatchet,
+  nextSendingKey,
+  withReceivingKey,
+  importMessageKey,
+  encodeRatchetHeader
+} from './ratchet.js';
+import {
+  getNextSequenceNumber,
+  generateNonce,
+  checkReceivedMessage,
+  recordReceivedMessage
+} from './sequenceManager.js';
+import { getCurrentDevice, getVerifiedDevices, wrapForDevices } from './devices.js';
+import { checkSessionWritable, countSentMessage } from './sessionManager.js';
 import api from '../services/api.js';
 
+// Plaintext bytes per encrypted file chunk
+const FILE_CHUNK_SIZE = 1024 * 1024; // 1 MB
+
+// Attempts per chunk before an upload gives up
+const CHUNK_UPLOAD_ATTEMPTS = 3;
+
+/**
+ * Key for the next payload sent over a pairwise session: the next ratchet
+ * message key (never reused), or the session key for sessions without
+ * ratchet state. A linked device without the session uses a random message
+ * key and sends as that device. The message is only counted against the
+ * session once the server accepted it (countSentMessage).
+ * @param {string} exchangeId - Key exchange ID
+ * @returns {Promise<{key: CryptoKey, messageKey?: string, suite: string, header: Object|null, headerData: Uint8Array|null, fromDeviceId?: string}>}
+ * @throws If the session has expired or was replaced (error.sessionReadOnly is set)
+ */
+async function nextSessionKey(exchangeId) {
+  if (await hasRatchet(exchangeId)) {
+    await checkSessionWritable(exchangeId);
+    const { header, messageKey } = await nextSendingKey(exchangeId);
+    return {
+      key: await importMessageKey(messageKey),
+      messageKey,
+      suite: SUITE_RATCHET,
+      header,
+      headerData: encodeRatchetHeader(header)
+    };
+  }
+
+  const device = getCurrentDevice();
+  if (device?.linked && device.status === 'active') {
+    const messageKey = toBase64(window.crypto.getRandomValues(new Uint8Array(32)));
+    return {
+      key: await importMessageKey(messageKey),
+      messageKey,
+      suite: SUITE_DEVICE,
+      header: null,
+      headerData: null,
+      fromDeviceId: device.deviceId
+    };
+  }
+
+  // Legacy session: retrieve session key from IndexedDB
+  await checkSessionWritable(exchangeId);
+  return { key: await getSessionKey(exchangeId), suite: SUITE_SESSION_KEY, header: null, headerData: null };
+}
+
+/**
+ * Fields naming the sending device, for the metadata and the request body
+ * @param {Object} sending - Key from nextSessionKey
+ * @returns {{fromDeviceId?: string}}
+ */
+function sendingDevice(sending) {
+  return sending.fromDeviceId ? { fromDeviceId: sending.fromDeviceId } : {};
+}
+
+/**
+ * Encrypt a payload over a pairwise session (e.g. a sender key distribution),
+ * under the next ratchet message key or the session key. The caller counts
+ * it with countSentMessage once the server accepted it.
+ * @param {string} exchangeId - Key exchange ID
+ * @param {string} plaintext - Payload to encrypt
+ * @returns {Promise<{ciphertext: string, iv: string, tag: string, ratchetHeader?: Object}>}
+ */
+export async function encryptForSession(exchangeId, plaintext) {
+  const { key, header, headerData } = await nextSessionKey(exchangeId);
+  const { ciphertext, iv, tag } = await encryptMessage(plaintext, key, headerData);
+  return { ciphertext, iv, tag, ratchetHeader: header ?? undefined };
+}
+
+/**
+ * Encrypt a message (text or file manifest) into a wire envelope, with its
+ * metadata and the envelope's suite and key ID bound as additional data.
+ * One-time message keys are wrapped to the devices of sender and recipient.
+ * @param {Object} sending - Key from nextSessionKey
+ * @param {string} exchangeId - Key exchange ID (the envelope's key ID)
+ * @param {string} plaintext - Payload to encrypt
+ * @param {Object} metadata - Message metadata to bind (fromUserId, toUserId, ...)
+ * @returns {Promise<Object>} Envelope for /messages/send
+ */
+async function encryptEnvelope(sending, exchangeId, plaintext, metadata) {
+  const envelope = messageEnvelope({ suite: sending.suite, keyId: exchangeId, header: sending.header });
+  const encrypted = await encryptBoundMessage(
+    plaintext,
+    sending.key,
+    { ...metadata, ...sendingDevice(sending), envelope },
+    sending.headerData
+  );
+  const sealed = sealEnvelope(envelope, encrypted);
+
+  if (!sending.messageKey) {
+    return sealed;
+  }
+
+  let deviceKeys = [];
+  try {
+    deviceKeys = await wrapForDevices(sending.messageKey, [metadata.toUserId, metadata.fromUserId], envelope);
+  } catch (error) {
+    // The session itself still reaches the recipient; only other devices miss out
+    if (sending.suite === SUITE_DEVICE) throw error;
+    console.error('Error wrapping message key for devices:', error);
+  }
+
+  if (sending.suite === SUITE_DEVICE && deviceKeys.length === 0) {
+    throw new Error('No device to encrypt the message to');
+  }
+  return deviceKeys.length > 0 ? { ...sealed, deviceKeys } : sealed;
+}
+
+/**
+ * Decrypt a payload produced by encryptForSession on the other side.
+ * Ratchet payloads consume their message key, so callers must keep the result.
+ * @param {string} exchangeId - Key exchange ID
+ * @param {{ciphertext: string, iv: string, tag: string, ratchetHeader?: Object}} payload - Encrypted payload
+ * @returns {Promise<string>} Plaintext
+ */
+export async function decryptFromSession(exchangeId, payload) {
+  const { ciphertext, iv, tag, ratchetHeader } = payload;
+
+  if (ratchetHeader?.dh) {
+    return withReceivingKey(exchangeId, ratchetHeader, async (messageKey) => {
+      const key = await importMessageKey(messageKey);
+      return decryptMessage(ciphertext, iv, tag, key, encodeRatchetHeader(ratchetHeader));
+    });
+  }
+
+  return decryptMessage(ciphertext, iv, tag, await getSessionKey(exchangeId));
+}
+
 /**
  * Send an encrypted message
  * @param {string} fromUserId - Sender's user ID
@@ -18,30 +195,40 @@ import api from '../services/api.js';
  */
 export async function sendEncryptedMessage(fromUserId, toUserId, plaintext, exchangeId) {
   try {
-    // Retrieve session key from IndexedDB
-    const sessionKey = await getSessionKey(exchangeId);
-    
-    // Encrypt the message
-    const { ciphertext, iv, tag } = await encryptMessage(plaintext, sessionKey);
-    
     // Get sequence number and generate nonce for replay protection
     const sequenceNumber = await getNextSequenceNumber(exchangeId, fromUserId, toUserId);
     const nonce = generateNonce();
     const timestamp = Date.now();
+
+    // Encrypt the message, binding its metadata
+    const sending = await nextSessionKey(exchangeId);
+    const envelope = await encryptEnvelope(sending, exchangeId, plaintext, {
+      fromUserId,
+      toUserId,
+      sequenceNumber,
+      nonce,
+      timestamp,
+      messageType: 'text'
+    });
     
     // Send encrypted message to server
     const response = await api.post('/messages/send', {
       fromUserId,
       toUserId,
       exchangeId,
-      ciphertext,
-      iv,
-      tag,
+      envelope,
       timestamp,
       messageType: 'text',
       sequenceNumber,
-      nonce
+      nonce,
+      ...sendingDevice(sending)
     });
+    await countSentMessage(exchangeId);
+
+    // Our own message key is gone after sending; keep the plaintext for display
+    if (sending.messageKey && response.data.message?._id) {
+      await storeDecryptedMessage(response.data.message._id, exchangeId, { plaintext });
+    }
     
     return response.data;
   } catch (error) {
@@ -50,18 +237,348 @@ export async function sendEncryptedMessage(fromUserId, toUserId, plaintext, exch
   }
 }
 
+/**
+ * A received message with its encrypted fields read from whichever wire
+ * format it uses, checked before any key is used
+ * @param {Object} msg - Message as returned by the API
+ * @returns {Object} The message with header, ciphertext, iv, tag and
+ *   sealedMetadata (see decodeEnvelope), or header and chunks for a file
+ *   sent inline before chunked uploads
+ */
+function readWireMessage(msg) {
+  if (msg.messageType === 'file' && !msg.fileId) {
+    return { ...msg, header: msg.ratchetHeader ?? null, chunks: decodeLegacyFileChunks(msg) };
+  }
+  return { ...msg, ...decodeEnvelope(msg) };
+}
+
+/**
+ * Session a received message is encrypted under: the key ID its envelope
+ * names (bound to the ciphertext), or the exchange it was sent on
+ * @param {Object} msg - Message as returned by the API
+ * @param {string} exchangeId - Exchange for messages that name neither
+ * @returns {string} Exchange ID
+ */
+function messageKeyId(msg, exchangeId) {
+  return msg.envelope?.keyId || msg.exchangeId || exchangeId;
+}
+
+/**
+ * Session key of a session, looked up once per listing
+ * @param {Map<string, Promise<CryptoKey|null>>} sessionKeys - Keys looked up so far
+ * @param {string} keyId - Session's exchange ID
+ * @returns {Promise<CryptoKey|null>} null if this device does not hold the session (a linked device)
+ */
+function sessionKeyFor(sessionKeys, keyId) {
+  if (!sessionKeys.has(keyId)) {
+    sessionKeys.set(keyId, getSessionKey(keyId).catch(() => null));
+  }
+  return sessionKeys.get(keyId);
+}
+
+/**
+ * Derive the ratchet message key for a received message and decrypt it.
+ * Text messages yield their plaintext; file messages yield the file key,
+ * checked against the encrypted file manifest (or, for files sent inline,
+ * the first chunk) so the ratchet only advances for authentic data.
+ * @param {Object} msg - Received message from readWireMessage, with a ratchet header
+ * @param {string} exchangeId - Key exchange ID
+ * @returns {Promise<Object>} Cache entry ({plaintext} or {fileKey})
+ */
+async function decryptRatchetMessage(msg, exchangeId) {
+  const additionalData = encodeRatchetHeader(msg.header);
+
+  return withReceivingKey(exchangeId, msg.header, async (messageKey) => {
+    const key = await importMessageKey(messageKey);
+
+    if (msg.messageType === 'file' && msg.fileId) {
+      await readFileManifest(msg, key, additionalData);
+      return { fileKey: messageKey };
+    }
+
+    if (msg.messageType === 'file') {
+      const [firstChunk] = msg.chunks;
+      await decryptMessage(firstChunk.ciphertext, firstChunk.iv, firstChunk.tag, key, additionalData);
+      return { fileKey: messageKey };
+    }
+
+    const plaintext = await decryptBoundMessage(msg, key, additionalData);
+    return { plaintext };
+  });
+}
+
+/**
+ * Decrypt a message with the copy of its key wrapped for this device
+ * @param {Object} msg - Received message from readWireMessage
+ * @throws If the copy is not from a certified device of the sender or does not unwrap
+ * @returns {Promise<Object|null>} Cache entry ({plaintext} or {fileKey}), or
+ *   null if the message has no copy for this device
+ */
+async function decryptDeviceCopy(msg) {
+  const device = getCurrentDevice();
+  const deviceKey = device && getDeviceKey(device.username);
+  if (!deviceKey || !msg.deviceKeys?.length) {
+    return null;
+  }
+
+  const copy = msg.deviceKeys.find(entry => entry.deviceId === deviceKey.deviceId);
+  if (!copy) {
+    return null;
+  }
+
+  // Only copies made by a certified device of the sender unwrap
+  const senderDevices = await getVerifiedDevices(String(msg.fromUserId));
+  const rawKey = await unwrapDeviceKey([copy], deviceKey, senderDevices, msg);
+
+  const messageKey = toBase64(rawKey);
+  const key = await importMessageKey(messageKey);
+  const additionalData = msg.header ? encodeRatchetHeader(msg.header) : null;
+
+  if (msg.messageType === 'file') {
+    await readFileManifest(msg, key, additionalData);
+    return { fileKey: messageKey };
+  }
+  return { plaintext: await decryptBoundMessage(msg, key, additionalData) };
+}
+
+/**
+ * Key material of a message sent under a one-time key: cached when it was
+ * first read, derived from the ratchet if this device holds the session, or
+ * unwrapped from this device's copy
+ * @param {Object} wire - Received message from readWireMessage
+ * @param {string} exchangeId - Key exchange ID
+ * @param {boolean} isOwn - Whether we sent the message
+ * @returns {Promise<Object|null>} Cache entry, or null if this device cannot read the message
+ */
+async function oneTimeKeyEntry(wire, exchangeId, isOwn) {
+  const cached = await getDecryptedMessage(wire._id);
+  if (cached) {
+    return cached;
+  }
+
+  const entry = wire.header && !isOwn && await hasRatchet(exchangeId)
+    ? await decryptRatchetMessage(wire, exchangeId)
+    : await decryptDeviceCopy(wire);
+
+  if (entry) {
+    await storeDecryptedMessage(wire._id, exchangeId, entry);
+  }
+  return entry;
+}
+
+/**
+ * Authenticate a file message sent under a session key by decrypting its
+ * manifest (or, for files sent inline, the first chunk), so a forged file
+ * message cannot advance the receive window. The file itself is decrypted
+ * on download.
+ * @param {Object} wire - Received message from readWireMessage
+ * @param {CryptoKey} sessionKey - Session key
+ * @returns {Promise<void>}
+ * @throws If the message was not encrypted under the session key as it reads
+ */
+async function authenticateFileMessage(wire, sessionKey) {
+  if (wire.fileId) {
+    await readFileManifest(wire, sessionKey);
+    return;
+  }
+  const [firstChunk] = wire.chunks;
+  await decryptMessage(firstChunk.ciphertext, firstChunk.iv, firstChunk.tag, sessionKey);
+}
+
+/**
+ * Placeholder for a message this device has no key for (sent before it was
+ * linked, from another session before the plaintext was cached, ...)
+ * @param {Object} msg - Received message
+ * @param {boolean} isOwn - Whether we sent the message
+ * @returns {Object}
+ */
+function unavailableMessage(msg, isOwn) {
+  let plaintext = isOwn ? '[Sent message not available on this device]' : '[Message not available on this device]';
+  if (msg.messageType === 'file') {
+    plaintext = `📎 ${msg.fileName || 'File'}`;
+  }
+  return { ...msg, plaintext, isOwn, unavailable: true };
+}
+
+/**
+ * Report a duplicated, replayed or out-of-order message to the security log
+ * @param {Object} msg - Received message
+ * @param {string} exchangeId - Key exchange ID
+ * @param {string} currentUserId - Current user's ID
+ * @param {string} verdict - Verdict from checkReceivedMessage
+ */
+async function reportReceiveAnomaly(msg, exchangeId, currentUserId, verdict) {
+  const outOfOrder = verdict === 'out-of-order';
+
+  try {
+    await api.post('/security-logs', {
+      eventType: outOfOrder ? 'INVALID_SEQUENCE' : 'REPLAY_ATTACK_DETECTED',
+      severity: outOfOrder ? 'WARNING' : 'CRITICAL',
+      userId: currentUserId,
+      details: {
+        detectedBy: 'client',
+        verdict,
+        messageId: msg._id,
+        exchangeId,
+        fromUserId: msg.fromUserId?._id || msg.fromUserId,
+        sequenceNumber: msg.sequenceNumber,
+        nonce: msg.nonce
+      },
+      success: false,
+      errorMessage: outOfOrder
+        ? 'Message received out of order'
+        : `Message rejected by client: ${verdict}`
+    });
+  } catch (logError) {
+    console.error('Failed to log replay detection:', logError);
+  }
+}
+
+/**
+ * Decrypt one message fetched from the server (or pushed over the socket)
+ * with the session its key ID names
+ * @param {Object} received - Encrypted message as returned by the API
+ * @param {Map} sessionKeys - Session keys looked up so far (see sessionKeyFor)
+ * @param {string} exchangeId - Key exchange ID (for messages that name no key)
+ * @param {string} currentUserId - Current user's ID
+ * @returns {Promise<Object>} Message with plaintext, isOwn and keyId added
+ */
+async function decryptForDisplay(received, sessionKeys, exchangeId, currentUserId) {
+  const keyId = messageKeyId(received, exchangeId);
+  const msg = { ...received, keyId };
+  const isOwn = msg.fromUserId._id === currentUserId || msg.fromUserId === currentUserId;
+
+  // The server could redeliver old ciphertext: check incoming messages ourselves
+  const check = isOwn ? null : await checkReceivedMessage(keyId, msg);
+  const replayStatus = check && check.verdict !== 'ok' ? check.verdict : undefined;
+  if (replayStatus && check.isNew) {
+    await reportReceiveAnomaly(msg, keyId, currentUserId, replayStatus);
+  }
+
+  // Duplicates and replays are not decrypted (or allowed to touch ratchet state)
+  if (replayStatus === 'duplicate' || replayStatus === 'replay') {
+    if (check.isNew) {
+      await recordReceivedMessage(keyId, msg, replayStatus);
+    }
+    return {
+      ...msg,
+      plaintext: replayStatus === 'duplicate' ? '[Duplicate message blocked]' : '[Replayed message blocked]',
+      isOwn,
+      replayStatus
+    };
+  }
+
+  try {
+    let entry = null;
+    let sessionKey = null;
+    const wire = readWireMessage(msg);
+
+    if (wire.header || wire.suite === SUITE_DEVICE) {
+      entry = await oneTimeKeyEntry(wire, keyId, isOwn);
+      if (!entry) {
+        return unavailableMessage(msg, isOwn);
+      }
+    } else {
+      sessionKey = await sessionKeyFor(sessionKeys, keyId);
+      if (!sessionKey) {
+        return unavailableMessage(msg, isOwn);
+      }
+    }
+
+    // File contents are decrypted on download; the manifest authenticates the message
+    if (msg.messageType === 'file') {
+      if (!entry) {
+        await authenticateFileMessage(wire, sessionKey);
+      }
+      if (check?.isNew) {
+        await recordReceivedMessage(keyId, msg, check.verdict);
+      }
+      return {
+        ...msg,
+        plaintext: `📎 ${msg.fileName || 'File'}`,
+        isOwn,
+        replayStatus
+      };
+    }
+
+    const plaintext = entry
+      ? entry.plaintext
+      : await decryptBoundMessage(wire, sessionKey);
+
+    // Authenticated: now it may advance the receive window
+    if (check?.isNew) {
+      await recordReceivedMessage(keyId, msg, check.verdict);
+    }
+    
+    return {
+      ...msg,
+      plaintext, // Add decrypted text
+      isOwn,
+      replayStatus
+    };
+  } catch (error) {
+    console.error('Error decrypting message:', error);
+    
+    // Log decryption failure or tampering (client-side logging)
+    try {
+      await api.post('/security-logs', {
+        eventType: error.tampered ? 'MESSAGE_TAMPERED' : 'DECRYPTION_FAILURE',
+        severity: error.tampered ? 'CRITICAL' : 'WARNING',
+        userId: currentUserId,
+        details: {
+          messageId: msg._id,
+          exchangeId: keyId,
+          alteredFields: error.alteredFields,
+          error: error.message
+        },
+        success: false,
+        errorMessage: error.message
+      });
+    } catch (logError) {
+      console.error('Failed to log decryption error:', logError);
+    }
+
+    if (error.tampered) {
+      return {
+        ...msg,
+        plaintext: '[Message was tampered with]',
+        isOwn,
+        tampered: true,
+        alteredFields: error.alteredFields
+      };
+    }
+
+    if (error.unsupportedVersion || error.unsupportedSuite) {
+      return {
+        ...msg,
+        plaintext: '[Message uses a newer format. Update the app to read it.]',
+        isOwn,
+        decryptionError: true
+      };
+    }
+    
+    return {
+      ...msg,
+      plaintext: '[Unable to decrypt message]',
+      isOwn,
+      decryptionError: true
+    };
+  }
+}
+
 /**
  * Get and decrypt messages between two users
+ * Each message is decrypted with the session it names, expired ones included.
  * @param {string} userId1 - First user ID
  * @param {string} userId2 - Second user ID
- * @param {string} exchangeId - Key exchange ID (used to retrieve session key)
+ * @param {string|null} exchangeId - Current key exchange ID (for messages that name no key)
  * @param {string} currentUserId - Current user's ID (to determine if message is incoming or outgoing)
  * @returns {Promise<Array>} Array of decrypted messages
  */
 export async function getAndDecryptMessages(userId1, userId2, exchangeId, currentUserId) {
   try {
-    // Retrieve session key from IndexedDB
-    const sessionKey = await getSessionKey(exchangeId);
+    // Session keys are read from IndexedDB as needed (a linked device has none)
+    const sessionKeys = new Map();
     
     // Get encrypted messages from server (pass currentUserId to log MESSAGE_RECEIVED)
     const response = await api.get(`/messages/${userId1}/${userId2}`, {
@@ -69,62 +586,11 @@ export async function getAndDecryptMessages(userId1, userId2, exchangeId, curren
     });
     const encryptedMessages = response.data.messages;
     
-    // Decrypt each message
-    const decryptedMessages = await Promise.all(
-      encryptedMessages.map(async (msg) => {
-        // Skip decryption for file messages (they're decrypted on download)
-        if (msg.messageType === 'file') {
-          return {
-            ...msg,
-            plaintext: `📎 ${msg.fileName || 'File'}`,
-            isOwn: msg.fromUserId._id === currentUserId || msg.fromUserId === currentUserId
-          };
-        }
-        
-        // Decrypt text messages
-        try {
-          const plaintext = await decryptMessage(
-            msg.ciphertext,
-            msg.iv,
-            msg.tag,
-            sessionKey
-          );
-          
-          return {
-            ...msg,
-            plaintext, // Add decrypted text
-            isOwn: msg.fromUserId._id === currentUserId || msg.fromUserId === currentUserId
-          };
-        } catch (error) {
-          console.error('Error decrypting message:', error);
-          
-          // Log decryption failure (client-side logging)
-          try {
-            await api.post('/security-logs', {
-              eventType: 'DECRYPTION_FAILURE',
-              severity: 'WARNING',
-              userId: currentUserId,
-              details: {
-                messageId: msg._id,
-                exchangeId,
-                error: error.message
-              },
-              success: false,
-              errorMessage: error.message
-            });
-          } catch (logError) {
-            console.error('Failed to log decryption error:', logError);
-          }
-          
-          return {
-            ...msg,
-            plaintext: '[Unable to decrypt message]',
-            isOwn: msg.fromUserId._id === currentUserId || msg.fromUserId === currentUserId,
-            decryptionError: true
-          };
-        }
-      })
-    );
+    // Decrypt in order: ratchet chains must advance in message order
+    const decryptedMessages = [];
+    for (const msg of encryptedMessages) {
+      decryptedMessages.push(await decryptForDisplay(msg, sessionKeys, exchangeId, currentUserId));
+    }
     
     return decryptedMessages;
   } catch (error) {
@@ -133,6 +599,17 @@ export async function getAndDecryptMessages(userId1, userId2, exchangeId, curren
   }
 }
 
+/**
+ * Decrypt a single message received in real time
+ * @param {Object} msg - Encrypted message from the 'message:new' socket event
+ * @param {string|null} exchangeId - Current key exchange ID (for messages that name no key)
+ * @param {string} currentUserId - Current user's ID
+ * @returns {Promise<Object>} Decrypted message
+ */
+export async function decryptIncomingMessage(msg, exchangeId, currentUserId) {
+  return decryptForDisplay(msg, new Map(), exchangeId, currentUserId);
+}
+
 /**
  * Mark message as read
  * @param {string} messageId - Message ID
@@ -147,98 +624,225 @@ export async function markMessageAsRead(messageId, userId) {
   }
 }
 
+/**
+ * Upload one encrypted chunk, retrying on failure
+ * Before each retry the server is asked which chunks it already has, so a
+ * chunk that arrived despite a failed response is not sent again.
+ * @param {string} fileId - Upload ID
+ * @param {number} chunkIndex - Chunk index
+ * @param {Uint8Array} data - Encrypted chunk (IV || ciphertext || tag)
+ * @param {Function} onProgress - Called with the fraction of this chunk sent
+ */
+async function uploadFileChunk(fileId, chunkIndex, data, onProgress) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await api.put(`/files/${fileId}/chunks/${chunkIndex}`, data, {
+        headers: { 'Content-Type': 'application/octet-stream' },
+        onUploadProgress: (event) => {
+          if (event.total) onProgress(event.loaded / event.total);
+        }
+      });
+      return;
+    } catch (error) {
+      if (attempt >= CHUNK_UPLOAD_ATTEMPTS || (error.response && error.response.status < 500)) {
+        throw error;
+      }
+
+      try {
+        const status = await api.get(`/files/${fileId}`);
+        if (status.data.file.receivedChunks.includes(chunkIndex)) return;
+      } catch (statusError) {
+        console.error('Error checking upload status:', statusError);
+      }
+    }
+  }
+}
+
 /**
  * Send an encrypted file
+ * The file is encrypted and uploaded one chunk at a time to /api/files
+ * (stored in GridFS), each chunk bound to its position in the file. The
+ * message itself carries only an encrypted manifest of the upload (file ID,
+ * chunk count and content hash) under the same key.
  * @param {string} fromUserId - Sender's user ID
  * @param {string} toUserId - Recipient's user ID
  * @param {File} file - File to encrypt and send
  * @param {string} exchangeId - Key exchange ID (used to retrieve session key)
- * @param {Function} progressCallback - Optional callback for upload progress
+ * @param {Function} progressCallback - Optional callback for upload progress (0-100)
  * @returns {Promise<Object>} Sent message response
  */
 export async function sendEncryptedFile(fromUserId, toUserId, file, exchangeId, progressCallback) {
+  let fileId = null;
+  let uploaded = false;
+
   try {
-    // Retrieve session key from IndexedDB
-    const sessionKey = await getSessionKey(exchangeId);
-    
-    // Encrypt the file (with chunking)
-    const { chunks, fileName, fileType, fileSize, totalChunks } = await encryptFile(file, sessionKey);
-    
-    // Report progress
-    if (progressCallback) {
-      progressCallback(50); // Encryption complete
+    // One ratchet message key (or the session key) covers every chunk of the file
+    const sending = await nextSessionKey(exchangeId);
+
+    const fileName = file.name;
+    const fileType = file.type || 'application/octet-stream';
+    const fileSize = file.size;
+    const totalChunks = Math.max(1, Math.ceil(fileSize / FILE_CHUNK_SIZE));
+
+    const uploadResponse = await api.post('/files', {
+      toUserId,
+      exchangeId,
+      fileName,
+      fileType,
+      fileSize,
+      chunkSize: FILE_CHUNK_SIZE,
+      totalChunks
+    });
+    fileId = uploadResponse.data.file.fileId;
+
+    // Encrypt and upload one chunk at a time, reporting bytes actually sent
+    let sentBytes = 0;
+    const chunkDigests = [];
+    for await (const chunk of encryptFile(file, sending.key, FILE_CHUNK_SIZE, fileId, sending.headerData)) {
+      await uploadFileChunk(fileId, chunk.chunkIndex, chunk.data, (fraction) => {
+        if (progressCallback && fileSize > 0) {
+          progressCallback(Math.round(((sentBytes + fraction * chunk.size) / fileSize) * 100));
+        }
+      });
+      sentBytes += chunk.size;
+      chunkDigests.push(chunk.digest);
     }
-    
+
+    await api.post(`/files/${fileId}/complete`);
+    uploaded = true;
+
+    // The message carries the encrypted manifest of the upload
+    const manifest = {
+      fileId,
+      fileName,
+      fileType,
+      fileSize,
+      chunkSize: FILE_CHUNK_SIZE,
+      totalChunks,
+      contentHash: await hashFileChunkDigests(chunkDigests)
+    };
+
     // Get sequence number and generate nonce for replay protection
     const sequenceNumber = await getNextSequenceNumber(exchangeId, fromUserId, toUserId);
     const nonce = generateNonce();
     const timestamp = Date.now();
-    
-    // Send encrypted file to server
+
+    // Bind the message metadata to the manifest (chunks are bound to the file ID)
+    const metadata = { fromUserId, toUserId, sequenceNumber, nonce, timestamp, messageType: 'file' };
+    const envelope = await encryptEnvelope(sending, exchangeId, JSON.stringify(manifest), metadata);
+
     const response = await api.post('/messages/send', {
       fromUserId,
       toUserId,
       exchangeId,
-      ciphertext: JSON.stringify(chunks), // Store chunks as JSON string
-      iv: chunks[0]?.iv || '', // First chunk's IV (for compatibility)
-      tag: chunks[0]?.tag || '', // First chunk's tag (for compatibility)
+      envelope,
       timestamp,
       messageType: 'file',
+      fileId,
       fileName,
       fileType,
       fileSize,
       totalChunks,
       sequenceNumber,
-      nonce
+      nonce,
+      ...sendingDevice(sending)
     });
-    
-    // Report progress
+    await countSentMessage(exchangeId);
+
+    // Keep the file key so we can still download our own upload
+    if (sending.messageKey && response.data.message?._id) {
+      await storeDecryptedMessage(response.data.message._id, exchangeId, { fileKey: sending.messageKey });
+    }
+
     if (progressCallback) {
-      progressCallback(100); // Upload complete
+      progressCallback(100);
     }
-    
+
     return response.data;
   } catch (error) {
     console.error('Error sending encrypted file:', error);
+
+    // Don't leave a half-finished upload behind
+    if (fileId && !uploaded) {
+      api.delete(`/files/${fileId}`).catch(abortError => {
+        console.error('Error aborting upload:', abortError);
+      });
+    }
     throw error;
   }
 }
 
+/**
+ * Fetch a chunked file's encrypted chunks from the server, in order
+ * @param {Object} manifest - Decrypted file manifest (fileId, totalChunks)
+ * @param {Function} progressCallback - Optional callback for download progress (0-100)
+ * @yields {ArrayBuffer} Encrypted chunk (IV || ciphertext || tag)
+ */
+async function* fetchFileChunks(manifest, progressCallback) {
+  const { fileId, totalChunks } = manifest;
+
+  for (let i = 0; i < totalChunks; i++) {
+    const response = await api.get(`/files/${fileId}/chunks/${i}`, {
+      responseType: 'arraybuffer'
+    });
+
+    if (progressCallback) {
+      progressCallback(Math.round(((i + 1) / totalChunks) * 100));
+    }
+
+    yield response.data;
+  }
+}
+
 /**
  * Get and decrypt a file message
- * @param {Object} message - Message object containing encrypted file data
- * @param {string} exchangeId - Key exchange ID (used to retrieve session key)
+ * Chunked uploads are downloaded and decrypted one chunk at a time and
+ * rejected unless every chunk matches its position in the encrypted
+ * manifest; older file messages carry their chunks inline.
+ * @param {Object} message - Message object containing encrypted file data (as listed, with isOwn)
+ * @param {string|null} exchangeId - Current key exchange ID (for messages that name no key)
+ * @param {Function} progressCallback - Optional callback for download progress (0-100)
  * @returns {Promise<Blob>} Decrypted file as Blob
  */
-export async function getAndDecryptFile(message, exchangeId) {
+export async function getAndDecryptFile(message, exchangeId, progressCallback) {
   try {
-    // Retrieve session key from IndexedDB
-    const sessionKey = await getSessionKey(exchangeId);
-    
-    // Parse chunks from ciphertext
-    let chunks;
-    if (typeof message.ciphertext === 'string') {
-      try {
-        chunks = JSON.parse(message.ciphertext);
-      } catch (e) {
-        // If parsing fails, assume it's a single chunk (backward compatibility)
-        chunks = [{
-          chunkIndex: 0,
-          ciphertext: message.ciphertext,
-          iv: message.iv,
-          tag: message.tag
-        }];
+    let decryptionKey;
+    let additionalData = null;
+    const keyId = messageKeyId(message, exchangeId);
+    const wire = readWireMessage(message);
+
+    if (wire.header || wire.suite === SUITE_DEVICE) {
+      // File key was derived (and cached) when the message was first listed
+      const entry = await oneTimeKeyEntry(wire, keyId, Boolean(message.isOwn));
+      if (!entry?.fileKey) {
+        throw new Error('File is not available on this device');
       }
+      decryptionKey = await importMessageKey(entry.fileKey);
+      additionalData = wire.header ? encodeRatchetHeader(wire.header) : null;
     } else {
-      chunks = message.ciphertext;
+      // Retrieve session key from IndexedDB
+      decryptionKey = await getSessionKey(keyId);
     }
-    
-    // Decrypt the file
+
+    if (!message.fileId) {
+      return await decryptFile(
+        wire.chunks,
+        decryptionKey,
+        message.fileName || 'file',
+        message.fileType || 'application/octet-stream',
+        additionalData
+      );
+    }
+
+    // Chunk count, order and content come from the manifest, not the server
+    const manifest = await readFileManifest(wire, decryptionKey, additionalData);
     const decryptedBlob = await decryptFile(
-      chunks,
-      sessionKey,
-      message.fileName || 'file',
-      message.fileType || 'application/octet-stream'
+      fetchFileChunks(manifest, progressCallback),
+      decryptionKey,
+      manifest.fileName || 'file',
+      manifest.fileType || 'application/octet-stream',
+      additionalData,
+      manifest
     );
     
     return decryptedBlob;
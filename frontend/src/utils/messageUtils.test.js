@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import {
+  sendEncryptedMessage,
+  getAndDecryptMessages,
+  decryptIncomingMessage,
+  sendEncryptedFile,
+  getAndDecryptFile
+} from './messageUtils.js';
+import { SUITE_SESSION_KEY } from '@e2ee/crypto';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, actAs, establishSession } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+/**
+ * Message as stored on the fake server
+ * @param {string} messageId - Message ID
+ * @returns {Object}
+ */
+function storedMessage(messageId) {
+  return fakeServerState().messages.find(m => m._id === messageId);
+}
+
+describe('messages over an established session', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+  });
+
+  it('delivers text in both directions', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    await sendEncryptedMessage(alice.id, bob.id, 'Hi Bob', exchangeId);
+    await sendEncryptedMessage(alice.id, bob.id, 'Are you there?', exchangeId);
+
+    actAs(bob);
+    let messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob', 'Are you there?']);
+    await sendEncryptedMessage(bob.id, alice.id, 'Yes!', exchangeId);
+
+    actAs(alice);
+    messages = await getAndDecryptMessages(alice.id, bob.id, exchangeId, alice.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['Hi Bob', 'Are you there?', 'Yes!']);
+    expect(messages.map(m => m.isOwn)).toEqual([true, true, false]);
+  });
+
+  it('never sends plaintext to the server', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'top secret plans', exchangeId);
+
+    expect(JSON.stringify(storedMessage(message._id))).not.toContain('top secret');
+  });
+
+  it('decrypts messages that arrive out of order', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const first = await sendEncryptedMessage(alice.id, bob.id, 'first', exchangeId);
+    const second = await sendEncryptedMessage(alice.id, bob.id, 'second', exchangeId);
+
+    actAs(bob);
+    const later = await decryptIncomingMessage(storedMessage(second.message._id), exchangeId, bob.id);
+    const earlier = await decryptIncomingMessage(storedMessage(first.message._id), exchangeId, bob.id);
+
+    expect(later.plaintext).toBe('second');
+    expect(earlier.plaintext).toBe('first');
+    expect(earlier.replayStatus).toBe('out-of-order');
+  });
+
+  it('detects metadata altered by the server', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'pay 10', exchangeId);
+    storedMessage(message._id).timestamp += 60 * 60 * 1000;
+
+    actAs(bob);
+    const received = await decryptIncomingMessage(storedMessage(message._id), exchangeId, bob.id);
+
+    expect(received.tampered).toBe(true);
+    expect(received.alteredFields).toEqual(['timestamp']);
+  });
+
+  it('blocks a redelivered copy of a message', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'once', exchangeId);
+
+    actAs(bob);
+    const original = storedMessage(message._id);
+    expect((await decryptIncomingMessage(original, exchangeId, bob.id)).plaintext).toBe('once');
+
+    const copy = await decryptIncomingMessage({ ...original, _id: 'replayed-copy' }, exchangeId, bob.id);
+    expect(copy.replayStatus).toBe('duplicate');
+    expect(copy.plaintext).toBe('[Duplicate message blocked]');
+  });
+
+  it('does not let a forged file message advance the receive window', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'template', exchangeId);
+    const stored = storedMessage(message._id);
+    const forged = {
+      ...stored,
+      _id: 'forged-file',
+      messageType: 'file',
+      fileId: 'forged-file',
+      fileName: 'invoice.pdf',
+      sequenceNumber: stored.sequenceNumber + 1000000,
+      nonce: 'forged-nonce',
+      envelope: { ...stored.envelope, suite: SUITE_SESSION_KEY, header: null }
+    };
+
+    actAs(bob);
+    expect((await decryptIncomingMessage(forged, exchangeId, bob.id)).decryptionError).toBe(true);
+
+    actAs(alice);
+    const next = await sendEncryptedMessage(alice.id, bob.id, 'still readable', exchangeId);
+    actAs(bob);
+    const received = await decryptIncomingMessage(storedMessage(next.message._id), exchangeId, bob.id);
+    expect(received.replayStatus).toBeUndefined();
+    expect(received.plaintext).toBe('still readable');
+  });
+
+  it('refuses a wire format it does not know without using up a key', async () => {
+    const exchangeId = await establishSession(alice, bob);
+
+    actAs(alice);
+    const { message } = await sendEncryptedMessage(alice.id, bob.id, 'from the future', exchangeId);
+    const stored = storedMessage(message._id);
+
+    actAs(bob);
+    const unreadable = await decryptIncomingMessage({ ...stored, envelope: { ...stored.envelope, version: 99 } }, exchangeId, bob.id);
+    expect(unreadable.plaintext).toBe('[Message uses a newer format. Update the app to read it.]');
+
+    expect((await decryptIncomingMessage(stored, exchangeId, bob.id)).plaintext).toBe('from the future');
+  });
+});
+
+describe('files over an established session', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice-files');
+    bob = await createUser('bob-files');
+  });
+
+  it('round-trips a multi-chunk file', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    // Just over two 1 MB chunks
+    const content = new Uint8Array(2 * 1024 * 1024 + 10).map((_, i) => i % 251);
+    const file = new File([content], 'report.pdf', { type: 'application/pdf' });
+
+    actAs(alice);
+    const progress = [];
+    const { message } = await sendEncryptedFile(alice.id, bob.id, file, exchangeId, value => progress.push(value));
+    expect(progress.at(-1)).toBe(100);
+
+    const stored = storedMessage(message._id);
+    expect(fakeServerState().files.get(stored.fileId).chunks.size).toBe(3);
+
+    actAs(bob);
+    const [listed] = (await getAndDecryptMessages(alice.id, bob.id, exchangeId, bob.id))
+      .filter(m => m._id === message._id);
+    expect(listed.plaintext).toBe('📎 report.pdf');
+
+    const blob = await getAndDecryptFile(stored, exchangeId);
+    expect(blob.type).toBe('application/pdf');
+    expect(new Uint8Array(await blob.arrayBuffer())).toEqual(content);
+  });
+
+  it('rejects a file whose chunks were swapped on the server', async () => {
+    const exchangeId = await establishSession(alice, bob);
+    const content = new Uint8Array(2 * 1024 * 1024).map((_, i) => i % 7);
+
+    actAs(alice);
+    const { message } = await sendEncryptedFile(alice.id, bob.id, new File([content], 'a.bin'), exchangeId);
+
+    const { chunks } = fakeServerState().files.get(storedMessage(message._id).fileId);
+    const first = chunks.get(0);
+    chunks.set(0, chunks.get(1));
+    chunks.set(1, first);
+
+    actAs(bob);
+    await expect(getAndDecryptFile(storedMessage(message._id), exchangeId)).rejects.toThrow('Failed to decrypt file');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * X3DH prekey management
+ * Generates, signs and uploads the prekeys other users need to start a
+ * session with us while we are offline. Private halves stay in IndexedDB.
+ */
+
+import { generateECCKeyPair, exportPublicKey, exportPrivateKey } from '@e2ee/crypto';
+import { storePreKeyPairs, getPreKeyPair, getNextPreKeyId } from './keyStorage.js';
+import { signMessage, signedPreKeyMessage } from './keyExchange.js';
+import api from '../services/api.js';
+
+// One-time prekeys uploaded per replenish
+const ONE_TIME_PREKEY_BATCH = 50;
+
+// Signed prekey is rotated after this age
+const SIGNED_PREKEY_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Generate serialized ECDH prekey pairs with consecutive IDs
+ * @param {number} firstKeyId - ID of the first key
+ * @param {number} count - Number of keys
+ * @returns {Promise<Array<{keyId: number, privateKey: string, publicKey: string}>>}
+ */
+async function generatePreKeyPairs(firstKeyId, count) {
+  const keyPairs = [];
+  for (let i = 0; i < count; i++) {
+    const keyPair = await generateECCKeyPair('P-256');
+    keyPairs.push({
+      keyId: firstKeyId + i,
+      privateKey: await exportPrivateKey(keyPair.privateKey),
+      publicKey: await exportPublicKey(keyPair.publicKey)
+    });
+  }
+  return keyPairs;
+}
+
+/**
+ * Next prekey ID not used locally or on the server
+ * @param {string} userId - Our user ID
+ * @param {number} serverMaxKeyId - Highest prekey ID the server knows of
+ * @returns {Promise<number>}
+ */
+async function nextKeyId(userId, serverMaxKeyId) {
+  return Math.max(await getNextPreKeyId(userId), serverMaxKeyId + 1);
+}
+
+/**
+ * Generate, sign and upload a new signed prekey
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username (for signing)
+ * @param {number} keyId - New prekey ID
+ * @returns {Promise<void>}
+ */
+async function rotateSignedPreKey(userId, username, keyId) {
+  const [keyPair] = await generatePreKeyPairs(keyId, 1);
+  const signature = await signMessage(signedPreKeyMessage(keyPair.keyId, keyPair.publicKey), username);
+
+  // Keep the private key before publishing, so no initiator can use a key we lack.
+  // Older signed prekeys are kept too: exchanges made against them may still arrive.
+  await storePreKeyPairs(userId, 'signed', [keyPair]);
+  await api.post('/prekeys/signed', {
+    keyId: keyPair.keyId,
+    publicKey: keyPair.publicKey,
+    signature
+  });
+}
+
+/**
+ * Upload a batch of one-time prekeys
+ * @param {string} userId - Our user ID
+ * @param {number} [count] - Number of prekeys to add
+ * @returns {Promise<number>} Unclaimed one-time prekeys on the server afterwards
+ */
+export async function replenishOneTimePreKeys(userId, count = ONE_TIME_PREKEY_BATCH) {
+  try {
+    const statusRes = await api.get('/prekeys/status');
+    const keyPairs = await generatePreKeyPairs(await nextKeyId(userId, statusRes.data.maxKeyId), count);
+
+    await storePreKeyPairs(userId, 'one-time', keyPairs);
+    const response = await api.post('/prekeys/one-time', {
+      preKeys: keyPairs.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+    });
+
+    return response.data.available;
+  } catch (error) {
+    console.error('Error replenishing one-time prekeys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make sure our published prekeys are usable: a current signed prekey whose
+ * private key is on this device, and enough one-time prekeys.
+ * Called after login and when the server reports a low pool.
+ * @param {string} userId - Our user ID
+ * @param {string} username - Our username (for signing)
+ * @returns {Promise<void>}
+ */
+export async function ensurePreKeys(userId, username) {
+  try {
+    const statusRes = await api.get('/prekeys/status');
+    const { signedPreKeyId, signedPreKeyCreatedAt, oneTimePreKeyCount, maxKeyId, lowThreshold } = statusRes.data;
+
+    const signedPreKeyPair = signedPreKeyId
+      ? await getPreKeyPair(userId, 'signed', signedPreKeyId)
+      : null;
+    const signedPreKeyExpired = signedPreKeyCreatedAt &&
+      Date.now() - new Date(signedPreKeyCreatedAt).getTime() > SIGNED_PREKEY_MAX_AGE;
+
+    if (!signedPreKeyPair || signedPreKeyExpired) {
+      await rotateSignedPreKey(userId, username, await nextKeyId(userId, maxKeyId));
+    }
+
+    if (oneTimePreKeyCount < lowThreshold) {
+      await replenishOneTimePreKeys(userId);
+    }
+  } catch (error) {
+    console.error('Error ensuring prekeys:', error);
+    throw error;
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Double Ratchet sessions kept in IndexedDB
+ * The state machine itself is shared with the CLI (shared/crypto/ratchet.js);
+ * this module loads and saves each exchange's state and serializes the
+ * read-modify-write operations on it.
+ */
+
+import {
+  createInitiatorState,
+  createResponderState,
+  ratchetSendStep,
+  ratchetReceiveStep,
+  skippedKeyId
+} from '@e2ee/crypto';
+import { getRatchetState, saveRatchetState, getSkippedMessageKey } from './keyStorage.js';
+
+export { kdfChainKey, encodeRatchetHeader, importMessageKey } from '@e2ee/crypto';
+
+// Pending operation per exchange: ratchet state is read-modify-write
+const locks = new Map();
+
+/**
+ * Run fn after every earlier ratchet operation on the same exchange
+ * @param {string} exchangeId - Exchange ID
+ * @param {Function} fn - Async operation
+ * @returns {Promise<*>} Result of fn
+ */
+function withLock(exchangeId, fn) {
+  const previous = locks.get(exchangeId) || Promise.resolve();
+  const run = previous.then(fn);
+  locks.set(exchangeId, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Initialize the ratchet on the initiator's side (after completeKeyExchange)
+ * @param {string} exchangeId - Exchange ID
+ * @param {CryptoKey} sessionKey - Session key from the key exchange
+ * @param {string} responderRatchetKey - Responder's ephemeral ECDH public key (base64 SPKI)
+ * @returns {Promise<void>}
+ */
+export async function initRatchetAsInitiator(exchangeId, sessionKey, responderRatchetKey) {
+  await saveRatchetState(await createInitiatorState(exchangeId, sessionKey, responderRatchetKey));
+}
+
+/**
+ * Initialize the ratchet on the responder's side (after respondToKeyExchange)
+ * @param {string} exchangeId - Exchange ID
+ * @param {CryptoKey} sessionKey - Session key from the key exchange
+ * @param {CryptoKeyPair} ephemeralKeyPair - Our key exchange ephemeral ECDH key pair
+ * @returns {Promise<void>}
+ */
+export async function initRatchetAsResponder(exchangeId, sessionKey, ephemeralKeyPair) {
+  await saveRatchetState(await createResponderState(exchangeId, sessionKey, ephemeralKeyPair));
+}
+
+/**
+ * Check whether an exchange has ratchet state
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasRatchet(exchangeId) {
+  return (await getRatchetState(exchangeId)) !== null;
+}
+
+/**
+ * Advance the sending chain and return the next message key
+ * @param {string} exchangeId - Exchange ID
+ * @returns {Promise<{header: {dh: string, n: number, pn: number}, messageKey: string}>}
+ */
+export function nextSendingKey(exchangeId) {
+  return withLock(exchangeId, async () => {
+    const state = await getRatchetState(exchangeId);
+    if (!state) {
+      throw new Error('No ratchet state for exchange: ' + exchangeId);
+    }
+
+    const next = await ratchetSendStep(state);
+    await saveRatchetState(state);
+
+    return next;
+  });
+}
+
+/**
+ * Derive the message key for a received header and run decryptFn with it.
+ * The new ratchet state is only saved if decryptFn succeeds, so forged or
+ * corrupted messages cannot desynchronize the session.
+ * @param {string} exchangeId - Exchange ID
+ * @param {{dh: string, n: number, pn: number}} header - Ratchet header from the message
+ * @param {Function} decryptFn - async (messageKey: string) => result
+ * @returns {Promise<*>} Result of decryptFn
+ */
+export function withReceivingKey(exchangeId, header, decryptFn) {
+  return withLock(exchangeId, async () => {
+    const state = await getRatchetState(exchangeId);
+    if (!state) {
+      throw new Error('No ratchet state for exchange: ' + exchangeId);
+    }
+
+    // Out-of-order message whose key was stored when it was skipped
+    const skippedId = skippedKeyId(exchangeId, header);
+    const skippedKey = await getSkippedMessageKey(skippedId);
+    if (skippedKey) {
+      const result = await decryptFn(skippedKey);
+      await saveRatchetState(state, { removeSkippedId: skippedId });
+      return result;
+    }
+
+    const { messageKey, skipped } = await ratchetReceiveStep(state, header);
+
+    const result = await decryptFn(messageKey);
+    await saveRatchetState(state, { addSkipped: skipped });
+    return result;
+  });
+}
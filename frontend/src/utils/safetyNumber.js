@@ -0,0 +1,177 @@
+/**
+ * Safety numbers for out-of-band identity verification
+ *
+ * Each user's identity (RSA encryption key + signing key) is hashed into a
+ * 30-digit fingerprint, Signal-style: iterated SHA-512 over the keys and the
+ * user ID, then 6 groups of 5 digits. The safety number is both fingerprints,
+ * ordered by user ID, so both sides of a conversation see the same 60 digits.
+ * If the server hands either side a different key, the numbers differ.
+ * Our own half comes from the public keys stored with our private keys on
+ * this device, never from the server: a server that swapped our key for the
+ * contact could hand us the swapped key as ours too, and both sides would
+ * see matching numbers.
+ *
+ * Verified contacts are remembered in localStorage together with a digest of
+ * the identity keys that were verified, so a later key change is detected.
+ */
+
+import { toBase64, fromBase64, concatBytes } from '@e2ee/crypto';
+import { verifyKeyTransparency } from './transparency.js';
+import { getLocalPublicKeys } from './keyStorage.js';
+import api from '../services/api.js';
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+
+/**
+ * Identity key material for a user: RSA public key, then signing key if any
+ * @param {{publicKey: string, signingPublicKey?: string}} keys - Public keys (base64 SPKI)
+ * @returns {Uint8Array}
+ */
+function identityKeyBytes(keys) {
+  return concatBytes(
+    fromBase64(keys.publicKey),
+    keys.signingPublicKey ? fromBase64(keys.signingPublicKey) : new Uint8Array(0)
+  );
+}
+
+/**
+ * 30-digit fingerprint of one user's identity
+ * @param {string} userId - User ID
+ * @param {Object} keys - Public keys from /users/:userId/public-key
+ * @returns {Promise<string>}
+ */
+async function userFingerprint(userId, keys) {
+  const keyBytes = identityKeyBytes(keys);
+  const userIdBytes = new TextEncoder().encode(String(userId));
+
+  let hash = concatBytes(new Uint8Array([0, FINGERPRINT_VERSION]), keyBytes, userIdBytes);
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = new Uint8Array(await window.crypto.subtle.digest('SHA-512', concatBytes(hash, keyBytes)));
+  }
+
+  // 6 chunks of 5 bytes, each reduced to 5 decimal digits
+  let digits = '';
+  for (let chunk = 0; chunk < 6; chunk++) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 256 + hash[chunk * 5 + i];
+    }
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Fetch a user's public identity keys from the server, checked against the
+ * key transparency log
+ * @param {string} userId - User ID
+ * @returns {Promise<{publicKey: string, signingPublicKey: string|null, signingKeyAlgorithm: string|null, username: string}>}
+ * @throws If the keys fail the transparency checks (error.keyTransparency is set)
+ */
+export async function fetchIdentityKeys(userId) {
+  const response = await api.get(`/users/${userId}/public-key`);
+  await verifyKeyTransparency(userId, response.data);
+  return response.data;
+}
+
+/**
+ * Our own public identity keys, as stored with our private keys on this device
+ * @param {string} username - Our username
+ * @returns {Promise<{publicKey: string, signingPublicKey: string|null}>}
+ * @throws If the account keys are not on this device (a linked device)
+ */
+export async function fetchLocalIdentityKeys(username) {
+  const keys = await getLocalPublicKeys(username);
+  if (!keys) {
+    throw new Error('The identity keys of this account are not on this device');
+  }
+  return keys;
+}
+
+/**
+ * Compute the 60-digit safety number for a conversation
+ * @param {string} localUserId - Our user ID
+ * @param {Object} localKeys - Our public keys (fetchLocalIdentityKeys)
+ * @param {string} remoteUserId - Contact's user ID
+ * @param {Object} remoteKeys - Contact's public keys (fetchIdentityKeys)
+ * @returns {Promise<string>} 60 digits
+ */
+export async function computeSafetyNumber(localUserId, localKeys, remoteUserId, remoteKeys) {
+  const local = await userFingerprint(localUserId, localKeys);
+  const remote = await userFingerprint(remoteUserId, remoteKeys);
+
+  return String(localUserId) < String(remoteUserId) ? local + remote : remote + local;
+}
+
+/**
+ * Split a safety number into groups of 5 digits for display
+ * @param {string} safetyNumber - 60 digits
+ * @returns {Array<string>} 12 groups
+ */
+export function formatSafetyNumber(safetyNumber) {
+  return safetyNumber.match(/.{1,5}/g) || [];
+}
+
+/**
+ * SHA-256 digest of a user's identity keys (used to detect key changes)
+ * @param {Object} keys - Public keys from /users/:userId/public-key
+ * @returns {Promise<string>} Base64 digest
+ */
+export async function identityKeyDigest(keys) {
+  const digest = await window.crypto.subtle.digest('SHA-256', identityKeyBytes(keys));
+  return toBase64(digest);
+}
+
+function verifiedContactsKey(currentUserId) {
+  return `verifiedContacts_${currentUserId}`;
+}
+
+/**
+ * Read our verified contacts
+ * @param {string} currentUserId - Our user ID
+ * @returns {Object} Map of contactId -> { keyDigest, verifiedAt }
+ */
+export function getVerifiedContacts(currentUserId) {
+  try {
+    return JSON.parse(localStorage.getItem(verifiedContactsKey(currentUserId))) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Mark a contact as verified for their current identity keys
+ * @param {string} currentUserId - Our user ID
+ * @param {string} contactId - Contact's user ID
+ * @param {string} keyDigest - identityKeyDigest() of the keys that were compared
+ */
+export function markContactVerified(currentUserId, contactId, keyDigest) {
+  const contacts = getVerifiedContacts(currentUserId);
+  contacts[contactId] = { keyDigest, verifiedAt: new Date().toISOString() };
+  localStorage.setItem(verifiedContactsKey(currentUserId), JSON.stringify(contacts));
+}
+
+/**
+ * Remove a contact's verified mark
+ * @param {string} currentUserId - Our user ID
+ * @param {string} contactId - Contact's user ID
+ */
+export function clearContactVerified(currentUserId, contactId) {
+  const contacts = getVerifiedContacts(currentUserId);
+  delete contacts[contactId];
+  localStorage.setItem(verifiedContactsKey(currentUserId), JSON.stringify(contacts));
+}
+
+/**
+ * Verification status of a contact given their current identity keys
+ * @param {string} currentUserId - Our user ID
+ * @param {string} contactId - Contact's user ID
+ * @param {string} keyDigest - identityKeyDigest() of the keys the server returns now
+ * @returns {'unverified'|'verified'|'changed'}
+ */
+export function getVerificationStatus(currentUserId, contactId, keyDigest) {
+  const entry = getVerifiedContacts(currentUserId)[contactId];
+  if (!entry) return 'unverified';
+  return entry.keyDigest === keyDigest ? 'verified' : 'changed';
+}
@@ -0,0 +1,376 @@
+/**
+ * Sender keys for group conversations (Signal-style)
+ *
+ * For each group key epoch every member creates one sender key: a symmetric
+ * chain key (same HMAC chain as the Double Ratchet) plus an ECDSA P-256
+ * signing key pair. The chain key and public signing key are sent to every
+ * other member over the pairwise session with that member, so a group
+ * message is encrypted once and readable by all members.
+ *
+ * Group messages are signed, so members cannot forge each other's messages
+ * even though they share the chain. Message keys are single-use: a replayed
+ * iteration cannot be decrypted again. The server starts a new epoch on
+ * every membership change, after which everyone distributes a fresh key.
+ */
+
+import {
+  encryptMessage,
+  decryptMessage,
+  signingKeyParams,
+  signatureParams,
+  toBase64,
+  fromBase64
+} from '@e2ee/crypto';
+import { getSenderKeyState, saveSenderKeyState, getAllSessionKeyIds } from './keyStorage.js';
+import { kdfChainKey, importMessageKey } from './ratchet.js';
+import { encryptForSession, decryptFromSession } from './messageUtils.js';
+import { countSentMessage } from './sessionManager.js';
+import api from '../services/api.js';
+
+// Upper bound on message keys skipped in one sender chain
+const MAX_SKIP = 1000;
+
+// Sender key signatures: ECDSA P-256 is available in every browser we support
+const SENDER_SIGNING_ALGORITHM = 'ECDSA-P256';
+
+// Pending operation per sender key: state is read-modify-write
+const locks = new Map();
+
+function withLock(id, fn) {
+  const previous = locks.get(id) || Promise.resolve();
+  const run = previous.then(fn);
+  locks.set(id, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * ID of a sender key state
+ * @param {string} groupId - Group ID
+ * @param {number} keyEpoch - Group key epoch
+ * @param {string} senderId - Sending member's user ID
+ * @returns {string}
+ */
+function senderKeyId(groupId, keyEpoch, senderId) {
+  return `${groupId}:${keyEpoch}:${senderId}`;
+}
+
+/**
+ * Serialize a group message header for use as AES-GCM additional data
+ * @param {{groupId: string, keyEpoch: number, senderId: string, iteration: number}} header
+ * @returns {Uint8Array}
+ */
+function encodeGroupHeader(header) {
+  return new TextEncoder().encode(JSON.stringify({
+    groupId: String(header.groupId),
+    keyEpoch: header.keyEpoch,
+    senderId: String(header.senderId),
+    iteration: header.iteration
+  }));
+}
+
+/**
+ * Bytes covered by a group message signature: header and ciphertext
+ * @param {Object} header - Group message header
+ * @param {{ciphertext: string, iv: string, tag: string}} encrypted - Encrypted message
+ * @returns {Uint8Array}
+ */
+function signedContent(header, { ciphertext, iv, tag }) {
+  return new TextEncoder().encode(JSON.stringify({
+    groupId: String(header.groupId),
+    keyEpoch: header.keyEpoch,
+    senderId: String(header.senderId),
+    iteration: header.iteration,
+    ciphertext,
+    iv,
+    tag
+  }));
+}
+
+/**
+ * Create our sender key for a group epoch
+ * @param {string} groupId - Group ID
+ * @param {number} keyEpoch - Group key epoch
+ * @param {string} userId - Our user ID
+ * @returns {Promise<Object>} New sender key state
+ */
+async function createOwnSenderKey(groupId, keyEpoch, userId) {
+  const signingKeyPair = await window.crypto.subtle.generateKey(
+    signingKeyParams(SENDER_SIGNING_ALGORITHM),
+    true,
+    ['sign', 'verify']
+  );
+
+  const state = {
+    id: senderKeyId(groupId, keyEpoch, userId),
+    groupId: String(groupId),
+    keyEpoch,
+    senderId: String(userId),
+    chainKey: toBase64(window.crypto.getRandomValues(new Uint8Array(32))),
+    iteration: 0,
+    signingPrivateKey: toBase64(new Uint8Array(await window.crypto.subtle.exportKey('pkcs8', signingKeyPair.privateKey))),
+    signingPublicKey: toBase64(new Uint8Array(await window.crypto.subtle.exportKey('spki', signingKeyPair.publicKey))),
+    skippedKeys: {},
+    distributedTo: [],
+    createdAt: new Date().toISOString()
+  };
+
+  await saveSenderKeyState(state);
+  return state;
+}
+
+/**
+ * Make sure every other member has our sender key for the group's current
+ * epoch, creating the key if needed. Each key is sent over the pairwise
+ * session with that member; getExchangeId must return (or set up) it.
+ * Members without a usable session are skipped and retried on the next call.
+ * @param {Object} group - Group from the API ({ _id, keyEpoch, members })
+ * @param {string} currentUserId - Our user ID
+ * @param {Function} getExchangeId - async (memberUserId) => exchangeId
+ * @returns {Promise<Array<string>>} IDs of members that could not be reached
+ */
+export function ensureSenderKey(group, currentUserId, getExchangeId) {
+  const groupId = String(group._id);
+  const id = senderKeyId(groupId, group.keyEpoch, currentUserId);
+
+  return withLock(id, async () => {
+    const state = await getSenderKeyState(id) ||
+      await createOwnSenderKey(groupId, group.keyEpoch, currentUserId);
+
+    const recipients = group.members
+      .map(member => String(member.userId))
+      .filter(memberId => memberId !== String(currentUserId) && !state.distributedTo.includes(memberId));
+
+    if (recipients.length === 0) return [];
+
+    // Members who join later in this epoch start reading at the current iteration
+    const payload = JSON.stringify({
+      groupId,
+      keyEpoch: group.keyEpoch,
+      senderId: String(currentUserId),
+      chainKey: state.chainKey,
+      iteration: state.iteration,
+      signingPublicKey: state.signingPublicKey
+    });
+
+    const distributions = [];
+    const unreachable = [];
+    for (const memberId of recipients) {
+      try {
+        const exchangeId = await getExchangeId(memberId);
+        const encrypted = await encryptForSession(exchangeId, payload);
+        distributions.push({ toUserId: memberId, exchangeId, ...encrypted });
+      } catch (error) {
+        console.error(`Could not encrypt sender key for ${memberId}:`, error);
+        unreachable.push(memberId);
+      }
+    }
+
+    if (distributions.length > 0) {
+      await api.post(`/groups/${groupId}/sender-keys`, {
+        keyEpoch: group.keyEpoch,
+        distributions
+      });
+      for (const { exchangeId } of distributions) {
+        await countSentMessage(exchangeId);
+      }
+
+      state.distributedTo = [...state.distributedTo, ...distributions.map(d => d.toUserId)];
+      await saveSenderKeyState(state);
+    }
+
+    return unreachable;
+  });
+}
+
+/**
+ * Fetch and store the sender keys other members sent us for a group.
+ * Keys whose pairwise session is not set up on this device yet are left
+ * on the server and picked up by a later call.
+ * @param {string} groupId - Group ID
+ * @param {string} currentUserId - Our user ID
+ * @returns {Promise<number>} Number of new sender keys stored
+ */
+export async function receiveSenderKeys(groupId, currentUserId) {
+  const response = await api.get(`/groups/${groupId}/sender-keys`);
+  const availableSessions = await getAllSessionKeyIds();
+  let received = 0;
+
+  for (const distribution of response.data.senderKeys || []) {
+    const senderId = String(distribution.fromUserId);
+    const id = senderKeyId(groupId, distribution.keyEpoch, senderId);
+
+    if (senderId === String(currentUserId) || !availableSessions.includes(distribution.exchangeId)) continue;
+
+    try {
+      received += await withLock(id, async () => {
+        if (await getSenderKeyState(id)) return 0;
+
+        const payload = JSON.parse(await decryptFromSession(distribution.exchangeId, distribution));
+
+        // The encrypted payload must describe the key it was delivered as
+        if (payload.groupId !== String(groupId) ||
+            payload.keyEpoch !== distribution.keyEpoch ||
+            payload.senderId !== senderId) {
+          throw new Error('Sender key does not match its distribution');
+        }
+
+        await saveSenderKeyState({
+          id,
+          groupId: String(groupId),
+          keyEpoch: payload.keyEpoch,
+          senderId,
+          chainKey: payload.chainKey,
+          iteration: payload.iteration,
+          signingPublicKey: payload.signingPublicKey,
+          skippedKeys: {},
+          createdAt: new Date().toISOString()
+        });
+        return 1;
+      });
+    } catch (error) {
+      console.error(`Error receiving sender key from ${senderId}:`, error);
+    }
+  }
+
+  return received;
+}
+
+/**
+ * Check whether we hold a member's sender key for an epoch
+ * @param {string} groupId - Group ID
+ * @param {number} keyEpoch - Group key epoch
+ * @param {string} senderId - Sending member's user ID
+ * @returns {Promise<boolean>}
+ */
+export async function hasSenderKey(groupId, keyEpoch, senderId) {
+  return (await getSenderKeyState(senderKeyId(groupId, keyEpoch, senderId))) !== null;
+}
+
+/**
+ * Encrypt and sign a group message with our sender key
+ * @param {string} groupId - Group ID
+ * @param {number} keyEpoch - Current group key epoch
+ * @param {string} senderId - Our user ID
+ * @param {string} plaintext - Message text
+ * @returns {Promise<{iteration: number, ciphertext: string, iv: string, tag: string, signature: string}>}
+ */
+export function encryptGroupMessage(groupId, keyEpoch, senderId, plaintext) {
+  const id = senderKeyId(groupId, keyEpoch, senderId);
+
+  return withLock(id, async () => {
+    const state = await getSenderKeyState(id);
+    if (!state?.signingPrivateKey) {
+      throw new Error('No sender key for this group epoch');
+    }
+
+    const header = { groupId, keyEpoch, senderId, iteration: state.iteration };
+    const { chainKey, messageKey } = await kdfChainKey(state.chainKey);
+    const encrypted = await encryptMessage(
+      plaintext,
+      await importMessageKey(messageKey),
+      encodeGroupHeader(header)
+    );
+
+    const signingKey = await window.crypto.subtle.importKey(
+      'pkcs8',
+      fromBase64(state.signingPrivateKey),
+      signingKeyParams(SENDER_SIGNING_ALGORITHM),
+      false,
+      ['sign']
+    );
+    const signature = await window.crypto.subtle.sign(
+      signatureParams(SENDER_SIGNING_ALGORITHM),
+      signingKey,
+      signedContent(header, encrypted)
+    );
+
+    // The message key is never derived again
+    state.chainKey = chainKey;
+    state.iteration += 1;
+    await saveSenderKeyState(state);
+
+    return {
+      iteration: header.iteration,
+      ...encrypted,
+      signature: toBase64(new Uint8Array(signature))
+    };
+  });
+}
+
+/**
+ * Verify and decrypt a group message. The sender key state only advances if
+ * the signature and the AES-GCM tag both check out.
+ * @param {Object} msg - Group message from the API
+ * @returns {Promise<string>} Plaintext
+ */
+export function decryptGroupMessage(msg) {
+  const groupId = String(msg.groupId);
+  const senderId = String(msg.fromUserId?._id || msg.fromUserId);
+  const id = senderKeyId(groupId, msg.keyEpoch, senderId);
+
+  return withLock(id, async () => {
+    const state = await getSenderKeyState(id);
+    if (!state) {
+      throw new Error('No sender key from this member for this epoch');
+    }
+
+    const header = { groupId, keyEpoch: msg.keyEpoch, senderId, iteration: msg.iteration };
+
+    const verificationKey = await window.crypto.subtle.importKey(
+      'spki',
+      fromBase64(state.signingPublicKey),
+      signingKeyParams(SENDER_SIGNING_ALGORITHM),
+      false,
+      ['verify']
+    );
+    const validSignature = await window.crypto.subtle.verify(
+      signatureParams(SENDER_SIGNING_ALGORITHM),
+      verificationKey,
+      fromBase64(msg.signature),
+      signedContent(header, msg)
+    );
+    if (!validSignature) {
+      throw new Error('Invalid sender signature');
+    }
+
+    const skippedKeys = { ...state.skippedKeys };
+    let chainKey = state.chainKey;
+    let iteration = state.iteration;
+    let messageKey = skippedKeys[msg.iteration];
+
+    if (messageKey) {
+      delete skippedKeys[msg.iteration];
+    } else {
+      if (msg.iteration < state.iteration) {
+        throw new Error('Message key already used (duplicate or replayed message)');
+      }
+      if (msg.iteration - state.iteration > MAX_SKIP) {
+        throw new Error('Too many skipped messages');
+      }
+
+      // Keep keys for messages that have not arrived yet
+      while (iteration < msg.iteration) {
+        const step = await kdfChainKey(chainKey);
+        skippedKeys[iteration] = step.messageKey;
+        chainKey = step.chainKey;
+        iteration += 1;
+      }
+
+      const step = await kdfChainKey(chainKey);
+      messageKey = step.messageKey;
+      chainKey = step.chainKey;
+      iteration += 1;
+    }
+
+    const plaintext = await decryptMessage(
+      msg.ciphertext,
+      msg.iv,
+      msg.tag,
+      await importMessageKey(messageKey),
+      encodeGroupHeader(header)
+    );
+
+    await saveSenderKeyState({ ...state, chainKey, iteration, skippedKeys });
+    return plaintext;
+  });
+}
@@ -1,17 +1,28 @@
 /**
  * Sequence number and nonce management for replay protection
- * Stores sequence numbers per exchangeId in IndexedDB
+ * Stores sequence numbers per exchangeId in IndexedDB, for sending and
+ * (to detect replays by the server) for receiving. The verdict on each
+ * received message is kept in its own store keyed by message ID, so the
+ * per-sender record read for every message stays the size of the window.
  */
 
+import { toBase64 } from '@e2ee/crypto';
+
 const DB_NAME = 'e2ee-messaging';
+const DB_VERSION = 3; // Incremented to move verdicts out of the received records
 const STORE_NAME = 'messageSequences';
+const RECEIVED_STORE_NAME = 'receivedSequences';
+const VERDICT_STORE_NAME = 'receivedVerdicts';
+
+// Recently received nonces (and sequence numbers) kept per exchange and sender
+const RECEIVE_WINDOW_SIZE = 1000;
 
 /**
  * Open IndexedDB
  */
 async function openDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
     
     request.onerror = () => reject(request.error);
     request.onsuccess = () => resolve(request.result);
@@ -24,6 +35,32 @@ async function openDB() {
         const store = db.createObjectStore(STORE_NAME, { keyPath: 'exchangeId' });
         store.createIndex('exchangeId', 'exchangeId', { unique: true });
       }
+
+      if (!db.objectStoreNames.contains(RECEIVED_STORE_NAME)) {
+        const store = db.createObjectStore(RECEIVED_STORE_NAME, { keyPath: 'id' });
+        store.createIndex('exchangeId', 'exchangeId', { unique: false });
+      }
+
+      if (!db.objectStoreNames.contains(VERDICT_STORE_NAME)) {
+        const verdictStore = db.createObjectStore(VERDICT_STORE_NAME, { keyPath: 'messageId' });
+        verdictStore.createIndex('exchangeId', 'exchangeId', { unique: false });
+
+        // Records written before version 3 hold their verdicts inline
+        const received = event.target.transaction.objectStore(RECEIVED_STORE_NAME);
+        received.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+
+          const { verdicts, ...record } = cursor.value;
+          if (verdicts) {
+            for (const [messageId, verdict] of Object.entries(verdicts)) {
+              verdictStore.put({ messageId, exchangeId: record.exchangeId, verdict });
+            }
+            cursor.update(record);
+          }
+          cursor.continue();
+        };
+      }
     };
   });
 }
@@ -114,6 +151,153 @@ export async function getNextSequenceNumber(exchangeId, fromUserId, toUserId) {
 export function generateNonce() {
   const array = new Uint8Array(16);
   window.crypto.getRandomValues(array);
-  return btoa(String.fromCharCode(...array));
+  return toBase64(array);
+}
+
+
+/**
+ * Sender stream a received message is numbered in: the sending user, or
+ * one of their linked devices (which number their messages separately)
+ * @param {Object} msg - Received message
+ * @returns {string}
+ */
+function senderStreamOf(msg) {
+  const senderId = String(msg.fromUserId?._id || msg.fromUserId);
+  return msg.fromDeviceId ? `${senderId}/${msg.fromDeviceId}` : senderId;
+}
+
+/**
+ * Read the receive-side record for a sender in an exchange
+ * @param {IDBObjectStore} store - Received sequences store
+ * @param {string} exchangeId - Key exchange ID
+ * @param {string} senderId - Sender stream (see senderStreamOf)
+ * @returns {Promise<Object>} Stored record, or a fresh one
+ */
+function getReceivedRecord(store, exchangeId, senderId) {
+  const id = `${exchangeId}|${senderId}`;
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(id);
+    request.onsuccess = () => resolve(request.result || {
+      id,
+      exchangeId,
+      senderId,
+      highestSequence: 0,
+      recent: []
+    });
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read the verdict stored for a received message
+ * @param {IDBObjectStore} store - Received verdicts store
+ * @param {string} messageId - Message ID
+ * @returns {Promise<string|null>} Verdict, or null if the message was not judged yet
+ */
+function getVerdict(store, messageId) {
+  return new Promise((resolve, reject) => {
+    const request = store.get(messageId);
+    request.onsuccess = () => resolve(request.result?.verdict || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Check a received message against what we have already received from its
+ * sender (or sending device) in this exchange: the highest sequence number and a window of
+ * recent nonces and sequence numbers. Nothing is stored; see
+ * recordReceivedMessage.
+ *   'duplicate'    - nonce already seen on another message
+ *   'replay'       - sequence number already used, or too old to check
+ *   'out-of-order' - new sequence number lower than the highest seen
+ *   'ok'           - next in order (gaps are allowed)
+ * @param {string} exchangeId - Key exchange ID
+ * @param {Object} msg - Received message (with _id, fromUserId, sequenceNumber, nonce)
+ * @returns {Promise<{verdict: string, isNew: boolean}|null>} isNew is false if the message
+ *   was judged before (e.g. on an earlier load); null for messages without sequence number
+ *   or nonce, or if the store is unavailable
+ */
+export async function checkReceivedMessage(exchangeId, msg) {
+  const sequenceNumber = msg.sequenceNumber;
+  if (!Number.isInteger(sequenceNumber) || !msg.nonce) {
+    return null;
+  }
+
+  let record;
+  let previous;
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([RECEIVED_STORE_NAME, VERDICT_STORE_NAME], 'readonly');
+    previous = await getVerdict(transaction.objectStore(VERDICT_STORE_NAME), String(msg._id));
+    record = await getReceivedRecord(transaction.objectStore(RECEIVED_STORE_NAME), exchangeId, senderStreamOf(msg));
+  } catch (error) {
+    console.error('Error checking received message:', error);
+    return null;
+  }
+
+  if (previous) {
+    return { verdict: previous, isNew: false };
+  }
+
+  let verdict;
+  if (record.recent.some(entry => entry.nonce === msg.nonce)) {
+    verdict = 'duplicate';
+  } else if (record.recent.some(entry => entry.sequenceNumber === sequenceNumber) ||
+             sequenceNumber <= record.highestSequence - RECEIVE_WINDOW_SIZE) {
+    verdict = 'replay';
+  } else if (sequenceNumber <= record.highestSequence) {
+    verdict = 'out-of-order';
+  } else {
+    verdict = 'ok';
+  }
+
+  return { verdict, isNew: true };
 }
 
+/**
+ * Remember the verdict for a received message. Accepted messages ('ok' and
+ * 'out-of-order') also enter the nonce window and may raise the highest
+ * sequence number, so only record them once they have been authenticated.
+ * @param {string} exchangeId - Key exchange ID
+ * @param {Object} msg - Received message
+ * @param {string} verdict - Verdict from checkReceivedMessage
+ * @returns {Promise<void>}
+ */
+export async function recordReceivedMessage(exchangeId, msg, verdict) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([RECEIVED_STORE_NAME, VERDICT_STORE_NAME], 'readwrite');
+    const verdicts = transaction.objectStore(VERDICT_STORE_NAME);
+    const store = transaction.objectStore(RECEIVED_STORE_NAME);
+    const messageId = String(msg._id);
+
+    if (await getVerdict(verdicts, messageId)) {
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const request = verdicts.put({ messageId, exchangeId, verdict });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+
+    if (verdict !== 'ok' && verdict !== 'out-of-order') {
+      return;
+    }
+
+    const record = await getReceivedRecord(store, exchangeId, senderStreamOf(msg));
+    record.recent.push({ messageId, sequenceNumber: msg.sequenceNumber, nonce: msg.nonce });
+    if (record.recent.length > RECEIVE_WINDOW_SIZE) {
+      record.recent.splice(0, record.recent.length - RECEIVE_WINDOW_SIZE);
+    }
+    record.highestSequence = Math.max(record.highestSequence, msg.sequenceNumber);
+
+    await new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error recording received message:', error);
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { checkReceivedMessage, recordReceivedMessage } from './sequenceManager.js';
+
+/**
+ * Read every record of a store in the sequence database
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array<Object>>}
+ */
+async function readAll(storeName) {
+  const db = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('e2ee-messaging');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Received message as the checks see it
+ * @param {number} sequenceNumber - Sequence number
+ * @returns {Object}
+ */
+function received(sequenceNumber) {
+  return { _id: `message-${sequenceNumber}`, fromUserId: 'alice', sequenceNumber, nonce: `nonce-${sequenceNumber}` };
+}
+
+describe('received message checks', () => {
+  beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+  });
+
+  it('keeps verdicts out of the per-sender record', async () => {
+    for (const sequenceNumber of [1, 2, 3]) {
+      const msg = received(sequenceNumber);
+      const { verdict } = await checkReceivedMessage('exchange', msg);
+      await recordReceivedMessage('exchange', msg, verdict);
+    }
+
+    expect(await checkReceivedMessage('exchange', received(2))).toEqual({ verdict: 'ok', isNew: false });
+    expect(await checkReceivedMessage('exchange', { ...received(2), _id: 'copy' }))
+      .toEqual({ verdict: 'duplicate', isNew: true });
+
+    const [record] = await readAll('receivedSequences');
+    expect(record).toMatchObject({ highestSequence: 3 });
+    expect(record.verdicts).toBeUndefined();
+    expect(await readAll('receivedVerdicts')).toHaveLength(3);
+  });
+
+  it('moves the verdicts of older records to their own store', async () => {
+    const db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open('e2ee-messaging', 2);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('messageSequences', { keyPath: 'exchangeId' });
+        request.result.createObjectStore('receivedSequences', { keyPath: 'id' }).put({
+          id: 'exchange|alice',
+          exchangeId: 'exchange',
+          senderId: 'alice',
+          highestSequence: 1,
+          recent: [{ messageId: 'message-1', sequenceNumber: 1, nonce: 'nonce-1' }],
+          verdicts: { 'message-1': 'ok' }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+
+    expect(await checkReceivedMessage('exchange', received(1))).toEqual({ verdict: 'ok', isNew: false });
+    const [record] = await readAll('receivedSequences');
+    expect(record.verdicts).toBeUndefined();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Session lifecycle and rekeying
+ * A session is the key (and Double Ratchet state) set up by one key
+ * exchange with a contact; its exchange ID is the key ID every message
+ * names in its envelope. A session sends until
+ * - SESSION_POLICY.maxMessages messages were sent under it
+ *   (VITE_SESSION_MAX_MESSAGES), or
+ * - it is about to expire (SESSION_LIFETIME_HOURS after it was set up), or
+ * - a newer session with the contact replaced it,
+ * and the next send sets up a new one: X3DH, or the interactive exchange if
+ * the contact has no prekeys published. Older sessions stay read-only:
+ * messages sent under them still decrypt, nothing new is encrypted with them.
+ */
+
+import { listSessionInfo, getSessionInfo, countSessionMessage, SESSION_LIFETIME_HOURS } from './keyStorage.js';
+import { initiateX3DHExchange, initiateKeyExchange } from './keyExchange.js';
+
+export const SESSION_POLICY = Object.freeze({
+  lifetimeHours: SESSION_LIFETIME_HOURS,
+  // Rekey this long before a session expires
+  rekeyBeforeExpiryHours: Math.min(1, SESSION_LIFETIME_HOURS / 4),
+  // Rekey once this many messages were sent under a session
+  maxMessages: Number(import.meta.env.VITE_SESSION_MAX_MESSAGES) || 1000
+});
+
+// Interactive exchanges expire on the server after an hour; ask again after that
+const REKEY_REQUEST_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Contacts asked for an interactive exchange: contactId -> time of the request
+const rekeyRequests = new Map();
+
+// Pending session setup per contact, so concurrent sends rekey once
+const locks = new Map();
+
+/**
+ * Run fn after every earlier session setup with the same contact
+ * @param {string} contactId - Contact's user ID
+ * @param {Function} fn - Async operation
+ * @returns {Promise<*>} Result of fn
+ */
+function withLock(contactId, fn) {
+  const previous = locks.get(contactId) || Promise.resolve();
+  const run = previous.then(fn);
+  locks.set(contactId, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Whether a session may still send
+ * @param {Object} session - Session details (see getSessionInfo)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {'active'|'expired'|'retired'} Expired and retired sessions are read-only
+ */
+export function sessionState(session, now = Date.now()) {
+  if (session.retiredAt) return 'retired';
+  if (new Date(session.expiresAt).getTime() <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Why a session should be replaced before the next send
+ * @param {Object} session - Session details (see getSessionInfo)
+ * @param {Object} [policy] - Rekeying policy (SESSION_POLICY)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string|null} 'expired', 'retired', 'message-limit', 'expiring', or null if it can keep sending
+ */
+export function rekeyReason(session, policy = SESSION_POLICY, now = Date.now()) {
+  const state = sessionState(session, now);
+  if (state !== 'active') return state;
+  if (session.messageCount >= policy.maxMessages) return 'message-limit';
+  if (new Date(session.expiresAt).getTime() - now <= policy.rekeyBeforeExpiryHours * 60 * 60 * 1000) {
+    return 'expiring';
+  }
+  return null;
+}
+
+/**
+ * This browser's sessions with a contact, newest first
+ * @param {string} contactId - Contact's user ID
+ * @returns {Promise<Array<Object>>} Session details with their state
+ */
+export async function listSessions(contactId) {
+  const now = Date.now();
+  return (await listSessionInfo(String(contactId)))
+    .map(session => ({ ...session, state: sessionState(session, now) }))
+    .reverse();
+}
+
+/**
+ * The session messages to a contact are sent under
+ * @param {string} contactId - Contact's user ID
+ * @returns {Promise<Object|null>} Newest active session, or null if none
+ */
+export async function currentSession(contactId) {
+  const sessions = await listSessions(contactId);
+  return sessions.find(session => session.state === 'active') || null;
+}
+
+/**
+ * Check that a session may still send, before anything is encrypted under it
+ * Sessions this browser does not hold (a linked device's) are not checked.
+ * @param {string} exchangeId - Session's exchange ID
+ * @returns {Promise<void>}
+ * @throws If the session is read-only (error.sessionReadOnly is set)
+ */
+export async function checkSessionWritable(exchangeId) {
+  const session = await getSessionInfo(exchangeId);
+  if (!session) return;
+
+  const state = sessionState(session);
+  if (state !== 'active') {
+    throw Object.assign(
+      new Error(`Session ${exchangeId} is ${state} and can only be read; set up a new session to send`),
+      { sessionReadOnly: true }
+    );
+  }
+}
+
+/**
+ * Count a message the server accepted under a session, so sends that
+ * failed don't bring the session closer to its message limit
+ * Sessions this browser does not hold (a linked device's) are not counted.
+ * @param {string} exchangeId - Session's exchange ID
+ * @returns {Promise<void>}
+ */
+export async function countSentMessage(exchangeId) {
+  await countSessionMessage(exchangeId);
+}
+
+/**
+ * Set up a new session with a contact: X3DH if they published prekeys,
+ * otherwise a request for the interactive exchange they have to accept
+ * @param {string} fromUserId - Our user ID
+ * @param {string} toUserId - Contact's user ID
+ * @param {string} username - Our username (for signing)
+ * @returns {Promise<{exchangeId: string|null, waiting: boolean}>} New exchange ID, or
+ *   waiting if the interactive exchange was requested (its completion stores the session)
+ */
+export async function startSession(fromUserId, toUserId, username) {
+  try {
+    const { exchangeId } = await initiateX3DHExchange(fromUserId, toUserId, username);
+    rekeyRequests.delete(String(toUserId));
+    return { exchangeId, waiting: false };
+  } catch (error) {
+    // 404 = no prekeys published yet; fall back to the interactive exchange
+    if (error.response?.status !== 404) throw error;
+  }
+
+  await initiateKeyExchange(fromUserId, toUserId, username);
+  rekeyRequests.set(String(toUserId), Date.now());
+  return { exchangeId: null, waiting: true };
+}
+
+/**
+ * The session to send the next message to a contact under, rekeying first
+ * if the current one is due (see rekeyReason). While an interactive rekey
+ * waits for the contact, the current session keeps sending until it expires.
+ * @param {string} fromUserId - Our user ID
+ * @param {string} toUserId - Contact's user ID
+ * @param {string} username - Our username (for signing)
+ * @param {Object} [policy] - Rekeying policy (SESSION_POLICY)
+ * @returns {Promise<{exchangeId: string|null, rekeyed: boolean, waiting: boolean}>}
+ *   exchangeId is null if there is no session to send under yet
+ */
+export function sessionForSending(fromUserId, toUserId, username, policy = SESSION_POLICY) {
+  const contactId = String(toUserId);
+
+  return withLock(contactId, async () => {
+    const current = await currentSession(contactId);
+    if (current && !rekeyReason(current, policy)) {
+      rekeyRequests.delete(contactId);
+      return { exchangeId: current.sessionId, rekeyed: false, waiting: false };
+    }
+
+    let started;
+    const requestedAt = rekeyRequests.get(contactId);
+    try {
+      started = requestedAt && Date.now() - requestedAt < REKEY_REQUEST_TIMEOUT_MS
+        ? { exchangeId: null, waiting: true }
+        : await startSession(fromUserId, contactId, username);
+    } catch (error) {
+      // A session that is only due for rekeying can still send; try again next time
+      if (!current) throw error;
+      console.error('Error rekeying session:', error);
+      started = { exchangeId: null, waiting: false };
+    }
+
+    if (started.exchangeId) {
+      return { exchangeId: started.exchangeId, rekeyed: true, waiting: false };
+    }
+    return { exchangeId: current ? current.sessionId : null, rekeyed: false, waiting: started.waiting };
+  });
+}
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import {
+  SESSION_POLICY,
+  sessionForSending,
+  listSessions,
+  currentSession,
+  rekeyReason
+} from './sessionManager.js';
+import { sendEncryptedMessage, getAndDecryptMessages } from './messageUtils.js';
+import { receiveX3DHExchange, acceptKeyExchange, finalizeKeyExchange } from './keyExchange.js';
+import { ensurePreKeys } from './prekeys.js';
+import api from '../services/api.js';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, actAs } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Get the session to send under as the sender, and let the recipient pick
+ * up a new X3DH session the way the socket event does
+ * @param {Object} sender - User from createUser
+ * @param {Object} recipient - User from createUser
+ * @param {Object} [policy] - Rekeying policy
+ * @returns {Promise<Object>} Result of sessionForSending
+ */
+async function sendingSession(sender, recipient, policy) {
+  actAs(sender);
+  const session = await sessionForSending(sender.id, recipient.id, sender.username, policy);
+  if (session.rekeyed) {
+    actAs(recipient);
+    await receiveX3DHExchange(session.exchangeId, recipient.id);
+  }
+  return session;
+}
+
+describe('session manager', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice-sessions');
+    bob = await createUser('bob-sessions');
+    actAs(bob);
+    await ensurePreKeys(bob.id, bob.username);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('rekeys after the message limit and keeps older messages readable', async () => {
+    const policy = { ...SESSION_POLICY, maxMessages: 2 };
+
+    const first = await sendingSession(alice, bob, policy);
+    actAs(alice);
+    await sendEncryptedMessage(alice.id, bob.id, 'one', first.exchangeId);
+    await sendEncryptedMessage(alice.id, bob.id, 'two', first.exchangeId);
+
+    const second = await sendingSession(alice, bob, policy);
+    expect(second.rekeyed).toBe(true);
+    expect(second.exchangeId).not.toBe(first.exchangeId);
+
+    actAs(alice);
+    await sendEncryptedMessage(alice.id, bob.id, 'three', second.exchangeId);
+
+    // The replaced session is read-only
+    await expect(sendEncryptedMessage(alice.id, bob.id, 'late', first.exchangeId))
+      .rejects.toMatchObject({ sessionReadOnly: true });
+
+    actAs(bob);
+    const messages = await getAndDecryptMessages(alice.id, bob.id, second.exchangeId, bob.id);
+    expect(messages.map(m => m.plaintext)).toEqual(['one', 'two', 'three']);
+    expect(messages.map(m => m.keyId)).toEqual([first.exchangeId, first.exchangeId, second.exchangeId]);
+  });
+
+  it('only counts messages the server accepted', async () => {
+    const { exchangeId } = await sendingSession(alice, bob);
+    actAs(alice);
+    const { messageCount } = await currentSession(bob.id);
+
+    const post = api.post;
+    vi.spyOn(api, 'post').mockImplementation((path, body) => path === '/messages/send'
+      ? Promise.reject(Object.assign(new Error('Server error'), { response: { status: 500 } }))
+      : post(path, body));
+    await expect(sendEncryptedMessage(alice.id, bob.id, 'lost', exchangeId)).rejects.toThrow('Server error');
+    expect((await currentSession(bob.id)).messageCount).toBe(messageCount);
+
+    vi.restoreAllMocks();
+    await sendEncryptedMessage(alice.id, bob.id, 'sent', exchangeId);
+    expect((await currentSession(bob.id)).messageCount).toBe(messageCount + 1);
+  });
+
+  it('rekeys shortly before a session expires', async () => {
+    const current = await sendingSession(alice, bob);
+    expect((await sendingSession(alice, bob)).exchangeId).toBe(current.exchangeId);
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() + (SESSION_POLICY.lifetimeHours * HOUR) - (SESSION_POLICY.rekeyBeforeExpiryHours * HOUR / 2));
+
+    actAs(alice);
+    expect(rekeyReason(await currentSession(bob.id))).toBe('expiring');
+
+    const next = await sendingSession(alice, bob);
+    expect(next.rekeyed).toBe(true);
+    expect(next.exchangeId).not.toBe(current.exchangeId);
+  });
+
+  it('lists active and read-only sessions per contact, newest first', async () => {
+    const current = await sendingSession(alice, bob);
+    actAs(alice);
+    const { expiresAt } = await currentSession(bob.id);
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(expiresAt).getTime() + HOUR);
+
+    actAs(alice);
+    expect((await listSessions(bob.id))[0]).toMatchObject({ sessionId: current.exchangeId, state: 'expired' });
+    expect(await currentSession(bob.id)).toBeNull();
+
+    const next = await sendingSession(alice, bob);
+    actAs(alice);
+    const sessions = await listSessions(bob.id);
+
+    expect(sessions[0]).toMatchObject({ sessionId: next.exchangeId, state: 'active', messageCount: 0 });
+    expect(sessions[1]).toMatchObject({ sessionId: current.exchangeId, state: 'retired', replacedBy: next.exchangeId });
+    expect(sessions.slice(1).every(session => session.state !== 'active')).toBe(true);
+  });
+
+  it('falls back to the interactive exchange for contacts without prekeys', async () => {
+    const carol = await createUser('carol-sessions');
+
+    actAs(alice);
+    expect(await sessionForSending(alice.id, carol.id, alice.username))
+      .toEqual({ exchangeId: null, rekeyed: false, waiting: true });
+    // Asked once while the request is pending
+    expect(await sessionForSending(alice.id, carol.id, alice.username))
+      .toMatchObject({ exchangeId: null, waiting: true });
+
+    const requests = [...fakeServerState().exchanges.values()]
+      .filter(e => e.fromUserId === alice.id && e.toUserId === carol.id);
+    expect(requests).toHaveLength(1);
+    expect(requests[0].status).toBe('pending');
+
+    actAs(carol);
+    await acceptKeyExchange(requests[0].exchangeId, carol.id, carol.username);
+    actAs(alice);
+    await finalizeKeyExchange(requests[0].exchangeId);
+
+    expect(await sessionForSending(alice.id, carol.id, alice.username))
+      .toEqual({ exchangeId: requests[0].exchangeId, rekeyed: false, waiting: false });
+  });
+});
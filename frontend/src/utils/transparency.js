@@ -0,0 +1,168 @@
+/**
+ * Key transparency checks
+ * The server logs every identity key it hands out in an append-only Merkle
+ * tree and signs the tree heads (see shared/crypto/transparency.js). Before
+ * a public key is trusted, the client checks that:
+ * - the log entry that comes with it records exactly these keys for this user
+ * - the entry is included in the signed tree head (inclusion proof)
+ * - the tree head is signed by the log key, pinned on first use (or set with
+ *   VITE_KEY_LOG_PUBLIC_KEY)
+ * - the tree head is consistent with the latest one this browser has checked
+ *   (consistency proof), so the log has not been rewritten since
+ * - the entry is not older (key version, position in the log) than the
+ *   newest one this browser has accepted for the user: old entries stay in
+ *   the log, so their proofs stay valid after the user rotated their keys
+ * The pinned key, the latest tree head and the newest entry per user are
+ * kept in the key storage.
+ */
+
+import {
+  keyLogLeafHash,
+  verifyInclusion,
+  verifyConsistency,
+  verifyTreeHead
+} from '@e2ee/crypto';
+import { getKeyLogState, storeKeyLogState, getLatestLoggedKeys, storeLatestLoggedKeys } from './keyStorage.js';
+import api from '../services/api.js';
+
+/**
+ * Error for keys that fail the transparency checks
+ * @param {string} message - What is wrong
+ * @returns {Error} With keyTransparency set
+ */
+function transparencyError(message) {
+  return Object.assign(new Error(message), { keyTransparency: true });
+}
+
+// Tree head checks run one at a time, so each sees the state the previous one stored
+let checkQueue = Promise.resolve();
+
+/**
+ * The log key: configured, pinned, or fetched and pinned now
+ * @param {Object|null} state - From getKeyLogState
+ * @returns {Promise<string>} Base64 SPKI
+ */
+async function logPublicKey(state) {
+  const configured = import.meta.env.VITE_KEY_LOG_PUBLIC_KEY;
+  if (configured) return configured;
+  if (state?.publicKey) return state.publicKey;
+
+  const response = await api.get('/transparency/log-key');
+  return response.data.publicKey;
+}
+
+/**
+ * Check a tree head's signature and its consistency with the latest tree
+ * head checked before, then remember the larger of the two
+ * @param {Object} treeHead - { treeSize, rootHash, timestamp, signature }
+ * @returns {Promise<void>}
+ * @throws If the signature is invalid or the log was rewritten
+ */
+async function checkTreeHead(treeHead) {
+  const state = await getKeyLogState();
+  const publicKey = await logPublicKey(state);
+
+  if (!(await verifyTreeHead(treeHead, publicKey))) {
+    throw transparencyError('Key transparency tree head is not signed by the log key');
+  }
+
+  const seen = state?.treeHead;
+  if (seen) {
+    const [older, newer] = seen.treeSize <= treeHead.treeSize ? [seen, treeHead] : [treeHead, seen];
+
+    if (older.treeSize === newer.treeSize) {
+      if (older.rootHash !== newer.rootHash) {
+        throw transparencyError('Key transparency log has two different trees of the same size');
+      }
+    } else {
+      const response = await api.get(`/transparency/consistency?from=${older.treeSize}&to=${newer.treeSize}`);
+      const consistent = await verifyConsistency(
+        older.treeSize,
+        older.rootHash,
+        newer.treeSize,
+        newer.rootHash,
+        response.data.proof
+      );
+      if (!consistent) {
+        throw transparencyError('Key transparency log was rewritten since this browser last checked it');
+      }
+    }
+  }
+
+  if (!seen || treeHead.treeSize > seen.treeSize) {
+    await storeKeyLogState({ publicKey, treeHead });
+  }
+}
+
+/**
+ * Check that a user's logged keys are not older than the newest ones this
+ * browser has accepted for them, then remember them if they are newer
+ * @param {string} userId - User ID
+ * @param {number} keyVersion - Key version of the log entry
+ * @param {number} leafIndex - Position of the log entry
+ * @returns {Promise<void>}
+ * @throws If the server sent an older entry (e.g. a key the user replaced)
+ */
+async function checkLatestKeys(userId, keyVersion, leafIndex) {
+  const latest = await getLatestLoggedKeys(userId);
+  if (latest && (keyVersion < latest.keyVersion || leafIndex < latest.leafIndex)) {
+    throw transparencyError(
+      `The server sent key version ${keyVersion} of a user whose key version ${latest.keyVersion} this browser has already seen`
+    );
+  }
+
+  if (!latest || leafIndex > latest.leafIndex) {
+    await storeLatestLoggedKeys(userId, { keyVersion, leafIndex });
+  }
+}
+
+/**
+ * Check the transparency proof that comes with a user's public keys
+ * @param {string} userId - User the keys are for
+ * @param {Object} keys - Response of /users/:userId/public-key
+ * @returns {Promise<Object>} The logged entry (userId, keyVersion, keys, event, loggedAt)
+ * @throws If the keys are not in the log as served (error.keyTransparency is set)
+ */
+export async function verifyKeyTransparency(userId, keys) {
+  const proof = keys?.transparency;
+  if (!proof || typeof proof.leaf !== 'string' || !proof.treeHead) {
+    throw transparencyError('The server sent public keys without a key transparency proof');
+  }
+
+  let leaf;
+  try {
+    leaf = JSON.parse(proof.leaf);
+  } catch {
+    throw transparencyError('Malformed key transparency log entry');
+  }
+
+  const logged = leaf.userId === String(userId) &&
+    leaf.keyVersion === (keys.keyVersion || 1) &&
+    leaf.publicKey === keys.publicKey &&
+    leaf.signingPublicKey === (keys.signingPublicKey || null) &&
+    leaf.signingKeyAlgorithm === (keys.signingKeyAlgorithm || null);
+  if (!logged) {
+    throw transparencyError('The server sent public keys that differ from the ones in the key transparency log');
+  }
+
+  const { treeHead } = proof;
+  const included = await verifyInclusion(
+    await keyLogLeafHash(proof.leaf),
+    proof.leafIndex,
+    treeHead.treeSize,
+    proof.inclusionProof,
+    treeHead.rootHash
+  );
+  if (!included) {
+    throw transparencyError('Public keys are not included in the key transparency log');
+  }
+
+  const check = checkQueue.then(async () => {
+    await checkTreeHead(treeHead);
+    await checkLatestKeys(String(userId), leaf.keyVersion, proof.leafIndex);
+  });
+  checkQueue = check.catch(() => {});
+  await check;
+
+  return leaf;
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { fetchIdentityKeys } from './safetyNumber.js';
+import { rotateIdentityKey } from './identityKeys.js';
+import { getKeyLogState } from './keyStorage.js';
+import { keyLogLeafHash } from '@e2ee/crypto';
+import api from '../services/api.js';
+import { fakeServerState } from '../test/fakeApi.js';
+import { createUser, actAs } from '../test/users.js';
+
+vi.mock('../services/api.js', () => import('../test/fakeApi.js'));
+
+/**
+ * Make the server alter its responses to matching GET requests
+ * @param {RegExp} pattern - URL pattern
+ * @param {Function} tamper - Gets a copy of the response data, returns the data to send
+ */
+function tamperResponses(pattern, tamper) {
+  const get = api.get;
+  vi.spyOn(api, 'get').mockImplementation(async (url) => {
+    const response = await get(url);
+    return pattern.test(url) ? { data: tamper(structuredClone(response.data)) } : response;
+  });
+}
+
+describe('key transparency', () => {
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('accepts keys included in a signed tree head and remembers the head', async () => {
+    actAs(alice);
+    const keys = await fetchIdentityKeys(bob.id);
+
+    const state = await getKeyLogState();
+    expect(JSON.parse(keys.transparency.leaf)).toMatchObject({ userId: bob.id, event: 'registered' });
+    expect(state.publicKey).toBe(fakeServerState().keyLogKey.publicKey);
+    expect(state.treeHead.treeSize).toBe(fakeServerState().keyLog.length);
+  });
+
+  it('follows the log as it grows', async () => {
+    actAs(alice);
+    const before = (await getKeyLogState()).treeHead;
+    const carol = await createUser('carol');
+
+    actAs(alice);
+    await fetchIdentityKeys(carol.id);
+
+    const after = (await getKeyLogState()).treeHead;
+    expect(after.treeSize).toBeGreaterThan(before.treeSize);
+  });
+
+  it('rejects keys that differ from the logged ones', async () => {
+    actAs(alice);
+    const { publicKey: otherKey } = await fetchIdentityKeys(alice.id);
+    tamperResponses(/\/users\/.+\/public-key$/, data => ({ ...data, publicKey: otherKey }));
+
+    await expect(fetchIdentityKeys(bob.id))
+      .rejects.toMatchObject({ keyTransparency: true, message: expect.stringMatching(/differ from the ones in the key transparency log/) });
+  });
+
+  it('rejects keys without a proof or with a tree head the log did not sign', async () => {
+    actAs(alice);
+    tamperResponses(/\/users\/.+\/public-key$/, data => {
+      delete data.transparency;
+      return data;
+    });
+    await expect(fetchIdentityKeys(bob.id)).rejects.toThrow('without a key transparency proof');
+
+    vi.restoreAllMocks();
+    tamperResponses(/\/users\/.+\/public-key$/, data => {
+      data.transparency.treeHead.timestamp += 1;
+      return data;
+    });
+    await expect(fetchIdentityKeys(bob.id)).rejects.toThrow('not signed by the log key');
+  });
+
+  it('rejects keys older than ones it has seen for the user', async () => {
+    const erin = await createUser('erin');
+    actAs(alice);
+    const original = (await api.get(`/users/${erin.id}/public-key`)).data;
+    await fetchIdentityKeys(erin.id);
+
+    actAs(erin);
+    await rotateIdentityKey(erin.id, erin.username, erin.password, { compromised: true });
+
+    actAs(alice);
+    expect((await fetchIdentityKeys(erin.id)).keyVersion).toBe(2);
+
+    // The server goes back to the replaced key, with its proof from the old tree
+    tamperResponses(/\/users\/.+\/public-key$/, () => structuredClone(original));
+    await expect(fetchIdentityKeys(erin.id))
+      .rejects.toMatchObject({ keyTransparency: true, message: expect.stringMatching(/key version 1 of a user whose key version 2/) });
+  });
+
+  it('detects a log rewritten after this browser checked it', async () => {
+    actAs(alice);
+    await fetchIdentityKeys(bob.id);
+
+    // The server replaces an early entry, then the log grows
+    const log = fakeServerState().keyLog;
+    log[0] = { ...log[0], leafHash: await keyLogLeafHash('rewritten') };
+    const dave = await createUser('dave');
+
+    actAs(alice);
+    await expect(fetchIdentityKeys(dave.id)).rejects.toThrow('rewritten since this browser last checked it');
+  });
+});
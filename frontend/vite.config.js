@@ -4,4 +4,11 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'node',
+    include: ['src/**/*.test.js'],
+    setupFiles: ['./src/test/setup.js'],
+    // PBKDF2 key unwrapping and RSA key generation are slow on small machines
+    testTimeout: 30000,
+  },
 })
@@ -0,0 +1,201 @@
+/**
+ * Encrypted key backups
+ * A client's key storage, encrypted under a key derived from a recovery
+ * passphrase or a generated recovery code, so the server can keep the backup
+ * without being able to read it:
+ *   { version, secretType, kdf: { name, salt, ...params }, ciphertext }
+ * - secretType is 'passphrase' or 'recovery-code' (codes are normalized
+ *   before use, so they can be typed with or without dashes)
+ * - kdf names the key derivation: Argon2id (memory-hard) where Web Crypto
+ *   supports it, PBKDF2-SHA256 otherwise
+ * - ciphertext is the backup contents as JSON, AES-256-GCM packed as
+ *   IV || ciphertext || tag, with the version, secret type and KDF
+ *   parameters bound as additional data so none can be changed unnoticed
+ */
+
+import { encryptFileChunk, decryptFileChunk } from './crypto.js';
+import { canonicalJSON } from './keyExchange.js';
+import { toBase64, fromBase64, utf8Encode, utf8Decode } from './encoding.js';
+
+export const BACKUP_FORMAT_VERSION = 1;
+
+// Argon2id cost: 64 MiB of memory (in KiB), 3 passes, one lane
+const ARGON2_PARAMS = { memory: 64 * 1024, passes: 3, parallelism: 1 };
+
+// PBKDF2-SHA256 iterations where Argon2id is unavailable
+const PBKDF2_ITERATIONS = 600000;
+
+// Recovery codes: 120 random bits as 24 characters of Crockford base32
+const RECOVERY_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const RECOVERY_CODE_BYTES = 15;
+
+/**
+ * Error for a backup this client cannot open
+ * @param {string} message - What is wrong
+ * @param {Object} [details] - Extra properties for the error
+ * @returns {Error}
+ */
+function backupError(message, details = {}) {
+  return Object.assign(new Error(message), details);
+}
+
+/**
+ * Generate a recovery code, e.g. '7M2Q-XK4D-9TBV-1HZP-C0RW-5NEA'
+ * @returns {string}
+ */
+export function generateRecoveryCode() {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(RECOVERY_CODE_BYTES));
+
+  let bits = 0;
+  let value = 0;
+  let code = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      code += RECOVERY_CODE_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize a typed recovery code: case, spaces and dashes are ignored, and
+ * letters that look like digits are read as those digits
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code)
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
+
+/**
+ * Whether this runtime's Web Crypto implements Argon2id
+ * @returns {Promise<boolean>}
+ */
+export async function supportsArgon2() {
+  try {
+    await globalThis.crypto.subtle.importKey('raw-secret', new Uint8Array(1), 'Argon2id', false, ['deriveBits']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Key derivation parameters for a new backup, with a fresh salt
+ * @returns {Promise<Object>} { name: 'Argon2id', salt, memory, passes, parallelism }
+ *   or { name: 'PBKDF2', salt, hash, iterations }
+ */
+export async function backupKdf() {
+  const salt = toBase64(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+
+  if (await supportsArgon2()) {
+    return { name: 'Argon2id', salt, ...ARGON2_PARAMS };
+  }
+  return { name: 'PBKDF2', salt, hash: 'SHA-256', iterations: PBKDF2_ITERATIONS };
+}
+
+/**
+ * Derive the AES-256-GCM key of a backup from its secret
+ * @param {string} secret - Passphrase, or normalized recovery code
+ * @param {Object} kdf - From backupKdf
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveBackupKey(secret, kdf) {
+  const { subtle } = globalThis.crypto;
+  let bits;
+
+  if (kdf.name === 'Argon2id') {
+    if (!(await supportsArgon2())) {
+      throw backupError('This backup was made with Argon2id, which this browser does not support', { unsupportedKdf: kdf.name });
+    }
+    const baseKey = await subtle.importKey('raw-secret', utf8Encode(secret), 'Argon2id', false, ['deriveBits']);
+    bits = await subtle.deriveBits({
+      name: 'Argon2id',
+      nonce: fromBase64(kdf.salt),
+      memory: kdf.memory,
+      passes: kdf.passes,
+      parallelism: kdf.parallelism
+    }, baseKey, 256);
+  } else if (kdf.name === 'PBKDF2') {
+    const baseKey = await subtle.importKey('raw', utf8Encode(secret), 'PBKDF2', false, ['deriveBits']);
+    bits = await subtle.deriveBits({
+      name: 'PBKDF2',
+      hash: kdf.hash,
+      salt: fromBase64(kdf.salt),
+      iterations: kdf.iterations
+    }, baseKey, 256);
+  } else {
+    throw backupError(`Unsupported backup key derivation: ${kdf.name}`, { unsupportedKdf: kdf.name });
+  }
+
+  return subtle.importKey('raw', bits, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Additional data binding a backup's parameters to its ciphertext
+ * @param {Object} backup - Backup (without its ciphertext)
+ * @returns {Uint8Array}
+ */
+function backupAdditionalData({ version, secretType, kdf }) {
+  return utf8Encode(`E2EE-KeyBackup|${canonicalJSON({ version, secretType, ...kdf })}`);
+}
+
+/**
+ * The secret as it goes into the key derivation
+ * @param {string} secret - As entered
+ * @param {string} secretType - 'passphrase' or 'recovery-code'
+ * @returns {string}
+ */
+function backupSecret(secret, secretType) {
+  return secretType === 'recovery-code' ? normalizeRecoveryCode(secret) : String(secret).normalize('NFC');
+}
+
+/**
+ * Encrypt backup contents
+ * @param {Object} contents - JSON-serializable contents (e.g. a key storage export)
+ * @param {string} secret - Recovery passphrase or code
+ * @param {string} secretType - 'passphrase' or 'recovery-code'
+ * @returns {Promise<{version: number, secretType: string, kdf: Object, ciphertext: string}>}
+ */
+export async function encryptBackup(contents, secret, secretType) {
+  if (!['passphrase', 'recovery-code'].includes(secretType)) {
+    throw new Error(`Unknown backup secret type: ${secretType}`);
+  }
+
+  const header = { version: BACKUP_FORMAT_VERSION, secretType, kdf: await backupKdf() };
+  const key = await deriveBackupKey(backupSecret(secret, secretType), header.kdf);
+  const packed = await encryptFileChunk(utf8Encode(JSON.stringify(contents)), key, backupAdditionalData(header));
+
+  return { ...header, ciphertext: toBase64(packed) };
+}
+
+/**
+ * Decrypt a backup
+ * @param {Object} backup - From encryptBackup (as stored by the server)
+ * @param {string} secret - Recovery passphrase or code
+ * @returns {Promise<Object>} Backup contents
+ * @throws If the format is unknown, or the secret is wrong or the backup was altered
+ *   (error.wrongSecret is set)
+ */
+export async function decryptBackup(backup, secret) {
+  if (backup?.version !== BACKUP_FORMAT_VERSION) {
+    throw backupError(`Unsupported backup version: ${backup?.version}`, { unsupportedVersion: backup?.version });
+  }
+
+  const key = await deriveBackupKey(backupSecret(secret, backup.secretType), backup.kdf);
+
+  let plaintext;
+  try {
+    plaintext = await decryptFileChunk(fromBase64(backup.ciphertext), key, backupAdditionalData(backup));
+  } catch {
+    throw backupError('Wrong recovery passphrase or code, or the backup was altered', { wrongSecret: true });
+  }
+  return JSON.parse(utf8Decode(plaintext));
+}
@@ -0,0 +1,560 @@
+/**
+ * Cryptographic utilities using Web Crypto API
+ * Generates RSA or ECC key pairs for end-to-end encryption
+ *
+ * Isomorphic: only uses globalThis.crypto, so the same code runs in the
+ * browser and under Node (the CLI).
+ */
+
+import { toBase64, fromBase64, utf8Encode, utf8Decode, concatBytes } from './encoding.js';
+import { IV_LENGTH, TAG_LENGTH, packCiphertext, unpackCiphertext } from './wireFormat.js';
+
+/**
+ * Generate RSA key pair (2048 or 3072 bits)
+ * @param {number} modulusLength - Key size: 2048 or 3072 (default: 2048)
+ * @returns {Promise<CryptoKeyPair>} RSA key pair
+ */
+export async function generateRSAKeyPair(modulusLength = 2048) {
+  try {
+    if (modulusLength !== 2048 && modulusLength !== 3072) {
+      throw new Error('RSA key size must be 2048 or 3072 bits');
+    }
+
+    const keyPair = await globalThis.crypto.subtle.generateKey(
+      {
+        name: 'RSA-OAEP',
+        modulusLength: modulusLength,
+        publicExponent: new Uint8Array([1, 0, 1]), // 65537
+        hash: 'SHA-256',
+      },
+      true, // extractable
+      ['encrypt', 'decrypt']
+    );
+
+    return keyPair;
+  } catch (error) {
+    console.error('Error generating RSA key pair:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate ECC key pair (P-256 or P-384)
+ * @param {string} namedCurve - Curve name: 'P-256' or 'P-384' (default: 'P-256')
+ * @returns {Promise<CryptoKeyPair>} ECC key pair
+ */
+export async function generateECCKeyPair(namedCurve = 'P-256') {
+  try {
+    if (namedCurve !== 'P-256' && namedCurve !== 'P-384') {
+      throw new Error('ECC curve must be P-256 or P-384');
+    }
+
+    const keyPair = await globalThis.crypto.subtle.generateKey(
+      {
+        name: 'ECDH',
+        namedCurve: namedCurve,
+      },
+      true, // extractable
+      ['deriveKey', 'deriveBits']
+    );
+
+    return keyPair;
+  } catch (error) {
+    console.error('Error generating ECC key pair:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a dedicated signing key pair
+ * Uses Ed25519 where the browser supports it, ECDSA P-256 otherwise
+ * @returns {Promise<{keyPair: CryptoKeyPair, algorithm: string}>} Key pair and algorithm ('Ed25519' or 'ECDSA-P256')
+ */
+export async function generateSigningKeyPair() {
+  try {
+    const keyPair = await globalThis.crypto.subtle.generateKey(
+      { name: 'Ed25519' },
+      true, // extractable (private key is wrapped for storage)
+      ['sign', 'verify']
+    );
+    return { keyPair, algorithm: 'Ed25519' };
+  } catch {
+    // Ed25519 not supported by this browser
+  }
+
+  try {
+    const keyPair = await globalThis.crypto.subtle.generateKey(
+      {
+        name: 'ECDSA',
+        namedCurve: 'P-256',
+      },
+      true,
+      ['sign', 'verify']
+    );
+    return { keyPair, algorithm: 'ECDSA-P256' };
+  } catch (error) {
+    console.error('Error generating signing key pair:', error);
+    throw error;
+  }
+}
+
+/**
+ * Web Crypto key import parameters for a signing algorithm
+ * @param {string} algorithm - 'Ed25519', 'ECDSA-P256' or 'RSA-PSS' (legacy identity key)
+ * @returns {Object} Algorithm parameters for importKey / unwrapKey
+ */
+export function signingKeyParams(algorithm) {
+  switch (algorithm) {
+    case 'Ed25519':
+      return { name: 'Ed25519' };
+    case 'ECDSA-P256':
+      return { name: 'ECDSA', namedCurve: 'P-256' };
+    case 'RSA-PSS':
+      return { name: 'RSA-PSS', hash: 'SHA-256' };
+    default:
+      throw new Error('Unsupported signing algorithm: ' + algorithm);
+  }
+}
+
+/**
+ * Web Crypto sign / verify parameters for a signing algorithm
+ * @param {string} algorithm - 'Ed25519', 'ECDSA-P256' or 'RSA-PSS' (legacy identity key)
+ * @returns {Object} Algorithm parameters for sign / verify
+ */
+export function signatureParams(algorithm) {
+  switch (algorithm) {
+    case 'Ed25519':
+      return { name: 'Ed25519' };
+    case 'ECDSA-P256':
+      return { name: 'ECDSA', hash: 'SHA-256' };
+    case 'RSA-PSS':
+      return { name: 'RSA-PSS', saltLength: 32 };
+    default:
+      throw new Error('Unsupported signing algorithm: ' + algorithm);
+  }
+}
+
+/**
+ * Export public key to SPKI format (base64 string)
+ * @param {CryptoKey} publicKey - Public key to export
+ * @returns {Promise<string>} Base64-encoded SPKI format public key
+ */
+export async function exportPublicKey(publicKey) {
+  try {
+    const exported = await globalThis.crypto.subtle.exportKey('spki', publicKey);
+    return toBase64(exported);
+  } catch (error) {
+    console.error('Error exporting public key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export private key to PKCS#8 format (base64 string)
+ * @param {CryptoKey} privateKey - Private key to export
+ * @returns {Promise<string>} Base64-encoded PKCS#8 format private key
+ */
+export async function exportPrivateKey(privateKey) {
+  try {
+    const exported = await globalThis.crypto.subtle.exportKey('pkcs8', privateKey);
+    return toBase64(exported);
+  } catch (error) {
+    console.error('Error exporting private key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import public key from SPKI format
+ * @param {string} base64Key - Base64-encoded SPKI format public key
+ * @param {string} algorithm - Algorithm name: 'RSA-OAEP' or 'ECDH'
+ * @param {string} namedCurve - For ECC: 'P-256' or 'P-384' (required for ECC)
+ * @returns {Promise<CryptoKey>} Imported public key
+ */
+export async function importPublicKey(base64Key, algorithm = 'RSA-OAEP', namedCurve = null) {
+  try {
+    // Validate and clean input
+    if (!base64Key || typeof base64Key !== 'string') {
+      throw new Error('Invalid base64 key: must be a non-empty string');
+    }
+    const bytes = fromBase64(base64Key);
+
+    let keyAlgorithm;
+    if (algorithm === 'RSA-OAEP') {
+      keyAlgorithm = {
+        name: 'RSA-OAEP',
+        hash: 'SHA-256',
+      };
+    } else if (algorithm === 'ECDH') {
+      if (!namedCurve) {
+        throw new Error('namedCurve is required for ECC keys');
+      }
+      keyAlgorithm = {
+        name: 'ECDH',
+        namedCurve: namedCurve,
+      };
+    } else {
+      throw new Error('Unsupported algorithm');
+    }
+
+    // Determine key usages based on algorithm
+    let keyUsages;
+    if (algorithm === 'RSA-OAEP') {
+      keyUsages = ['encrypt'];
+    } else if (algorithm === 'ECDH') {
+      // For ECDH public keys, use empty array []
+      // The public key doesn't have usages - it's used as input to deriveBits with a private key
+      keyUsages = [];
+    } else {
+      throw new Error('Unsupported algorithm for key import');
+    }
+
+    // Import the key
+    const publicKey = await globalThis.crypto.subtle.importKey(
+      'spki',
+      bytes,
+      keyAlgorithm,
+      true, // Extractable
+      keyUsages
+    );
+
+    return publicKey;
+  } catch (error) {
+    console.error('Error importing public key:', error);
+    console.error('Key details:', { 
+      algorithm, 
+      namedCurve, 
+      base64Length: base64Key?.length,
+      keyUsages: algorithm === 'ECDH' ? ['deriveBits'] : ['encrypt']
+    });
+    throw new Error(`Failed to import ${algorithm} public key: ${error.message}`);
+  }
+}
+
+/**
+ * Import private key from PKCS#8 format
+ * @param {string} base64Key - Base64-encoded PKCS#8 format private key
+ * @param {string} algorithm - Algorithm name: 'RSA-OAEP' or 'ECDH'
+ * @param {string} namedCurve - For ECC: 'P-256' or 'P-384' (required for ECC)
+ * @returns {Promise<CryptoKey>} Imported private key
+ */
+export async function importPrivateKey(base64Key, algorithm = 'RSA-OAEP', namedCurve = null) {
+  try {
+    const bytes = fromBase64(base64Key);
+
+    let keyAlgorithm;
+    if (algorithm === 'RSA-OAEP') {
+      keyAlgorithm = {
+        name: 'RSA-OAEP',
+        hash: 'SHA-256',
+      };
+    } else if (algorithm === 'ECDH') {
+      if (!namedCurve) {
+        throw new Error('namedCurve is required for ECC keys');
+      }
+      keyAlgorithm = {
+        name: 'ECDH',
+        namedCurve: namedCurve,
+      };
+    } else {
+      throw new Error('Unsupported algorithm');
+    }
+
+    const privateKey = await globalThis.crypto.subtle.importKey(
+      'pkcs8',
+      bytes,
+      keyAlgorithm,
+      true,
+      algorithm === 'RSA-OAEP' ? ['decrypt'] : ['deriveKey', 'deriveBits']
+    );
+
+    return privateKey;
+  } catch (error) {
+    console.error('Error importing private key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Encrypt message using AES-256-GCM
+ * @param {string} plaintext - Message to encrypt
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {Uint8Array} [additionalData] - Optional AAD authenticated alongside the ciphertext
+ * @returns {Promise<{ciphertext: string, iv: string, tag: string}>} Encrypted message components
+ */
+export async function encryptMessage(plaintext, sessionKey, additionalData = null) {
+  try {
+    // Generate random IV (96 bits = 12 bytes for AES-GCM)
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    
+    // Convert plaintext to bytes
+    const plaintextBytes = utf8Encode(plaintext);
+    
+    // Encrypt using AES-GCM
+    // Note: AES-GCM returns ciphertext with tag appended
+    const params = {
+      name: 'AES-GCM',
+      iv: iv,
+      tagLength: 128 // 128-bit authentication tag
+    };
+    if (additionalData) {
+      params.additionalData = additionalData;
+    }
+
+    const encryptedData = await globalThis.crypto.subtle.encrypt(
+      params,
+      sessionKey,
+      plaintextBytes
+    );
+    
+    // Extract ciphertext and tag
+    // In AES-GCM, the tag is appended to the ciphertext
+    const encryptedArray = new Uint8Array(encryptedData);
+    const actualCiphertext = encryptedArray.subarray(0, -TAG_LENGTH);
+    const tag = encryptedArray.subarray(-TAG_LENGTH);
+    
+    // Convert to base64 for storage/transmission
+    return {
+      ciphertext: toBase64(actualCiphertext),
+      iv: toBase64(iv),
+      tag: toBase64(tag)
+    };
+  } catch (error) {
+    console.error('Error encrypting message:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt message using AES-256-GCM
+ * @param {string} ciphertext - Encrypted message (base64)
+ * @param {string} iv - Initialization vector (base64)
+ * @param {string} tag - Authentication tag (base64)
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {Uint8Array} [additionalData] - AAD used at encryption time, if any
+ * @returns {Promise<string>} Decrypted plaintext
+ */
+export async function decryptMessage(ciphertext, iv, tag, sessionKey, additionalData = null) {
+  try {
+    // Decode base64 strings
+    const ivBytes = fromBase64(iv);
+    
+    // Combine ciphertext and tag (AES-GCM expects them together)
+    const ciphertextWithTag = concatBytes(fromBase64(ciphertext), fromBase64(tag));
+    
+    // Decrypt using AES-GCM
+    const params = {
+      name: 'AES-GCM',
+      iv: ivBytes,
+      tagLength: 128 // 128-bit authentication tag
+    };
+    if (additionalData) {
+      params.additionalData = additionalData;
+    }
+
+    const plaintextBytes = await globalThis.crypto.subtle.decrypt(
+      params,
+      sessionKey,
+      ciphertextWithTag
+    );
+    
+    // Convert bytes to string
+    return utf8Decode(plaintextBytes);
+  } catch (error) {
+    console.error('Error decrypting message:', error);
+    throw new Error('Failed to decrypt message. The message may be corrupted or the key is incorrect.');
+  }
+}
+
+/**
+ * Encrypt one file chunk using AES-256-GCM
+ * @param {Uint8Array|ArrayBuffer} chunk - Plaintext chunk
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {Uint8Array} [additionalData] - Optional AAD authenticated alongside the chunk
+ * @returns {Promise<Uint8Array>} IV (12 bytes) || ciphertext || tag (16 bytes)
+ */
+export async function encryptFileChunk(chunk, sessionKey, additionalData = null) {
+  // Generate random IV for each chunk
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  const params = {
+    name: 'AES-GCM',
+    iv: iv,
+    tagLength: 128
+  };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+
+  // AES-GCM returns ciphertext with tag appended
+  const encryptedData = await globalThis.crypto.subtle.encrypt(params, sessionKey, chunk);
+
+  return packCiphertext(iv, encryptedData);
+}
+
+/**
+ * Decrypt one file chunk produced by encryptFileChunk
+ * @param {Uint8Array|ArrayBuffer} packed - IV || ciphertext || tag
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {Uint8Array} [additionalData] - AAD used at encryption time, if any
+ * @returns {Promise<Uint8Array>} Plaintext chunk
+ */
+export async function decryptFileChunk(packed, sessionKey, additionalData = null) {
+  const { iv, ciphertextWithTag } = unpackCiphertext(packed instanceof Uint8Array ? packed : new Uint8Array(packed));
+
+  const params = {
+    name: 'AES-GCM',
+    iv,
+    tagLength: 128
+  };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+
+  const decryptedBytes = await globalThis.crypto.subtle.decrypt(params, sessionKey, ciphertextWithTag);
+  return new Uint8Array(decryptedBytes);
+}
+
+/**
+ * Additional data binding a file chunk to its position in the file
+ * (file ID, chunk index, total chunk count and whether it is the last chunk),
+ * appended to any AAD shared by the whole file
+ * @param {string} fileId - Upload ID
+ * @param {number} chunkIndex - Chunk index
+ * @param {number} totalChunks - Total number of chunks
+ * @param {Uint8Array} [additionalData] - AAD shared by every chunk, if any
+ * @returns {Uint8Array}
+ */
+export function encodeFileChunkAAD(fileId, chunkIndex, totalChunks, additionalData = null) {
+  const position = utf8Encode(JSON.stringify({
+    fileId: String(fileId),
+    chunkIndex,
+    totalChunks,
+    final: chunkIndex === totalChunks - 1
+  }));
+
+  return additionalData ? concatBytes(additionalData, position) : position;
+}
+
+/**
+ * Content hash of a file: SHA-256 over the SHA-256 digests of its plaintext
+ * chunks, in order (Web Crypto cannot hash incrementally)
+ * @param {Array<Uint8Array>} chunkDigests - Per-chunk SHA-256 digests
+ * @returns {Promise<string>} Base64 content hash
+ */
+export async function hashFileChunkDigests(chunkDigests) {
+  const combined = new Uint8Array(chunkDigests.length * 32);
+  chunkDigests.forEach((digest, i) => combined.set(digest, i * 32));
+
+  return toBase64(await globalThis.crypto.subtle.digest('SHA-256', combined));
+}
+
+/**
+ * Encrypt a file chunk by chunk using AES-256-GCM
+ * Only one chunk is read into memory at a time, so large files can be
+ * uploaded while they are being encrypted. An empty file yields one empty chunk.
+ * Each chunk's AAD binds it to the file ID, its index, the chunk count and
+ * the final-chunk flag (see encodeFileChunkAAD).
+ * @param {File|Blob} file - File to encrypt
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {number} chunkSize - Chunk size in bytes
+ * @param {string} fileId - Upload ID the chunks belong to
+ * @param {Uint8Array} [additionalData] - Optional AAD shared by every chunk
+ * @yields {{chunkIndex: number, totalChunks: number, data: Uint8Array, size: number, digest: Uint8Array}} Encrypted chunk (data is IV || ciphertext || tag), its plaintext size and plaintext SHA-256 digest
+ */
+export async function* encryptFile(file, sessionKey, chunkSize, fileId, additionalData = null) {
+  const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+
+  for (let i = 0; i < totalChunks; i++) {
+    const start = i * chunkSize;
+    const end = Math.min(start + chunkSize, file.size);
+
+    let data;
+    let digest;
+    try {
+      const chunk = new Uint8Array(await file.slice(start, end).arrayBuffer());
+      digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', chunk));
+      data = await encryptFileChunk(chunk, sessionKey, encodeFileChunkAAD(fileId, i, totalChunks, additionalData));
+    } catch (error) {
+      console.error('Error encrypting file:', error);
+      throw error;
+    }
+
+    yield {
+      chunkIndex: i,
+      totalChunks,
+      data,
+      size: end - start,
+      digest
+    };
+  }
+}
+
+/**
+ * Decrypt file chunks in order and reconstruct the file
+ * Chunks are decrypted one at a time as they arrive; each is either packed
+ * (IV || ciphertext || tag, as from encryptFile) or a legacy
+ * { ciphertext, iv, tag } object with base64 fields.
+ *
+ * With a manifest, every chunk must decrypt under the AAD for its position,
+ * there must be exactly manifest.totalChunks of them and the plaintext must
+ * match manifest.contentHash, so reordered, dropped, duplicated or truncated
+ * chunks are rejected. Without one (files sent inline, before chunks were
+ * bound to their position) chunks are decrypted as given.
+ * @param {Iterable|AsyncIterable<Uint8Array|ArrayBuffer|{ciphertext: string, iv: string, tag: string}>} chunks - Encrypted chunks in file order
+ * @param {CryptoKey} sessionKey - AES-GCM session key
+ * @param {string} fileName - Original file name
+ * @param {string} fileType - Original file type
+ * @param {Uint8Array} [additionalData] - AAD shared by every chunk, if any
+ * @param {{fileId: string, totalChunks: number, contentHash: string}} [manifest] - Decrypted file manifest
+ * @returns {Promise<Blob>} Decrypted file as Blob
+ */
+export async function decryptFile(chunks, sessionKey, fileName, fileType, additionalData = null, manifest = null) {
+  const decryptedChunks = [];
+  const chunkDigests = [];
+  let extraChunks = false;
+
+  try {
+    for await (const chunk of chunks) {
+      let packed = chunk;
+      if (typeof chunk?.ciphertext === 'string') {
+        packed = concatBytes(fromBase64(chunk.iv), fromBase64(chunk.ciphertext), fromBase64(chunk.tag));
+      }
+
+      if (!manifest) {
+        decryptedChunks.push(await decryptFileChunk(packed, sessionKey, additionalData));
+        continue;
+      }
+
+      const chunkIndex = decryptedChunks.length;
+      if (chunkIndex >= manifest.totalChunks) {
+        extraChunks = true;
+        break;
+      }
+
+      const plaintext = await decryptFileChunk(
+        packed,
+        sessionKey,
+        encodeFileChunkAAD(manifest.fileId, chunkIndex, manifest.totalChunks, additionalData)
+      );
+      decryptedChunks.push(plaintext);
+      chunkDigests.push(new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', plaintext)));
+    }
+  } catch (error) {
+    console.error('Error decrypting file:', error);
+    throw new Error('Failed to decrypt file. The file may be corrupted, reordered or the key is incorrect.');
+  }
+
+  if (manifest) {
+    if (extraChunks || decryptedChunks.length !== manifest.totalChunks) {
+      throw new Error('File is incomplete or has extra chunks.');
+    }
+
+    if (await hashFileChunkDigests(chunkDigests) !== manifest.contentHash) {
+      throw new Error('File content does not match its manifest.');
+    }
+  }
+
+  // Create Blob from decrypted data
+  return new Blob(decryptedChunks, { type: fileType });
+}
@@ -0,0 +1,230 @@
+/**
+ * Device keys for multi-device accounts
+ * Every device (browser) of an account has its own ECDH P-256 key pair. The
+ * account's signing key certifies a device by signing its device key message
+ * (deviceKeyMessage); senders only trust devices with a valid certificate.
+ *
+ * Message keys are fanned out to devices by wrapping them to each device key:
+ * two ECDH P-256 key agreements, one with an ephemeral key and one with the
+ * sending device's own (certified) device key, HKDF-SHA256 bound to both
+ * device IDs, and AES-256-GCM over the raw message key. Each wrapped copy
+ * names the device it is for and the device it is from
+ * ({ deviceId, fromDeviceId, ephemeralPublicKey, wrappedKey }); the sender,
+ * suite, key ID and header of the envelope are bound as additional data. Only
+ * the sending device or the receiving one can make a copy that unwraps, so
+ * the server cannot substitute a message key of its own.
+ */
+
+import { canonicalJSON, verifySignature } from './keyExchange.js';
+import { encryptFileChunk, decryptFileChunk } from './crypto.js';
+import { toBase64, fromBase64, utf8Encode, concatBytes } from './encoding.js';
+
+const DEVICE_KEY_PARAMS = { name: 'ECDH', namedCurve: 'P-256' };
+
+// Groups of five digits in a linking code: 60 digits, as many as a safety
+// number, so finding another key with the same code is out of reach
+const LINKING_CODE_GROUPS = 12;
+
+/**
+ * Generate a device key pair
+ * @returns {Promise<CryptoKeyPair>} ECDH P-256 key pair (extractable, to be stored wrapped)
+ */
+export function generateDeviceKeyPair() {
+  return globalThis.crypto.subtle.generateKey(DEVICE_KEY_PARAMS, true, ['deriveBits']);
+}
+
+/**
+ * Import a device private key
+ * @param {string} base64Key - Base64 PKCS#8
+ * @returns {Promise<CryptoKey>} Non-extractable ECDH private key
+ */
+export function importDevicePrivateKey(base64Key) {
+  return globalThis.crypto.subtle.importKey('pkcs8', fromBase64(base64Key), DEVICE_KEY_PARAMS, false, ['deriveBits']);
+}
+
+/**
+ * Message the account's signing key signs to certify a device
+ * @param {{userId: string, deviceId: string, publicKey: string}} device - Device (public key as base64 SPKI)
+ * @returns {string} Canonical JSON string
+ */
+export function deviceKeyMessage({ userId, deviceId, publicKey }) {
+  return canonicalJSON({ deviceId, publicKey, userId: String(userId) });
+}
+
+/**
+ * Check a device's certificate against its account's verification key
+ * @param {{userId: string, deviceId: string, publicKey: string, signature: string}} device - Device as listed by the server
+ * @param {{publicKey: string, algorithm: string}} verificationKey - From verificationKeyFrom()
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDeviceKey(device, verificationKey) {
+  if (typeof device.signature !== 'string' || !device.signature) {
+    return false;
+  }
+  return verifySignature(deviceKeyMessage(device), device.signature, verificationKey);
+}
+
+/**
+ * Code that identifies a device key, shown (and as a QR code) on a new
+ * device and entered on an existing one to approve it. It commits to the key
+ * itself, so the server cannot substitute a device of its own: SHA-512 over
+ * the key, then 12 chunks of 5 bytes, each reduced to 5 decimal digits (the
+ * way safety numbers are formed).
+ * @param {string} publicKey - Device public key (base64 SPKI)
+ * @returns {Promise<string>} 12 groups of 5 digits, e.g. '04213-77302-…'
+ */
+export async function linkingCode(publicKey) {
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest(
+    'SHA-512',
+    utf8Encode(`E2EE-DeviceLink-${publicKey}`)
+  ));
+
+  const groups = [];
+  for (let chunk = 0; chunk < LINKING_CODE_GROUPS; chunk++) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 256 + digest[chunk * 5 + i];
+    }
+    groups.push(String(value % 100000).padStart(5, '0'));
+  }
+  return groups.join('-');
+}
+
+/**
+ * Normalize a typed linking code for comparison (digits only)
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+export function normalizeLinkingCode(code) {
+  return String(code).replace(/\D/g, '');
+}
+
+/**
+ * ECDH P-256 shared secret
+ * @param {CryptoKey} privateKey - Our private key
+ * @param {CryptoKey} publicKey - Their public key
+ * @returns {Promise<Uint8Array>}
+ */
+async function sharedSecret(privateKey, publicKey) {
+  return new Uint8Array(await globalThis.crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256));
+}
+
+/**
+ * Import a device public key
+ * @param {string} base64Key - Base64 SPKI
+ * @returns {Promise<CryptoKey>}
+ */
+function importDevicePublicKey(base64Key) {
+  return globalThis.crypto.subtle.importKey('spki', fromBase64(base64Key), DEVICE_KEY_PARAMS, false, []);
+}
+
+/**
+ * AES-GCM key that wraps a message key from one device to another
+ * @param {Uint8Array} ephemeralSecret - Agreement of the ephemeral key and the receiving device key
+ * @param {Uint8Array} staticSecret - Agreement of the sending and the receiving device keys
+ * @param {string} fromDeviceId - Sending device
+ * @param {string} deviceId - Receiving device
+ * @returns {Promise<CryptoKey>}
+ */
+async function deviceWrappingKey(ephemeralSecret, staticSecret, fromDeviceId, deviceId) {
+  const baseKey = await globalThis.crypto.subtle.importKey(
+    'raw', concatBytes(ephemeralSecret, staticSecret), 'HKDF', false, ['deriveKey']
+  );
+
+  return globalThis.crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: utf8Encode(`E2EE-DeviceKey-${fromDeviceId}-${deviceId}`)
+    },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Additional data of a wrapped copy: the copy's devices and ephemeral key,
+ * the sender, and the envelope the message key belongs to
+ * @param {{deviceId: string, fromDeviceId: string, ephemeralPublicKey: string}} copy - Wrapped copy
+ * @param {string} fromUserId - Sender
+ * @param {{suite: string, keyId: string|null, header: Object|null}} envelope - Envelope of the message
+ * @returns {Uint8Array}
+ */
+function deviceCopyData({ deviceId, fromDeviceId, ephemeralPublicKey }, fromUserId, { suite, keyId, header }) {
+  return utf8Encode(canonicalJSON({
+    deviceId,
+    ephemeralPublicKey,
+    fromDeviceId,
+    fromUserId: String(fromUserId),
+    header: header ? canonicalJSON(header) : null,
+    keyId: keyId ?? null,
+    suite
+  }));
+}
+
+/**
+ * Wrap a message key for each of a set of devices
+ * @param {Uint8Array} messageKey - Raw message key
+ * @param {Array<{deviceId: string, publicKey: string}>} devices - Certified devices
+ * @param {{userId: string, deviceId: string, privateKey: CryptoKey}} sender - Sending device (certified, with its device key)
+ * @param {{suite: string, keyId: string|null, header: Object|null}} envelope - Envelope of the message
+ * @returns {Promise<Array<{deviceId: string, fromDeviceId: string, ephemeralPublicKey: string, wrappedKey: string}>>}
+ */
+export async function wrapKeyForDevices(messageKey, devices, sender, envelope) {
+  const wrapped = [];
+
+  for (const { deviceId, publicKey } of devices) {
+    const devicePublicKey = await importDevicePublicKey(publicKey);
+    const ephemeral = await globalThis.crypto.subtle.generateKey(DEVICE_KEY_PARAMS, true, ['deriveBits']);
+    const wrappingKey = await deviceWrappingKey(
+      await sharedSecret(ephemeral.privateKey, devicePublicKey),
+      await sharedSecret(sender.privateKey, devicePublicKey),
+      sender.deviceId,
+      deviceId
+    );
+
+    const copy = {
+      deviceId,
+      fromDeviceId: sender.deviceId,
+      ephemeralPublicKey: toBase64(await globalThis.crypto.subtle.exportKey('spki', ephemeral.publicKey))
+    };
+    wrapped.push({
+      ...copy,
+      wrappedKey: toBase64(await encryptFileChunk(messageKey, wrappingKey, deviceCopyData(copy, sender.userId, envelope)))
+    });
+  }
+
+  return wrapped;
+}
+
+/**
+ * Unwrap the copy of a message key made for this device
+ * @param {Array<Object>} deviceKeys - Wrapped copies from the envelope
+ * @param {{deviceId: string, privateKey: CryptoKey}} device - This device
+ * @param {Array<{userId: string, deviceId: string, publicKey: string}>} senderDevices - The sender's certified devices
+ * @param {{suite: string, keyId: string|null, header: Object|null}} envelope - Envelope of the message
+ * @returns {Promise<Uint8Array|null>} Raw message key, or null if there is no copy for this device
+ * @throws If the copy is not from a certified device of the sender, or does not unwrap (forged or corrupted)
+ */
+export async function unwrapDeviceKey(deviceKeys, device, senderDevices, envelope) {
+  const copy = deviceKeys.find(entry => entry.deviceId === device.deviceId);
+  if (!copy) {
+    return null;
+  }
+
+  const sender = senderDevices.find(candidate => candidate.deviceId === copy.fromDeviceId);
+  if (!sender) {
+    throw new Error('Message key copy is not from a certified device of the sender');
+  }
+
+  const wrappingKey = await deviceWrappingKey(
+    await sharedSecret(device.privateKey, await importDevicePublicKey(copy.ephemeralPublicKey)),
+    await sharedSecret(device.privateKey, await importDevicePublicKey(sender.publicKey)),
+    copy.fromDeviceId,
+    device.deviceId
+  );
+  return decryptFileChunk(fromBase64(copy.wrappedKey), wrappingKey, deviceCopyData(copy, sender.userId, envelope));
+}
@@ -0,0 +1,101 @@
+/**
+ * Binary and text encoding helpers
+ * Base64 and UTF-8 conversions that behave the same in browsers and Node.
+ * Bytes are converted to binary strings in bounded slices, so large buffers
+ * (file chunks, exported keys) never hit the engine's argument limit the way
+ * String.fromCharCode(...bytes) does.
+ */
+
+// Bytes per String.fromCharCode call, well under every engine's argument limit
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * View any binary input as a Uint8Array (without copying)
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array}
+ */
+export function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  throw new TypeError('Expected binary data (Uint8Array or ArrayBuffer)');
+}
+
+/**
+ * Encode bytes as standard base64 (with padding)
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data - Bytes to encode
+ * @returns {string}
+ */
+export function toBase64(data) {
+  const bytes = toBytes(data);
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE)));
+  }
+  return btoa(parts.join(''));
+}
+
+/**
+ * Decode standard base64 (whitespace is ignored)
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ * @throws If the input is not valid base64
+ */
+export function fromBase64(base64) {
+  if (typeof base64 !== 'string') {
+    throw new TypeError('Expected a base64 string');
+  }
+
+  let binary;
+  try {
+    binary = atob(base64.replace(/\s/g, ''));
+  } catch {
+    throw new Error('Invalid base64 encoding');
+  }
+
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Encode a string as UTF-8
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array}
+ */
+export function utf8Encode(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes
+ * @param {Uint8Array|ArrayBuffer|ArrayBufferView} data - UTF-8 bytes
+ * @returns {string}
+ */
+export function utf8Decode(data) {
+  return new TextDecoder().decode(toBytes(data));
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {...(Uint8Array|ArrayBuffer)} parts - Parts in order
+ * @returns {Uint8Array}
+ */
+export function concatBytes(...parts) {
+  const arrays = parts.map(toBytes);
+  const combined = new Uint8Array(arrays.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of arrays) {
+    combined.set(part, offset);
+    offset += part.length;
+  }
+  return combined;
+}
@@ -0,0 +1,62 @@
+/**
+ * Identity key rotation
+ * An account's identity is its RSA key plus its signing key, numbered by key
+ * version (1 at registration). To replace them, the client signs the new
+ * public keys with the current identity (identityKeyRotationMessage); the
+ * server keeps every earlier version with its validity period. Anyone can
+ * walk that history and check that each version was signed by the one
+ * before it (verifyKeyHistory), so a key swapped in by the server shows up
+ * as a broken chain rather than as an ordinary rotation.
+ *
+ * A rotation gives a reason: 'rotated' (routine replacement) or
+ * 'compromised' (the previous key must no longer be trusted).
+ */
+
+import { canonicalJSON, verificationKeyFrom, verifySignature } from './keyExchange.js';
+
+export const KEY_ROTATION_REASONS = ['rotated', 'compromised'];
+
+/**
+ * Message the current identity signs to introduce the next key version
+ * @param {{userId: string, keyVersion: number, publicKey: string, signingPublicKey: string,
+ *   signingKeyAlgorithm: string, reason: string}} rotation - New key version
+ * @returns {string} Canonical JSON string
+ */
+export function identityKeyRotationMessage({ userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason }) {
+  return canonicalJSON({
+    keyVersion,
+    publicKey,
+    reason,
+    signingKeyAlgorithm,
+    signingPublicKey,
+    userId: String(userId)
+  });
+}
+
+/**
+ * Check a user's key history: versions numbered 1, 2, 3..., and every
+ * version after the first signed by the previous one
+ * @param {string} userId - User the history belongs to
+ * @param {Array<Object>} keys - From /users/:userId/key-history, oldest first
+ *   ({ keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, reason, rotationSignature })
+ * @returns {Promise<boolean>}
+ */
+export async function verifyKeyHistory(userId, keys) {
+  if (!Array.isArray(keys) || keys.length === 0 || keys[0].keyVersion !== 1) {
+    return false;
+  }
+
+  for (let i = 1; i < keys.length; i++) {
+    const previous = keys[i - 1];
+    const key = keys[i];
+
+    if (key.keyVersion !== previous.keyVersion + 1 || typeof key.rotationSignature !== 'string') {
+      return false;
+    }
+    const message = identityKeyRotationMessage({ userId, ...key });
+    if (!(await verifySignature(message, key.rotationSignature, verificationKeyFrom(previous)))) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,16 @@
+/**
+ * @e2ee/crypto - end-to-end encryption code shared by the web app, the CLI
+ * and their tests. Runs in browsers and in Node 20+ (Web Crypto via
+ * globalThis.crypto, no DOM or Node-only APIs).
+ */
+
+export * from './encoding.js';
+export * from './wireFormat.js';
+export * from './crypto.js';
+export * from './keyExchange.js';
+export * from './messageMetadata.js';
+export * from './ratchet.js';
+export * from './devices.js';
+export * from './backup.js';
+export * from './identityKeys.js';
+export * from './transparency.js';
@@ -0,0 +1,289 @@
+/**
+ * Key exchange protocol primitives shared by the web app and the CLI
+ * ECDH, HKDF session key derivation, the canonical signed protocol messages,
+ * signatures over them and HMAC key confirmation. Transport and key storage
+ * stay with the caller (frontend/src/utils/keyExchange.js, cli/src/keyExchange.js).
+ */
+
+import { signingKeyParams, signatureParams } from './crypto.js';
+import { toBase64, fromBase64, utf8Encode, concatBytes } from './encoding.js';
+
+/**
+ * Canonical JSON of a signed protocol message (keys sorted, so both sides
+ * serialize it identically)
+ * @param {Object} message - Flat message object
+ * @returns {string}
+ */
+export function canonicalJSON(message) {
+  return JSON.stringify(message, Object.keys(message).sort());
+}
+
+/**
+ * Fields the initiator signs to start an interactive exchange
+ * @param {{ephemeralPublicKey: string, fromUserId: string, nonce: string, timestamp: number, toUserId: string}} fields
+ * @returns {Object}
+ */
+export function initiationMessage({ ephemeralPublicKey, fromUserId, nonce, timestamp, toUserId }) {
+  return { ephemeralPublicKey, fromUserId, nonce, timestamp, toUserId };
+}
+
+/**
+ * Fields the responder signs to answer an interactive exchange
+ * @param {{exchangeId: string, ephemeralPublicKey: string, keyConfirmation: string, timestamp: number, nonce: string}} fields
+ * @returns {Object}
+ */
+export function responseMessage({ exchangeId, ephemeralPublicKey, keyConfirmation, timestamp, nonce }) {
+  return { exchangeId, ephemeralPublicKey, keyConfirmation, timestamp, nonce };
+}
+
+/**
+ * Fields the initiator signs to start an X3DH exchange
+ * @param {{ephemeralPublicKey: string, fromUserId: string, nonce: string, oneTimePreKeyId: ?number, signedPreKeyId: number, timestamp: number, toUserId: string}} fields
+ * @returns {Object}
+ */
+export function x3dhInitiationMessage({ ephemeralPublicKey, fromUserId, nonce, oneTimePreKeyId = null, signedPreKeyId, timestamp, toUserId }) {
+  return { ephemeralPublicKey, fromUserId, nonce, oneTimePreKeyId, signedPreKeyId, timestamp, toUserId };
+}
+
+/**
+ * Message signed by a user's identity key to publish a signed prekey
+ * @param {number} keyId - Signed prekey ID
+ * @param {string} publicKey - Signed prekey public key (base64 SPKI)
+ * @returns {string} Canonical JSON string
+ */
+export function signedPreKeyMessage(keyId, publicKey) {
+  return canonicalJSON({ keyId, publicKey });
+}
+
+/**
+ * Concatenate X3DH DH outputs into one input for the session key KDF
+ * @param {Array<ArrayBuffer>} secrets - DH outputs in protocol order
+ * @returns {ArrayBuffer}
+ */
+export function combineSecrets(secrets) {
+  return concatBytes(...secrets).buffer;
+}
+
+/**
+ * Derive shared secret using ECDH
+ * @param {CryptoKey} privateKey - Our ECDH private key
+ * @param {CryptoKey} publicKey - Other party's ECDH public key
+ * @returns {Promise<ArrayBuffer>} Shared secret
+ */
+export async function deriveSharedSecret(privateKey, publicKey) {
+  try {
+    const sharedSecret = await globalThis.crypto.subtle.deriveBits(
+      {
+        name: 'ECDH',
+        public: publicKey
+      },
+      privateKey,
+      256 // 256 bits = 32 bytes
+    );
+    return sharedSecret;
+  } catch (error) {
+    console.error('Error deriving shared secret:', error);
+    throw error;
+  }
+}
+
+/**
+ * Derive session key using HKDF
+ * @param {ArrayBuffer} sharedSecret - ECDH shared secret
+ * @param {string} fromUserId - Sender user ID
+ * @param {string} toUserId - Receiver user ID
+ * @param {string} nonce - Random nonce
+ * @returns {Promise<CryptoKey>} Derived session key
+ */
+export async function deriveSessionKey(sharedSecret, fromUserId, toUserId, nonce) {
+  try {
+    // Import shared secret as a key for HKDF
+    const baseKey = await globalThis.crypto.subtle.importKey(
+      'raw',
+      sharedSecret,
+      'HKDF',
+      false,
+      ['deriveBits', 'deriveKey']
+    );
+
+    // Create info parameter: "E2EE-SessionKey" + user IDs + nonce
+    const info = utf8Encode(
+      `E2EE-SessionKey-${fromUserId}-${toUserId}-${nonce}`
+    );
+
+    // Derive session key using HKDF
+    const sessionKey = await globalThis.crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(0), // No salt for simplicity (can be improved)
+        info: info
+      },
+      baseKey,
+      {
+        name: 'AES-GCM',
+        length: 256
+      },
+      true, // extractable
+      ['encrypt', 'decrypt']
+    );
+
+    return sessionKey;
+  } catch (error) {
+    console.error('Error deriving session key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate random nonce
+ * @param {number} length - Nonce length in bytes (default: 16)
+ * @returns {string} Base64-encoded nonce
+ */
+export function generateNonce(length = 16) {
+  const array = new Uint8Array(length);
+  globalThis.crypto.getRandomValues(array);
+  return toBase64(array);
+}
+
+/**
+ * Import a public key for signature verification
+ * @param {string} base64Key - Base64-encoded SPKI format public key
+ * @param {string} algorithm - 'Ed25519', 'ECDSA-P256' or 'RSA-PSS' (legacy identity key)
+ * @returns {Promise<CryptoKey>} Imported public key for verification
+ */
+async function importVerificationKey(base64Key, algorithm) {
+  try {
+    const publicKey = await globalThis.crypto.subtle.importKey(
+      'spki',
+      fromBase64(base64Key),
+      signingKeyParams(algorithm),
+      true,
+      ['verify']
+    );
+
+    return publicKey;
+  } catch (error) {
+    console.error('Error importing verification key:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pick the key that verifies a user's signatures from a public key response
+ * (/users/:userId/public-key or a prekey bundle). Users without a dedicated
+ * signing key still sign with their RSA identity key.
+ * @param {Object} keyInfo - { publicKey | identityKey, signingPublicKey, signingKeyAlgorithm }
+ * @returns {{publicKey: string, algorithm: string}} Verification key
+ */
+export function verificationKeyFrom(keyInfo) {
+  if (keyInfo.signingPublicKey) {
+    return { publicKey: keyInfo.signingPublicKey, algorithm: keyInfo.signingKeyAlgorithm };
+  }
+  return { publicKey: keyInfo.publicKey || keyInfo.identityKey, algorithm: 'RSA-PSS' };
+}
+
+/**
+ * Sign a message with a signing key
+ * @param {string} message - Message to sign (JSON string)
+ * @param {CryptoKey} signingKey - Private signing key
+ * @param {string} algorithm - 'Ed25519', 'ECDSA-P256' or 'RSA-PSS'
+ * @returns {Promise<string>} Base64-encoded signature
+ */
+export async function signWithKey(message, signingKey, algorithm) {
+  const signature = await globalThis.crypto.subtle.sign(
+    signatureParams(algorithm),
+    signingKey,
+    utf8Encode(message)
+  );
+
+  return toBase64(signature);
+}
+
+/**
+ * Verify a digital signature
+ * @param {string} message - Original message
+ * @param {string} signature - Base64-encoded signature
+ * @param {{publicKey: string, algorithm: string}|string} verificationKey - Signer's key from
+ *   verificationKeyFrom(); a bare SPKI string is treated as a legacy RSA-PSS identity key
+ * @returns {Promise<boolean>} True if signature is valid
+ */
+export async function verifySignature(message, signature, verificationKey) {
+  try {
+    const { publicKey: publicKeyBase64, algorithm } = typeof verificationKey === 'string'
+      ? { publicKey: verificationKey, algorithm: 'RSA-PSS' }
+      : verificationKey;
+
+    const publicKey = await importVerificationKey(publicKeyBase64, algorithm);
+
+    // Convert message and signature to ArrayBuffer
+    const messageBuffer = utf8Encode(message);
+    const signatureBuffer = fromBase64(signature);
+
+    // Verify signature
+    const isValid = await globalThis.crypto.subtle.verify(
+      signatureParams(algorithm),
+      publicKey,
+      signatureBuffer,
+      messageBuffer
+    );
+
+    return isValid;
+  } catch (error) {
+    console.error('Error verifying signature:', error);
+    return false;
+  }
+}
+
+/**
+ * Create HMAC for key confirmation
+ * @param {CryptoKey} sessionKey - Session key
+ * @param {string} nonce - Nonce to include in HMAC
+ * @returns {Promise<string>} Base64-encoded HMAC
+ */
+export async function createKeyConfirmation(sessionKey, nonce) {
+  try {
+    // Import session key for HMAC (we'll use AES key material)
+    // For key confirmation, we'll derive an HMAC key from the session key
+    const hmacKey = await globalThis.crypto.subtle.importKey(
+      'raw',
+      await globalThis.crypto.subtle.exportKey('raw', sessionKey),
+      {
+        name: 'HMAC',
+        hash: 'SHA-256'
+      },
+      false,
+      ['sign']
+    );
+
+    // Create HMAC
+    const message = utf8Encode(`KeyConfirmation-${nonce}`);
+    const hmac = await globalThis.crypto.subtle.sign(
+      'HMAC',
+      hmacKey,
+      message
+    );
+
+    return toBase64(hmac);
+  } catch (error) {
+    console.error('Error creating key confirmation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify key confirmation HMAC
+ * @param {CryptoKey} sessionKey - Session key
+ * @param {string} nonce - Nonce used in HMAC
+ * @param {string} hmac - Base64-encoded HMAC to verify
+ * @returns {Promise<boolean>} True if HMAC is valid
+ */
+export async function verifyKeyConfirmation(sessionKey, nonce, hmac) {
+  try {
+    const expectedHmac = await createKeyConfirmation(sessionKey, nonce);
+    return hmac === expectedHmac;
+  } catch (error) {
+    console.error('Error verifying key confirmation:', error);
+    return false;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Message metadata binding
+ * The routing and replay-protection fields the server stores next to a
+ * ciphertext (sender, recipient, sequence number, nonce, timestamp and type)
+ * are serialized canonically and bound to the ciphertext as AES-GCM
+ * additional data, so the server cannot change them unnoticed. Envelope
+ * messages (wire format version 2) also bind their version, cipher suite and
+ * key ID, and messages sent by a linked device the sending device's ID.
+ *
+ * A sealed copy of the same serialization (encrypted under the message key,
+ * without the metadata as AAD) travels with the message. When a message does
+ * not decrypt, it tells the recipient whether the metadata was altered
+ * (tampering) or the ciphertext itself is bad (an ordinary decryption failure).
+ */
+
+import { encryptMessage, decryptMessage, encryptFileChunk, decryptFileChunk } from './crypto.js';
+import { toBase64, fromBase64, utf8Encode, utf8Decode, concatBytes } from './encoding.js';
+
+// Bound fields, in canonical order
+const METADATA_FIELDS = ['fromUserId', 'toUserId', 'sequenceNumber', 'nonce', 'timestamp', 'messageType'];
+
+/**
+ * Canonical metadata of a message: fixed key order, IDs as strings,
+ * timestamp in milliseconds, then the envelope's version, suite and key ID
+ * and the sending device when the message has them
+ * @param {Object} msg - Message (as sent, or as returned by the API)
+ * @returns {Object}
+ */
+function canonicalMetadata(msg) {
+  const id = (value) => String(value?._id || value);
+
+  const metadata = {
+    fromUserId: id(msg.fromUserId),
+    toUserId: id(msg.toUserId),
+    sequenceNumber: msg.sequenceNumber ?? null,
+    nonce: msg.nonce ?? null,
+    timestamp: new Date(msg.timestamp).getTime(),
+    messageType: msg.messageType || 'text'
+  };
+
+  if (msg.envelope) {
+    metadata.wireVersion = msg.envelope.version ?? null;
+    metadata.suite = msg.envelope.suite ?? null;
+    metadata.keyId = msg.envelope.keyId ?? null;
+  }
+  if (msg.fromDeviceId) {
+    metadata.fromDeviceId = String(msg.fromDeviceId);
+  }
+  return metadata;
+}
+
+/**
+ * Canonical serialization of a message's metadata
+ * @param {Object} msg - Message (as sent, or as returned by the API)
+ * @returns {Uint8Array}
+ */
+export function encodeMessageMetadata(msg) {
+  return utf8Encode(JSON.stringify(canonicalMetadata(msg)));
+}
+
+/**
+ * AES-GCM additional data for a message: the ratchet header (if any)
+ * followed by the canonical metadata
+ * @param {Object} msg - Message metadata
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Uint8Array}
+ */
+export function messageAdditionalData(msg, headerData = null) {
+  const metadata = encodeMessageMetadata(msg);
+  return headerData ? concatBytes(headerData, metadata) : metadata;
+}
+
+/**
+ * Seal a copy of a message's metadata under the message key
+ * @param {Object} msg - Message metadata
+ * @param {CryptoKey} key - AES-GCM key the message is encrypted under
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Promise<string>} Base64 IV || ciphertext || tag
+ */
+export async function sealMessageMetadata(msg, key, headerData = null) {
+  const sealed = await encryptFileChunk(encodeMessageMetadata(msg), key, headerData);
+  return toBase64(sealed);
+}
+
+/**
+ * Compare a message's metadata with its sealed copy
+ * @param {Object} msg - Message as returned by the API (with sealedMetadata)
+ * @param {CryptoKey} key - AES-GCM key the message is encrypted under
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Promise<Array<string>>} Names of the fields that differ
+ * @throws If the sealed copy does not decrypt (wrong key or corrupted)
+ */
+export async function findAlteredMetadata(msg, key, headerData = null) {
+  const sealed = fromBase64(msg.sealedMetadata);
+  const original = JSON.parse(utf8Decode(await decryptFileChunk(sealed, key, headerData)));
+  const current = canonicalMetadata(msg);
+
+  // Fields present on only one side were added or stripped (e.g. an envelope
+  // message downgraded to the legacy layout)
+  const fields = new Set([...METADATA_FIELDS, ...Object.keys(original), ...Object.keys(current)]);
+  return [...fields].filter(field => original[field] !== current[field]);
+}
+
+/**
+ * Encrypt a message payload with its metadata bound as additional data,
+ * and seal a copy of the metadata alongside
+ * @param {string} plaintext - Payload to encrypt
+ * @param {CryptoKey} key - Message key or session key
+ * @param {Object} metadata - Message metadata to bind
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Promise<{ciphertext: string, iv: string, tag: string, sealedMetadata: string}>}
+ */
+export async function encryptBoundMessage(plaintext, key, metadata, headerData = null) {
+  const { ciphertext, iv, tag } = await encryptMessage(
+    plaintext,
+    key,
+    messageAdditionalData(metadata, headerData)
+  );
+  const sealedMetadata = await sealMessageMetadata(metadata, key, headerData);
+  return { ciphertext, iv, tag, sealedMetadata };
+}
+
+/**
+ * Decrypt a message's ciphertext, checking the metadata bound to it.
+ * If it fails to decrypt while its sealed metadata still opens and differs
+ * from the stored fields, the error is marked as tampering.
+ * @param {Object} msg - Received message with its payload fields ({ ...msg, ...decodeEnvelope(msg) })
+ * @param {CryptoKey} key - Message key or session key
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Promise<string>} Plaintext
+ */
+export async function decryptBoundMessage(msg, key, headerData = null) {
+  // Sent before metadata was bound to messages
+  if (!msg.sealedMetadata) {
+    return decryptMessage(msg.ciphertext, msg.iv, msg.tag, key, headerData);
+  }
+
+  try {
+    return await decryptMessage(msg.ciphertext, msg.iv, msg.tag, key, messageAdditionalData(msg, headerData));
+  } catch (error) {
+    let alteredFields = [];
+    try {
+      alteredFields = await findAlteredMetadata(msg, key, headerData);
+    } catch {
+      // Sealed copy doesn't open either: wrong key or corrupted message
+    }
+
+    if (alteredFields.length > 0) {
+      const tamperedError = new Error(`Message metadata was altered: ${alteredFields.join(', ')}`);
+      tamperedError.tampered = true;
+      tamperedError.alteredFields = alteredFields;
+      throw tamperedError;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decrypt and check the manifest of a chunked file message
+ * The manifest is encrypted under the file key and names the upload, its
+ * chunk count and content hash, so the chunks can be checked against it.
+ * @param {Object} msg - File message with fileId
+ * @param {CryptoKey} key - File key
+ * @param {Uint8Array} [headerData] - Encoded ratchet header, if any
+ * @returns {Promise<Object>} Manifest
+ */
+export async function readFileManifest(msg, key, headerData = null) {
+  const manifest = JSON.parse(await decryptBoundMessage(msg, key, headerData));
+
+  if (String(manifest.fileId) !== String(msg.fileId) ||
+      !Number.isInteger(manifest.totalChunks) || manifest.totalChunks < 1 ||
+      typeof manifest.contentHash !== 'string') {
+    throw new Error('File manifest does not match the message');
+  }
+
+  return manifest;
+}
@@ -0,0 +1,352 @@
+/**
+ * Double Ratchet (Signal-style) for per-message forward secrecy
+ * Built on ECDH P-256, HKDF-SHA256 and HMAC-SHA256 from the Web Crypto API
+ *
+ * Each exchange keeps a root key, one symmetric chain per direction, our
+ * current DH ratchet key pair and the peer's current DH public key. Every
+ * message is encrypted under a fresh key from the sending chain; a DH ratchet
+ * step (new key pair, new root and chain keys) runs whenever the speaker
+ * changes. The session key from the key exchange only seeds the root key.
+ *
+ * Initial state:
+ * - Responder: sends on a chain derived directly from the session key, using
+ *   its key exchange ephemeral key as the ratchet key, so it can speak first.
+ * - Initiator: receives on that chain and performs a DH ratchet step against
+ *   the responder's ephemeral key before its first send.
+ *
+ * This module holds the state machine only: callers load a state, step it
+ * and persist it (IndexedDB in the web app, the keystore file in the CLI).
+ */
+
+import {
+  generateECCKeyPair,
+  exportPublicKey,
+  exportPrivateKey,
+  importPublicKey,
+  importPrivateKey
+} from './crypto.js';
+import { toBase64, fromBase64, utf8Encode } from './encoding.js';
+
+// Upper bound on message keys skipped in one chain (limits DoS by a huge header.n)
+const MAX_SKIP = 1000;
+
+const ROOT_INFO = 'E2EE-Ratchet-Root';
+const RESPONDER_CHAIN_INFO = 'E2EE-Ratchet-ResponderChain';
+const ROOT_KDF_INFO = 'E2EE-Ratchet-RootKDF';
+
+/**
+ * HKDF-SHA256
+ * @param {Uint8Array} inputKeyMaterial - IKM
+ * @param {Uint8Array} salt - Salt
+ * @param {string} info - Context label
+ * @param {number} length - Output length in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function hkdf(inputKeyMaterial, salt, info, length = 32) {
+  const baseKey = await globalThis.crypto.subtle.importKey(
+    'raw',
+    inputKeyMaterial,
+    'HKDF',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: salt,
+      info: utf8Encode(info)
+    },
+    baseKey,
+    length * 8
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Root key KDF: mixes a DH output into the root key
+ * @param {string} rootKey - Base64 root key
+ * @param {Uint8Array} dhOutput - ECDH shared secret
+ * @returns {Promise<{rootKey: string, chainKey: string}>}
+ */
+async function kdfRootKey(rootKey, dhOutput) {
+  const output = await hkdf(dhOutput, fromBase64(rootKey), ROOT_KDF_INFO, 64);
+  return {
+    rootKey: toBase64(output.slice(0, 32)),
+    chainKey: toBase64(output.slice(32))
+  };
+}
+
+/**
+ * Chain key KDF: one step of a symmetric chain
+ * @param {string} chainKey - Base64 chain key
+ * @returns {Promise<{chainKey: string, messageKey: string}>}
+ */
+export async function kdfChainKey(chainKey) {
+  const hmacKey = await globalThis.crypto.subtle.importKey(
+    'raw',
+    fromBase64(chainKey),
+    {
+      name: 'HMAC',
+      hash: 'SHA-256'
+    },
+    false,
+    ['sign']
+  );
+
+  const messageKey = await globalThis.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x01]));
+  const nextChainKey = await globalThis.crypto.subtle.sign('HMAC', hmacKey, new Uint8Array([0x02]));
+
+  return {
+    chainKey: toBase64(new Uint8Array(nextChainKey)),
+    messageKey: toBase64(new Uint8Array(messageKey))
+  };
+}
+
+/**
+ * Generate a new DH ratchet key pair (serialized)
+ * @returns {Promise<{privateKey: string, publicKey: string}>}
+ */
+async function generateRatchetKeyPair() {
+  const keyPair = await generateECCKeyPair('P-256');
+  return {
+    privateKey: await exportPrivateKey(keyPair.privateKey),
+    publicKey: await exportPublicKey(keyPair.publicKey)
+  };
+}
+
+/**
+ * ECDH between our serialized private key and a peer's public key
+ * @param {string} privateKeyBase64 - Our PKCS#8 private key
+ * @param {string} publicKeyBase64 - Peer's SPKI public key
+ * @returns {Promise<Uint8Array>} Shared secret
+ */
+async function dh(privateKeyBase64, publicKeyBase64) {
+  const privateKey = await importPrivateKey(privateKeyBase64, 'ECDH', 'P-256');
+  const publicKey = await importPublicKey(publicKeyBase64, 'ECDH', 'P-256');
+
+  const sharedSecret = await globalThis.crypto.subtle.deriveBits(
+    {
+      name: 'ECDH',
+      public: publicKey
+    },
+    privateKey,
+    256
+  );
+
+  return new Uint8Array(sharedSecret);
+}
+
+/**
+ * Derive the root key and the responder's initial chain from the session key
+ * @param {CryptoKey} sessionKey - Session key from the key exchange
+ * @returns {Promise<{rootKey: string, responderChainKey: string}>}
+ */
+async function deriveInitialKeys(sessionKey) {
+  const raw = new Uint8Array(await globalThis.crypto.subtle.exportKey('raw', sessionKey));
+  const salt = new Uint8Array(32);
+
+  return {
+    rootKey: toBase64(await hkdf(raw, salt, ROOT_INFO)),
+    responderChainKey: toBase64(await hkdf(raw, salt, RESPONDER_CHAIN_INFO))
+  };
+}
+
+/**
+ * Serialize a ratchet header for use as AES-GCM additional data
+ * @param {{dh: string, n: number, pn: number}} header - Ratchet header
+ * @returns {Uint8Array}
+ */
+export function encodeRatchetHeader(header) {
+  return utf8Encode(JSON.stringify({
+    dh: header.dh,
+    n: header.n,
+    pn: header.pn
+  }));
+}
+
+/**
+ * Import a message key for AES-256-GCM
+ * @param {string} messageKey - Base64 message key
+ * @returns {Promise<CryptoKey>}
+ */
+export async function importMessageKey(messageKey) {
+  return globalThis.crypto.subtle.importKey(
+    'raw',
+    fromBase64(messageKey),
+    {
+      name: 'AES-GCM',
+      length: 256
+    },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Initial ratchet state on the initiator's side (after completeKeyExchange)
+ * @param {string} exchangeId - Exchange ID
+ * @param {CryptoKey} sessionKey - Session key from the key exchange
+ * @param {string} responderRatchetKey - Responder's ephemeral ECDH public key (base64 SPKI)
+ * @returns {Promise<Object>} Ratchet state
+ */
+export async function createInitiatorState(exchangeId, sessionKey, responderRatchetKey) {
+  const { rootKey, responderChainKey } = await deriveInitialKeys(sessionKey);
+
+  return {
+    exchangeId,
+    role: 'initiator',
+    rootKey,
+    sendingChainKey: null, // First send performs a DH ratchet step
+    receivingChainKey: responderChainKey,
+    dhSendingPrivateKey: null,
+    dhSendingPublicKey: null,
+    dhReceivingKey: responderRatchetKey,
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Initial ratchet state on the responder's side (after respondToKeyExchange)
+ * @param {string} exchangeId - Exchange ID
+ * @param {CryptoKey} sessionKey - Session key from the key exchange
+ * @param {CryptoKeyPair} ephemeralKeyPair - Our key exchange ephemeral ECDH key pair
+ * @returns {Promise<Object>} Ratchet state
+ */
+export async function createResponderState(exchangeId, sessionKey, ephemeralKeyPair) {
+  const { rootKey, responderChainKey } = await deriveInitialKeys(sessionKey);
+
+  return {
+    exchangeId,
+    role: 'responder',
+    rootKey,
+    sendingChainKey: responderChainKey,
+    receivingChainKey: null,
+    dhSendingPrivateKey: await exportPrivateKey(ephemeralKeyPair.privateKey),
+    dhSendingPublicKey: await exportPublicKey(ephemeralKeyPair.publicKey),
+    dhReceivingKey: null,
+    sendCount: 0,
+    receiveCount: 0,
+    previousSendCount: 0,
+    createdAt: new Date().toISOString()
+  };
+}
+
+
+/**
+ * ID under which a skipped message key is stored
+ * @param {string} exchangeId - Exchange ID
+ * @param {{dh: string, n: number}} header - Ratchet header (or the chain's DH key and position)
+ * @returns {string}
+ */
+export function skippedKeyId(exchangeId, header) {
+  return `${exchangeId}|${header.dh}|${header.n}`;
+}
+
+/**
+ * Advance the sending chain and return the next message key
+ * @param {Object} state - Ratchet state (mutated; persist it before sending)
+ * @returns {Promise<{header: {dh: string, n: number, pn: number}, messageKey: string}>}
+ */
+export async function ratchetSendStep(state) {
+  // Speaker changed (or first send): DH ratchet step with a fresh key pair
+  if (!state.sendingChainKey) {
+    const keyPair = await generateRatchetKeyPair();
+    const { rootKey, chainKey } = await kdfRootKey(
+      state.rootKey,
+      await dh(keyPair.privateKey, state.dhReceivingKey)
+    );
+    state.rootKey = rootKey;
+    state.sendingChainKey = chainKey;
+    state.dhSendingPrivateKey = keyPair.privateKey;
+    state.dhSendingPublicKey = keyPair.publicKey;
+  }
+
+  const { chainKey, messageKey } = await kdfChainKey(state.sendingChainKey);
+  const header = {
+    dh: state.dhSendingPublicKey,
+    n: state.sendCount,
+    pn: state.previousSendCount
+  };
+
+  state.sendingChainKey = chainKey;
+  state.sendCount += 1;
+
+  return { header, messageKey };
+}
+
+/**
+ * Derive and collect message keys for messages not yet received in the current chain
+ * @param {Object} state - Ratchet state (mutated)
+ * @param {number} until - Message number to skip up to (exclusive)
+ * @param {Array} skipped - Collected skipped keys (mutated)
+ */
+async function skipMessageKeys(state, until, skipped) {
+  if (!state.receivingChainKey) return;
+
+  if (until - state.receiveCount > MAX_SKIP) {
+    throw new Error('Too many skipped messages');
+  }
+
+  while (state.receiveCount < until) {
+    const { chainKey, messageKey } = await kdfChainKey(state.receivingChainKey);
+    skipped.push({
+      id: skippedKeyId(state.exchangeId, { dh: state.dhReceivingKey, n: state.receiveCount }),
+      messageKey
+    });
+    state.receivingChainKey = chainKey;
+    state.receiveCount += 1;
+  }
+}
+
+/**
+ * Advance the receiving side to the message key for a header. Keys for
+ * messages skipped on the way are returned so they can be stored. Only
+ * persist the mutated state once the message has decrypted, so forged or
+ * corrupted messages cannot desynchronize the session. Messages whose key
+ * was stored as skipped must be looked up (see skippedKeyId) before calling.
+ * @param {Object} state - Ratchet state (mutated)
+ * @param {{dh: string, n: number, pn: number}} header - Ratchet header from the message
+ * @returns {Promise<{messageKey: string, skipped: Array<{id: string, messageKey: string}>}>}
+ */
+export async function ratchetReceiveStep(state, header) {
+  const skipped = [];
+
+  if (header.dh !== state.dhReceivingKey) {
+    // Speaker changed: keep keys for the rest of the old chain, then DH ratchet step
+    await skipMessageKeys(state, header.pn, skipped);
+
+    if (!state.dhSendingPrivateKey) {
+      throw new Error('Ratchet out of sync: no sending key pair');
+    }
+
+    const { rootKey, chainKey } = await kdfRootKey(
+      state.rootKey,
+      await dh(state.dhSendingPrivateKey, header.dh)
+    );
+    state.rootKey = rootKey;
+    state.receivingChainKey = chainKey;
+    state.dhReceivingKey = header.dh;
+    state.previousSendCount = state.sendCount;
+    state.sendCount = 0;
+    state.receiveCount = 0;
+    state.sendingChainKey = null; // Our next send uses a fresh key pair
+  }
+
+  if (header.n < state.receiveCount) {
+    throw new Error('Message key already used (duplicate or replayed message)');
+  }
+
+  await skipMessageKeys(state, header.n, skipped);
+
+  const { chainKey, messageKey } = await kdfChainKey(state.receivingChainKey);
+  state.receivingChainKey = chainKey;
+  state.receiveCount += 1;
+
+  return { messageKey, skipped };
+}
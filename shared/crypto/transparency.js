@@ -0,0 +1,287 @@
+/**
+ * Key transparency log
+ * The server records every identity key it hands out (registrations, signing
+ * key upgrades, rotations) as a leaf of an append-only Merkle tree, the
+ * RFC 6962 (Certificate Transparency) construction:
+ *   leaf hash = SHA-256(0x00 || leaf), node hash = SHA-256(0x01 || left || right)
+ * and signs the tree's root and size (a tree head) with the log key.
+ * - An inclusion proof shows that a key is a leaf of a signed tree head, so
+ *   the server cannot hand one client a key it does not show everyone else
+ *   without signing it into the log
+ * - A consistency proof shows that a larger tree head extends a smaller one,
+ *   so the log cannot be rewritten once a client has seen a tree head
+ * Hashes are base64. The backend builds the same tree with node:crypto
+ * (backend/utils/keyTransparency.js); this module builds it too, for tests.
+ */
+
+import { canonicalJSON, verifySignature } from './keyExchange.js';
+import { toBase64, fromBase64, utf8Encode, concatBytes } from './encoding.js';
+
+// What put a key in the log
+export const KEY_LOG_EVENTS = ['registered', 'signing-key-added', 'identity-key-rotated', 'existing-key'];
+
+// Algorithm of the log key (ECDSA P-256, as Certificate Transparency logs use)
+export const KEY_LOG_SIGNATURE_ALGORITHM = 'ECDSA-P256';
+
+/**
+ * SHA-256 of the concatenated parts
+ * @param {...Uint8Array} parts - Bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha256(...parts) {
+  return new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', concatBytes(...parts)));
+}
+
+/**
+ * Hash of an inner node
+ * @param {Uint8Array} left - Left child hash
+ * @param {Uint8Array} right - Right child hash
+ * @returns {Promise<Uint8Array>}
+ */
+function nodeHash(left, right) {
+  return sha256(new Uint8Array([1]), left, right);
+}
+
+/**
+ * Largest power of two smaller than n (n > 1), where RFC 6962 splits a tree
+ * @param {number} n - Number of leaves
+ * @returns {number}
+ */
+function splitPoint(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+/**
+ * The log leaf recording a user's identity keys
+ * @param {{userId: string, keyVersion: number, publicKey: string, signingPublicKey: string|null,
+ *   signingKeyAlgorithm: string|null, event: string, loggedAt: number}} entry - Logged keys
+ * @returns {string} Canonical JSON string
+ */
+export function keyLogLeaf({ userId, keyVersion, publicKey, signingPublicKey, signingKeyAlgorithm, event, loggedAt }) {
+  return canonicalJSON({
+    event,
+    keyVersion,
+    loggedAt,
+    publicKey,
+    signingKeyAlgorithm: signingKeyAlgorithm || null,
+    signingPublicKey: signingPublicKey || null,
+    userId: String(userId)
+  });
+}
+
+/**
+ * Leaf hash of a log leaf
+ * @param {string} leaf - From keyLogLeaf
+ * @returns {Promise<string>} Base64 hash
+ */
+export async function keyLogLeafHash(leaf) {
+  return toBase64(await sha256(new Uint8Array([0]), utf8Encode(leaf)));
+}
+
+/**
+ * Root hash of the tree over the given leaves
+ * @param {Array<Uint8Array>} leaves - Leaf hashes
+ * @returns {Promise<Uint8Array>}
+ */
+async function treeHash(leaves) {
+  if (leaves.length === 0) return sha256();
+  if (leaves.length === 1) return leaves[0];
+
+  const k = splitPoint(leaves.length);
+  return nodeHash(await treeHash(leaves.slice(0, k)), await treeHash(leaves.slice(k)));
+}
+
+/**
+ * Root hash of a log
+ * @param {Array<string>} leafHashes - Base64 leaf hashes, in log order
+ * @returns {Promise<string>} Base64 root hash
+ */
+export async function merkleTreeHash(leafHashes) {
+  return toBase64(await treeHash(leafHashes.map(fromBase64)));
+}
+
+/**
+ * Audit path of a leaf (RFC 6962 PATH)
+ * @param {number} index - Leaf index
+ * @param {Array<Uint8Array>} leaves - Leaf hashes
+ * @returns {Promise<Array<Uint8Array>>}
+ */
+async function auditPath(index, leaves) {
+  if (leaves.length <= 1) return [];
+
+  const k = splitPoint(leaves.length);
+  if (index < k) {
+    return [...await auditPath(index, leaves.slice(0, k)), await treeHash(leaves.slice(k))];
+  }
+  return [...await auditPath(index - k, leaves.slice(k)), await treeHash(leaves.slice(0, k))];
+}
+
+/**
+ * Inclusion proof of a leaf in the tree over the given leaves
+ * @param {number} leafIndex - Leaf index
+ * @param {Array<string>} leafHashes - Base64 leaf hashes of the tree
+ * @returns {Promise<Array<string>>} Base64 hashes
+ */
+export async function inclusionProof(leafIndex, leafHashes) {
+  return (await auditPath(leafIndex, leafHashes.map(fromBase64))).map(toBase64);
+}
+
+/**
+ * Consistency proof between the first m leaves and the whole tree (RFC 6962 SUBPROOF)
+ * @param {number} m - Size of the smaller tree
+ * @param {Array<Uint8Array>} leaves - Leaf hashes
+ * @param {boolean} complete - Whether the smaller tree is a complete subtree the verifier knows
+ * @returns {Promise<Array<Uint8Array>>}
+ */
+async function subproof(m, leaves, complete) {
+  if (m === leaves.length) {
+    return complete ? [] : [await treeHash(leaves)];
+  }
+
+  const k = splitPoint(leaves.length);
+  if (m <= k) {
+    return [...await subproof(m, leaves.slice(0, k), complete), await treeHash(leaves.slice(k))];
+  }
+  return [...await subproof(m - k, leaves.slice(k), false), await treeHash(leaves.slice(0, k))];
+}
+
+/**
+ * Consistency proof between an earlier size of a log and the whole log
+ * @param {number} oldSize - Earlier tree size
+ * @param {Array<string>} leafHashes - Base64 leaf hashes of the larger tree
+ * @returns {Promise<Array<string>>} Base64 hashes
+ */
+export async function consistencyProof(oldSize, leafHashes) {
+  if (oldSize === 0 || oldSize === leafHashes.length) return [];
+  return (await subproof(oldSize, leafHashes.map(fromBase64), true)).map(toBase64);
+}
+
+/**
+ * Whether two hashes are equal
+ * @param {Uint8Array} a - Hash
+ * @param {Uint8Array} b - Hash
+ * @returns {boolean}
+ */
+function equalHashes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Check an inclusion proof (RFC 9162, section 2.1.3.2)
+ * @param {string} leafHash - Base64 hash of the leaf (keyLogLeafHash)
+ * @param {number} leafIndex - Leaf index
+ * @param {number} treeSize - Size of the tree the proof is for
+ * @param {Array<string>} proof - Base64 hashes
+ * @param {string} rootHash - Base64 root hash of that tree
+ * @returns {Promise<boolean>}
+ */
+export async function verifyInclusion(leafHash, leafIndex, treeSize, proof, rootHash) {
+  if (!Number.isInteger(leafIndex) || !Number.isInteger(treeSize) || leafIndex < 0 ||
+      leafIndex >= treeSize || !Array.isArray(proof)) {
+    return false;
+  }
+
+  let fn = leafIndex;
+  let sn = treeSize - 1;
+  let r = fromBase64(leafHash);
+
+  for (const p of proof.map(fromBase64)) {
+    if (sn === 0) return false;
+
+    if (fn % 2 === 1 || fn === sn) {
+      r = await nodeHash(p, r);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      r = await nodeHash(r, p);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && equalHashes(r, fromBase64(rootHash));
+}
+
+/**
+ * Check a consistency proof (RFC 9162, section 2.1.4.2): the tree of
+ * newSize with newRoot extends the tree of oldSize with oldRoot
+ * @param {number} oldSize - Earlier tree size
+ * @param {string} oldRoot - Base64 root hash of the earlier tree
+ * @param {number} newSize - Later tree size
+ * @param {string} newRoot - Base64 root hash of the later tree
+ * @param {Array<string>} proof - Base64 hashes
+ * @returns {Promise<boolean>}
+ */
+export async function verifyConsistency(oldSize, oldRoot, newSize, newRoot, proof) {
+  if (!Number.isInteger(oldSize) || !Number.isInteger(newSize) || oldSize < 0 ||
+      oldSize > newSize || !Array.isArray(proof)) {
+    return false;
+  }
+  // Every tree extends the empty one, and a tree only itself
+  if (oldSize === 0) return proof.length === 0;
+  if (oldSize === newSize) return proof.length === 0 && oldRoot === newRoot;
+  if (proof.length === 0) return false;
+
+  const path = proof.map(fromBase64);
+  // An old tree that is a complete subtree is not repeated in the proof
+  if ((oldSize & (oldSize - 1)) === 0) {
+    path.unshift(fromBase64(oldRoot));
+  }
+
+  let fn = oldSize - 1;
+  let sn = newSize - 1;
+  while (fn % 2 === 1) {
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  let fr = path[0];
+  let sr = path[0];
+  for (const c of path.slice(1)) {
+    if (sn === 0) return false;
+
+    if (fn % 2 === 1 || fn === sn) {
+      fr = await nodeHash(c, fr);
+      sr = await nodeHash(c, sr);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      sr = await nodeHash(sr, c);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && equalHashes(fr, fromBase64(oldRoot)) && equalHashes(sr, fromBase64(newRoot));
+}
+
+/**
+ * Message the log key signs for a tree head
+ * @param {{treeSize: number, rootHash: string, timestamp: number}} treeHead - Tree head
+ * @returns {string} Canonical JSON string
+ */
+export function treeHeadMessage({ treeSize, rootHash, timestamp }) {
+  return canonicalJSON({ rootHash, timestamp, treeSize });
+}
+
+/**
+ * Check a tree head's signature
+ * @param {{treeSize: number, rootHash: string, timestamp: number, signature: string}} treeHead - Signed tree head
+ * @param {string} logPublicKey - Log key (base64 SPKI)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTreeHead(treeHead, logPublicKey) {
+  if (!treeHead || typeof treeHead.signature !== 'string') {
+    return false;
+  }
+  return verifySignature(treeHeadMessage(treeHead), treeHead.signature, {
+    publicKey: logPublicKey,
+    algorithm: KEY_LOG_SIGNATURE_ALGORITHM
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * Wire format of encrypted messages
+ * Describes what clients put on the wire for the server to store, so every
+ * client (web app, CLI) writes and reads the same layout.
+ *
+ * Version 2 (current): an envelope
+ *   { version, suite, keyId, header, payload: { ciphertext, iv, tag, sealedMetadata? } }
+ * - suite names the cipher suite the payload is encrypted with (CIPHER_SUITES)
+ * - keyId names the key it is encrypted under (the session's exchange ID)
+ * - header carries what the suite needs in the clear (the Double Ratchet
+ *   header { dh, n, pn }), or null
+ * - deviceKeys (optional) carries the message key wrapped for each of the
+ *   sender's and recipient's other devices (devices.js)
+ * The version, suite and key ID are bound to the ciphertext with the rest of
+ * the message metadata (messageMetadata.js), so the server cannot switch a
+ * message to another suite or key unnoticed.
+ *
+ * Version 1 (legacy, read only): ciphertext, iv, tag, ratchetHeader and
+ * sealedMetadata as loose message fields, AES-256-GCM under a ratchet message
+ * key or the session key. Messages stored before the version was recorded
+ * use the same layout. File messages sent before chunked uploads keep a JSON
+ * list of encrypted chunks in ciphertext (decodeLegacyFileChunks).
+ *
+ * Binary payloads (file chunks, sealed metadata) are IV || ciphertext || tag
+ * in every version. A client refuses versions and suites it does not know
+ * instead of guessing at their layout.
+ */
+
+import { fromBase64 } from './encoding.js';
+
+export const WIRE_FORMAT_VERSION = 2;
+
+// Versions this client can read
+export const SUPPORTED_WIRE_VERSIONS = [1, 2];
+
+// AES-GCM parameters shared by the current suites
+export const IV_LENGTH = 12;
+export const TAG_LENGTH = 16;
+
+// AES-256-GCM under a Double Ratchet message key (P-256 ECDH, HKDF/HMAC-SHA-256)
+export const SUITE_RATCHET = 'E2EE-DR-P256-AES256GCM';
+
+// AES-256-GCM under the session key of the key exchange (sessions without ratchet state)
+export const SUITE_SESSION_KEY = 'E2EE-SK-AES256GCM';
+
+// AES-256-GCM under a random message key that only travels wrapped to devices
+// (sent by a linked device, which holds no session with the recipient)
+export const SUITE_DEVICE = 'E2EE-DEV-P256-AES256GCM';
+
+// Cipher suites this client can read
+export const CIPHER_SUITES = {
+  [SUITE_RATCHET]: { ivLength: IV_LENGTH, tagLength: TAG_LENGTH, ratchetHeader: true },
+  [SUITE_SESSION_KEY]: { ivLength: IV_LENGTH, tagLength: TAG_LENGTH, ratchetHeader: false },
+  [SUITE_DEVICE]: { ivLength: IV_LENGTH, tagLength: TAG_LENGTH, ratchetHeader: false }
+};
+
+/**
+ * Error for a message this client cannot parse
+ * @param {string} reason - What is wrong
+ * @param {Object} [details] - Extra properties for the error
+ * @returns {Error}
+ */
+function wireFormatError(reason, details = {}) {
+  const error = new Error(`Malformed message: ${reason}`);
+  error.wireFormat = true;
+  return Object.assign(error, details);
+}
+
+/**
+ * Check that a field is base64 of the given decoded length
+ * @param {*} value - Field value
+ * @param {string} name - Field name (for the error)
+ * @param {number} [length] - Required decoded length, if fixed
+ */
+function checkBase64Field(value, name, length = null) {
+  if (typeof value !== 'string') {
+    throw wireFormatError(`${name} is missing`);
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64(value);
+  } catch {
+    throw wireFormatError(`${name} is not base64`);
+  }
+
+  if (length !== null && bytes.length !== length) {
+    throw wireFormatError(`${name} must be ${length} bytes`);
+  }
+}
+
+/**
+ * Check the encrypted fields of a payload against its cipher suite
+ * @param {Object} payload - { ciphertext, iv, tag, sealedMetadata? }
+ * @param {Object} suite - Entry of CIPHER_SUITES
+ */
+function checkPayload(payload, suite) {
+  checkBase64Field(payload.ciphertext, 'ciphertext');
+  checkBase64Field(payload.iv, 'iv', suite.ivLength);
+  checkBase64Field(payload.tag, 'tag', suite.tagLength);
+
+  if (payload.sealedMetadata != null) {
+    checkBase64Field(payload.sealedMetadata, 'sealedMetadata');
+  }
+}
+
+/**
+ * Check the wrapped message key copies of an envelope
+ * @param {*} deviceKeys - Envelope deviceKeys
+ */
+function checkDeviceKeys(deviceKeys) {
+  if (!Array.isArray(deviceKeys)) {
+    throw wireFormatError('deviceKeys must be a list');
+  }
+
+  for (const entry of deviceKeys) {
+    if (entry === null || typeof entry !== 'object' || typeof entry.deviceId !== 'string' || !entry.deviceId) {
+      throw wireFormatError('device key without a device ID');
+    }
+    if (typeof entry.fromDeviceId !== 'string' || !entry.fromDeviceId) {
+      throw wireFormatError('device key without a sending device ID');
+    }
+    checkBase64Field(entry.ephemeralPublicKey, 'ephemeralPublicKey');
+    checkBase64Field(entry.wrappedKey, 'wrappedKey');
+  }
+}
+
+/**
+ * Whether a value is a well-formed Double Ratchet header
+ * @param {*} header - Candidate header
+ * @returns {boolean}
+ */
+export function isRatchetHeader(header) {
+  return header !== null && typeof header === 'object' &&
+    typeof header.dh === 'string' && header.dh.length > 0 &&
+    Number.isInteger(header.n) && header.n >= 0 &&
+    Number.isInteger(header.pn) && header.pn >= 0;
+}
+
+/**
+ * Wire version of a stored message (messages from before versioning are version 1)
+ * @param {Object} msg - Message as returned by the API
+ * @returns {number}
+ */
+export function wireVersionOf(msg) {
+  return msg.envelope?.version ?? msg.wireVersion ?? 1;
+}
+
+/**
+ * Envelope for a message about to be encrypted, without its payload yet.
+ * Pass it in the message metadata ({ ...metadata, envelope }) so the version,
+ * suite and key ID are bound to the ciphertext.
+ * @param {{suite: string, keyId: string, header?: Object}} fields - Cipher suite, key ID and suite header
+ * @returns {{version: number, suite: string, keyId: string, header: Object|null}}
+ */
+export function messageEnvelope({ suite, keyId, header = null }) {
+  return { version: WIRE_FORMAT_VERSION, suite, keyId, header };
+}
+
+/**
+ * Complete an envelope with the encrypted payload, ready for the server
+ * @param {Object} envelope - From messageEnvelope
+ * @param {{ciphertext: string, iv: string, tag: string, sealedMetadata?: string}} encrypted - Output of encryptMessage / encryptBoundMessage
+ * @returns {{version: number, suite: string, keyId: string, header: Object|null, payload: Object}}
+ */
+export function sealEnvelope(envelope, encrypted) {
+  const { ciphertext, iv, tag, sealedMetadata } = encrypted;
+  const payload = { ciphertext, iv, tag };
+
+  if (sealedMetadata) {
+    payload.sealedMetadata = sealedMetadata;
+  }
+  return { ...envelope, payload };
+}
+
+/**
+ * Read a received message in any supported wire version, checking it before
+ * any key is used. The result spread over the message ({ ...msg, ...decoded })
+ * is what decryptBoundMessage / readFileManifest expect.
+ * @param {Object} msg - Message as returned by the API
+ * @returns {{version: number, suite: string, keyId: string|null, header: Object|null, deviceKeys: Array<Object>, ciphertext: string, iv: string, tag: string, sealedMetadata: string|null}}
+ * @throws If the version or suite is unknown or a field is malformed (error.wireFormat is set)
+ */
+export function decodeEnvelope(msg) {
+  const version = wireVersionOf(msg);
+  if (!SUPPORTED_WIRE_VERSIONS.includes(version)) {
+    throw wireFormatError(`unsupported wire format version ${version}`, { unsupportedVersion: version });
+  }
+
+  if (version === 1) {
+    return decodeLegacyMessage(msg);
+  }
+
+  const { envelope } = msg;
+  if (!envelope || typeof envelope !== 'object' || !envelope.payload || typeof envelope.payload !== 'object') {
+    throw wireFormatError('envelope is missing');
+  }
+
+  const suite = CIPHER_SUITES[envelope.suite];
+  if (!suite) {
+    throw wireFormatError(`unsupported cipher suite ${envelope.suite}`, { unsupportedSuite: envelope.suite });
+  }
+  if (typeof envelope.keyId !== 'string' || envelope.keyId.length === 0) {
+    throw wireFormatError('key ID is missing');
+  }
+
+  const header = envelope.header ?? null;
+  if (suite.ratchetHeader ? !isRatchetHeader(header) : header !== null) {
+    throw wireFormatError('invalid ratchet header');
+  }
+  checkPayload(envelope.payload, suite);
+  checkDeviceKeys(envelope.deviceKeys ?? []);
+
+  return {
+    version,
+    suite: envelope.suite,
+    keyId: envelope.keyId,
+    header,
+    deviceKeys: envelope.deviceKeys ?? [],
+    ciphertext: envelope.payload.ciphertext,
+    iv: envelope.payload.iv,
+    tag: envelope.payload.tag,
+    sealedMetadata: envelope.payload.sealedMetadata ?? null
+  };
+}
+
+/**
+ * Read a version 1 message (loose fields, suite implied by the ratchet header)
+ * @param {Object} msg - Message as returned by the API
+ * @returns {Object} Same shape as decodeEnvelope
+ */
+function decodeLegacyMessage(msg) {
+  const header = msg.ratchetHeader ?? null;
+  if (header !== null && !isRatchetHeader(header)) {
+    throw wireFormatError('invalid ratchet header');
+  }
+
+  const suite = header ? SUITE_RATCHET : SUITE_SESSION_KEY;
+  checkPayload(msg, CIPHER_SUITES[suite]);
+
+  return {
+    version: 1,
+    suite,
+    keyId: msg.exchangeId ?? null,
+    header,
+    deviceKeys: [],
+    ciphertext: msg.ciphertext,
+    iv: msg.iv,
+    tag: msg.tag,
+    sealedMetadata: msg.sealedMetadata ?? null
+  };
+}
+
+/**
+ * Encrypted chunks of a file message sent before chunked uploads, which keep
+ * a JSON list of { chunkIndex, ciphertext, iv, tag } in ciphertext (the
+ * oldest ones a single chunk in the message fields)
+ * @param {Object} msg - File message without fileId
+ * @returns {Array<Object>} Chunks in order
+ */
+export function decodeLegacyFileChunks(msg) {
+  if (typeof msg.ciphertext !== 'string') {
+    return msg.ciphertext;
+  }
+
+  try {
+    return [...JSON.parse(msg.ciphertext)].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  } catch {
+    return [{
+      chunkIndex: 0,
+      ciphertext: msg.ciphertext,
+      iv: msg.iv,
+      tag: msg.tag
+    }];
+  }
+}
+
+/**
+ * Pack an AES-GCM result as IV || ciphertext || tag
+ * @param {Uint8Array} iv - 12-byte IV
+ * @param {Uint8Array|ArrayBuffer} ciphertextWithTag - Web Crypto output (tag appended)
+ * @returns {Uint8Array}
+ */
+export function packCiphertext(iv, ciphertextWithTag) {
+  const body = new Uint8Array(ciphertextWithTag);
+  const packed = new Uint8Array(iv.length + body.length);
+  packed.set(iv);
+  packed.set(body, iv.length);
+  return packed;
+}
+
+/**
+ * Split IV || ciphertext || tag
+ * @param {Uint8Array} packed - Packed payload
+ * @returns {{iv: Uint8Array, ciphertextWithTag: Uint8Array}}
+ * @throws If the payload is too short to hold an IV and a tag
+ */
+export function unpackCiphertext(packed) {
+  if (packed.length < IV_LENGTH + TAG_LENGTH) {
+    throw wireFormatError('encrypted payload is truncated');
+  }
+  return {
+    iv: packed.subarray(0, IV_LENGTH),
+    ciphertextWithTag: packed.subarray(IV_LENGTH)
+  };
+}